@@ -14,6 +14,8 @@ import { ReelFeed } from './components/Reel/ReelFeed';
 import { OpeningExplorer } from './components/Opening/OpeningExplorer';
 import { Profile } from './components/Profile/Profile';
 import { Settings } from './components/Settings/Settings';
+import { PlayVsEngine } from './components/Play/PlayVsEngine';
+import { QueueManager } from './components/Queue/QueueManager';
 // Removed Openings placeholder
 
 
@@ -35,6 +37,8 @@ function App() {
           <Route path="/reels" element={<ReelFeed />} />
           <Route path="/openings" element={<OpeningExplorer />} />
           <Route path="/profile" element={<Profile />} />
+          <Route path="/play" element={<PlayVsEngine />} />
+          <Route path="/queue" element={<QueueManager />} />
           <Route path="/settings" element={<Settings />} />
         </Routes>
       </Layout>
@@ -0,0 +1,119 @@
+import React, { useMemo, useState } from 'react';
+import { ArrowUpRight, History } from 'lucide-react';
+import { compareAnalysisRuns, describeProvenance, getRunLabel } from '../../services/analysisRuns';
+
+const MAX_ROWS = 30;
+
+const formatCp = (cp) => {
+    if (typeof cp !== 'number') return '—';
+    if (Math.abs(cp) >= 10000) return cp > 0 ? '+M' : '−M';
+    const value = (cp / 100).toFixed(2);
+    return cp > 0 ? `+${value}` : value;
+};
+
+/**
+ * Where the current analysis came from, a re-analysis with another engine profile, and a per-ply
+ * comparison against earlier runs. `history` supplies SAN for the changed plies.
+ */
+export const AnalysisRunsCard = ({ provenance, analysisLog, runs, history, profiles = [], onReanalyze, onJumpToMove, busy }) => {
+    const [compareId, setCompareId] = useState(null);
+    // Follows the run's profile (provenance can load after mount) until the user picks one.
+    const [chosenProfileId, setProfileId] = useState(null);
+    const profileId = chosenProfileId ?? (provenance?.profileId || profiles[0]?.id || '');
+
+    const runList = useMemo(() => (Array.isArray(runs) ? runs : []), [runs]);
+    const baseRun = runList.find((run) => run.id === compareId) || runList[0] || null;
+    const comparison = useMemo(
+        () => (baseRun && analysisLog?.length ? compareAnalysisRuns(baseRun.analysisLog, analysisLog) : null),
+        [baseRun, analysisLog]
+    );
+
+    const labels = describeProvenance(provenance);
+    if (!analysisLog?.length && !runList.length) return null;
+
+    return (
+        <div className="ai-insight-card ai-insight-card--blue analysis-runs">
+            <div className="ai-insight-card__header">
+                <span className="ai-insight-card__icon">
+                    <History size={16} />
+                </span>
+                <h4 className="ai-insight-card__title">Analysis Runs</h4>
+            </div>
+
+            <div className="analysis-runs__provenance">
+                {labels.length
+                    ? labels.map((label) => <span key={label} className="analysis-runs__chip">{label}</span>)
+                    : <span className="text-xs text-muted">Analysed before engine details were recorded.</span>}
+            </div>
+
+            {profiles.length > 0 && (
+                <div className="analysis-runs__reanalyze">
+                    <select
+                        value={profileId}
+                        onChange={(e) => setProfileId(e.target.value)}
+                        className="bg-subtle border rounded px-2 py-1 text-xs text-primary"
+                    >
+                        {profiles.map((profile) => (
+                            <option key={profile.id} value={profile.id}>{profile.name}</option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        className="analysis-runs__btn"
+                        disabled={busy || !profileId}
+                        onClick={() => onReanalyze(profileId)}
+                    >
+                        Re-analyse (keeps this run)
+                    </button>
+                </div>
+            )}
+
+            {baseRun && comparison && (
+                <div className="analysis-runs__compare">
+                    <div className="analysis-runs__compare-head">
+                        <span className="text-xs text-muted">Compared with</span>
+                        <select
+                            value={baseRun.id}
+                            onChange={(e) => setCompareId(Number(e.target.value))}
+                            className="bg-subtle border rounded px-2 py-1 text-xs text-primary"
+                        >
+                            {runList.map((run) => (
+                                <option key={run.id} value={run.id}>{getRunLabel(run)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <p className="text-xs text-secondary">
+                        {comparison.classificationChanges} classification change{comparison.classificationChanges === 1 ? '' : 's'} and{' '}
+                        {comparison.evalShifts} eval shift{comparison.evalShifts === 1 ? '' : 's'} across {comparison.compared} plies.
+                    </p>
+                    {comparison.rows.length > 0 && (
+                        <div className="analysis-runs__rows">
+                            {comparison.rows.slice(0, MAX_ROWS).map((row) => (
+                                <button
+                                    key={row.index}
+                                    type="button"
+                                    className="analysis-runs__row"
+                                    onClick={() => onJumpToMove && onJumpToMove(row.index - 1)}
+                                >
+                                    <span className="analysis-runs__move">
+                                        {Math.ceil(row.ply / 2)}{row.turn === 'b' ? '...' : '.'} {history?.[row.index]?.san || row.move}
+                                    </span>
+                                    <span className={row.classificationChanged ? 'analysis-runs__class is-changed' : 'analysis-runs__class'}>
+                                        {row.from.classification || '—'} → {row.to.classification || '—'}
+                                    </span>
+                                    <span className="analysis-runs__eval">
+                                        {formatCp(row.from.score)} → {formatCp(row.to.score)}
+                                    </span>
+                                    <ArrowUpRight size={12} className="text-muted" />
+                                </button>
+                            ))}
+                            {comparison.rows.length > MAX_ROWS && (
+                                <div className="text-xs text-muted">+{comparison.rows.length - MAX_ROWS} more</div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
@@ -71,7 +71,31 @@ const pvToSanSteps = (fen, pv, maxPlies = 10) => {
     }
 };
 
-export const AnalyticsPanel = ({ game, onJumpToMove, activeIndex = -1, onBestHover, onPreviewFen }) => {
+// Win/draw/loss split from White's point of view; `wdl` is [win, draw, loss] per mille.
+const WdlBar = ({ wdl, compact = false }) => {
+    if (!Array.isArray(wdl) || wdl.length !== 3) return null;
+    const total = wdl.reduce((sum, v) => sum + (Number(v) || 0), 0);
+    if (total <= 0) return null;
+    const [win, draw, loss] = wdl.map((v) => Math.round(((Number(v) || 0) / total) * 1000) / 10);
+    return (
+        <div className={`wdl-bar${compact ? ' wdl-bar--compact' : ''}`} title={`White ${win}% • Draw ${draw}% • Black ${loss}%`}>
+            <div className="wdl-bar__track">
+                <div className="wdl-bar__win" style={{ width: `${win}%` }} />
+                <div className="wdl-bar__draw" style={{ width: `${draw}%` }} />
+                <div className="wdl-bar__loss" style={{ width: `${loss}%` }} />
+            </div>
+            {!compact && (
+                <div className="wdl-bar__labels">
+                    <span>W {win}%</span>
+                    <span>D {draw}%</span>
+                    <span>L {loss}%</span>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export const AnalyticsPanel = ({ game, clockTimeline = [], onJumpToMove, activeIndex = -1, onBestHover, onPreviewFen }) => {
     if (!game || !game.analysisLog) return <div className="p-8 text-center text-muted">No analysis data available.</div>;
 
     const [isMobile, setIsMobile] = useState(() => typeof window !== 'undefined' && window.innerWidth < 768);
@@ -149,6 +173,27 @@ export const AnalyticsPanel = ({ game, onJumpToMove, activeIndex = -1, onBestHov
         return Math.max(2, Math.min(98, raw));
     }, [hoverIndex, analysisLog.length]);
 
+    // Clock data is stored with the analysis; games analyzed before that fall back to the PGN's comments.
+    const clockAt = (index) => {
+        const entry = analysisLog[index];
+        const fallback = clockTimeline[index] || {};
+        return {
+            remaining: typeof entry?.clock === 'number' ? entry.clock : (fallback.remaining ?? null),
+            spent: typeof entry?.timeSpent === 'number' ? entry.timeSpent : (fallback.spent ?? null)
+        };
+    };
+    const timeBars = analysisLog.map((entry, index) => ({ index, turn: entry?.turn, spent: clockAt(index).spent }))
+        .filter((bar) => typeof bar.spent === 'number');
+    const maxSpent = timeBars.reduce((max, bar) => Math.max(max, bar.spent), 0);
+    const barWidth = (GRAPH_WIDTH / Math.max(1, analysisLog.length)) * 0.7;
+    const formatSeconds = (value) => {
+        if (typeof value !== 'number') return '-';
+        if (value < 60) return `${value.toFixed(value < 10 ? 1 : 0)}s`;
+        const total = Math.round(value);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    };
+    const hoverClock = typeof hoverIndex === 'number' ? clockAt(hoverIndex) : null;
+
     const getEvalLabel = (entry) => {
         if (!entry) return '-';
         if (typeof entry.mate === 'number') {
@@ -213,6 +258,11 @@ export const AnalyticsPanel = ({ game, onJumpToMove, activeIndex = -1, onBestHov
                         {typeof activeEntry.evalDiff === 'number' ? ` • Loss ${Math.round(activeEntry.evalDiff)}cp` : ''}
                         {typeof activeEntry.score === 'number' ? ` • Eval ${formatEval(activeEntry)}` : ''}
                     </div>
+                    {activeEntry.wdl && (
+                        <div className="mb-3">
+                            <WdlBar wdl={activeEntry.wdl} />
+                        </div>
+                    )}
 
                     <div className="grid grid-cols-2 gap-3">
                         <div className="p-3 rounded-lg bg-subtle border border-white/5">
@@ -263,6 +313,7 @@ export const AnalyticsPanel = ({ game, onJumpToMove, activeIndex = -1, onBestHov
                                                 <div className="text-secondary">#{line.multipv || 1}</div>
                                                 <div className="font-mono text-primary">{scoreText}</div>
                                             </div>
+                                            {line.scorePov === 'white' && line.wdl && <WdlBar wdl={line.wdl} compact />}
                                             <div
                                                 className="mt-1 text-xs text-secondary break-words"
                                                 onMouseLeave={() => onPreviewFen && onPreviewFen(null)}
@@ -347,6 +398,7 @@ export const AnalyticsPanel = ({ game, onJumpToMove, activeIndex = -1, onBestHov
                     <div className="flex items-center gap-2">
                         <h4 className="text-xs font-bold text-muted uppercase tracking-wider">Evaluation</h4>
                         <TrendingUp size={14} className="text-secondary" />
+                        {maxSpent > 0 && <span className="text-[10px] text-muted">Bars: time per move</span>}
                     </div>
                     {isMobile && (
                         <button
@@ -388,6 +440,20 @@ export const AnalyticsPanel = ({ game, onJumpToMove, activeIndex = -1, onBestHov
                                     <stop offset="100%" stopColor="#1e293b" stopOpacity="0.65" />
                                 </linearGradient>
                             </defs>
+                            {maxSpent > 0 && timeBars.map((bar) => {
+                                const denom = Math.max(1, analysisLog.length - 1);
+                                const height = Math.max(1, (bar.spent / maxSpent) * GRAPH_HEIGHT * 0.5);
+                                return (
+                                    <rect
+                                        key={`time-${bar.index}`}
+                                        x={(bar.index / denom) * GRAPH_WIDTH - barWidth / 2}
+                                        y={GRAPH_HEIGHT - height}
+                                        width={barWidth}
+                                        height={height}
+                                        fill={bar.turn === 'w' ? 'rgba(226, 232, 240, 0.22)' : 'rgba(100, 116, 139, 0.4)'}
+                                    />
+                                );
+                            })}
                             <path
                                 d={`M0,${GRAPH_HEIGHT / 2} L${points}`}
                                 fill="none"
@@ -410,6 +476,11 @@ export const AnalyticsPanel = ({ game, onJumpToMove, activeIndex = -1, onBestHov
                                 <div className={`eval-tooltip__value ${whiteScore(hoverEntry) >= 0 ? 'is-white' : 'is-black'}`}>
                                     {getEvalLabel(hoverEntry)}
                                 </div>
+                                {hoverClock && (hoverClock.spent !== null || hoverClock.remaining !== null) && (
+                                    <div className="eval-tooltip__title">
+                                        {formatSeconds(hoverClock.spent)} spent • {formatSeconds(hoverClock.remaining)} left
+                                    </div>
+                                )}
                             </div>
                         )}
                     </div>
@@ -1,20 +1,32 @@
 import React, { useLayoutEffect, useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useLiveQuery } from 'dexie-react-hooks';
-import { db, saveGameContent } from '../../services/db';
+import { db, getGameMoveTree, saveGameContent } from '../../services/db';
 import { fetchChessComGamePgn } from '../../services/chesscom';
 import { Chessboard } from 'react-chessboard';
-import { ArrowUpRight, Activity, Target, Zap, ChevronLeft, ChevronRight, FastForward, Rewind, ChevronDown, GripHorizontal } from 'lucide-react';
-import { Link } from 'react-router-dom';
+import { ArrowUpRight, Activity, Target, Zap, ChevronLeft, ChevronRight, FastForward, Rewind, ChevronDown, GripHorizontal, Cpu, Undo2, Swords, Download } from 'lucide-react';
+import { Link, useNavigate } from 'react-router-dom';
 import { Chess } from 'chess.js';
-import { processGame } from '../../services/analyzer';
+import { listEngineProfiles } from '../../services/analyzer';
+import { analysisQueue } from '../../services/analysisQueue';
 import { stripPgnComments } from '../../services/pgn';
+import { isPromotionDrop, setPlayStart } from '../../services/play';
+import { buildAnnotatedPgn, downloadPgnFile, getPgnExportFilename } from '../../services/pgnExport';
+import { extractPgnClocks, getPgnClockTimeline } from '../../services/clocks';
 import { AnalyticsPanel } from './AnalyticsPanel';
 import { AIAnalysisModal } from './AIAnalysisModal';
 import { AIInsightsView } from './AIInsightsView';
+import { GameStoryCard } from './GameStoryCard';
+import { AnalysisRunsCard } from './AnalysisRunsCard';
+import { MoveVariations } from './MoveVariations';
+import { formatNags, getMoveAnnotations } from '../../services/pgnTree';
+import { summarizeGame } from '../../services/gameNarrative';
+import { getGameVariant, isAnalyzableVariant, replayPgn } from '../../services/variants';
 import { Sparkles } from 'lucide-react';
 import { useHeroProfiles } from '../../hooks/useHeroProfiles';
+import { useLiveAnalysis } from '../../hooks/useLiveAnalysis';
 import { getHeroDisplayName, getHeroSideFromGame, isHeroGameForProfiles } from '../../services/heroProfiles';
 import { AppFooter } from '../common/AppFooter';
+import { PromotionPicker } from '../common/PromotionPicker';
 
 const CLOCK_PLACEHOLDER = '—:—';
 
@@ -76,17 +88,6 @@ const parseTimeControlBase = (value) => {
     return Number.isFinite(base) ? base : null;
 };
 
-const extractPgnClocks = (pgn) => {
-    if (!pgn) return [];
-    const clocks = [];
-    const re = /\[%clk\s+([0-9:.]+)\s*\]/gi;
-    let match;
-    while ((match = re.exec(pgn)) !== null) {
-        if (match[1]) clocks.push(match[1].trim());
-    }
-    return clocks;
-};
-
 const normalizeTab = (value) => (['moves', 'analysis', 'ai'].includes(value) ? value : null);
 
 const isValidFen = (fen) => {
@@ -127,6 +128,7 @@ export const Dashboard = () => {
     const DEFAULT_FLASH_BLACK = '#D9C64A';
     const latestGame = useLiveQuery(() => db.games.orderBy('date').reverse().first());
     const totalGames = useLiveQuery(() => db.games.count());
+    const navigate = useNavigate();
     const [selectedGameId, setSelectedGameId] = useState(() => localStorage.getItem('activeGameId'));
     const [boardColors, setBoardColors] = useState(() => ({
         light: localStorage.getItem(BOARD_LIGHT_KEY) || DEFAULT_BOARD_LIGHT,
@@ -276,6 +278,10 @@ export const Dashboard = () => {
     const [activeTab, setActiveTab] = useState('moves'); // 'moves' | 'analysis'
     const [hoverArrow, setHoverArrow] = useState(null); // { from, to }
     const [previewFen, setPreviewFen] = useState(null);
+    const [activeVariation, setActiveVariation] = useState(null);
+    const [liveMode, setLiveMode] = useState(false);
+    const [sideline, setSideline] = useState(null); // { baseFen, fens: [], sans: [] }
+    const [pendingPromotion, setPendingPromotion] = useState(null); // { fen, from, to } of a pawn drop awaiting its piece
     const [badgeStyle, setBadgeStyle] = useState(null); // { left, top, size, fontSize }
     const [lastMoveRects, setLastMoveRects] = useState(null);
     const [kingResultBadges, setKingResultBadges] = useState(null);
@@ -404,6 +410,28 @@ export const Dashboard = () => {
         return record?.analysisLog || null;
     }, [activeGame?.id]);
 
+    // Analyzer results for PGN sideline moves, keyed by move-tree node id.
+    const variationInfo = useLiveQuery(async () => {
+        if (!activeGame?.id) return null;
+        const record = await db.gameAnalysis.get(activeGame.id);
+        const log = Array.isArray(record?.variationLog) ? record.variationLog : [];
+        return log.length ? new Map(log.map((entry) => [entry.nodeId, entry])) : null;
+    }, [activeGame?.id]);
+
+    // Engine settings the stored log was produced with, and earlier runs kept for comparison.
+    const analysisProvenance = useLiveQuery(async () => {
+        if (!activeGame?.id) return null;
+        const record = await db.gameAnalysis.get(activeGame.id);
+        return record?.provenance || null;
+    }, [activeGame?.id]);
+
+    const analysisRuns = useLiveQuery(async () => {
+        if (!activeGame?.id) return [];
+        return db.analysisRuns.where('gameId').equals(activeGame.id).reverse().sortBy('archivedAt');
+    }, [activeGame?.id]);
+
+    const engineProfiles = useMemo(() => listEngineProfiles(), []);
+
     const activePgn = useLiveQuery(async () => {
         if (!activeGame?.id) return activeGame?.pgn || '';
         const record = await db.gameContent.get(activeGame.id);
@@ -518,16 +546,11 @@ export const Dashboard = () => {
             // Only reset if it's a new game we haven't loaded yet
             if (loadedGameIdRef.current !== activeGame.id) {
                 try {
-                    const chess = new Chess();
                     const cleanPgn = stripPgnComments(activePgn);
-                    chess.loadPgn(cleanPgn, { sloppy: true });
-
-                    // Check for custom start position
-                    const header = chess.header();
-                    const initFen = header['FEN'] || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+                    // Chess960 castling needs its own replay; FEN-tag start positions come along either way.
+                    const variant = getGameVariant(activeGame, activePgn);
+                    const { startFen: initFen, moves } = replayPgn(cleanPgn, isAnalyzableVariant(variant) ? variant : 'standard');
                     setStartFen(initFen);
-
-                    const moves = chess.history({ verbose: true });
                     setHistory(moves);
 
                     // Support deep-linking from Smart Puzzles: jump to the puzzle start position.
@@ -561,6 +584,11 @@ export const Dashboard = () => {
         }
     }, [activeGame?.id, activePgn]);
 
+    const clockTimeline = useMemo(
+        () => (activePgn ? getPgnClockTimeline(activePgn, activeGame?.timeControl) : []),
+        [activePgn, activeGame?.timeControl]
+    );
+
     const clockByPly = useMemo(() => {
         if (!activePgn) return [];
         const clocks = extractPgnClocks(activePgn);
@@ -588,13 +616,22 @@ export const Dashboard = () => {
         }
     }, [activeGame?.id, moveIndex, previewFen, activeTab]);
 
+    // Leaves a previewed PGN sideline and returns the board to the main line.
+    const clearVariationPreview = () => {
+        if (!activeVariation) return;
+        setActiveVariation(null);
+        setPreviewFen(null);
+    };
+
     const handleNext = () => {
+        clearVariationPreview();
         if (moveIndex < history.length - 1) {
             setMoveIndex(moveIndex + 1);
         }
     };
 
     const handlePrev = () => {
+        clearVariationPreview();
         if (moveIndex >= 0) {
             setMoveIndex(moveIndex - 1);
         }
@@ -610,8 +647,13 @@ export const Dashboard = () => {
 
     const handleStockfishAnalyze = async () => {
         if (!activeGame) return;
-        // Reset to pending to trigger queue
-        await db.games.update(activeGame.id, { analyzed: false, analysisStatus: 'pending' });
+        await analysisQueue.enqueue(activeGame.id);
+    };
+
+    // Queues a fresh run with another profile; the analyzer archives the current run first.
+    const handleReanalyzeWithProfile = async (profileId) => {
+        if (!activeGame) return;
+        await analysisQueue.enqueue(activeGame.id, { profileId });
     };
 
     const handleAnalyzePrimary = async () => {
@@ -639,9 +681,46 @@ export const Dashboard = () => {
     };
 
     const handleJumpTo = (index) => {
+        clearVariationPreview();
         setMoveIndex(index);
     };
 
+    // Annotator comments, NAGs and sidelines from the PGN, by main-line move index.
+    const [moveTree, setMoveTree] = useState({ pgn: null, tree: null });
+    useEffect(() => {
+        if (!activePgn) return undefined;
+        let cancelled = false;
+        getGameMoveTree(activeGame?.id, activePgn)
+            .then((tree) => {
+                if (!cancelled) setMoveTree({ pgn: activePgn, tree });
+            })
+            .catch((err) => console.warn('Failed to load move tree', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [activeGame?.id, activePgn]);
+    const moveAnnotations = useMemo(() => {
+        const tree = moveTree.pgn === activePgn ? moveTree.tree : null;
+        return tree ? getMoveAnnotations(tree) : new Map();
+    }, [moveTree, activePgn]);
+
+    const handleSelectVariation = (node) => {
+        setActiveVariation({ id: node.id, fen: node.fen });
+        setPreviewFen(node.fen);
+    };
+
+    const activeVariationId = activeVariation && previewFen === activeVariation.fen ? activeVariation.id : null;
+
+    const renderMoveAnnotations = (index) => (
+        <MoveVariations
+            key={`variations-${index}`}
+            annotation={moveAnnotations.get(index)}
+            activeId={activeVariationId}
+            onSelect={handleSelectVariation}
+            variationInfo={variationInfo}
+        />
+    );
+
     useEffect(() => {
         const handleKeyDown = (e) => {
             if (e.key === 'ArrowLeft') {
@@ -656,6 +735,8 @@ export const Dashboard = () => {
 
     // DERIVE BOARD STATE: Robust derivation with start position support
     const currentFen = useMemo(() => {
+        // Replayed moves carry the position after them (the only option for Chess960 castling).
+        if (moveIndex > -1 && history[moveIndex]?.after) return history[moveIndex].after;
         try {
             // Initialize with the correct starting position
             const chess = new Chess(startFen);
@@ -680,6 +761,116 @@ export const Dashboard = () => {
         }
     }, [moveIndex, history, startFen]);
 
+    // Moves played on the board in live mode branch off whatever position was showing.
+    const sidelineBaseFen = previewFen || currentFen;
+    const activeSideline = liveMode && sideline && sideline.baseFen === sidelineBaseFen && sideline.fens.length
+        ? sideline
+        : null;
+    const sidelineFen = activeSideline ? activeSideline.fens[activeSideline.fens.length - 1] : null;
+    const boardFen = sidelineFen || sidelineBaseFen;
+
+    const isChess960 = useMemo(() => !!activeGame && getGameVariant(activeGame, activePgn || '') === 'chess960', [activeGame, activePgn]);
+    // Chess960 positions of the game itself go to the engine with their Shredder-FEN castling rights;
+    // sideline positions have none, like the chess.js FENs they come from.
+    const liveFen = isChess960 && boardFen === currentFen
+        ? ((moveIndex > -1 ? history[moveIndex]?.engineAfter : history[0]?.engineBefore) || boardFen)
+        : boardFen;
+    const live = useLiveAnalysis({ fen: liveFen, enabled: liveMode && !!activeGame, multiPv: 3, chess960: isChess960, gameKey: activeGame?.id ?? null });
+
+    const liveLines = useMemo(() => {
+        if (!liveMode || !live.lines.length) return [];
+        const turn = boardFen.split(' ')[1] === 'b' ? 'b' : 'w';
+        return live.lines.map((line) => {
+            const moves = typeof line.pv === 'string' ? line.pv.split(' ').filter(Boolean) : [];
+            const sans = [];
+            try {
+                const chess = new Chess(boardFen);
+                for (const uci of moves.slice(0, 8)) {
+                    const res = chess.move({ from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci.length > 4 ? uci.substring(4, 5) : undefined });
+                    if (!res) break;
+                    sans.push(res.san);
+                }
+            } catch {
+                // ignore
+            }
+            // Engine scores are side-to-move; the board shows White's point of view.
+            const sign = turn === 'w' ? 1 : -1;
+            const mate = typeof line.mate === 'number' ? line.mate * sign : null;
+            const score = typeof line.score === 'number' ? line.score * sign : 0;
+            const evalLabel = typeof mate === 'number'
+                ? `${mate > 0 ? '' : '-'}M${Math.abs(mate)}`
+                : `${score > 0 ? '+' : ''}${(score / 100).toFixed(2)}`;
+            return { multipv: line.multipv || 1, depth: line.depth || 0, uci: moves[0] || null, sans, evalLabel };
+        });
+    }, [liveMode, live.lines, boardFen]);
+
+    const playSidelineMove = useCallback((input) => {
+        try {
+            const chess = new Chess(boardFen);
+            const res = chess.move(input);
+            if (!res) return false;
+            const fen = chess.fen();
+            setSideline((prev) => {
+                const base = prev && prev.baseFen === sidelineBaseFen ? prev : { baseFen: sidelineBaseFen, fens: [], sans: [] };
+                return { baseFen: base.baseFen, fens: [...base.fens, fen], sans: [...base.sans, res.san] };
+            });
+            return true;
+        } catch {
+            return false;
+        }
+    }, [boardFen, sidelineBaseFen]);
+
+    const handleBoardDrop = useCallback(({ sourceSquare, targetSquare, piece }) => {
+        if (!liveMode || !sourceSquare || !targetSquare) return false;
+        if (isPromotionDrop(piece, targetSquare)) {
+            // The pawn snaps back until a piece is picked; illegal promotions never open the picker.
+            try {
+                const legal = new Chess(boardFen).moves({ verbose: true })
+                    .some((m) => m.from === sourceSquare && m.to === targetSquare && m.promotion);
+                if (legal) setPendingPromotion({ fen: boardFen, from: sourceSquare, to: targetSquare });
+            } catch {
+                // ignore
+            }
+            return false;
+        }
+        return playSidelineMove({ from: sourceSquare, to: targetSquare });
+    }, [liveMode, boardFen, playSidelineMove]);
+
+    // Only offered while the board still shows the position the pawn was dropped in.
+    const activePromotion = liveMode && pendingPromotion?.fen === boardFen ? pendingPromotion : null;
+    const handlePromotion = (promotion) => {
+        setPendingPromotion(null);
+        if (activePromotion) playSidelineMove({ from: activePromotion.from, to: activePromotion.to, promotion });
+    };
+
+    const handlePlayFromHere = () => {
+        if (!activeGame) return;
+        // Sidelines and previewed lines are not part of the stored game, so only the position is handed over.
+        setPlayStart(activeSideline || previewFen ? { fen: boardFen } : { gameId: activeGame.id, moveIndex });
+        navigate('/play');
+    };
+
+    const handleExportPgn = () => {
+        if (!activeGame) return;
+        const text = buildAnnotatedPgn({ game: activeGame, pgn: activePgn, analysisLog, provenance: analysisProvenance });
+        downloadPgnFile(text, getPgnExportFilename(activeGame));
+    };
+
+    const handleSidelineBack = () => {
+        setSideline((prev) => {
+            if (!prev || prev.fens.length <= 1) return null;
+            return { ...prev, fens: prev.fens.slice(0, -1), sans: prev.sans.slice(0, -1) };
+        });
+    };
+
+    useEffect(() => {
+        setSideline(null);
+    }, [activeGame?.id, liveMode]);
+
+    useEffect(() => {
+        setActiveVariation(null);
+    }, [activeGame?.id]);
+
     const getSafeName = (value) => {
         if (!value) return '?';
         if (typeof value === 'string') return value;
@@ -937,10 +1128,21 @@ export const Dashboard = () => {
         return { from: uci.substring(0, 2), to: uci.substring(2, 4) };
     }, [previewFen, analysisLog, moveIndex, currentFen, showBestMoveArrow]);
 
+    const liveArrows = useMemo(() => {
+        const colors = ['rgba(56, 189, 248, 0.9)', 'rgba(56, 189, 248, 0.55)', 'rgba(56, 189, 248, 0.35)'];
+        return liveLines
+            .filter((line) => line.uci && line.uci.length >= 4)
+            .map((line, idx) => ({
+                startSquare: line.uci.substring(0, 2),
+                endSquare: line.uci.substring(2, 4),
+                color: colors[Math.min(idx, colors.length - 1)]
+            }));
+    }, [liveLines]);
+
     const chessboardOptions = useMemo(() => {
         const arrow = hoverArrow || defaultArrow;
         const flashVariant = lastMoveFlash % 2 === 0 ? 'a' : 'b';
-        const showLastMove = !previewFen && lastMove;
+        const showLastMove = !previewFen && !sidelineFen && lastMove;
         const palette = flashPalette;
         const fromStyle = {
             backgroundImage: `radial-gradient(circle at 50% 50%, ${palette.fromFill}, rgba(0, 0, 0, 0) 70%)`,
@@ -958,12 +1160,15 @@ export const Dashboard = () => {
         };
         return {
             id: "dashboard-board",
-            position: previewFen || currentFen,
+            position: boardFen,
             boardWidth: boardWidth || 500,
             boardOrientation: boardOrientation,
-            allowDragging: false,
+            allowDragging: liveMode,
+            onPieceDrop: handleBoardDrop,
             animationDurationInMs: 300,
-            arrows: arrow ? [{ startSquare: arrow.from, endSquare: arrow.to, color: 'rgba(245, 200, 75, 0.95)' }] : [],
+            arrows: liveMode
+                ? liveArrows
+                : (arrow ? [{ startSquare: arrow.from, endSquare: arrow.to, color: 'rgba(245, 200, 75, 0.95)' }] : []),
             darkSquareStyle: { backgroundColor: boardColors.dark },
             lightSquareStyle: { backgroundColor: boardColors.light },
             squareStyles: showLastMove ? {
@@ -971,7 +1176,7 @@ export const Dashboard = () => {
                 [lastMove.to]: { ...toStyle, ...flashTo }
             } : {}
         };
-    }, [currentFen, previewFen, boardWidth, boardOrientation, hoverArrow, defaultArrow, lastMove, lastMoveFlash, boardColors, flashPalette]);
+    }, [boardFen, previewFen, sidelineFen, boardWidth, boardOrientation, hoverArrow, defaultArrow, liveMode, liveArrows, handleBoardDrop, lastMove, lastMoveFlash, boardColors, flashPalette]);
 
     const evalCp = useMemo(() => {
         if (!analysisLog || analysisLog.length === 0) return 0;
@@ -1060,6 +1265,16 @@ export const Dashboard = () => {
         return entry;
     }, [analysisLog, currentFen, moveIndex]);
 
+    const gameStory = useMemo(() => {
+        if (!analysisLog || !analysisLog.length || !activeGame?.analyzed) return null;
+        const nameOf = (player) => (typeof player === 'string' ? player : player?.name || '');
+        return summarizeGame(analysisLog, {
+            sans: history.map((m) => m.san),
+            names: { white: nameOf(activeGame.white), black: nameOf(activeGame.black) },
+            result: activeGame.result
+        });
+    }, [analysisLog, history, activeGame?.analyzed, activeGame?.white, activeGame?.black, activeGame?.result]);
+
     const classificationBadge = useMemo(() => {
         if (!analysisLog || moveIndex < 0) return null;
         const entry = analysisLog[moveIndex];
@@ -1171,7 +1386,7 @@ export const Dashboard = () => {
                                         <div className="split-button">
                                             <button
                                                 onClick={handleAnalyzePrimary}
-                                                disabled={activeGame.analysisStatus === 'analyzing'}
+                                                disabled={activeGame.analysisStatus === 'analyzing' || (lastAnalyzeMode !== 'ai' && activeGame.analysisStatus === 'unsupported')}
                                                 className={`split-button__main ${activeGame.analysisStatus === 'analyzing' ? 'is-loading' : ''}`}
                                             >
                                                 <Zap size={14} className={activeGame.analysisStatus === 'analyzing' ? 'animate-pulse' : ''} />
@@ -1181,7 +1396,9 @@ export const Dashboard = () => {
                                                         ? 'Analyzing...'
                                                         : (activeGame.analysisStatus === 'failed'
                                                             ? 'Retry Analysis (Stockfish)'
-                                                            : (activeGame.analyzed ? 'Re-analyze (Stockfish)' : 'Analyze (Stockfish)')))}
+                                                            : (activeGame.analysisStatus === 'unsupported'
+                                                                ? 'Variant Not Supported'
+                                                                : (activeGame.analyzed ? 'Re-analyze (Stockfish)' : 'Analyze (Stockfish)'))))}
                                             </button>
                                             <button
                                                 onClick={(e) => {
@@ -1251,7 +1468,14 @@ export const Dashboard = () => {
                                         className="board-shell relative aspect-square w-full shadow-2xl rounded-lg bg-panel border overflow-hidden mx-auto"
                                     >
                                         <Chessboard options={chessboardOptions} />
-                                        {lastMoveRects && !previewFen && (
+                                        {activePromotion && (
+                                            <PromotionPicker
+                                                color={boardFen.split(' ')[1] === 'b' ? 'b' : 'w'}
+                                                onSelect={handlePromotion}
+                                                onCancel={() => setPendingPromotion(null)}
+                                            />
+                                        )}
+                                        {lastMoveRects && !previewFen && !sidelineFen && (
                                             <>
                                                 <div
                                                     key={`last-move-from-${lastMoveFlash}`}
@@ -1279,7 +1503,7 @@ export const Dashboard = () => {
                                                 />
                                             </>
                                         )}
-                                        {badgeStyle && classificationBadge && (
+                                        {badgeStyle && classificationBadge && !sidelineFen && (
                                             <div
                                                 className={`board-badge badge-${classificationBadge.tone}`}
                                                 style={{
@@ -1293,7 +1517,7 @@ export const Dashboard = () => {
                                                 {classificationBadge.label}
                                             </div>
                                         )}
-                                        {kingResultBadges && (
+                                        {kingResultBadges && !sidelineFen && (
                                             <>
                                                 <div
                                                     className={`king-result-badge king-result-badge--${kingResultBadges.white.status}`}
@@ -1346,7 +1570,50 @@ export const Dashboard = () => {
                                 <button onClick={handlePrev} className="p-3 hover:bg-subtle rounded-full text-primary transition-colors bg-subtle border" title="Previous"><ChevronLeft size={24} /></button>
                                 <button onClick={handleNext} className="p-3 hover:bg-subtle rounded-full text-primary transition-colors bg-subtle border" title="Next"><ChevronRight size={24} /></button>
                                 <button onClick={handleEnd} className="p-2 hover:bg-subtle rounded-full text-secondary transition-colors" title="End"><FastForward size={20} fill="currentColor" /></button>
+                                <button
+                                    onClick={() => setLiveMode((prev) => !prev)}
+                                    className={`p-2 hover:bg-subtle rounded-full transition-colors ${liveMode ? 'text-primary bg-subtle border' : 'text-secondary'}`}
+                                    title={liveMode ? 'Stop live engine' : 'Live engine'}
+                                    aria-pressed={liveMode}
+                                >
+                                    <Cpu size={20} />
+                                </button>
+                                <button onClick={handlePlayFromHere} className="p-2 hover:bg-subtle rounded-full text-secondary transition-colors" title="Play from here">
+                                    <Swords size={20} />
+                                </button>
+                                <button onClick={handleExportPgn} className="p-2 hover:bg-subtle rounded-full text-secondary transition-colors" title="Export annotated PGN">
+                                    <Download size={20} />
+                                </button>
                             </div>
+
+                            {liveMode && (
+                                <div className="board-wrap live-engine-panel">
+                                    <div className="live-engine-panel__header">
+                                        <span className="live-engine-panel__title">Live engine</span>
+                                        <span className="live-engine-panel__status">
+                                            {live.error
+                                                ? live.error
+                                                : live.paused
+                                                    ? 'Paused while tab is hidden'
+                                                    : live.depth > 0 ? `Depth ${live.depth}` : 'Starting...'}
+                                        </span>
+                                    </div>
+                                    {activeSideline && (
+                                        <div className="live-engine-panel__sideline">
+                                            <span className="text-muted">Sideline:</span>
+                                            <span className="live-engine-panel__moves">{activeSideline.sans.join(' ')}</span>
+                                            <button onClick={handleSidelineBack} className="live-engine-panel__btn" title="Take back"><Undo2 size={14} /></button>
+                                            <button onClick={() => setSideline(null)} className="live-engine-panel__btn" title="Back to game">Reset</button>
+                                        </div>
+                                    )}
+                                    {liveLines.map((line) => (
+                                        <div key={line.multipv} className="live-engine-panel__line">
+                                            <span className="live-engine-panel__eval">{line.evalLabel}</span>
+                                            <span className="live-engine-panel__moves">{line.sans.join(' ') || line.uci}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                     ) : (
                         <div className="dashboard-empty">
@@ -1452,6 +1719,7 @@ export const Dashboard = () => {
                             (analysisLog && analysisLog.length > 0) ? (
                                 <AnalyticsPanel
                                     game={{ ...activeGame, analysisLog }}
+                                    clockTimeline={clockTimeline}
                                     onJumpToMove={handleJumpTo}
                                     activeIndex={moveIndex}
                                     onBestHover={(uci) => {
@@ -1483,17 +1751,32 @@ export const Dashboard = () => {
                                         const wm = pair[0], bm = pair[1];
                                         const wi = rowIdx * 2, bi = rowIdx * 2 + 1;
                                         return (
-                                            <div key={rowIdx} className={`move-row ${rowIdx % 2 === 0 ? 'move-row-even' : 'move-row-odd'}`}>
-                                                <div className="move-num text-muted">{rowIdx + 1}</div>
-                                                <button id={`move-${wi}`} onClick={() => handleJumpTo(wi)} className={`move-cell move-cell-white ${moveIndex === wi ? 'move-cell-active' : ''}`}>{wm?.san || '-'}</button>
-                                                <button id={`move-${bi}`} onClick={() => handleJumpTo(bi)} disabled={!bm} className={`move-cell move-cell-black ${moveIndex === bi ? 'move-cell-active' : ''}`}>{bm?.san || '-'}</button>
-                                            </div>
+                                            <React.Fragment key={rowIdx}>
+                                                <div className={`move-row ${rowIdx % 2 === 0 ? 'move-row-even' : 'move-row-odd'}`}>
+                                                    <div className="move-num text-muted">{rowIdx + 1}</div>
+                                                    <button id={`move-${wi}`} onClick={() => handleJumpTo(wi)} className={`move-cell move-cell-white ${moveIndex === wi ? 'move-cell-active' : ''}`}>{wm ? `${wm.san}${formatNags(moveAnnotations.get(wi)?.nags)}` : '-'}</button>
+                                                    <button id={`move-${bi}`} onClick={() => handleJumpTo(bi)} disabled={!bm} className={`move-cell move-cell-black ${moveIndex === bi ? 'move-cell-active' : ''}`}>{bm ? `${bm.san}${formatNags(moveAnnotations.get(bi)?.nags)}` : '-'}</button>
+                                                </div>
+                                                {renderMoveAnnotations(wi)}
+                                                {renderMoveAnnotations(bi)}
+                                            </React.Fragment>
                                         );
                                     })}
                                 </div>
                                 {activeTab === 'moves' && moveInsight && (
                                     <div className="p-4 border-t flex flex-col gap-2">
                                         <h3 className="text-xs font-semibold text-muted uppercase tracking-wider">Move Insights</h3>
+                                        <GameStoryCard story={gameStory} onJumpToMove={handleJumpTo} />
+                                        <AnalysisRunsCard
+                                            provenance={analysisProvenance}
+                                            analysisLog={analysisLog}
+                                            runs={analysisRuns}
+                                            history={history}
+                                            profiles={engineProfiles}
+                                            onReanalyze={handleReanalyzeWithProfile}
+                                            onJumpToMove={handleJumpTo}
+                                            busy={activeGame?.analysisStatus === 'pending' || activeGame?.analysisStatus === 'analyzing'}
+                                        />
                                         <StatRow label="Classification" value={moveInsight.classification || '-'} subtext="Move quality" icon={Target} color="blue" />
                                         <StatRow label="Eval Swing" value={typeof moveInsight.evalDiff === 'number' ? `${Math.round(moveInsight.evalDiff)}cp` : '-'} subtext="Centipawn loss" icon={Activity} color="orange" />
                                         <StatRow label="Best Move" value={uciToSan(moveInsight.fen, moveInsight.bestMove) || '-'} subtext="Engine recommendation" icon={Zap} color="yellow" />
@@ -1540,6 +1823,7 @@ export const Dashboard = () => {
                                 (analysisLog && analysisLog.length > 0) ? (
                                     <AnalyticsPanel
                                         game={{ ...activeGame, analysisLog }}
+                                        clockTimeline={clockTimeline}
                                         onJumpToMove={handleJumpTo}
                                         activeIndex={moveIndex}
                                         onBestHover={(uci) => {
@@ -1566,11 +1850,15 @@ export const Dashboard = () => {
                                         const wm = pair[0], bm = pair[1];
                                         const wi = rowIdx * 2, bi = rowIdx * 2 + 1;
                                         return (
-                                            <div key={rowIdx} className={`move-row ${rowIdx % 2 === 0 ? 'move-row-even' : 'move-row-odd'}`}>
-                                                <div className="move-num text-muted">{rowIdx + 1}</div>
-                                                <button id={`move-${wi}`} onClick={() => handleJumpTo(wi)} className={`move-cell move-cell-white ${moveIndex === wi ? 'move-cell-active' : ''}`}>{wm?.san || '-'}</button>
-                                                <button id={`move-${bi}`} onClick={() => handleJumpTo(bi)} disabled={!bm} className={`move-cell move-cell-black ${moveIndex === bi ? 'move-cell-active' : ''}`}>{bm?.san || '-'}</button>
-                                            </div>
+                                            <React.Fragment key={rowIdx}>
+                                                <div className={`move-row ${rowIdx % 2 === 0 ? 'move-row-even' : 'move-row-odd'}`}>
+                                                    <div className="move-num text-muted">{rowIdx + 1}</div>
+                                                    <button id={`move-${wi}`} onClick={() => handleJumpTo(wi)} className={`move-cell move-cell-white ${moveIndex === wi ? 'move-cell-active' : ''}`}>{wm ? `${wm.san}${formatNags(moveAnnotations.get(wi)?.nags)}` : '-'}</button>
+                                                    <button id={`move-${bi}`} onClick={() => handleJumpTo(bi)} disabled={!bm} className={`move-cell move-cell-black ${moveIndex === bi ? 'move-cell-active' : ''}`}>{bm ? `${bm.san}${formatNags(moveAnnotations.get(bi)?.nags)}` : '-'}</button>
+                                                </div>
+                                                {renderMoveAnnotations(wi)}
+                                                {renderMoveAnnotations(bi)}
+                                            </React.Fragment>
                                         );
                                     })}
                                 </div>
@@ -1583,6 +1871,17 @@ export const Dashboard = () => {
                                 <h2 className="text-sm font-semibold text-primary">Move Insights</h2>
                             </div>
                             <div className="performance-scroll p-4 flex flex-col gap-2">
+                                <GameStoryCard story={gameStory} onJumpToMove={handleJumpTo} />
+                                <AnalysisRunsCard
+                                    provenance={analysisProvenance}
+                                    analysisLog={analysisLog}
+                                    runs={analysisRuns}
+                                    history={history}
+                                    profiles={engineProfiles}
+                                    onReanalyze={handleReanalyzeWithProfile}
+                                    onJumpToMove={handleJumpTo}
+                                    busy={activeGame?.analysisStatus === 'pending' || activeGame?.analysisStatus === 'analyzing'}
+                                />
                                 {moveInsight ? (
                                     <>
                                         <StatRow label="Classification" value={moveInsight.classification || '-'} subtext="Move quality" icon={Target} color="blue" />
@@ -0,0 +1,45 @@
+import React from 'react';
+import { ArrowUpRight, BookOpen } from 'lucide-react';
+
+const MOMENT_TONES = {
+    missedWin: 'red',
+    lostAdvantage: 'red',
+    swing: 'red',
+    conversion: 'green'
+};
+
+export const GameStoryCard = ({ story, onJumpToMove }) => {
+    if (!story) return null;
+    return (
+        <div className="ai-insight-card ai-insight-card--blue">
+            <div className="ai-insight-card__header">
+                <span className="ai-insight-card__icon ai-insight-card__icon--blue">
+                    <BookOpen size={16} />
+                </span>
+                <h4 className="ai-insight-card__title">
+                    Game Story{story.decisivePhase ? ` • decided in the ${story.decisivePhase}` : ''}
+                </h4>
+            </div>
+            <p className="text-sm text-secondary mb-3">{story.narrative}</p>
+            {story.keyMoments.length > 0 && (
+                <div className="ai-moment-list">
+                    {story.keyMoments.map((moment) => (
+                        <button
+                            key={`${moment.type}-${moment.index}`}
+                            type="button"
+                            className="ai-moment-card"
+                            onClick={() => onJumpToMove && onJumpToMove(moment.index)}
+                        >
+                            <div className="ai-moment__meta">
+                                <span className={`ai-dot ai-dot--${MOMENT_TONES[moment.type] || 'blue'}`} /> {moment.label}
+                            </div>
+                            <div className="ai-moment__title">{moment.title}</div>
+                            <div className="ai-moment__desc">{moment.text}</div>
+                            <div className="ai-moment__cta">Jump to move <ArrowUpRight size={12} /></div>
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
@@ -0,0 +1,74 @@
+import React from 'react';
+import { formatNags } from '../../services/pgnTree';
+
+const CLASSIFICATION_MARKS = {
+    blunder: '??',
+    mistake: '?',
+    inaccuracy: '?!'
+};
+
+const moveNumberLabel = (ply, forceBlack) => {
+    const number = Math.ceil(ply / 2);
+    if (ply % 2 === 1) return `${number}.`;
+    return forceBlack ? `${number}...` : '';
+};
+
+// One sideline: the first move, its continuation, and any nested variations in brackets.
+const VariationLine = ({ node, activeId, onSelect, variationInfo }) => {
+    const items = [];
+    let current = node;
+    let forceNumber = true;
+    // Alternatives to a move are printed right after it, as in PGN.
+    let alternatives = [];
+    while (current) {
+        const info = variationInfo?.get(current.id);
+        const mark = info ? CLASSIFICATION_MARKS[info.classification] || '' : '';
+        const target = current;
+        items.push(
+            <button
+                key={current.id}
+                type="button"
+                className={`move-variation__move ${activeId === current.id ? 'is-active' : ''}`}
+                onClick={() => onSelect(target)}
+                title={info ? `${info.classification}${typeof info.evalDiff === 'number' ? ` (−${(Math.max(0, info.evalDiff) / 100).toFixed(2)})` : ''}` : undefined}
+            >
+                {moveNumberLabel(current.ply, forceNumber)}{current.san}{formatNags(current.nags)}
+                {mark && <span className={`move-variation__mark move-variation__mark--${info.classification}`}>{mark}</span>}
+            </button>
+        );
+        if (current.comment) {
+            items.push(<span key={`${current.id}-comment`} className="move-variation__comment">{current.comment}</span>);
+        }
+        alternatives.forEach((child) => {
+            items.push(
+                <span key={`${child.id}-nested`} className="move-variation__nested">
+                    (<VariationLine node={child} activeId={activeId} onSelect={onSelect} variationInfo={variationInfo} />)
+                </span>
+            );
+        });
+        forceNumber = !!current.comment || alternatives.length > 0;
+        alternatives = current.children.slice(1);
+        current = current.children[0];
+    }
+    return <>{items}</>;
+};
+
+/**
+ * Annotator comment and sidelines for one main-line move, shown under its row in the move list.
+ * `variationInfo` maps node ids to analyzer results for sideline moves.
+ */
+export const MoveVariations = ({ annotation, activeId, onSelect, variationInfo }) => {
+    if (!annotation) return null;
+    const { comment, variations } = annotation;
+    if (!comment && !variations.length) return null;
+    return (
+        <div className="move-variation">
+            {comment && <div className="move-variation__comment">{comment}</div>}
+            {variations.map((variation) => (
+                <div key={variation.id} className="move-variation__line">
+                    <VariationLine node={variation} activeId={activeId} onSelect={onSelect} variationInfo={variationInfo} />
+                </div>
+            ))}
+        </div>
+    );
+};
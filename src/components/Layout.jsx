@@ -1,10 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { LayoutDashboard, Import, Activity, BookOpen, Settings, ChevronLeft, ChevronRight, Zap, User, LayoutList, Menu, X } from 'lucide-react';
+import { LayoutDashboard, Import, Activity, BookOpen, Settings, ChevronLeft, ChevronRight, Zap, User, LayoutList, Menu, X, Pause, Play, Swords, ListOrdered } from 'lucide-react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAnalysisQueue } from '../hooks/useAnalysisQueue';
-import { db } from '../services/db';
-import { useLiveQuery } from 'dexie-react-hooks';
 import { PWAInstallPrompt } from './common/PWAInstallPrompt';
+import { analysisQueue } from '../services/analysisQueue';
 
 const MOBILE_BREAKPOINT = 768;
 
@@ -29,12 +28,9 @@ const NavItem = ({ to, icon: Icon, label, collapsed, onClick }) => {
 };
 
 export const Layout = ({ children }) => {
-    // Ensure queue processor is running
-    useAnalysisQueue();
-
-    // Direct query for real-time UI status
-    const analyzingCount = useLiveQuery(() => db.games.filter(g => g.analysisStatus === 'analyzing').count()) || 0;
+    const { paused, runningCount: analyzingCount, queuedCount: pendingCount } = useAnalysisQueue();
     const isAnalyzing = analyzingCount > 0;
+    const showQueueToggle = paused || isAnalyzing || pendingCount > 0;
 
     const [collapsed, setCollapsed] = useState(false);
     const [isMobile, setIsMobile] = useState(() =>
@@ -96,8 +92,24 @@ export const Layout = ({ children }) => {
                     {/* Engine Status */}
                     <div className={`flex items-center gap-2 text-xs px-2 py-1 rounded transition-colors ${isAnalyzing ? 'text-blue-400' : 'text-muted'}`} style={{ backgroundColor: isAnalyzing ? 'rgba(96, 165, 250, 0.1)' : 'transparent' }}>
                         <Zap size={14} className={isAnalyzing ? 'fill-current' : ''} />
-                        {!isMobile && <span>{isAnalyzing ? `Analyzing (${analyzingCount})` : 'Engine Idle'}</span>}
+                        {!isMobile && (
+                            <span>
+                                {paused
+                                    ? `Paused (${pendingCount} queued)`
+                                    : (isAnalyzing ? `Analyzing (${analyzingCount})` : 'Engine Idle')}
+                            </span>
+                        )}
                     </div>
+                    {showQueueToggle && (
+                        <button
+                            onClick={() => (paused ? analysisQueue.resume() : analysisQueue.pause())}
+                            className="p-1.5 rounded-md hover:bg-subtle text-secondary hover:text-primary transition-colors"
+                            title={paused ? 'Resume analysis' : 'Pause analysis'}
+                            aria-label={paused ? 'Resume analysis' : 'Pause analysis'}
+                        >
+                            {paused ? <Play size={14} /> : <Pause size={14} />}
+                        </button>
+                    )}
                 </div>
             </header>
 
@@ -118,6 +130,8 @@ export const Layout = ({ children }) => {
                                 <NavItem to="/reels" icon={Zap} label="Smart Puzzles" collapsed={false} onClick={closeMobileMenu} />
                                 <NavItem to="/openings" icon={BookOpen} label="Opening Explorer" collapsed={false} onClick={closeMobileMenu} />
                                 <NavItem to="/profile" icon={User} label="Chess Journey" collapsed={false} onClick={closeMobileMenu} />
+                                <NavItem to="/play" icon={Swords} label="Play vs Engine" collapsed={false} onClick={closeMobileMenu} />
+                                <NavItem to="/queue" icon={ListOrdered} label="Analysis Queue" collapsed={false} onClick={closeMobileMenu} />
                                 <div className="my-2 border-t mx-4" />
                                 <NavItem to="/import" icon={Import} label="Import Games" collapsed={false} onClick={closeMobileMenu} />
                                 <NavItem to="/settings" icon={Settings} label="Settings" collapsed={false} onClick={closeMobileMenu} />
@@ -138,6 +152,8 @@ export const Layout = ({ children }) => {
                             <NavItem to="/reels" icon={Zap} label="Smart Puzzles" collapsed={collapsed} />
                             <NavItem to="/openings" icon={BookOpen} label="Opening Explorer" collapsed={collapsed} />
                             <NavItem to="/profile" icon={User} label="Chess Journey" collapsed={collapsed} />
+                            <NavItem to="/play" icon={Swords} label="Play vs Engine" collapsed={collapsed} />
+                            <NavItem to="/queue" icon={ListOrdered} label="Analysis Queue" collapsed={collapsed} />
                             <div className="my-2 border-t mx-4" />
                             <NavItem to="/import" icon={Import} label="Import Games" collapsed={collapsed} />
                             <NavItem to="/settings" icon={Settings} label="Settings" collapsed={collapsed} />
@@ -2,11 +2,13 @@ import React, { useMemo, useState, useEffect } from 'react';
 import { db } from '../../services/db';
 import { useLiveQuery } from 'dexie-react-hooks';
 import { useNavigate } from 'react-router-dom';
-import { Filter, Search, RotateCcw, ChevronDown, ChevronUp, Trophy, Brain, Calendar, X, Zap, SlidersHorizontal, Trash2 } from 'lucide-react';
+import { Filter, Search, RotateCcw, ChevronDown, ChevronUp, Trophy, Brain, Calendar, X, Zap, SlidersHorizontal, Trash2, Download } from 'lucide-react';
 import { ConfirmModal } from '../common/ConfirmModal';
 import { AppFooter } from '../common/AppFooter';
 import { useHeroProfiles } from '../../hooks/useHeroProfiles';
 import { getHeroSideFromGame, isHeroGameForProfiles } from '../../services/heroProfiles';
+import { downloadPgnFile, exportAnnotatedPgn } from '../../services/pgnExport';
+import { analysisQueue } from '../../services/analysisQueue';
 
 export const GamesLibrary = () => {
     const FILTERS_KEY = 'gamesLibraryFilters';
@@ -49,6 +51,7 @@ export const GamesLibrary = () => {
     const [filtersOpen, setFiltersOpen] = useState(false);
     const [activeFilterCount, setActiveFilterCount] = useState(0);
     const [queueing, setQueueing] = useState(false);
+    const [exporting, setExporting] = useState(false);
     const [confirmAnalyzeOpen, setConfirmAnalyzeOpen] = useState(false);
     const [confirmDeleteOpen, setConfirmDeleteOpen] = useState(false);
     const [deleteInput, setDeleteInput] = useState('');
@@ -220,26 +223,10 @@ export const GamesLibrary = () => {
         if (!games || games.length === 0) return;
         setQueueing(true);
         try {
-            const ordered = [...games];
-            const basePriority = Date.now();
-            const ids = ordered.map((g) => g?.id).filter((id) => id != null);
-            await db.transaction('rw', db.games, db.gameAnalysis, async () => {
-                if (ids.length) {
-                    await db.gameAnalysis.where('gameId').anyOf(ids).delete();
-                }
-                for (let i = 0; i < ordered.length; i++) {
-                    const g = ordered[i];
-                    if (!g?.id) continue;
-                    await db.games.update(g.id, {
-                        analyzed: false,
-                        analysisStatus: 'pending',
-                        analysisStartedAt: null,
-                        analysisHeartbeatAt: null,
-                        analysisProgress: 0,
-                        priority: basePriority + (ordered.length - i)
-                    });
-                }
-            });
+            const ids = games.map((g) => g?.id).filter((id) => id != null);
+            // Listed order is queue order: the first game shown runs first. The analyzer archives
+            // each game's current run before starting the new one.
+            await analysisQueue.enqueue(ids);
         } catch (error) {
             console.error('Failed to queue filtered analysis', error);
         } finally {
@@ -247,6 +234,19 @@ export const GamesLibrary = () => {
         }
     };
 
+    const handleExportFiltered = async () => {
+        if (!games || games.length === 0) return;
+        setExporting(true);
+        try {
+            const text = await exportAnnotatedPgn(games.map((g) => g?.id));
+            downloadPgnFile(text, `chesslyze-games-${new Date().toISOString().slice(0, 10)}.pgn`);
+        } catch (error) {
+            console.error('Failed to export filtered games', error);
+        } finally {
+            setExporting(false);
+        }
+    };
+
     const handleDeleteFiltered = async () => {
         if (!games || games.length === 0) return;
         setDeleting(true);
@@ -257,13 +257,15 @@ export const GamesLibrary = () => {
                 setDeleteError('No deletable games found.');
                 return;
             }
+            await analysisQueue.cancel(ids);
             const chunkSize = 500;
-            await db.transaction('rw', db.games, db.positions, db.ai_analyses, db.gameAnalysis, db.gameContent, async () => {
+            await db.transaction('rw', [db.games, db.positions, db.ai_analyses, db.gameAnalysis, db.analysisRuns, db.gameContent], async () => {
                 for (let i = 0; i < ids.length; i += chunkSize) {
                     const chunk = ids.slice(i, i + chunkSize);
                     await db.positions.where('gameId').anyOf(chunk).delete();
                     await db.ai_analyses.where('gameId').anyOf(chunk).delete();
                     await db.gameAnalysis.where('gameId').anyOf(chunk).delete();
+                    await db.analysisRuns.where('gameId').anyOf(chunk).delete();
                     await db.gameContent.where('gameId').anyOf(chunk).delete();
                     await db.games.bulkDelete(chunk);
                 }
@@ -333,21 +335,24 @@ export const GamesLibrary = () => {
                 // Precedence: Analyzing > Failed > Completed > Pending > Idle
                 const isAnalyzing = status === 'analyzing';
                 const isFailed = status === 'failed';
+                // Variants the engine cannot play are marked analyzed but have no analysis.
+                const isUnsupported = status === 'unsupported';
 
                 // Completed only if not analyzing/failed AND (explicitly completed OR legacy analyzed flag)
-                const isCompleted = !isAnalyzing && !isFailed && (status === 'completed' || !!game.analyzed);
+                const isCompleted = !isAnalyzing && !isFailed && !isUnsupported && (status === 'completed' || !!game.analyzed);
 
                 // Pending = Explicitly pending (in queue)
                 const isPending = !isAnalyzing && !isFailed && !isCompleted && status === 'pending';
 
                 // Idle = No status and not analyzed (or explicitly idle)
-                const isIdle = !isAnalyzing && !isFailed && !isCompleted && !isPending;
+                const isIdle = !isAnalyzing && !isFailed && !isUnsupported && !isCompleted && !isPending;
 
                 if (filters.analyzed === 'yes' && !isCompleted) return false;
                 if (filters.analyzed === 'no' && !isPending) return false;
                 if (filters.analyzed === 'idle' && !isIdle) return false;
                 if (filters.analyzed === 'analyzing' && !isAnalyzing) return false;
                 if (filters.analyzed === 'failed' && !isFailed) return false;
+                if (filters.analyzed === 'unsupported' && !isUnsupported) return false;
             }
             if (filters.perf !== 'all' && (game.perf || '').toLowerCase() !== filters.perf) return false;
             if (filters.rated !== 'all') {
@@ -552,6 +557,14 @@ export const GamesLibrary = () => {
                             <Zap size={16} />
                             {queueing ? 'Queueing...' : `Analyze Filtered${games ? ` (${games.length})` : ''}`}
                         </button>
+                        <button
+                            onClick={handleExportFiltered}
+                            className="btn-secondary"
+                            disabled={exporting || !games || games.length === 0}
+                        >
+                            <Download size={16} />
+                            {exporting ? 'Exporting...' : `Export PGN${games ? ` (${games.length})` : ''}`}
+                        </button>
                         <button
                             onClick={() => setConfirmDeleteOpen(true)}
                             className="btn-danger"
@@ -681,7 +694,8 @@ export const GamesLibrary = () => {
                                     { v: 'no', l: 'Pending' },
                                     { v: 'idle', l: 'Idle' },
                                     { v: 'analyzing', l: 'Analyzing' },
-                                    { v: 'failed', l: 'Failed' }
+                                    { v: 'failed', l: 'Failed' },
+                                    { v: 'unsupported', l: 'Unsupported' }
                                 ].map((o) => (
                                     <button
                                         key={o.v}
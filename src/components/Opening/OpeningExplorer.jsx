@@ -7,6 +7,7 @@ import { Chess } from 'chess.js';
 import { parsePGN } from '../../services/pgn';
 import { useHeroProfiles } from '../../hooks/useHeroProfiles';
 import { getHeroSideFromGame, isHeroGameForProfiles } from '../../services/heroProfiles';
+import { aggregateStructureStats } from '../../services/pawnStructure';
 
 const fetchMasterGames = async (fen) => {
     const url = `https://explorer.lichess.ovh/masters?fen=${encodeURIComponent(fen)}`;
@@ -379,15 +380,39 @@ const OpeningDetail = ({ opening }) => {
                 <div className="opening-stats-grid-2 grid gap-4 text-sm" style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)' }}>
                     <div className="p-3 rounded bg-subtle">
                         <div className="text-xs text-muted uppercase tracking-wider mb-2">Winning Motif</div>
-                        <div className="text-base font-semibold text-primary">{opening.winningMotif || 'N/A'}</div>
+                        <div className="text-base font-semibold text-primary">{(opening.winningMotif || 'N/A').replace(/_/g, ' ')}</div>
                     </div>
                     <div className="p-3 rounded bg-subtle">
                         <div className="text-xs text-muted uppercase tracking-wider mb-2">Losing Motif</div>
-                        <div className="text-base font-semibold text-primary">{opening.losingMotif || 'N/A'}</div>
+                        <div className="text-base font-semibold text-primary">{(opening.losingMotif || 'N/A').replace(/_/g, ' ')}</div>
                     </div>
                 </div>
             </div>
 
+            <div className="p-6 rounded-lg border bg-panel mb-8">
+                <h4 className="text-sm font-semibold text-primary mb-3">Pawn Structures</h4>
+                {opening.structures?.length ? (
+                    <div className="flex flex-col gap-2 text-sm">
+                        {opening.structures.slice(0, 6).map((structure) => (
+                            <div key={structure.key} className="p-3 rounded bg-subtle flex items-center justify-between">
+                                <div>
+                                    <div className="text-primary font-semibold">{structure.label}</div>
+                                    <div className="text-xs text-muted">
+                                        {structure.games} games • {structure.wins}W / {structure.draws}D / {structure.losses}L
+                                    </div>
+                                </div>
+                                <div className="text-xs text-secondary text-right">
+                                    <div>Score {structure.score}%{structure.avgAccuracy !== null ? ` • Accuracy ${structure.avgAccuracy}%` : ''}</div>
+                                    <div>Errors on {structure.errorRate}% of moves</div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                ) : (
+                    <div className="text-sm text-muted">No recurring structures in analyzed games yet.</div>
+                )}
+            </div>
+
             <div className="p-6 rounded-lg border bg-panel mb-8">
                 <h4 className="text-sm font-semibold text-primary mb-3">Opening Deep Dives (Best User Games)</h4>
                 <div className="flex flex-col gap-3">
@@ -540,6 +565,10 @@ export const OpeningExplorer = () => {
         if (!activeProfiles.length) return [];
         const allGames = await db.games.toArray();
         const stats = {};
+        // Move logs live in gameAnalysis; older rows may still carry them inline.
+        const analyzedIds = allGames.filter((g) => g.analyzed || g.analysisStatus === 'completed').map((g) => g.id);
+        const analysisRows = analyzedIds.length ? await db.gameAnalysis.bulkGet(analyzedIds) : [];
+        const analysisById = new Map(analyzedIds.map((id, idx) => [id, analysisRows[idx]?.analysisLog]));
 
         const heroResult = (game) => {
             const heroSide = getHeroSideFromGame(game, activeProfiles);
@@ -578,6 +607,7 @@ export const OpeningExplorer = () => {
                     motifsLoss: {},
                     commonMistakes: {},
                     topGames: [],
+                    structureGames: [],
                     sampleGameId: game.id
                 };
             }
@@ -590,6 +620,7 @@ export const OpeningExplorer = () => {
             else if (result === 'loss') opening.losses++;
             else if (result === 'draw') opening.draws++;
 
+            const analysisLog = analysisById.get(game.id) || game.analysisLog;
             if (game.accuracy) {
                 const heroSide = getHeroSideFromGame(game, activeProfiles);
                 const isWhite = heroSide === 'white';
@@ -611,9 +642,15 @@ export const OpeningExplorer = () => {
                 opening.maxEvalSwing = Math.max(opening.maxEvalSwing, game.maxEvalSwing);
             }
 
-            if (Array.isArray(game.analysisLog)) {
-                game.analysisLog.forEach(entry => {
-                    const heroSide = getHeroSideFromGame(game, activeProfiles);
+            if (Array.isArray(analysisLog)) {
+                const heroSide = getHeroSideFromGame(game, activeProfiles);
+                opening.structureGames.push({
+                    heroTurn: heroSide === 'white' ? 'w' : 'b',
+                    result,
+                    accuracy: game.accuracy ? game.accuracy[heroSide] : null,
+                    analysisLog
+                });
+                analysisLog.forEach(entry => {
                     const isHeroTurn = (entry.turn === 'w' && heroSide === 'white')
                         || (entry.turn === 'b' && heroSide === 'black');
                     if (!isHeroTurn) return;
@@ -636,8 +673,9 @@ export const OpeningExplorer = () => {
             }
         });
 
-        return Object.values(stats).map(opening => ({
+        return Object.values(stats).map(({ structureGames, ...opening }) => ({
             ...opening,
+            structures: aggregateStructureStats(structureGames),
             avgAccuracy: opening.accuracyCount ? Math.round(opening.accuracySum / opening.accuracyCount) : 0,
             topBlunders: Object.entries(opening.blunderMoves).sort((a, b) => b[1] - a[1]).slice(0, 3),
             topMistakes: Object.entries(opening.mistakeMoves).sort((a, b) => b[1] - a[1]).slice(0, 3),
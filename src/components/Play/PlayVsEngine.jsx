@@ -0,0 +1,623 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Chessboard } from 'react-chessboard';
+import { Chess } from 'chess.js';
+import { useNavigate } from 'react-router-dom';
+import { Flag, RotateCcw, Save, Swords, Undo2 } from 'lucide-react';
+import { playEngine } from '../../services/engine';
+import { loadActiveEngineProfile } from '../../services/analyzer';
+import { getDefaultEngineVersion } from '../../services/engineDefaults';
+import { useHeroProfiles } from '../../hooks/useHeroProfiles';
+import { getHeroDisplayName } from '../../services/heroProfiles';
+import {
+    DEFAULT_ENGINE_MOVETIME,
+    STANDARD_START_FEN,
+    TIME_CONTROL_OPTIONS,
+    buildPlayPgn,
+    buildStrengthOptions,
+    clearPlayStart,
+    getEngineMoveTime,
+    getStrengthLabel,
+    getStrengthSupport,
+    isPromotionDrop,
+    isValidStartFen,
+    loadGameStart,
+    peekPlayStart,
+    saveLocalGame
+} from '../../services/play';
+import { AppFooter } from '../common/AppFooter';
+import { PromotionPicker } from '../common/PromotionPicker';
+
+const DEFAULT_BOARD_LIGHT = '#e2e8f0';
+const DEFAULT_BOARD_DARK = '#475569';
+
+const sideToMove = (fen) => (fen.split(' ')[1] === 'b' ? 'b' : 'w');
+const currentFen = (game) => (game.moves.length ? game.moves[game.moves.length - 1].fen : game.startFen);
+
+// Remaining time for `side`, counting the running turn.
+const remainingFor = (game, side, now) => {
+    if (!game.timeControl) return null;
+    const running = game.status === 'playing' && sideToMove(currentFen(game)) === side;
+    return game.clocks[side] - (running ? Math.max(0, now - game.turnStartedAt) : 0);
+};
+
+const formatClock = (ms) => {
+    if (!Number.isFinite(ms)) return '—:—';
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(total / 60);
+    const seconds = total % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const getOutcome = (chess) => {
+    const winner = chess.turn() === 'w' ? '0-1' : '1-0';
+    if (chess.isCheckmate()) return { result: winner, termination: 'Normal', reason: `Checkmate, ${winner === '1-0' ? 'White' : 'Black'} wins` };
+    if (chess.isStalemate()) return { result: '1/2-1/2', termination: 'Normal', reason: 'Draw by stalemate' };
+    if (chess.isInsufficientMaterial()) return { result: '1/2-1/2', termination: 'Normal', reason: 'Draw by insufficient material' };
+    if (chess.isThreefoldRepetition()) return { result: '1/2-1/2', termination: 'Normal', reason: 'Draw by threefold repetition' };
+    if (chess.isDrawByFiftyMoves()) return { result: '1/2-1/2', termination: 'Normal', reason: 'Draw by the fifty-move rule' };
+    return null;
+};
+
+// Returns the next game state, or null for an illegal move.
+const applyMove = (game, input, now) => {
+    const chess = new Chess(game.startFen);
+    game.moves.forEach((m) => chess.move(m.san));
+    const side = chess.turn();
+    let played;
+    try {
+        played = chess.move(input);
+    } catch {
+        return null;
+    }
+    if (!played) return null;
+
+    const clocks = { ...game.clocks };
+    if (game.timeControl) {
+        clocks[side] = clocks[side] - Math.max(0, now - game.turnStartedAt) + game.timeControl.inc * 1000;
+    }
+    const outcome = getOutcome(chess);
+    return {
+        ...game,
+        moves: [...game.moves, { san: played.san, color: side, fen: chess.fen(), clockMs: game.timeControl ? clocks[side] : null, clocks }],
+        clocks,
+        turnStartedAt: now,
+        ...(outcome ? { status: 'over', ...outcome } : {})
+    };
+};
+
+const flagIfExpired = (game, now) => {
+    if (!game || game.status !== 'playing' || !game.timeControl) return game;
+    const side = sideToMove(currentFen(game));
+    if (remainingFor(game, side, now) > 0) return game;
+    return {
+        ...game,
+        clocks: { ...game.clocks, [side]: 0 },
+        status: 'over',
+        result: side === 'w' ? '0-1' : '1-0',
+        termination: 'Time forfeit',
+        reason: `${side === 'w' ? 'White' : 'Black'} lost on time`
+    };
+};
+
+// Undo back to the player's previous turn (their move plus the engine's reply, if any).
+const takeBack = (game, now) => {
+    const moves = [...game.moves];
+    moves.pop();
+    if (moves.length && moves[moves.length - 1].color === game.playerColor) moves.pop();
+    const last = moves[moves.length - 1];
+    return {
+        ...game,
+        moves,
+        clocks: last ? { ...last.clocks } : { ...game.initialClocks },
+        turnStartedAt: now,
+        status: 'playing',
+        result: null,
+        termination: '',
+        reason: '',
+        takebacks: game.takebacks + 1
+    };
+};
+
+export const PlayVsEngine = () => {
+    const navigate = useNavigate();
+    const { activeProfiles } = useHeroProfiles();
+    const playerName = useMemo(() => getHeroDisplayName(activeProfiles), [activeProfiles]);
+    const [handoff] = useState(() => peekPlayStart());
+    const [startMode, setStartMode] = useState(() => (handoff?.gameId ? 'game' : handoff?.fen ? 'fen' : 'initial'));
+    const [fenInput, setFenInput] = useState(() => handoff?.fen || '');
+    const [fromGame, setFromGame] = useState(() => ({ status: handoff?.gameId ? 'loading' : 'idle', data: null, error: null }));
+    const [playerColor, setPlayerColor] = useState('w');
+    const [strength, setStrength] = useState({ mode: 'elo', elo: 1500, skill: 10 });
+    const [timeControlId, setTimeControlId] = useState('none');
+    const [analyzeAfter, setAnalyzeAfter] = useState(true);
+    const [engineInfo, setEngineInfo] = useState(() => playEngine.getInfo());
+    const [engineError, setEngineError] = useState(null);
+    const [setupError, setSetupError] = useState(null);
+    const [game, setGame] = useState(null);
+    const [thinking, setThinking] = useState(false);
+    const [now, setNow] = useState(() => Date.now());
+    const [saveState, setSaveState] = useState({ status: 'idle', gameId: null, error: null });
+    // { from, to } of a pawn move waiting for the player to pick the promotion piece.
+    const [pendingPromotion, setPendingPromotion] = useState(null);
+    const searchRef = useRef(null);
+    const boardColors = useMemo(() => ({
+        light: localStorage.getItem('boardLightSquare') || DEFAULT_BOARD_LIGHT,
+        dark: localStorage.getItem('boardDarkSquare') || DEFAULT_BOARD_DARK
+    }), []);
+
+    const support = useMemo(() => getStrengthSupport(engineInfo?.options || []), [engineInfo]);
+    // Fall back when the engine lacks the selected control (e.g. a remote engine without UCI_Elo).
+    const strengthMode = (strength.mode === 'elo' && !support.elo) || (strength.mode === 'skill' && !support.skill)
+        ? (support.elo ? 'elo' : support.skill ? 'skill' : 'full')
+        : strength.mode;
+    const effectiveStrength = { ...strength, mode: strengthMode };
+
+    useEffect(() => {
+        const profile = loadActiveEngineProfile();
+        playEngine.init(profile?.version || getDefaultEngineVersion(), { remoteUrl: profile?.remoteUrl || '' })
+            .then(() => setEngineInfo(playEngine.getInfo()))
+            .catch((err) => setEngineError(err?.message || 'Engine failed to start'));
+        const unsubscribe = playEngine.subscribeInfo(setEngineInfo);
+        return () => {
+            unsubscribe();
+            searchRef.current?.abort();
+        };
+    }, []);
+
+    useEffect(() => {
+        if (!handoff) return;
+        clearPlayStart();
+        if (!handoff.gameId) return;
+        loadGameStart(handoff.gameId, Number(handoff.moveIndex))
+            .then((data) => setFromGame({ status: 'ready', data, error: null }))
+            .catch((err) => setFromGame({ status: 'error', data: null, error: err?.message || 'Could not load the game' }));
+    }, [handoff]);
+
+    const clockRunning = !!game?.timeControl && game.status === 'playing';
+    useEffect(() => {
+        if (!clockRunning) return undefined;
+        const t = setInterval(() => {
+            const ts = Date.now();
+            setNow(ts);
+            setGame((prev) => flagIfExpired(prev, ts));
+        }, 200);
+        return () => clearInterval(t);
+    }, [clockRunning]);
+
+    // A finished game (mate, flag, resignation) cancels any search still in flight.
+    useEffect(() => {
+        if (game?.status !== 'playing') searchRef.current?.abort();
+    }, [game?.status]);
+
+    const requestEngineMove = async (snapshot) => {
+        searchRef.current?.abort();
+        const controller = new AbortController();
+        searchRef.current = controller;
+        setThinking(true);
+        setEngineError(null);
+        try {
+            const fen = currentFen(snapshot);
+            const movetime = snapshot.timeControl
+                ? getEngineMoveTime({
+                    remainingMs: remainingFor(snapshot, sideToMove(fen), Date.now()),
+                    incrementMs: snapshot.timeControl.inc * 1000
+                })
+                : DEFAULT_ENGINE_MOVETIME;
+            const result = await playEngine.analyze(fen, {
+                depth: 30,
+                multiPv: 1,
+                movetime,
+                signal: controller.signal,
+                timeoutMs: movetime + 15000
+            });
+            if (controller.signal.aborted || result?.aborted) return;
+            const uci = result?.bestMove;
+            if (!uci || uci === '(none)') return;
+            const ts = Date.now();
+            setGame((prev) => {
+                // Ignore a reply to a position that was taken back or abandoned meanwhile.
+                if (!prev || prev.id !== snapshot.id || prev.status !== 'playing' || prev.moves.length !== snapshot.moves.length) return prev;
+                return applyMove(prev, { from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci[4] }, ts) || prev;
+            });
+        } catch (err) {
+            if (!controller.signal.aborted) setEngineError(err?.message || 'Engine error');
+        } finally {
+            if (searchRef.current === controller) {
+                searchRef.current = null;
+                setThinking(false);
+            }
+        }
+    };
+
+    const handleStart = () => {
+        setSetupError(null);
+        setPendingPromotion(null);
+        let start = { baseFen: STANDARD_START_FEN, prefixSans: [], fen: STANDARD_START_FEN };
+        if (startMode === 'fen') {
+            const fen = fenInput.trim();
+            if (!isValidStartFen(fen)) {
+                setSetupError('Enter a valid FEN for a position that is not already finished.');
+                return;
+            }
+            start = { baseFen: fen, prefixSans: [], fen };
+        } else if (startMode === 'game') {
+            if (fromGame.status !== 'ready') {
+                setSetupError('The stored game is not loaded yet.');
+                return;
+            }
+            start = fromGame.data;
+        }
+
+        searchRef.current?.abort();
+        const color = playerColor === 'random' ? (Math.random() < 0.5 ? 'w' : 'b') : playerColor;
+        const tc = TIME_CONTROL_OPTIONS.find((opt) => opt.id === timeControlId);
+        const timeControl = tc && tc.base ? { base: tc.base, inc: tc.inc } : null;
+        const initialClocks = timeControl ? { w: timeControl.base * 1000, b: timeControl.base * 1000 } : { w: null, b: null };
+        const startedAt = Date.now();
+
+        playEngine.setOptions(buildStrengthOptions(effectiveStrength, support), { force: true });
+
+        const next = {
+            id: startedAt,
+            baseFen: start.baseFen,
+            prefixSans: start.prefixSans,
+            startFen: start.fen,
+            playerColor: color,
+            strength: effectiveStrength,
+            engineName: engineInfo?.name || 'Stockfish',
+            timeControl,
+            initialClocks,
+            clocks: { ...initialClocks },
+            turnStartedAt: startedAt,
+            moves: [],
+            status: 'playing',
+            result: null,
+            termination: '',
+            reason: '',
+            takebacks: 0,
+            startedAt
+        };
+        setGame(next);
+        setNow(startedAt);
+        setSaveState({ status: 'idle', gameId: null, error: null });
+        if (sideToMove(next.startFen) !== color) requestEngineMove(next);
+    };
+
+    const handlePieceDrop = ({ sourceSquare, targetSquare, piece }) => {
+        if (!game || game.status !== 'playing' || thinking || !targetSquare) return false;
+        if (sideToMove(currentFen(game)) !== game.playerColor) return false;
+        if (isPromotionDrop(piece, targetSquare)) {
+            // Only ask for a piece when the promotion is legal; the pawn snaps back until one is picked.
+            const legal = new Chess(currentFen(game)).moves({ verbose: true })
+                .some((m) => m.from === sourceSquare && m.to === targetSquare && m.promotion);
+            if (legal) setPendingPromotion({ from: sourceSquare, to: targetSquare });
+            return false;
+        }
+        return playPlayerMove({ from: sourceSquare, to: targetSquare });
+    };
+
+    const playPlayerMove = (input) => {
+        const next = applyMove(game, input, Date.now());
+        if (!next) return false;
+        setGame(next);
+        if (next.status === 'playing') requestEngineMove(next);
+        return true;
+    };
+
+    const handlePromotion = (promotion) => {
+        const pending = pendingPromotion;
+        setPendingPromotion(null);
+        if (pending && playerTurn) playPlayerMove({ ...pending, promotion });
+    };
+
+    const handleTakeback = () => {
+        searchRef.current?.abort();
+        setPendingPromotion(null);
+        const ts = Date.now();
+        setNow(ts);
+        setGame((prev) => (prev ? takeBack(prev, ts) : prev));
+    };
+
+    const handleResign = () => {
+        setGame((prev) => (prev && prev.status === 'playing' ? {
+            ...prev,
+            status: 'over',
+            result: prev.playerColor === 'w' ? '0-1' : '1-0',
+            termination: 'Normal',
+            reason: 'You resigned'
+        } : prev));
+    };
+
+    const handleSave = async () => {
+        if (!game || game.status !== 'over') return;
+        setSaveState({ status: 'saving', gameId: null, error: null });
+        const engineLabel = `${game.engineName} (${getStrengthLabel(game.strength)})`;
+        const engineElo = game.strength.mode === 'elo' ? game.strength.elo : null;
+        try {
+            const pgn = buildPlayPgn({
+                baseFen: game.baseFen,
+                prefixSans: game.prefixSans,
+                moves: game.moves,
+                white: game.playerColor === 'w' ? playerName : engineLabel,
+                black: game.playerColor === 'b' ? playerName : engineLabel,
+                whiteElo: game.playerColor === 'b' ? engineElo : null,
+                blackElo: game.playerColor === 'w' ? engineElo : null,
+                result: game.result,
+                termination: game.termination,
+                timeControl: game.timeControl,
+                startedAt: new Date(game.startedAt)
+            });
+            const gameId = await saveLocalGame(pgn, { analyze: analyzeAfter });
+            setSaveState({ status: 'saved', gameId, error: null });
+        } catch (err) {
+            console.error(err);
+            setSaveState({ status: 'error', gameId: null, error: err?.message || 'Failed to save the game.' });
+        }
+    };
+
+    const handleOpenSaved = () => {
+        if (!saveState.gameId) return;
+        localStorage.setItem('activeGameId', String(saveState.gameId));
+        window.dispatchEvent(new Event('activeGameChanged'));
+        navigate('/');
+    };
+
+    const boardFen = game ? currentFen(game) : (startMode === 'game' && fromGame.data ? fromGame.data.fen : (startMode === 'fen' && isValidStartFen(fenInput.trim()) ? fenInput.trim() : STANDARD_START_FEN));
+    const orientation = (game?.playerColor || (playerColor === 'b' ? 'b' : 'w')) === 'b' ? 'black' : 'white';
+    const playerTurn = !!game && game.status === 'playing' && sideToMove(currentFen(game)) === game.playerColor && !thinking;
+    const canTakeback = !!game && saveState.status !== 'saved' && game.moves.some((m) => m.color === game.playerColor);
+    const lastMoveSquares = useMemo(() => {
+        if (!game?.moves.length) return {};
+        const chess = new Chess(game.startFen);
+        game.moves.forEach((m) => chess.move(m.san));
+        const last = chess.history({ verbose: true }).pop();
+        if (!last) return {};
+        const style = { backgroundColor: 'rgba(245, 200, 75, 0.35)' };
+        return { [last.from]: style, [last.to]: style };
+    }, [game]);
+
+    const chessboardOptions = {
+        id: 'play-board',
+        position: boardFen,
+        boardOrientation: orientation,
+        allowDragging: playerTurn,
+        canDragPiece: ({ piece }) => playerTurn && typeof piece?.pieceType === 'string' && piece.pieceType[0] === game.playerColor,
+        onPieceDrop: handlePieceDrop,
+        animationDurationInMs: 200,
+        darkSquareStyle: { backgroundColor: boardColors.dark },
+        lightSquareStyle: { backgroundColor: boardColors.light },
+        squareStyles: lastMoveSquares
+    };
+
+    const topSide = orientation === 'white' ? 'b' : 'w';
+    const bottomSide = topSide === 'w' ? 'b' : 'w';
+    const sideLabel = (side) => {
+        if (!game) return side === (playerColor === 'b' ? 'b' : 'w') ? playerName : `${engineInfo?.name || 'Stockfish'} (${getStrengthLabel(effectiveStrength)})`;
+        return side === game.playerColor ? playerName : `${game.engineName} (${getStrengthLabel(game.strength)})`;
+    };
+    const renderClock = (side) => {
+        if (!game?.timeControl) return null;
+        const ms = remainingFor(game, side, Math.max(now, game.turnStartedAt));
+        const active = game.status === 'playing' && sideToMove(currentFen(game)) === side;
+        return (
+            <div className={`board-clock board-clock--inline${ms < 20000 ? ' is-low' : ''}${active ? '' : ' play-clock--idle'}`}>
+                {formatClock(ms)}
+            </div>
+        );
+    };
+
+    const moveRows = useMemo(() => {
+        if (!game) return [];
+        const parts = game.startFen.split(' ');
+        let number = parseInt(parts[5], 10) || 1;
+        const rows = [];
+        game.moves.forEach((move, idx) => {
+            if (move.color === 'w' || idx === 0) rows.push({ number, white: null, black: null });
+            const row = rows[rows.length - 1];
+            if (move.color === 'w') row.white = move.san;
+            else {
+                row.black = move.san;
+                number += 1;
+            }
+        });
+        return rows;
+    }, [game]);
+
+    const showSetup = !game || game.status === 'over';
+
+    return (
+        <div className="play-page h-full w-full bg-app p-4 md:p-8 overflow-y-auto">
+            <div className="flex flex-col gap-6" style={{ maxWidth: 1100, margin: '0 auto' }}>
+                <div>
+                    <h2 className="text-2xl font-semibold text-primary">Play vs Engine</h2>
+                    <p className="text-secondary">Casual games against Stockfish. Finished games are saved to your library with platform "local".</p>
+                </div>
+
+                <div className="play-layout">
+                    <div className="play-board-column">
+                        <div className="board-player-row flex justify-between items-center px-1 mb-2">
+                            <span className="font-bold text-primary">{sideLabel(topSide)}</span>
+                            {renderClock(topSide)}
+                        </div>
+                        <div className="play-board relative aspect-square w-full shadow-2xl rounded-lg bg-panel border overflow-hidden">
+                            <Chessboard options={chessboardOptions} />
+                            {pendingPromotion && playerTurn && (
+                                <PromotionPicker color={game.playerColor} onSelect={handlePromotion} onCancel={() => setPendingPromotion(null)} />
+                            )}
+                        </div>
+                        <div className="board-player-row flex justify-between items-center px-1 mt-2">
+                            <span className="font-bold text-primary">{sideLabel(bottomSide)}</span>
+                            {renderClock(bottomSide)}
+                        </div>
+                    </div>
+
+                    <div className="play-panel flex flex-col gap-4">
+                        {game && (
+                            <div className="p-4 rounded-lg border bg-panel">
+                                <div className="flex items-center justify-between mb-3">
+                                    <span className="text-sm font-semibold text-primary">
+                                        {game.status === 'over'
+                                            ? game.reason
+                                            : thinking ? 'Engine is thinking...' : 'Your move'}
+                                    </span>
+                                    {game.status === 'over' && <span className="font-mono text-sm text-primary">{game.result}</span>}
+                                </div>
+                                <div className="play-moves text-sm">
+                                    {game.prefixSans.length > 0 && (
+                                        <div className="text-xs text-muted mb-2">Continued from a stored game after {game.prefixSans.length} ply.</div>
+                                    )}
+                                    {moveRows.length === 0 && <span className="text-muted">No moves yet.</span>}
+                                    {moveRows.map((row, idx) => (
+                                        <div key={idx} className="play-moves__row">
+                                            <span className="text-muted">{row.number}.</span>
+                                            <span className="text-primary">{row.white || '...'}</span>
+                                            <span className="text-primary">{row.black || ''}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="flex flex-wrap items-center gap-2 mt-4">
+                                    <button className="btn btn-secondary flex items-center gap-2" onClick={handleTakeback} disabled={!canTakeback}>
+                                        <Undo2 size={14} /> Takeback
+                                    </button>
+                                    {game.status === 'playing' && (
+                                        <button className="btn btn-secondary flex items-center gap-2" onClick={handleResign}>
+                                            <Flag size={14} /> Resign
+                                        </button>
+                                    )}
+                                    {game.status === 'over' && saveState.status !== 'saved' && (
+                                        <button className="btn btn-primary flex items-center gap-2" onClick={handleSave} disabled={saveState.status === 'saving'}>
+                                            <Save size={14} /> {saveState.status === 'saving' ? 'Saving...' : 'Save to Library'}
+                                        </button>
+                                    )}
+                                    {saveState.status === 'saved' && (
+                                        <button className="btn btn-secondary" onClick={handleOpenSaved}>Open in Dashboard</button>
+                                    )}
+                                </div>
+                                {game.status === 'over' && saveState.status !== 'saved' && (
+                                    <label className="flex items-center gap-2 mt-3 text-xs text-secondary cursor-pointer select-none">
+                                        <input type="checkbox" checked={analyzeAfter} onChange={(e) => setAnalyzeAfter(e.target.checked)} className="w-4 h-4" />
+                                        Queue for analysis after saving
+                                    </label>
+                                )}
+                                {saveState.status === 'saved' && (
+                                    <p className="text-xs text-muted mt-3">Saved{analyzeAfter ? ' and queued for analysis' : ''}.</p>
+                                )}
+                                {saveState.error && <p className="text-xs text-red-400 mt-3">{saveState.error}</p>}
+                            </div>
+                        )}
+
+                        {showSetup && (
+                            <div className="p-4 rounded-lg border bg-panel flex flex-col gap-4">
+                                <h3 className="text-sm font-semibold text-primary">{game ? 'New Game' : 'Game Setup'}</h3>
+
+                                <div>
+                                    <label className="text-xs text-muted uppercase tracking-wider">Start from</label>
+                                    <select
+                                        value={startMode}
+                                        onChange={(e) => setStartMode(e.target.value)}
+                                        className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-full mt-2"
+                                    >
+                                        <option value="initial">Initial position</option>
+                                        <option value="fen">FEN</option>
+                                        {handoff?.gameId && <option value="game">Stored game position</option>}
+                                    </select>
+                                    {startMode === 'fen' && (
+                                        <input
+                                            value={fenInput}
+                                            onChange={(e) => setFenInput(e.target.value)}
+                                            className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-full mt-2 font-mono"
+                                            placeholder={STANDARD_START_FEN}
+                                            spellCheck={false}
+                                        />
+                                    )}
+                                    {startMode === 'game' && (
+                                        <p className="text-xs text-secondary mt-2">
+                                            {fromGame.status === 'loading' && 'Loading game...'}
+                                            {fromGame.status === 'ready' && fromGame.data.label}
+                                            {fromGame.status === 'error' && fromGame.error}
+                                        </p>
+                                    )}
+                                </div>
+
+                                <div>
+                                    <label className="text-xs text-muted uppercase tracking-wider">Play as</label>
+                                    <div className="flex gap-2 mt-2">
+                                        {[['w', 'White'], ['b', 'Black'], ['random', 'Random']].map(([value, label]) => (
+                                            <button
+                                                key={value}
+                                                className={`btn ${playerColor === value ? 'btn-primary' : 'btn-secondary'}`}
+                                                onClick={() => setPlayerColor(value)}
+                                            >
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <label className="text-xs text-muted uppercase tracking-wider">Engine strength</label>
+                                    <select
+                                        value={strengthMode}
+                                        onChange={(e) => setStrength((prev) => ({ ...prev, mode: e.target.value }))}
+                                        className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-full mt-2"
+                                    >
+                                        {support.elo && <option value="elo">Elo (UCI_Elo)</option>}
+                                        {support.skill && <option value="skill">Skill Level</option>}
+                                        <option value="full">Full strength</option>
+                                    </select>
+                                    {strengthMode === 'elo' && (
+                                        <div className="flex items-center gap-3 mt-2">
+                                            <input
+                                                type="range"
+                                                min={support.elo.min}
+                                                max={support.elo.max}
+                                                step="10"
+                                                value={Math.min(support.elo.max, Math.max(support.elo.min, strength.elo))}
+                                                onChange={(e) => setStrength((prev) => ({ ...prev, elo: parseInt(e.target.value, 10) }))}
+                                            />
+                                            <span className="text-sm text-primary">{Math.min(support.elo.max, Math.max(support.elo.min, strength.elo))}</span>
+                                        </div>
+                                    )}
+                                    {strengthMode === 'skill' && (
+                                        <div className="flex items-center gap-3 mt-2">
+                                            <input
+                                                type="range"
+                                                min={support.skill.min}
+                                                max={support.skill.max}
+                                                value={Math.min(support.skill.max, Math.max(support.skill.min, strength.skill))}
+                                                onChange={(e) => setStrength((prev) => ({ ...prev, skill: parseInt(e.target.value, 10) }))}
+                                            />
+                                            <span className="text-sm text-primary">{Math.min(support.skill.max, Math.max(support.skill.min, strength.skill))}</span>
+                                        </div>
+                                    )}
+                                </div>
+
+                                <div>
+                                    <label className="text-xs text-muted uppercase tracking-wider">Clock</label>
+                                    <select
+                                        value={timeControlId}
+                                        onChange={(e) => setTimeControlId(e.target.value)}
+                                        className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-full mt-2"
+                                    >
+                                        {TIME_CONTROL_OPTIONS.map((opt) => (
+                                            <option key={opt.id} value={opt.id}>{opt.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                <button className="btn btn-primary flex items-center justify-center gap-2" onClick={handleStart}>
+                                    {game ? <RotateCcw size={14} /> : <Swords size={14} />} {game ? 'Play Again' : 'Start Game'}
+                                </button>
+                                {setupError && <p className="text-xs text-red-400">{setupError}</p>}
+                            </div>
+                        )}
+
+                        {engineError && <p className="text-xs text-red-400">{engineError}</p>}
+                    </div>
+                </div>
+            </div>
+
+            <AppFooter />
+        </div>
+    );
+};
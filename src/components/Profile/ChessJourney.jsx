@@ -1,9 +1,10 @@
 import React, { useEffect, useMemo, useState, useRef, useId } from 'react';
 import { useJourneyData } from '../../hooks/useJourneyData';
-import { Trophy, Zap, Shield, Flame, Activity, Filter, Share2, Settings, Download, Search, X } from 'lucide-react';
+import { Trophy, Zap, Shield, Flame, Activity, Filter, Share2, Settings, Download, Search, X, Clock } from 'lucide-react';
 import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, Tooltip, BarChart, Bar, CartesianGrid, LineChart, Line } from 'recharts';
 import { useNavigate } from 'react-router-dom';
 import { useHeroProfiles } from '../../hooks/useHeroProfiles';
+import { ENDGAME_OUTCOMES } from '../../services/endgames';
 
 const SummaryCard = ({ label, value, trend }) => (
     <div className="journey-card">
@@ -504,7 +505,10 @@ export const ChessJourney = () => {
         topAccurateGames,
         mostBrilliantGames,
         winsVsTitled,
-        favoriteOpponents
+        favoriteOpponents,
+        timeManagement,
+        pawnStructures,
+        endgames
     } = useJourneyData(initialFilters);
 
     const { activeProfiles } = useHeroProfiles();
@@ -593,11 +597,29 @@ export const ChessJourney = () => {
         navigate('/');
     };
 
+    // Opens the game on the Dashboard at a specific move (-1 = start position).
+    const openGameAt = (gameId, moveIndex) => {
+        if (!gameId) return;
+        localStorage.setItem('activeGameJumpGameId', String(gameId));
+        localStorage.setItem('activeGameJumpMoveIndex', String(moveIndex));
+        openGame(gameId);
+    };
+
     const handleShare = () => {
         setShareMessage('');
         setShareOpen(true);
     };
 
+    const lowClockBuckets = timeManagement.byClock[0];
+    const structureChart = pawnStructures.slice(0, 8);
+    const endgameAdvantaged = endgames.outcomes.converted + endgames.outcomes.spoiled;
+    const endgameConversion = endgameAdvantaged ? Math.round((endgames.outcomes.converted / endgameAdvantaged) * 100) : null;
+    const endgameOutcomeChart = ENDGAME_OUTCOMES.map((o) => ({ label: o.label, value: endgames.outcomes[o.id] }));
+    // Weakest structure by score among those seen in a few games.
+    const weakestStructure = pawnStructures
+        .filter((s) => s.games >= 3)
+        .sort((a, b) => a.score - b.score)[0] || null;
+
     const handleExport = () => {
         const payload = {
             generatedAt: new Date().toISOString(),
@@ -614,7 +636,10 @@ export const ChessJourney = () => {
             topAccurateGames,
             mostBrilliantGames,
             winsVsTitled,
-            favoriteOpponents
+            favoriteOpponents,
+            timeManagement,
+            pawnStructures,
+            endgames
         };
         const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
@@ -1206,6 +1231,252 @@ export const ChessJourney = () => {
                 </div>
             </section>
 
+            <section className="journey-insights">
+                <div className="section-header">
+                    <div>
+                        <h2>Time Management</h2>
+                        <p>
+                            {lowClockBuckets.moves
+                                ? `You blunder on ${lowClockBuckets.blunderRate}% of moves with under 10 seconds left${timeManagement.avgTimePerMove !== null ? `, and spend ${timeManagement.avgTimePerMove}s per move on average` : ''}.`
+                                : 'How your move quality changes with the clock.'}
+                        </p>
+                    </div>
+                </div>
+
+                <div className="journey-chart-grid">
+                    <div className="journey-chart-card">
+                        <div className="chart-title">Errors by Clock Remaining</div>
+                        {timeManagement.gamesWithClocks === 0 ? (
+                            <div className="timeline-empty">
+                                <Clock size={20} />
+                                <h3>No clock data yet</h3>
+                                <p>Analyzed games with clock times show up here.</p>
+                            </div>
+                        ) : (
+                            <ResponsiveContainer width="100%" height={240}>
+                                <BarChart data={timeManagement.byClock}>
+                                    <CartesianGrid stroke="rgba(148,163,184,0.12)" vertical={false} />
+                                    <XAxis dataKey="label" tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                                    <YAxis hide />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f8fafc', borderRadius: 12 }}
+                                        formatter={(value, name, item) => [`${value}% of ${item.payload.moves} moves`, name]}
+                                        labelStyle={{ color: '#94a3b8', marginBottom: 4 }}
+                                    />
+                                    <Bar dataKey="errorRate" name="Errors" fill="#f59e0b" radius={[8, 8, 0, 0]} />
+                                    <Bar dataKey="blunderRate" name="Blunders" fill="#ef4444" radius={[8, 8, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </div>
+                    <div className="journey-chart-card">
+                        <div className="chart-title">Errors by Time Spent</div>
+                        {timeManagement.gamesWithClocks === 0 ? (
+                            <div className="timeline-empty">
+                                <Activity size={20} />
+                                <h3>No clock data yet</h3>
+                                <p>Analyzed games with clock times show up here.</p>
+                            </div>
+                        ) : (
+                            <ResponsiveContainer width="100%" height={240}>
+                                <BarChart data={timeManagement.bySpent}>
+                                    <CartesianGrid stroke="rgba(148,163,184,0.12)" vertical={false} />
+                                    <XAxis dataKey="label" tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                                    <YAxis hide />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f8fafc', borderRadius: 12 }}
+                                        formatter={(value, name, item) => [`${value}% of ${item.payload.moves} moves`, name]}
+                                        labelStyle={{ color: '#94a3b8', marginBottom: 4 }}
+                                    />
+                                    <Bar dataKey="errorRate" name="Errors" fill="#a78bfa" radius={[8, 8, 0, 0]} />
+                                    <Bar dataKey="blunderRate" name="Blunders" fill="#ef4444" radius={[8, 8, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </div>
+                </div>
+            </section>
+
+            <section className="journey-insights">
+                <div className="section-header">
+                    <div>
+                        <h2>Pawn Structures</h2>
+                        <p>
+                            {weakestStructure
+                                ? `You score ${weakestStructure.score}% with ${weakestStructure.label} over ${weakestStructure.games} games, your weakest structure.`
+                                : 'Results and move quality by the pawn structures you reach.'}
+                        </p>
+                    </div>
+                </div>
+
+                <div className="journey-chart-grid">
+                    <div className="journey-chart-card">
+                        <div className="chart-title">Score & Accuracy by Structure</div>
+                        {structureChart.length === 0 ? (
+                            <div className="timeline-empty">
+                                <Shield size={20} />
+                                <h3>No structures yet</h3>
+                                <p>Analyzed games show up here once a structure lasts a few moves.</p>
+                            </div>
+                        ) : (
+                            <ResponsiveContainer width="100%" height={260}>
+                                <BarChart data={structureChart} margin={{ bottom: 16 }}>
+                                    <CartesianGrid stroke="rgba(148,163,184,0.12)" vertical={false} />
+                                    <XAxis
+                                        dataKey="label"
+                                        tick={{ fill: '#94a3b8', fontSize: 10, angle: -35, textAnchor: 'end' }}
+                                        height={70}
+                                        interval={0}
+                                        tickFormatter={formatOpeningTick}
+                                    />
+                                    <YAxis hide domain={[0, 100]} />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f8fafc', borderRadius: 12 }}
+                                        formatter={(value, name, item) => [name === 'Score' ? `${value}% over ${item.payload.games} games` : `${value ?? '—'}%`, name]}
+                                        labelStyle={{ color: '#94a3b8', marginBottom: 4 }}
+                                    />
+                                    <Bar dataKey="score" name="Score" fill="#22c55e" radius={[8, 8, 0, 0]} />
+                                    <Bar dataKey="avgAccuracy" name="Accuracy" fill="#38bdf8" radius={[8, 8, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </div>
+                    <div className="journey-chart-card">
+                        <div className="chart-title">Errors by Structure</div>
+                        {structureChart.length === 0 ? (
+                            <div className="timeline-empty">
+                                <Activity size={20} />
+                                <h3>No structures yet</h3>
+                                <p>Analyzed games show up here once a structure lasts a few moves.</p>
+                            </div>
+                        ) : (
+                            <ResponsiveContainer width="100%" height={260}>
+                                <BarChart data={structureChart} margin={{ bottom: 16 }}>
+                                    <CartesianGrid stroke="rgba(148,163,184,0.12)" vertical={false} />
+                                    <XAxis
+                                        dataKey="label"
+                                        tick={{ fill: '#94a3b8', fontSize: 10, angle: -35, textAnchor: 'end' }}
+                                        height={70}
+                                        interval={0}
+                                        tickFormatter={formatOpeningTick}
+                                    />
+                                    <YAxis hide />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f8fafc', borderRadius: 12 }}
+                                        formatter={(value, name, item) => [`${value}% of ${item.payload.moves} moves`, name]}
+                                        labelStyle={{ color: '#94a3b8', marginBottom: 4 }}
+                                    />
+                                    <Bar dataKey="errorRate" name="Errors" fill="#f59e0b" radius={[8, 8, 0, 0]} />
+                                    <Bar dataKey="blunderRate" name="Blunders" fill="#ef4444" radius={[8, 8, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </div>
+                </div>
+            </section>
+
+            <section className="journey-insights">
+                <div className="section-header">
+                    <div>
+                        <h2>Endgames</h2>
+                        <p>
+                            {endgameConversion !== null
+                                ? `You converted ${endgameConversion}% of the ${endgameAdvantaged} endgames you entered with an advantage.`
+                                : 'Results by endgame type and how often you convert an advantage.'}
+                        </p>
+                    </div>
+                </div>
+
+                <div className="journey-chart-grid">
+                    <div className="journey-chart-card">
+                        <div className="chart-title">Win Rate by Endgame Type</div>
+                        {endgames.total === 0 ? (
+                            <div className="timeline-empty">
+                                <Trophy size={20} />
+                                <h3>No endgames yet</h3>
+                                <p>Analyzed games that reach an endgame show up here.</p>
+                            </div>
+                        ) : (
+                            <ResponsiveContainer width="100%" height={260}>
+                                <BarChart data={endgames.byType.slice(0, 8)} margin={{ bottom: 16 }}>
+                                    <CartesianGrid stroke="rgba(148,163,184,0.12)" vertical={false} />
+                                    <XAxis
+                                        dataKey="label"
+                                        tick={{ fill: '#94a3b8', fontSize: 10, angle: -35, textAnchor: 'end' }}
+                                        height={70}
+                                        interval={0}
+                                        tickFormatter={formatOpeningTick}
+                                    />
+                                    <YAxis hide domain={[0, 100]} />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f8fafc', borderRadius: 12 }}
+                                        formatter={(value, name, item) => [`${value}% over ${item.payload.games} games`, name]}
+                                        labelStyle={{ color: '#94a3b8', marginBottom: 4 }}
+                                    />
+                                    <Bar dataKey="winRate" name="Wins" fill="#22c55e" radius={[8, 8, 0, 0]} />
+                                    <Bar dataKey="score" name="Score" fill="#38bdf8" radius={[8, 8, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </div>
+                    <div className="journey-chart-card">
+                        <div className="chart-title">Entering the Endgame</div>
+                        {endgames.total === 0 ? (
+                            <div className="timeline-empty">
+                                <Shield size={20} />
+                                <h3>No endgames yet</h3>
+                                <p>Analyzed games that reach an endgame show up here.</p>
+                            </div>
+                        ) : (
+                            <ResponsiveContainer width="100%" height={260}>
+                                <BarChart data={endgameOutcomeChart}>
+                                    <CartesianGrid stroke="rgba(148,163,184,0.12)" vertical={false} />
+                                    <XAxis dataKey="label" tick={{ fill: '#94a3b8', fontSize: 12 }} />
+                                    <YAxis hide />
+                                    <Tooltip
+                                        contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f8fafc', borderRadius: 12 }}
+                                        formatter={(value) => [`${value}`, 'Games']}
+                                        labelStyle={{ color: '#94a3b8', marginBottom: 4 }}
+                                    />
+                                    <Bar dataKey="value" fill="#a78bfa" radius={[8, 8, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </div>
+                </div>
+
+                {endgames.byType.length > 0 && (
+                    <div className="journey-list-grid">
+                        {endgames.byType.slice(0, 6).map((row) => (
+                            <div key={row.type} className="journey-list-card">
+                                <div className="chart-title">
+                                    {row.label} • {row.wins}W / {row.draws}D / {row.losses}L
+                                    {row.conversionRate !== null ? ` • ${row.conversionRate}% converted` : ''}
+                                </div>
+                                <div className={`list-rows ${row.examples.length < 5 ? 'list-rows--spaced' : ''}`}>
+                                    {row.examples.map((g) => (
+                                        <button
+                                            key={g.gameId}
+                                            type="button"
+                                            className="list-row list-row--link"
+                                            onClick={() => openGameAt(g.gameId, g.moveIndex)}
+                                        >
+                                            <div>
+                                                <div className="list-title">{g.opponent}</div>
+                                                <div className="list-meta">
+                                                    Move {Math.ceil(g.ply / 2)} • {g.date ? new Date(g.date).toLocaleDateString() : 'Unknown date'}
+                                                </div>
+                                            </div>
+                                            <div className="list-value">{ENDGAME_OUTCOMES.find((o) => o.id === g.outcome)?.label}</div>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </section>
+
             <section className="journey-highlights">
                 <div className="section-header">
                     <div>
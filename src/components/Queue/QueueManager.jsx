@@ -0,0 +1,489 @@
+import React, { useMemo, useState } from 'react';
+import { useLiveQuery } from 'dexie-react-hooks';
+import { useNavigate } from 'react-router-dom';
+import { AlertTriangle, ArrowUpToLine, GripVertical, ListOrdered, Pause, Play, RotateCcw, X } from 'lucide-react';
+import { db } from '../../services/db';
+import { analysisQueue, getMeasuredMsPerPly } from '../../services/analysisQueue';
+import { loadActiveEngineProfile } from '../../services/analyzer';
+import { getEnginePoolBudget } from '../../services/engineDefaults';
+import { MAX_DEEP_PLIES, getTwoTierAnalysis } from '../../services/analysisTiers';
+import { countPgnPlies } from '../../services/pgn';
+import { useAnalysisQueue } from '../../hooks/useAnalysisQueue';
+import { ConfirmModal } from '../common/ConfirmModal';
+import { AppFooter } from '../common/AppFooter';
+
+// Rows rendered (and ply-counted) per list; the rest of a long queue is estimated from the average.
+const MAX_ROWS = 200;
+
+// Plies assumed for a game whose PGN is not stored as game content.
+const DEFAULT_PLIES = 80;
+
+const TIER_LABELS = {
+    full: 'Full',
+    scan: 'Scan',
+    deep: 'Deep pass'
+};
+
+const playerName = (player, fallback) => (typeof player === 'string' ? player : player?.name) || fallback;
+
+const describeGame = (game) => (game
+    ? `${playerName(game.white, 'White')} vs ${playerName(game.black, 'Black')}`
+    : 'Deleted game');
+
+const formatDuration = (ms) => {
+    if (!Number.isFinite(ms) || ms <= 0) return '—';
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return '< 1m';
+    const hours = Math.floor(minutes / 60);
+    if (hours < 1) return `${minutes}m`;
+    const days = Math.floor(hours / 24);
+    if (days < 1) return `${hours}h ${minutes % 60}m`;
+    return `${days}d ${hours % 24}h`;
+};
+
+const formatTime = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+// Running jobs first (oldest start first), then waiting ones in the order they will run: the queue
+// takes the highest priority, and the newest job among equal ones.
+const compareJobs = (a, b) => {
+    if (a.status !== b.status) return a.status === 'running' ? -1 : 1;
+    if (a.status === 'running') return String(a.startedAt || '').localeCompare(String(b.startedAt || ''));
+    return ((b.priority || 0) - (a.priority || 0)) || (b.id - a.id);
+};
+
+// Full-depth runs and deep passes search at about the same depth, so each stands in for the other until measured.
+const loadTierRates = () => {
+    const scan = getMeasuredMsPerPly('scan');
+    const full = getMeasuredMsPerPly('full');
+    const deep = getMeasuredMsPerPly('deep');
+    return { scan, full: full ?? deep, deep: deep ?? full };
+};
+
+/**
+ * Priorities for dropping the job at `index` of `ordered` (waiting jobs in their new order) between its
+ * neighbours: `{ gameIds, priority, step }` for `reprioritize`. When the neighbours share a priority
+ * (deep passes all sit at the same one), the whole tied run around the drop point is spread out.
+ */
+const placeDroppedJob = (ordered, index) => {
+    let start = index;
+    let end = index;
+    const above = ordered[index - 1];
+    const below = ordered[index + 1];
+    if (above && below && above.priority <= below.priority) {
+        const tied = above.priority;
+        while (start > 0 && ordered[start - 1].priority === tied) start -= 1;
+        while (end < ordered.length - 1 && ordered[end + 1].priority === tied) end += 1;
+    }
+    const group = ordered.slice(start, end + 1);
+    const upper = start > 0 ? ordered[start - 1].priority : null;
+    const lower = end < ordered.length - 1 ? ordered[end + 1].priority : null;
+    const gameIds = group.map((job) => job.gameId);
+    // A tie that spans the whole queue has no neighbours to fit between; counting up from it is enough.
+    if (upper === null && lower === null) return group.length > 1 ? { gameIds, priority: below.priority, step: 1 } : null;
+    if (upper === null) return { gameIds, priority: lower + 1, step: 1 };
+    if (lower === null) return { gameIds, priority: upper - group.length, step: 1 };
+    const step = (upper - lower) / (group.length + 1);
+    return { gameIds, priority: lower + step, step };
+};
+
+/**
+ * Queue manager: what is running and waiting with progress and ETA, drag-to-reorder, bulk
+ * cancel/retry, and the failure log with the last error of each failed game.
+ */
+export const QueueManager = () => {
+    const navigate = useNavigate();
+    const { paused } = useAnalysisQueue();
+    const [selected, setSelected] = useState(() => new Set());
+    const [dragJobId, setDragJobId] = useState(null);
+    const [overJobId, setOverJobId] = useState(null);
+    const [confirmCancelAllOpen, setConfirmCancelAllOpen] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const jobs = useLiveQuery(() => db.analysis_queue.toArray(), []);
+
+    const { activeJobs, failedJobs, maxPriority } = useMemo(() => {
+        const list = Array.isArray(jobs) ? jobs : [];
+        const active = list.filter((job) => job.status !== 'failed').sort(compareJobs);
+        const failed = list
+            .filter((job) => job.status === 'failed')
+            .sort((a, b) => String(b.finishedAt || '').localeCompare(String(a.finishedAt || '')));
+        const top = list.reduce((max, job) => Math.max(max, job.priority || 0), 0);
+        return { activeJobs: active, failedJobs: failed, maxPriority: top };
+    }, [jobs]);
+
+    const shownJobs = useMemo(() => activeJobs.slice(0, MAX_ROWS), [activeJobs]);
+    const shownIdsKey = shownJobs.map((job) => job.gameId).join(',');
+    const failedIdsKey = failedJobs.slice(0, MAX_ROWS).map((job) => job.gameId).join(',');
+
+    // Game records for the visible rows, plus games that failed outside the queue (no job, no recorded error).
+    const gameData = useLiveQuery(async () => {
+        const ids = [...new Set([...shownIdsKey.split(','), ...failedIdsKey.split(',')].filter(Boolean).map(Number))];
+        const rows = await db.games.bulkGet(ids);
+        const failedGames = await db.games.where('analysisStatus').equals('failed').limit(MAX_ROWS).toArray();
+        const byId = new Map();
+        rows.forEach((game) => {
+            if (game) byId.set(game.id, game);
+        });
+        return { byId, failedGames };
+    }, [shownIdsKey, failedIdsKey]);
+
+    // PGN lengths only change on import, so they are read per visible id set rather than on every progress tick.
+    const plyCounts = useLiveQuery(async () => {
+        const ids = shownIdsKey.split(',').filter(Boolean).map(Number);
+        const contents = await db.gameContent.bulkGet(ids);
+        const counts = new Map();
+        contents.forEach((content, idx) => {
+            const plies = countPgnPlies(content?.pgn);
+            if (plies > 0) counts.set(ids[idx], plies);
+        });
+        return counts;
+    }, [shownIdsKey]);
+
+    const gamesById = useMemo(() => gameData?.byId || new Map(), [gameData]);
+    const lanes = useMemo(() => getEnginePoolBudget(loadActiveEngineProfile()).size || 1, []);
+    // Read on every render: each finished run changes the job list, which re-renders with the new averages.
+    const { scan: scanRate, full: fullRate, deep: deepRate } = loadTierRates();
+    const hasRate = !!(scanRate || fullRate);
+    const defaultTier = getTwoTierAnalysis() ? 'scan' : 'full';
+
+    const { rows, totalMs } = useMemo(() => {
+        const rateByTier = { scan: scanRate, full: fullRate, deep: deepRate };
+        const counts = plyCounts || new Map();
+        const known = [...counts.values()];
+        const averagePlies = known.length ? known.reduce((sum, n) => sum + n, 0) / known.length : DEFAULT_PLIES;
+        const remainingPlies = (job, plies) => {
+            if (job.tier === 'deep') return Math.min(MAX_DEEP_PLIES, plies);
+            const progress = gamesById.get(job.gameId)?.analysisProgress || 0;
+            return plies * (1 - Math.min(100, Math.max(0, progress)) / 100);
+        };
+        // Jobs share the engine lanes, so each one finishes after everything ahead of it, spread over the lanes.
+        // Once a job's tier has no measured rate, no later estimate can be trusted either.
+        let cumulativeMs = 0;
+        let unknown = false;
+        const addJob = (job, plies) => {
+            const rate = rateByTier[job.tier || defaultTier];
+            if (!rate) unknown = true;
+            else cumulativeMs += remainingPlies(job, plies) * rate;
+            return unknown ? null : cumulativeMs / lanes;
+        };
+        const out = shownJobs.map((job) => ({
+            job,
+            game: gamesById.get(job.gameId) || null,
+            plies: counts.get(job.gameId) || null,
+            etaMs: addJob(job, counts.get(job.gameId) || averagePlies)
+        }));
+        activeJobs.slice(MAX_ROWS).forEach((job) => addJob(job, averagePlies));
+        return { rows: out, totalMs: unknown ? null : cumulativeMs / lanes };
+    }, [shownJobs, activeJobs, gamesById, plyCounts, scanRate, fullRate, deepRate, defaultTier, lanes]);
+
+    const failureRows = useMemo(() => {
+        const jobGameIds = new Set(failedJobs.map((job) => job.gameId));
+        const fromJobs = failedJobs.slice(0, MAX_ROWS).map((job) => ({
+            gameId: job.gameId,
+            game: gamesById.get(job.gameId) || null,
+            tier: job.tier,
+            attempts: job.attempts || 0,
+            lastError: job.lastError,
+            failedAt: job.finishedAt || job.updatedAt
+        }));
+        const fromGames = (gameData?.failedGames || [])
+            .filter((game) => !jobGameIds.has(game.id))
+            .map((game) => ({
+                gameId: game.id,
+                game,
+                tier: null,
+                attempts: game.analysisRetryCount || 0,
+                lastError: null,
+                failedAt: null
+            }));
+        return [...fromJobs, ...fromGames];
+    }, [failedJobs, gamesById, gameData]);
+
+    const queuedCount = activeJobs.filter((job) => job.status === 'queued').length;
+    const runningCount = activeJobs.length - queuedCount;
+    const selectedIds = [...selected];
+
+    const toggleSelected = (gameId) => {
+        setSelected((prev) => {
+            const next = new Set(prev);
+            if (next.has(gameId)) next.delete(gameId);
+            else next.add(gameId);
+            return next;
+        });
+    };
+
+    const runAction = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+        } catch (error) {
+            console.error('Queue action failed', error);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleOpen = (gameId) => {
+        localStorage.setItem('activeGameId', String(gameId));
+        window.dispatchEvent(new Event('activeGameChanged'));
+        navigate('/');
+    };
+
+    const handleCancelSelected = () => runAction(async () => {
+        await analysisQueue.cancel(selectedIds);
+        setSelected(new Set());
+    });
+
+    const handleRetrySelected = () => runAction(async () => {
+        const failedIds = new Set(failureRows.map((row) => row.gameId));
+        await analysisQueue.retry(selectedIds.filter((id) => failedIds.has(id)));
+        setSelected(new Set());
+    });
+
+    const handleRetryAllFailed = () => runAction(() => analysisQueue.retry(failureRows.map((row) => row.gameId)));
+
+    const handleMoveToTop = (job) => runAction(() => analysisQueue.reprioritize([job.gameId], maxPriority + 1));
+
+    // A dropped job takes a priority between its new neighbours, so the rest of the queue keeps its order.
+    const handleDrop = (targetJobId) => {
+        const sourceId = dragJobId;
+        setDragJobId(null);
+        setOverJobId(null);
+        if (sourceId == null || sourceId === targetJobId) return;
+        const queued = activeJobs.filter((job) => job.status === 'queued');
+        const from = queued.findIndex((job) => job.id === sourceId);
+        const to = queued.findIndex((job) => job.id === targetJobId);
+        if (from < 0 || to < 0) return;
+        const ordered = [...queued];
+        const [moved] = ordered.splice(from, 1);
+        ordered.splice(to, 0, moved);
+        const placement = placeDroppedJob(ordered, to);
+        if (!placement) return;
+        runAction(() => analysisQueue.reprioritize(placement.gameIds, placement.priority, { step: placement.step }));
+    };
+
+    const selectedFailed = failureRows.some((row) => selected.has(row.gameId));
+
+    return (
+        <div className="library-page">
+            <div className="library-bg" />
+
+            <div className="library-shell">
+                <header className="library-header">
+                    <div className="library-title">
+                        <div className="library-title__badge">
+                            <ListOrdered className="w-4 h-4" />
+                            <span>Engine</span>
+                        </div>
+                        <h1 className="library-title__main">Analysis Queue</h1>
+                        <p className="library-title__sub">
+                            {runningCount} running, {queuedCount} waiting
+                            {totalMs ? ` · about ${formatDuration(totalMs)} left` : ''}
+                            {!hasRate && activeJobs.length ? ' · ETA appears once a game has finished on this device' : ''}
+                        </p>
+                    </div>
+
+                    <div className="library-actions">
+                        <button
+                            onClick={() => (paused ? analysisQueue.resume() : analysisQueue.pause())}
+                            className="btn-secondary"
+                        >
+                            {paused ? <Play size={16} /> : <Pause size={16} />}
+                            {paused ? 'Resume' : 'Pause'}
+                        </button>
+                        <button
+                            onClick={handleCancelSelected}
+                            className="btn-secondary"
+                            disabled={busy || !selected.size}
+                        >
+                            <X size={16} />
+                            {`Cancel selected${selected.size ? ` (${selected.size})` : ''}`}
+                        </button>
+                        <button
+                            onClick={handleRetrySelected}
+                            className="btn-secondary"
+                            disabled={busy || !selectedFailed}
+                        >
+                            <RotateCcw size={16} />
+                            Retry selected
+                        </button>
+                        <button
+                            onClick={() => setConfirmCancelAllOpen(true)}
+                            className="btn-danger"
+                            disabled={busy || !activeJobs.length}
+                        >
+                            <X size={16} />
+                            Cancel all
+                        </button>
+                    </div>
+                </header>
+
+                {jobs && activeJobs.length === 0 && (
+                    <div className="queue-empty">
+                        Nothing is queued. Analyse a game from the Dashboard or queue a filtered list from the Games Library.
+                    </div>
+                )}
+
+                {rows.length > 0 && (
+                    <div className="queue-list">
+                        {rows.map(({ job, game, plies, etaMs }) => {
+                            const isRunning = job.status === 'running';
+                            const progress = job.tier === 'deep' ? null : Math.round(game?.analysisProgress || 0);
+                            const classes = [
+                                'queue-row',
+                                isRunning ? 'queue-row--running' : '',
+                                overJobId === job.id && dragJobId !== job.id ? 'queue-row--over' : ''
+                            ].filter(Boolean).join(' ');
+                            return (
+                                <div
+                                    key={job.id}
+                                    className={classes}
+                                    draggable={!isRunning}
+                                    onDragStart={(e) => {
+                                        e.dataTransfer.effectAllowed = 'move';
+                                        setDragJobId(job.id);
+                                    }}
+                                    onDragOver={(e) => {
+                                        if (dragJobId == null || isRunning) return;
+                                        e.preventDefault();
+                                        if (overJobId !== job.id) setOverJobId(job.id);
+                                    }}
+                                    onDragEnd={() => {
+                                        setDragJobId(null);
+                                        setOverJobId(null);
+                                    }}
+                                    onDrop={(e) => {
+                                        e.preventDefault();
+                                        handleDrop(job.id);
+                                    }}
+                                >
+                                    <span className="queue-row__handle" title={isRunning ? 'Running' : 'Drag to reorder'}>
+                                        {!isRunning && <GripVertical size={14} />}
+                                    </span>
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.has(job.gameId)}
+                                        onChange={() => toggleSelected(job.gameId)}
+                                        aria-label={`Select ${describeGame(game)}`}
+                                    />
+                                    <button type="button" className="queue-row__main" onClick={() => handleOpen(job.gameId)}>
+                                        <span className="queue-row__title">{describeGame(game)}</span>
+                                        <span className="queue-row__meta">
+                                            <span className={`status-pill status-${isRunning ? 'analyzing' : 'pending'}`}>
+                                                {isRunning ? 'Analyzing' : 'Queued'}
+                                            </span>
+                                            <span>{TIER_LABELS[job.tier] || 'Auto tier'}</span>
+                                            {plies && <span>{plies} plies</span>}
+                                            {job.attempts > 1 && <span>Attempt {job.attempts}</span>}
+                                            {job.lastError && <span className="queue-row__error" title={job.lastError}>Last error: {job.lastError}</span>}
+                                        </span>
+                                        {progress !== null && (
+                                            <span className="queue-row__progress">
+                                                <span style={{ width: `${progress}%` }} />
+                                            </span>
+                                        )}
+                                    </button>
+                                    <span className="queue-row__eta" title="Estimated time until this game is done">
+                                        {progress !== null ? `${progress}% · ` : ''}{etaMs ? formatDuration(etaMs) : '—'}
+                                    </span>
+                                    <div className="queue-row__actions">
+                                        {!isRunning && (
+                                            <button
+                                                type="button"
+                                                className="btn-icon"
+                                                title="Run next"
+                                                aria-label="Run next"
+                                                disabled={busy}
+                                                onClick={() => handleMoveToTop(job)}
+                                            >
+                                                <ArrowUpToLine size={14} />
+                                            </button>
+                                        )}
+                                        <button
+                                            type="button"
+                                            className="btn-icon"
+                                            title="Cancel"
+                                            aria-label="Cancel"
+                                            disabled={busy}
+                                            onClick={() => runAction(() => analysisQueue.cancel([job.gameId]))}
+                                        >
+                                            <X size={14} />
+                                        </button>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                        {activeJobs.length > MAX_ROWS && (
+                            <div className="queue-more">+{activeJobs.length - MAX_ROWS} more waiting</div>
+                        )}
+                    </div>
+                )}
+
+                {failureRows.length > 0 && (
+                    <section className="queue-failures">
+                        <div className="queue-failures__head">
+                            <h2>
+                                <AlertTriangle size={16} />
+                                Failure log
+                            </h2>
+                            <button onClick={handleRetryAllFailed} className="btn-secondary" disabled={busy}>
+                                <RotateCcw size={16} />
+                                {`Retry all failed (${failureRows.length})`}
+                            </button>
+                        </div>
+                        {failureRows.map((row) => (
+                            <div key={row.gameId} className="queue-failure">
+                                <input
+                                    type="checkbox"
+                                    checked={selected.has(row.gameId)}
+                                    onChange={() => toggleSelected(row.gameId)}
+                                    aria-label={`Select ${describeGame(row.game)}`}
+                                />
+                                <button type="button" className="queue-row__main" onClick={() => handleOpen(row.gameId)}>
+                                    <span className="queue-row__title">{describeGame(row.game)}</span>
+                                    <span className="queue-row__meta">
+                                        {row.tier && <span>{TIER_LABELS[row.tier]}</span>}
+                                        {row.attempts > 0 && <span>{row.attempts} attempt{row.attempts === 1 ? '' : 's'}</span>}
+                                        {row.failedAt && <span>{formatTime(row.failedAt)}</span>}
+                                    </span>
+                                    <span className="queue-failure__error">{row.lastError || 'No error recorded for this run.'}</span>
+                                </button>
+                                <button
+                                    type="button"
+                                    className="btn-icon"
+                                    title="Retry"
+                                    aria-label="Retry"
+                                    disabled={busy}
+                                    onClick={() => runAction(() => analysisQueue.retry([row.gameId]))}
+                                >
+                                    <RotateCcw size={14} />
+                                </button>
+                            </div>
+                        ))}
+                    </section>
+                )}
+            </div>
+
+            <AppFooter />
+
+            <ConfirmModal
+                open={confirmCancelAllOpen}
+                title="Cancel all queued analysis?"
+                description="Running games stop and keep their partial analysis; every game in the queue goes back to idle. Failed games stay in the failure log."
+                meta={`${activeJobs.length} job${activeJobs.length === 1 ? '' : 's'} will be cancelled.`}
+                confirmText="Cancel All"
+                cancelText="Keep Queue"
+                confirmClassName="btn-danger"
+                onCancel={() => setConfirmCancelAllOpen(false)}
+                onConfirm={async () => {
+                    setConfirmCancelAllOpen(false);
+                    await runAction(() => analysisQueue.cancel(activeJobs.map((job) => job.gameId)));
+                }}
+            />
+        </div>
+    );
+};
@@ -114,12 +114,22 @@ const deriveLessonRule = (position) => {
     if (motifs.includes('pin')) return 'Pinned pieces are tactical targets. Look for ways to increase pressure.';
     if (motifs.includes('skewer')) return 'If pieces align on a file/diagonal, search for a skewer.';
     if (motifs.includes('sacrifice')) return 'Sacrifices work when they open lines to the king or create unstoppable threats.';
+    if (motifs.includes('double_check') || motifs.includes('discovered_attack')) return 'Moving a piece off a line can unleash the piece behind it. Check what each move uncovers.';
+    if (motifs.includes('back_rank')) return 'A king boxed in by its own pawns is vulnerable on the back rank. Keep an escape square.';
+    if (motifs.includes('deflection') || motifs.includes('decoy') || motifs.includes('removal_of_defender') || motifs.includes('overloading')) {
+        return 'Ask what each defender is guarding. If it has two jobs, one of them can be exploited.';
+    }
+    if (motifs.includes('trapped_piece')) return 'Before going deep with a piece, make sure it still has a way back.';
+    if (motifs.includes('zwischenzug')) return 'A recapture can wait if a forcing move comes first.';
     if (position?.classification === 'blunder') return 'Before committing, re-check hanging pieces and opponent’s tactical threats.';
     if (position?.classification === 'mistake') return 'Look one move deeper for stronger forcing options.';
     return position?.planHint || 'Look for forcing moves and tactical ideas.';
 };
 
-const TACTICAL_MOTIFS = new Set(['fork', 'pin', 'skewer', 'sacrifice']);
+const TACTICAL_MOTIFS = new Set([
+    'fork', 'pin', 'skewer', 'sacrifice', 'discovered_attack', 'double_check', 'back_rank',
+    'overloading', 'deflection', 'decoy', 'removal_of_defender', 'zwischenzug', 'trapped_piece'
+]);
 
 const deriveCategories = ({ classification, motifs = [], phase, heroMoved }) => {
     const categories = new Set();
@@ -967,7 +977,7 @@ const ReelCard = ({ position, onNext, mode = 'best_move', onSolved, onContinueLi
                                 {position.motifs?.length > 0 && (
                                     <div className="mt-2 flex flex-wrap justify-center gap-2">
                                         {position.motifs.map((motif) => (
-                                            <span key={motif} className="pill">{motif}</span>
+                                            <span key={motif} className="pill">{motif.replace(/_/g, ' ')}</span>
                                         ))}
                                     </div>
                                 )}
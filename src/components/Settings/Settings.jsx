@@ -1,13 +1,46 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useLiveQuery } from 'dexie-react-hooks';
 import { db } from '../../services/db';
-import { engine } from '../../services/engine';
+import { engine, enginePool } from '../../services/engine';
 import { AlertCircle, CheckCircle } from 'lucide-react';
 import { ConfirmModal } from '../common/ConfirmModal';
 import { useHeroProfiles } from '../../hooks/useHeroProfiles';
 import { getHeroDisplayName, isHeroGameForProfiles } from '../../services/heroProfiles';
-import { getDefaultEngineVersion, isMobileDevice } from '../../services/engineDefaults';
+import { getDefaultEngineVersion, getEnginePoolBudget, isMobileDevice, MANAGED_UCI_OPTIONS, MAX_ENGINE_WORKERS, normalizeUciOptions } from '../../services/engineDefaults';
 import { getStoredTheme, setTheme } from '../../services/theme';
+import { isValidRemoteEngineUrl } from '../../services/remoteEngine';
+import {
+    BENCHMARK_BUDGET_OPTIONS,
+    BENCHMARK_DEPTH,
+    proposeProfileFromBenchmark,
+    runEngineBenchmark
+} from '../../services/engineBenchmark';
+import {
+    clearEvalCache,
+    EVAL_CACHE_LIMIT_OPTIONS,
+    getEvalCacheEnabled,
+    getEvalCacheLimit,
+    getEvalCacheSessionStats,
+    getEvalCacheSummary,
+    setEvalCacheEnabled,
+    setEvalCacheLimit
+} from '../../services/evalCache';
+import { ACCURACY_MODELS, getAccuracyModel, recomputeAllAccuracy, setAccuracyModel } from '../../services/accuracy';
+import { reclassifyLibrary } from '../../services/analyzer';
+import { analysisQueue } from '../../services/analysisQueue';
+import { getAnalyzeVariations, setAnalyzeVariations } from '../../services/pgnTree';
+import { MAX_DEEP_PLIES, SCAN_DEPTH, getTwoTierAnalysis, setTwoTierAnalysis } from '../../services/analysisTiers';
+import { downloadPgnFile, exportAnnotatedPgn } from '../../services/pgnExport';
+import { getImportedEvalTopUp, getUseImportedEvals, setImportedEvalTopUp, setUseImportedEvals } from '../../services/importedEvals';
+import {
+    getThresholdConfig,
+    getThresholdPresetValues,
+    normalizeThresholdConfig,
+    setThresholdConfig,
+    THRESHOLD_FIELDS,
+    THRESHOLD_PERF_OPTIONS,
+    THRESHOLD_PRESETS
+} from '../../services/classificationThresholds';
 import { AppFooter } from '../common/AppFooter';
 
 const ENGINE_PROFILES_KEY = 'engineProfiles';
@@ -67,7 +100,10 @@ const normalizeProfile = (profile, fallbackId) => {
         threads: clampInt(safe.threads ?? 1, 1, 128, 1), // Allow more threads (clamped by UI later)
         timePerMove: clampInt(safe.timePerMove ?? 0, 0, 60000, 0), // 0 = off, max 60s
         useNNUE: typeof safe.useNNUE === 'boolean' ? safe.useNNUE : true,
-        version: safe.version || getDefaultEngineVersion()
+        version: safe.version || getDefaultEngineVersion(),
+        workers: clampInt(safe.workers ?? 1, 1, MAX_ENGINE_WORKERS, 1), // Parallel games in the analysis queue
+        remoteUrl: isValidRemoteEngineUrl(safe.remoteUrl) ? String(safe.remoteUrl).trim() : '', // ws(s):// UCI bridge, '' = in-browser engine
+        uciOptions: normalizeUciOptions(safe.uciOptions) // { [option name]: value } overrides of engine defaults
     };
 };
 
@@ -97,12 +133,69 @@ const getInitialEngineState = () => {
     return { profiles, activeId };
 };
 
+const formatNps = (nps) => {
+    if (!Number.isFinite(nps) || nps <= 0) return '0 nodes/s';
+    if (nps >= 1000000) return `${(nps / 1000000).toFixed(2)}M nodes/s`;
+    if (nps >= 1000) return `${Math.round(nps / 1000)}k nodes/s`;
+    return `${Math.round(nps)} nodes/s`;
+};
+
+// Spin options keep the typed text while editing and clamp to the engine's range on blur or Enter,
+// so values below the minimum (e.g. the first digit of a UCI_Elo) can still be typed.
+const UciSpinInput = ({ id, option, value, onCommit }) => {
+    const [draft, setDraft] = useState(value ?? '');
+
+    const commit = () => {
+        const parsed = parseInt(draft, 10);
+        if (!Number.isFinite(parsed)) {
+            setDraft(value ?? '');
+            return;
+        }
+        const clamped = clampInt(parsed, option.min ?? parsed, option.max ?? parsed, parsed);
+        setDraft(clamped);
+        if (clamped !== value) onCommit(clamped);
+    };
+
+    return (
+        <input
+            type="number"
+            id={id}
+            value={draft}
+            min={option.min ?? undefined}
+            max={option.max ?? undefined}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => {
+                if (e.key === 'Enter') commit();
+            }}
+            className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-32"
+        />
+    );
+};
+
 export const Settings = () => {
     const { profiles: heroProfiles, activeProfiles, filterIds, setFilterIds } = useHeroProfiles();
     const heroLabel = useMemo(() => getHeroDisplayName(activeProfiles), [activeProfiles]);
     const [stopStatus, setStopStatus] = useState(null);
     const [clearStatus, setClearStatus] = useState(null);
+    const [exportStatus, setExportStatus] = useState(null);
     const [engineInfo, setEngineInfo] = useState(() => engine.getInfo());
+    const [throughput, setThroughput] = useState(() => enginePool.getThroughput());
+    const [evalCacheEnabled, setEvalCacheEnabledState] = useState(() => getEvalCacheEnabled());
+    const [evalCacheLimit, setEvalCacheLimitState] = useState(() => getEvalCacheLimit());
+    const [evalCacheStatus, setEvalCacheStatus] = useState(null);
+    const [showEvalCacheDetails, setShowEvalCacheDetails] = useState(false);
+    const [accuracyModel, setAccuracyModelState] = useState(() => getAccuracyModel());
+    const [analyzeVariations, setAnalyzeVariationsState] = useState(() => getAnalyzeVariations());
+    const [twoTierAnalysis, setTwoTierAnalysisState] = useState(() => getTwoTierAnalysis());
+    const [useImportedEvals, setUseImportedEvalsState] = useState(() => getUseImportedEvals());
+    const [importedEvalTopUp, setImportedEvalTopUpState] = useState(() => getImportedEvalTopUp());
+    const [accuracyStatus, setAccuracyStatus] = useState(null);
+    const [thresholdConfig, setThresholdConfigState] = useState(() => getThresholdConfig());
+    const [reclassifyState, setReclassifyState] = useState({ running: false, message: null, summary: null, error: null });
+    const [benchBudget, setBenchBudget] = useState(5); // minutes per 40-move game
+    const [benchState, setBenchState] = useState({ running: false, progress: null, results: null, error: null });
+    const benchAbortRef = useRef(null);
     const [appTheme, setAppTheme] = useState(() => getStoredTheme());
     const [boardLight, setBoardLight] = useState(() => localStorage.getItem(BOARD_LIGHT_KEY) || DEFAULT_BOARD_LIGHT);
     const [boardDark, setBoardDark] = useState(() => localStorage.getItem(BOARD_DARK_KEY) || DEFAULT_BOARD_DARK);
@@ -141,21 +234,65 @@ export const Settings = () => {
     const threads = activeProfile?.threads ?? 1;
     const timePerMove = activeProfile?.timePerMove ?? 0;
     const useNNUE = activeProfile?.useNNUE ?? true;
+    const workers = activeProfile?.workers ?? 1;
+    const remoteUrl = activeProfile?.remoteUrl || '';
+    const uciOptions = activeProfile?.uciOptions || {};
+    // Everything the engine advertises that isn't already driven by a dedicated control above.
+    const customUciOptions = (engineInfo?.options || [])
+        .filter((opt) => opt.type !== 'button' && !MANAGED_UCI_OPTIONS.includes(opt.name));
+    // Draft/status belong to one profile + saved URL; switching either starts fresh.
+    const remoteKey = `${activeProfileId}|${remoteUrl}`;
+    const [remoteDraft, setRemoteDraft] = useState({ key: remoteKey, value: remoteUrl, status: null });
+    const remoteUrlDraft = remoteDraft.key === remoteKey ? remoteDraft.value : remoteUrl;
+    const remoteStatus = remoteDraft.key === remoteKey ? remoteDraft.status : null;
+    const setRemoteUrlDraft = (value) => setRemoteDraft({ key: remoteKey, value, status: null });
+    const setRemoteStatus = (status) => setRemoteDraft((prev) => ({
+        key: remoteKey,
+        value: prev.key === remoteKey ? prev.value : remoteUrl,
+        status
+    }));
+    const maxWorkers = Math.max(1, Math.min(MAX_ENGINE_WORKERS, maxThreads));
+    const poolBudget = useMemo(() => getEnginePoolBudget({ hash, threads, workers }), [hash, threads, workers]);
+    const benchProposal = useMemo(
+        () => proposeProfileFromBenchmark(benchState.results, { budgetMinutes: benchBudget, multiPv }),
+        [benchState.results, benchBudget, multiPv]
+    );
 
     const games = useLiveQuery(async () => {
         return await db.games.toArray();
     }, []);
 
+    const evalCacheSummary = useLiveQuery(async () => {
+        try {
+            return await getEvalCacheSummary();
+        } catch {
+            return null;
+        }
+    }, []);
+    // Re-read on each render; the throughput poll keeps this fresh while analysis runs.
+    const evalCacheSession = getEvalCacheSessionStats();
+    const evalCacheLookups = evalCacheSession.hits + evalCacheSession.misses;
+
     useEffect(() => {
         // Ensure worker initialized so we can read id name / caps.
         // Use the active profile's version if available, or choose a sensible default.
         const version = activeProfile?.version || getDefaultEngineVersion();
-        engine.init(version).then(() => setEngineInfo(engine.getInfo())).catch(() => { });
+        engine.init(version, { remoteUrl }).then(() => setEngineInfo(engine.getInfo())).catch(() => { });
 
         const t = setTimeout(() => setEngineInfo(engine.getInfo()), 400);
 
         return () => clearTimeout(t);
-    }, [activeProfile?.version]); // Re-run if version setting changes (though profiles change usually triggers re-render)
+    }, [activeProfile?.version, remoteUrl]); // Re-run if version or backend changes (though profiles change usually triggers re-render)
+
+    // Option lists arrive with the handshake, which may finish after the init above resolves.
+    useEffect(() => engine.subscribeInfo(setEngineInfo), []);
+
+    useEffect(() => {
+        const t = setInterval(() => setThroughput(enginePool.getThroughput()), 1000);
+        return () => clearInterval(t);
+    }, []);
+
+    useEffect(() => () => benchAbortRef.current?.abort(), []);
 
     useEffect(() => {
         if (!profiles.length) return;
@@ -249,7 +386,7 @@ export const Settings = () => {
                 analyzing += 1;
             } else if (g.analysisStatus === 'failed') {
                 failed += 1;
-            } else if (g.analysisStatus === 'ignored') {
+            } else if (g.analysisStatus === 'ignored' || g.analysisStatus === 'unsupported') {
                 ignored += 1;
             } else if (g.analysisStatus === 'completed' || (g.analyzed && g.analysisStatus !== 'failed')) {
                 // Completed or Legacy Analyzed (excluding failed)
@@ -277,29 +414,161 @@ export const Settings = () => {
         setStopStatus({ type: 'loading', message: 'Stopping analysis...' });
         setClearStatus(null);
         try {
-            engine.stop();
-            engine.terminate();
-
-            // 1. Valid pending games in the queue revert to IDLE (so they can be re-queued later)
-            // We strip the analysisStatus entirely to make them "idle"
-            await db.games.where('analysisStatus').equals('pending').modify({
-                analysisStatus: null, // This makes them 'idle' based on our filters
-                analysisStartedAt: null,
-                analysisHeartbeatAt: null
+            // Drops every job; running games keep their partial log and go back to idle with the rest.
+            await analysisQueue.cancel();
+            enginePool.stop();
+            enginePool.terminate();
+
+            setStopStatus({ type: 'success', message: 'Analysis stopped. Queue cleared and games reset to idle.' });
+        } catch (err) {
+            console.error(err);
+            setStopStatus({ type: 'error', message: 'Failed to stop analysis.' });
+        }
+    };
+
+    const handleEvalCacheEnabledChange = (enabled) => {
+        setEvalCacheEnabledState(enabled);
+        setEvalCacheEnabled(enabled);
+    };
+
+    const handleEvalCacheLimitChange = (limit) => {
+        setEvalCacheLimitState(limit);
+        setEvalCacheLimit(limit);
+    };
+
+    const handleClearEvalCache = async () => {
+        setEvalCacheStatus({ type: 'loading', message: 'Clearing evaluation cache...' });
+        try {
+            await clearEvalCache();
+            setEvalCacheStatus({ type: 'success', message: 'Evaluation cache cleared.' });
+        } catch (err) {
+            console.error(err);
+            setEvalCacheStatus({ type: 'error', message: 'Failed to clear evaluation cache.' });
+        }
+    };
+
+    const handleAccuracyModelChange = (model) => {
+        setAccuracyModel(model);
+        setAccuracyModelState(model);
+        setAccuracyStatus(null);
+    };
+
+    const handleRecomputeAccuracy = async () => {
+        setAccuracyStatus({ type: 'loading', message: 'Recomputing accuracy...' });
+        try {
+            const { updated } = await recomputeAllAccuracy({
+                model: accuracyModel,
+                onProgress: ({ done, total }) => setAccuracyStatus({ type: 'loading', message: `Recomputing accuracy... ${done}/${total}` })
             });
+            setAccuracyStatus({ type: 'success', message: `Accuracy recomputed for ${updated} game${updated === 1 ? '' : 's'}.` });
+        } catch (err) {
+            console.error(err);
+            setAccuracyStatus({ type: 'error', message: 'Failed to recompute accuracy.' });
+        }
+    };
+
+    const updateThresholdConfig = (next) => {
+        const normalized = normalizeThresholdConfig(next);
+        setThresholdConfig(normalized);
+        setThresholdConfigState(normalized);
+    };
+
+    const updateThresholdRule = (ruleId, patch) => {
+        updateThresholdConfig({
+            ...thresholdConfig,
+            rules: thresholdConfig.rules.map((rule) => (rule.id === ruleId ? { ...rule, ...patch } : rule))
+        });
+    };
+
+    const handleAddThresholdRule = () => {
+        updateThresholdConfig({
+            ...thresholdConfig,
+            rules: [
+                ...thresholdConfig.rules,
+                { id: `rule_${Date.now().toString(36)}`, minRating: null, maxRating: null, perf: 'all', preset: 'standard', custom: null }
+            ]
+        });
+    };
 
-            // 2. The game currently being analyzed is marked as FAILED (interrupted)
-            await db.games.where('analysisStatus').equals('analyzing').modify({
-                analysisStatus: 'failed',
-                analyzed: true, // It did run, but failed.
-                analysisStartedAt: null,
-                analysisHeartbeatAt: null
+    const handleRemoveThresholdRule = (ruleId) => {
+        updateThresholdConfig({ ...thresholdConfig, rules: thresholdConfig.rules.filter((rule) => rule.id !== ruleId) });
+    };
+
+    // Preset picker plus, for "custom", one field per cut-off (committed on blur so typing isn't clamped).
+    const renderThresholdSetEditor = (set, onChange, keyPrefix) => {
+        const values = set.preset === 'custom' ? set.custom : getThresholdPresetValues(set.preset);
+        return (
+            <div className="flex flex-col gap-3">
+                <select
+                    value={set.preset}
+                    onChange={(e) => {
+                        const preset = e.target.value;
+                        onChange({ preset, custom: preset === 'custom' ? { ...values } : null });
+                    }}
+                    className="bg-subtle border rounded px-3 py-2 text-sm text-primary"
+                >
+                    {THRESHOLD_PRESETS.map((preset) => (
+                        <option key={preset.id} value={preset.id}>{preset.label}</option>
+                    ))}
+                    <option value="custom">Custom</option>
+                </select>
+                {set.preset === 'custom' ? (
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                        {THRESHOLD_FIELDS.map((field) => (
+                            <label key={field.key} className="flex flex-col gap-1 text-xs text-muted">
+                                {field.label} ({field.unit || 'cp'})
+                                <input
+                                    key={`${keyPrefix}-${field.key}-${values[field.key]}`}
+                                    type="number"
+                                    min={field.min}
+                                    max={field.max}
+                                    defaultValue={values[field.key]}
+                                    onBlur={(e) => onChange({ preset: 'custom', custom: { ...values, [field.key]: e.target.value } })}
+                                    className="bg-subtle border rounded px-3 py-2 text-sm text-primary"
+                                />
+                            </label>
+                        ))}
+                    </div>
+                ) : (
+                    <div className="text-xs text-muted">
+                        Blunder {values.blunder} • Mistake {values.mistake} • Inaccuracy {values.inaccuracy} cp • Brilliant gap {values.brilliantGap} • Great gap {values.greatGap} • Only-move gap {values.onlyMoveGap} • Sacrifice {values.sacrificeMaterial} pawns
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    const handleReclassify = async () => {
+        setReclassifyState({ running: true, message: 'Reclassifying...', summary: null, error: null });
+        try {
+            const summary = await reclassifyLibrary({
+                onProgress: ({ done, total, changed }) => setReclassifyState((prev) => ({
+                    ...prev,
+                    message: `Reclassifying... ${done}/${total} games • ${changed} labels changed`
+                }))
             });
+            setReclassifyState({ running: false, message: null, summary, error: null });
+        } catch (err) {
+            console.error(err);
+            setReclassifyState({ running: false, message: null, summary: null, error: 'Failed to reclassify the library.' });
+        }
+    };
 
-            setStopStatus({ type: 'success', message: 'Analysis stopped. Current game failed, queue reset to idle.' });
+    const handleExportLibrary = async () => {
+        setExportStatus({ type: 'loading', message: 'Exporting games...' });
+        try {
+            const text = await exportAnnotatedPgn(null, {
+                onProgress: ({ done, total }) => setExportStatus({ type: 'loading', message: `Exporting games... ${done}/${total}` })
+            });
+            if (!text) {
+                setExportStatus({ type: 'error', message: 'No games to export.' });
+                return;
+            }
+            downloadPgnFile(text, `chesslyze-library-${new Date().toISOString().slice(0, 10)}.pgn`);
+            setExportStatus({ type: 'success', message: 'Library exported.' });
         } catch (err) {
             console.error(err);
-            setStopStatus({ type: 'error', message: 'Failed to stop analysis.' });
+            setExportStatus({ type: 'error', message: 'Failed to export games.' });
         }
     };
 
@@ -307,13 +576,16 @@ export const Settings = () => {
         setClearStatus({ type: 'loading', message: 'Clearing analysis data...' });
         setStopStatus(null);
         try {
-            engine.stop();
-            engine.terminate();
+            await analysisQueue.cancel();
+            enginePool.stop();
+            enginePool.terminate();
 
-            await db.transaction('rw', db.games, db.positions, db.ai_analyses, db.gameAnalysis, async () => {
+            await db.transaction('rw', [db.games, db.positions, db.ai_analyses, db.gameAnalysis, db.analysisRuns, db.analysis_queue], async () => {
+                await db.analysis_queue.clear();
                 await db.positions.clear();
                 await db.ai_analyses.clear();
                 await db.gameAnalysis.clear();
+                await db.analysisRuns.clear();
                 await db.games.toCollection().modify((g) => {
                     g.analyzed = false;
                     g.analysisStatus = null;
@@ -325,6 +597,8 @@ export const Settings = () => {
                     g.avgCpLoss = null;
                     g.maxAccuracyStreak = null;
                     g.maxEvalSwing = null;
+                    g.accuracyModel = null;
+                    g.classificationThresholds = null;
                     g.analysisRetryCount = null;
                 });
             });
@@ -341,6 +615,81 @@ export const Settings = () => {
         setProfiles((prev) => prev.map((p) => (p.id === activeProfileId ? { ...p, ...patch } : p)));
     };
 
+    // Only values that differ from the engine default are stored on the profile.
+    const handleUciOptionChange = (option, value) => {
+        const next = { ...uciOptions };
+        if (value === option.default || value === undefined) delete next[option.name];
+        else next[option.name] = value;
+        updateActiveProfile({ uciOptions: next });
+    };
+
+    const handleRemoteConnect = async () => {
+        const next = remoteUrlDraft.trim();
+        if (next && !isValidRemoteEngineUrl(next)) {
+            setRemoteStatus({ type: 'error', message: 'Use a ws:// or wss:// address.' });
+            return;
+        }
+        if (next !== remoteUrl) {
+            updateActiveProfile({ remoteUrl: next });
+            return;
+        }
+        if (!next) return;
+        // Same address: reconnect, e.g. after the bridge was started.
+        setRemoteStatus({ type: 'loading', message: 'Connecting...' });
+        try {
+            await engine.restart(activeProfile?.version || getDefaultEngineVersion());
+        } catch {
+            // ignore
+        }
+        const info = engine.getInfo();
+        setEngineInfo(info);
+        setRemoteStatus(info.backend === 'remote'
+            ? { type: 'success', message: 'Connected.' }
+            : { type: 'error', message: info.backendError || 'Remote engine unavailable.' });
+    };
+
+    const handleRunBenchmark = async () => {
+        if (benchState.running) {
+            benchAbortRef.current?.abort();
+            return;
+        }
+        const controller = new AbortController();
+        benchAbortRef.current = controller;
+        setBenchState({ running: true, progress: null, results: null, error: null });
+        try {
+            const { results, aborted } = await runEngineBenchmark({
+                version: activeProfile?.version || getDefaultEngineVersion(),
+                remoteUrl,
+                signal: controller.signal,
+                onProgress: (progress) => setBenchState((prev) => ({ ...prev, progress }))
+            });
+            setBenchState({
+                running: false,
+                progress: null,
+                results: results.length ? results : null,
+                error: aborted ? 'Benchmark cancelled.' : (results.length ? null : 'Benchmark did not finish any configuration.')
+            });
+        } catch (err) {
+            console.error(err);
+            setBenchState({ running: false, progress: null, results: null, error: err?.message || 'Benchmark failed.' });
+        } finally {
+            if (benchAbortRef.current === controller) benchAbortRef.current = null;
+        }
+    };
+
+    const handleApplyBenchmark = () => {
+        if (!benchProposal) return;
+        updateActiveProfile({
+            preset: 'custom',
+            depth: benchProposal.depth,
+            multiPv: benchProposal.multiPv,
+            threads: benchProposal.threads,
+            hash: benchProposal.hash,
+            timePerMove: benchProposal.timePerMove,
+            workers: benchProposal.workers
+        });
+    };
+
     const canDeleteProfile = profiles.length > 1;
     const handleDeleteProfile = () => {
         if (!activeProfile || !canDeleteProfile) return;
@@ -372,6 +721,11 @@ export const Settings = () => {
         updateActiveProfile({ threads: v });
     };
 
+    const handleWorkersChange = (value) => {
+        const v = Math.max(1, Math.min(maxWorkers, value));
+        updateActiveProfile({ workers: v });
+    };
+
     const handleTimePerMoveChange = (value) => {
         const v = Math.min(60000, Math.max(0, value));
         updateActiveProfile({ timePerMove: v });
@@ -543,6 +897,24 @@ export const Settings = () => {
                     )}
                 </div>
 
+                <div className="p-6 rounded-lg border bg-panel">
+                    <h3 className="text-sm font-semibold text-primary mb-3">Export Games</h3>
+                    <p className="text-sm text-secondary mb-4">
+                        Downloads every game as annotated PGN with evals, clocks, move annotations, engine lines and accuracies, ready for coaches and other chess tools.
+                    </p>
+                    <button className="btn btn-secondary" onClick={handleExportLibrary} disabled={exportStatus?.type === 'loading'}>
+                        Export PGN
+                    </button>
+
+                    {exportStatus && (
+                        <div className="mt-4 flex items-center gap-2 text-sm">
+                            {exportStatus.type === 'success' && <CheckCircle size={16} className="text-green-400" />}
+                            {exportStatus.type === 'error' && <AlertCircle size={16} className="text-red-400" />}
+                            <span className="text-secondary">{exportStatus.message}</span>
+                        </div>
+                    )}
+                </div>
+
                 <div className="p-6 rounded-lg border bg-panel">
                     <h3 className="text-sm font-semibold text-primary mb-3">Clear Analysis Data</h3>
                     <p className="text-sm text-secondary mb-4">
@@ -561,6 +933,219 @@ export const Settings = () => {
                     )}
                 </div>
 
+                <div className="p-6 rounded-lg border bg-panel">
+                    <h3 className="text-sm font-semibold text-primary mb-3">Evaluation Cache</h3>
+                    <p className="text-sm text-secondary mb-4">
+                        Positions searched once (openings especially) are reused across games instead of being searched again. Results are kept per engine version and depth.
+                    </p>
+                    <div className="flex items-center gap-3 mb-4">
+                        <input
+                            type="checkbox"
+                            id="eval-cache-toggle"
+                            checked={evalCacheEnabled}
+                            onChange={(e) => handleEvalCacheEnabledChange(e.target.checked)}
+                            className="w-4 h-4"
+                        />
+                        <label htmlFor="eval-cache-toggle" className="text-sm font-medium text-primary cursor-pointer select-none">
+                            Reuse cached evaluations during analysis
+                        </label>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-3 mb-4">
+                        <label className="text-xs text-muted uppercase tracking-wider">Max positions</label>
+                        <select
+                            value={evalCacheLimit}
+                            onChange={(e) => handleEvalCacheLimitChange(parseInt(e.target.value, 10))}
+                            className="bg-subtle border rounded px-3 py-2 text-sm text-primary"
+                        >
+                            {EVAL_CACHE_LIMIT_OPTIONS.map((opt) => (
+                                <option key={opt} value={opt}>{opt.toLocaleString()}</option>
+                            ))}
+                        </select>
+                        <span className="text-xs text-muted">Least recently used positions are evicted first.</span>
+                    </div>
+                    <div className="text-xs text-muted mb-4">
+                        Stored: {(evalCacheSummary?.count ?? 0).toLocaleString()} / {evalCacheLimit.toLocaleString()} positions
+                        {evalCacheLookups > 0
+                            ? ` • This session: ${evalCacheSession.hits} hits of ${evalCacheLookups} lookups (${Math.round((evalCacheSession.hits / evalCacheLookups) * 100)}%)`
+                            : ''}
+                    </div>
+                    <div className="flex items-center gap-3">
+                        <button className="btn btn-secondary" onClick={() => setShowEvalCacheDetails((prev) => !prev)}>
+                            {showEvalCacheDetails ? 'Hide Details' : 'Inspect'}
+                        </button>
+                        <button className="btn btn-secondary" onClick={handleClearEvalCache} disabled={!evalCacheSummary?.count}>
+                            Clear Cache
+                        </button>
+                    </div>
+                    {showEvalCacheDetails && (
+                        <div className="mt-4 rounded-lg border border-white/5 bg-subtle/40 p-4 text-xs text-secondary space-y-2">
+                            <div>
+                                Last used: {evalCacheSummary?.newestUsedAt ? new Date(evalCacheSummary.newestUsedAt).toLocaleString() : '-'}
+                                {' • '}
+                                Oldest entry used: {evalCacheSummary?.oldestUsedAt ? new Date(evalCacheSummary.oldestUsedAt).toLocaleString() : '-'}
+                            </div>
+                            <div className="text-muted uppercase tracking-wider">Most reused positions</div>
+                            {evalCacheSummary?.topEntries?.length ? evalCacheSummary.topEntries.map((entry) => (
+                                <div key={entry.fenKey} className="flex items-center justify-between gap-3">
+                                    <span className="font-mono truncate">{entry.fenKey}</span>
+                                    <span className="shrink-0 text-muted">{entry.hits} hits • d{entry.depth} • {entry.bestMove}</span>
+                                </div>
+                            )) : (
+                                <div className="text-muted">No reused positions yet.</div>
+                            )}
+                        </div>
+                    )}
+                    {evalCacheStatus && (
+                        <div className="mt-4 flex items-center gap-2 text-sm">
+                            {evalCacheStatus.type === 'success' && <CheckCircle size={16} className="text-green-400" />}
+                            {evalCacheStatus.type === 'error' && <AlertCircle size={16} className="text-red-400" />}
+                            <span className="text-secondary">{evalCacheStatus.message}</span>
+                        </div>
+                    )}
+                </div>
+
+                <div className="p-6 rounded-lg border bg-panel">
+                    <h3 className="text-sm font-semibold text-primary mb-3">Accuracy Model</h3>
+                    <p className="text-sm text-secondary mb-4">
+                        How move and game accuracy are scored. Recomputing uses the stored analysis, so the engine does not run again.
+                    </p>
+                    <div className="flex flex-col gap-3 mb-4">
+                        {ACCURACY_MODELS.map((model) => (
+                            <label key={model.id} className="flex items-start gap-3 cursor-pointer select-none">
+                                <input
+                                    type="radio"
+                                    name="accuracy-model"
+                                    value={model.id}
+                                    checked={accuracyModel === model.id}
+                                    onChange={() => handleAccuracyModelChange(model.id)}
+                                    className="w-4 h-4 mt-1"
+                                />
+                                <span>
+                                    <span className="block text-sm font-medium text-primary">{model.label}</span>
+                                    <span className="block text-xs text-muted">{model.description}</span>
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+                    <button
+                        className="btn btn-secondary"
+                        onClick={handleRecomputeAccuracy}
+                        disabled={accuracyStatus?.type === 'loading'}
+                    >
+                        Recompute All Games
+                    </button>
+                    {accuracyStatus && (
+                        <div className="mt-4 flex items-center gap-2 text-sm">
+                            {accuracyStatus.type === 'success' && <CheckCircle size={16} className="text-green-400" />}
+                            {accuracyStatus.type === 'error' && <AlertCircle size={16} className="text-red-400" />}
+                            <span className="text-secondary">{accuracyStatus.message}</span>
+                        </div>
+                    )}
+                </div>
+
+                <div className="p-6 rounded-lg border bg-panel">
+                    <h3 className="text-sm font-semibold text-primary mb-3">Classification Thresholds</h3>
+                    <p className="text-sm text-secondary mb-4">
+                        Centipawn cut-offs for blunders, mistakes and inaccuracies, and how far a move must stand out to be great or brilliant. Rules are checked top to bottom against each player's rating and the time control; the first match wins. New analyses use these settings, and Reclassify Library applies them to analyzed games.
+                    </p>
+                    <div className="mb-4">
+                        <div className="text-xs text-muted uppercase tracking-wider mb-2">Default</div>
+                        {renderThresholdSetEditor(
+                            thresholdConfig.default,
+                            (set) => updateThresholdConfig({ ...thresholdConfig, default: set }),
+                            'default'
+                        )}
+                    </div>
+                    {thresholdConfig.rules.map((rule, idx) => (
+                        <div key={rule.id} className="mb-4 rounded-lg border border-white/5 bg-subtle/40 p-4">
+                            <div className="flex flex-wrap items-end gap-3 mb-3">
+                                <div className="text-xs text-muted uppercase tracking-wider">Rule {idx + 1}</div>
+                                <label className="flex flex-col gap-1 text-xs text-muted">
+                                    Rating from
+                                    <input
+                                        key={`${rule.id}-min-${rule.minRating}`}
+                                        type="number"
+                                        min={0}
+                                        placeholder="Any"
+                                        defaultValue={rule.minRating ?? ''}
+                                        onBlur={(e) => updateThresholdRule(rule.id, { minRating: e.target.value })}
+                                        className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-28"
+                                    />
+                                </label>
+                                <label className="flex flex-col gap-1 text-xs text-muted">
+                                    Below
+                                    <input
+                                        key={`${rule.id}-max-${rule.maxRating}`}
+                                        type="number"
+                                        min={0}
+                                        placeholder="Any"
+                                        defaultValue={rule.maxRating ?? ''}
+                                        onBlur={(e) => updateThresholdRule(rule.id, { maxRating: e.target.value })}
+                                        className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-28"
+                                    />
+                                </label>
+                                <label className="flex flex-col gap-1 text-xs text-muted">
+                                    Time control
+                                    <select
+                                        value={rule.perf}
+                                        onChange={(e) => updateThresholdRule(rule.id, { perf: e.target.value })}
+                                        className="bg-subtle border rounded px-3 py-2 text-sm text-primary"
+                                    >
+                                        {THRESHOLD_PERF_OPTIONS.map((perf) => (
+                                            <option key={perf} value={perf}>{perf === 'all' ? 'Any' : perf}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                                <button className="btn btn-secondary ml-auto" onClick={() => handleRemoveThresholdRule(rule.id)}>
+                                    Remove
+                                </button>
+                            </div>
+                            {renderThresholdSetEditor(rule, (set) => updateThresholdRule(rule.id, set), rule.id)}
+                        </div>
+                    ))}
+                    <button className="btn btn-secondary" onClick={handleAddThresholdRule}>
+                        Add Rule
+                    </button>
+                </div>
+
+                <div className="p-6 rounded-lg border bg-panel">
+                    <h3 className="text-sm font-semibold text-primary mb-3">Reclassify Library</h3>
+                    <p className="text-sm text-secondary mb-4">
+                        Re-runs move classification, hints, puzzles and accuracy for every analyzed game from the saved analysis. Use it after classification rules change; the engine is not needed.
+                    </p>
+                    <button className="btn btn-secondary" onClick={handleReclassify} disabled={reclassifyState.running}>
+                        {reclassifyState.running ? 'Reclassifying...' : 'Reclassify Library'}
+                    </button>
+                    {reclassifyState.message && (
+                        <div className="mt-4 text-sm text-secondary">{reclassifyState.message}</div>
+                    )}
+                    {reclassifyState.summary && (
+                        <div className="mt-4 text-sm space-y-2">
+                            <div className="flex items-center gap-2">
+                                <CheckCircle size={16} className="text-green-400" />
+                                <span className="text-secondary">
+                                    {reclassifyState.summary.changed} of {reclassifyState.summary.moves} move labels changed across {reclassifyState.summary.gamesChanged} of {reclassifyState.summary.games} games.
+                                </span>
+                            </div>
+                            {Object.entries(reclassifyState.summary.transitions)
+                                .sort((a, b) => b[1] - a[1])
+                                .slice(0, 8)
+                                .map(([key, count]) => (
+                                    <div key={key} className="flex items-center justify-between text-xs text-muted">
+                                        <span>{key}</span>
+                                        <span>{count}</span>
+                                    </div>
+                                ))}
+                        </div>
+                    )}
+                    {reclassifyState.error && (
+                        <div className="mt-4 flex items-center gap-2 text-sm">
+                            <AlertCircle size={16} className="text-red-400" />
+                            <span className="text-secondary">{reclassifyState.error}</span>
+                        </div>
+                    )}
+                </div>
+
                 <div className="p-6 rounded-lg border bg-panel">
                     <h3 className="text-sm font-semibold text-primary mb-3">Board Colors</h3>
                     <p className="text-sm text-secondary mb-4">
@@ -678,7 +1263,7 @@ export const Settings = () => {
                         Group engine settings by profile so you can switch between fast and deep analysis modes.
                     </p>
                     <div className="text-xs text-muted mb-4">
-                        Engine: {engineInfo?.name || 'Unknown'} • NNUE: {engineInfo?.caps?.nnue ? 'Yes' : 'No'} • MultiPV: {engineInfo?.caps?.multipv ? 'Yes' : 'No'}
+                        Engine: {engineInfo?.name || 'Unknown'} • NNUE: {engineInfo?.caps?.nnue ? 'Yes' : 'No'} • MultiPV: {engineInfo?.caps?.multipv ? 'Yes' : 'No'} • WDL: {engineInfo?.caps?.wdl ? 'Yes' : 'No'}
                     </div>
 
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -753,6 +1338,37 @@ export const Settings = () => {
                         </div>
                     </div>
 
+                    <div className="mt-4">
+                        <label className="text-xs text-muted uppercase tracking-wider">Remote Engine (WebSocket)</label>
+                        <div className="flex items-center gap-2 mt-2">
+                            <input
+                                value={remoteUrlDraft}
+                                onChange={(e) => setRemoteUrlDraft(e.target.value)}
+                                onKeyDown={(e) => { if (e.key === 'Enter') handleRemoteConnect(); }}
+                                className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-full"
+                                placeholder="ws://localhost:8080 (leave empty to use the browser engine)"
+                                spellCheck={false}
+                            />
+                            <button className="btn btn-secondary" onClick={handleRemoteConnect}>
+                                {remoteUrlDraft.trim() && remoteUrlDraft.trim() === remoteUrl ? 'Reconnect' : 'Save'}
+                            </button>
+                        </div>
+                        <div className="text-xs text-muted mt-2">
+                            {engineInfo?.backend === 'remote'
+                                ? `Using remote engine at ${engineInfo.remoteUrl}.`
+                                : remoteUrl && engineInfo?.backendError
+                                    ? `Remote engine unavailable, using the browser engine. ${engineInfo.backendError}`
+                                    : 'Point this profile at a bridge that relays plain UCI text to a native engine. Falls back to the browser engine when unreachable.'}
+                        </div>
+                        {remoteStatus && (
+                            <div className="mt-2 flex items-center gap-2 text-sm">
+                                {remoteStatus.type === 'success' && <CheckCircle size={16} className="text-green-400" />}
+                                {remoteStatus.type === 'error' && <AlertCircle size={16} className="text-red-400" />}
+                                <span className="text-secondary">{remoteStatus.message}</span>
+                            </div>
+                        )}
+                    </div>
+
                     <div className="flex items-center gap-3 mt-4">
                         <select
                             value={preset}
@@ -815,6 +1431,42 @@ export const Settings = () => {
                                     <p className="text-xs text-muted mt-1">More threads = faster analysis. Don't exceed your CPU core count.</p>
                                 </div>
 
+                                <div>
+                                    <div className="flex items-center justify-between mb-2">
+                                        <label className="text-sm font-medium text-primary">Parallel Games</label>
+                                        <span className="text-xs text-muted">{poolBudget.size} Worker{poolBudget.size !== 1 ? 's' : ''}</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        min="1"
+                                        max={maxWorkers}
+                                        step="1"
+                                        value={isMobile ? 1 : workers}
+                                        disabled={isMobile}
+                                        onChange={(e) => handleWorkersChange(parseInt(e.target.value, 10))}
+                                        className="w-full"
+                                    />
+                                    <p className="text-xs text-muted mt-1">
+                                        {isMobile
+                                            ? 'Mobile devices analyze one game at a time.'
+                                            : `Queued games are split across engine workers. Each worker gets ${poolBudget.hash} MB hash and ${poolBudget.threads} thread${poolBudget.threads !== 1 ? 's' : ''}.`}
+                                    </p>
+                                </div>
+
+                                <div>
+                                    <div className="flex items-center justify-between mb-2">
+                                        <label className="text-sm font-medium text-primary">Engine Throughput</label>
+                                        <span className="text-xs text-muted">
+                                            {throughput.activeWorkers > 0 ? formatNps(throughput.nps) : 'Idle'}
+                                        </span>
+                                    </div>
+                                    <p className="text-xs text-muted">
+                                        {throughput.activeWorkers > 0
+                                            ? `${throughput.activeWorkers} worker${throughput.activeWorkers !== 1 ? 's' : ''} searching • Depth ${throughput.depth}/${throughput.seldepth} • Hash ${Math.round(throughput.hashfull / 10)}% full`
+                                            : 'Live search speed shows here while games are being analyzed.'}
+                                    </p>
+                                </div>
+
                                 <div className="flex items-center gap-3">
                                     <input
                                         type="checkbox"
@@ -901,7 +1553,254 @@ export const Settings = () => {
                                 <div className="text-sm text-primary">{deepDepth === 0 ? 'Off' : `Depth ${deepDepth}`}</div>
                             </div>
                         </div>
+
+                        <div className="rounded-lg border border-white/5 bg-subtle/40 p-4">
+                            <h4 className="text-sm font-semibold text-primary mb-2">PGN Sidelines</h4>
+                            <p className="text-xs text-secondary mb-4">
+                                Also score the variations in annotated PGNs, so coaching games show which sidelines hold up.
+                                Uses the shallow depth and adds analysis time only for games that have variations.
+                            </p>
+                            <div className="flex items-center gap-3">
+                                <input
+                                    type="checkbox"
+                                    id="variations-toggle"
+                                    checked={analyzeVariations}
+                                    onChange={(e) => {
+                                        setAnalyzeVariations(e.target.checked);
+                                        setAnalyzeVariationsState(e.target.checked);
+                                    }}
+                                    className="w-4 h-4"
+                                />
+                                <label htmlFor="variations-toggle" className="text-sm font-medium text-primary cursor-pointer select-none">
+                                    Analyse sidelines
+                                </label>
+                            </div>
+                        </div>
+
+                        <div className="rounded-lg border border-white/5 bg-subtle/40 p-4">
+                            <h4 className="text-sm font-semibold text-primary mb-2">Two-Tier Queue</h4>
+                            <p className="text-xs text-secondary mb-4">
+                                Scan every queued game at depth {SCAN_DEPTH} first for a quick library-wide overview, then re-search
+                                up to {MAX_DEEP_PLIES} critical plies per game (big swings, errors, brilliant/great and puzzle candidates)
+                                at full depth in the background. Classifications and reel positions are updated in place.
+                            </p>
+                            <div className="flex items-center gap-3">
+                                <input
+                                    type="checkbox"
+                                    id="two-tier-toggle"
+                                    checked={twoTierAnalysis}
+                                    onChange={(e) => {
+                                        setTwoTierAnalysis(e.target.checked);
+                                        setTwoTierAnalysisState(e.target.checked);
+                                    }}
+                                    className="w-4 h-4"
+                                />
+                                <label htmlFor="two-tier-toggle" className="text-sm font-medium text-primary cursor-pointer select-none">
+                                    Fast scan, then deep pass
+                                </label>
+                            </div>
+                        </div>
+
+                        <div className="rounded-lg border border-white/5 bg-subtle/40 p-4">
+                            <h4 className="text-sm font-semibold text-primary mb-2">Imported Evaluations</h4>
+                            <p className="text-xs text-secondary mb-4">
+                                Games whose PGN already carries <code>[%eval]</code> comments (Lichess server analysis, engine-annotated files)
+                                are classified from those evals instantly. Plies without an imported eval are always searched locally.
+                            </p>
+                            <div className="flex items-center gap-3 mb-3">
+                                <input
+                                    type="checkbox"
+                                    id="imported-evals-toggle"
+                                    checked={useImportedEvals}
+                                    onChange={(e) => {
+                                        setUseImportedEvals(e.target.checked);
+                                        setUseImportedEvalsState(e.target.checked);
+                                    }}
+                                    className="w-4 h-4"
+                                />
+                                <label htmlFor="imported-evals-toggle" className="text-sm font-medium text-primary cursor-pointer select-none">
+                                    Reuse imported evals
+                                </label>
+                            </div>
+                            <div className="flex items-center gap-3">
+                                <input
+                                    type="checkbox"
+                                    id="imported-evals-top-up-toggle"
+                                    checked={importedEvalTopUp}
+                                    disabled={!useImportedEvals}
+                                    onChange={(e) => {
+                                        setImportedEvalTopUp(e.target.checked);
+                                        setImportedEvalTopUpState(e.target.checked);
+                                    }}
+                                    className="w-4 h-4"
+                                />
+                                <label htmlFor="imported-evals-top-up-toggle" className="text-sm font-medium text-primary cursor-pointer select-none">
+                                    Top up shallow evals and errors without a best move with the local engine
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <div className="p-6 rounded-lg border bg-panel">
+                    <h3 className="text-sm font-semibold text-primary mb-3">Advanced UCI Options</h3>
+                    <p className="text-sm text-secondary mb-4">
+                        Extra options reported by {engineInfo?.name || 'the engine'}, saved with {activeProfile?.name || 'the active profile'} and sent before each analysis. Hash, threads, lines and network files are set above.
+                    </p>
+                    {customUciOptions.length === 0 ? (
+                        <p className="text-xs text-muted">The engine has not reported any additional options yet.</p>
+                    ) : (
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            {customUciOptions.map((option) => {
+                                const modified = Object.prototype.hasOwnProperty.call(uciOptions, option.name);
+                                const value = modified ? uciOptions[option.name] : option.default;
+                                const inputId = `uci-option-${option.name.replace(/\s+/g, '-')}`;
+                                return (
+                                    <div key={option.name} className="rounded-lg border border-white/5 bg-subtle/40 p-3">
+                                        <div className="flex items-center justify-between mb-2 gap-2">
+                                            <label htmlFor={inputId} className="text-sm font-medium text-primary">
+                                                {option.name}
+                                                {modified && <span className="text-xs text-muted ml-2">(modified)</span>}
+                                            </label>
+                                            {modified && (
+                                                <button
+                                                    className="text-xs text-muted hover:text-primary"
+                                                    onClick={() => handleUciOptionChange(option, undefined)}
+                                                >
+                                                    Reset
+                                                </button>
+                                            )}
+                                        </div>
+                                        {option.type === 'check' && (
+                                            <input
+                                                type="checkbox"
+                                                id={inputId}
+                                                checked={value === true || value === 'true'}
+                                                onChange={(e) => handleUciOptionChange(option, e.target.checked)}
+                                                className="w-4 h-4"
+                                            />
+                                        )}
+                                        {option.type === 'spin' && (
+                                            <div className="flex items-center gap-2">
+                                                <UciSpinInput
+                                                    key={`${option.name}:${value ?? ''}`}
+                                                    id={inputId}
+                                                    option={option}
+                                                    value={value}
+                                                    onCommit={(next) => handleUciOptionChange(option, next)}
+                                                />
+                                                {option.min !== null && option.max !== null && (
+                                                    <span className="text-xs text-muted">{option.min} – {option.max}</span>
+                                                )}
+                                            </div>
+                                        )}
+                                        {option.type === 'combo' && (
+                                            <select
+                                                id={inputId}
+                                                value={value ?? ''}
+                                                onChange={(e) => handleUciOptionChange(option, e.target.value)}
+                                                className="bg-subtle border rounded px-3 py-2 text-sm text-primary"
+                                            >
+                                                {option.vars.map((v) => (
+                                                    <option key={v} value={v}>{v}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                        {option.type === 'string' && (
+                                            <input
+                                                id={inputId}
+                                                value={value ?? ''}
+                                                onChange={(e) => handleUciOptionChange(option, e.target.value)}
+                                                className="bg-subtle border rounded px-3 py-2 text-sm text-primary w-full"
+                                                placeholder="(empty)"
+                                                spellCheck={false}
+                                            />
+                                        )}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+                    {Object.keys(uciOptions).some((name) => !customUciOptions.find((opt) => opt.name === name)) && customUciOptions.length > 0 && (
+                        <p className="text-xs text-muted mt-3">
+                            Some saved options are not supported by this engine and will be skipped.
+                        </p>
+                    )}
+                </div>
+
+                <div className="p-6 rounded-lg border bg-panel">
+                    <h3 className="text-sm font-semibold text-primary mb-3">Benchmark &amp; Auto-Tune</h3>
+                    <p className="text-sm text-secondary mb-4">
+                        Runs a fixed set of positions to depth {BENCHMARK_DEPTH} on this device and suggests settings for {activeProfile?.name || 'the active profile'} that analyze a typical 40-move game within your time budget.
+                    </p>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <label className="text-xs text-muted uppercase tracking-wider">Time per game</label>
+                        <select
+                            value={benchBudget}
+                            onChange={(e) => setBenchBudget(parseInt(e.target.value, 10))}
+                            className="bg-subtle border rounded px-3 py-2 text-sm text-primary"
+                        >
+                            {BENCHMARK_BUDGET_OPTIONS.map((minutes) => (
+                                <option key={minutes} value={minutes}>{minutes} min</option>
+                            ))}
+                        </select>
+                        <button className="btn btn-secondary" onClick={handleRunBenchmark}>
+                            {benchState.running ? 'Cancel' : 'Run Benchmark'}
+                        </button>
+                        {benchState.running && (
+                            <span className="text-xs text-muted">
+                                {benchState.progress
+                                    ? `Position ${benchState.progress.done}/${benchState.progress.total} • ${benchState.progress.config.threads} thread${benchState.progress.config.threads !== 1 ? 's' : ''}`
+                                    : 'Starting engine...'}
+                            </span>
+                        )}
                     </div>
+                    {throughput.activeWorkers > 0 && (
+                        <p className="text-xs text-muted mt-2">Analysis is running in the background; results will read slower than usual.</p>
+                    )}
+
+                    {benchState.results && (
+                        <div className="mt-4 rounded-lg border border-white/5 bg-subtle/40 p-4 text-xs text-secondary space-y-2">
+                            {benchState.results.map((result) => {
+                                const depths = Object.keys(result.depthTimes).map(Number).sort((a, b) => a - b);
+                                const shown = depths.filter((d) => d >= 10 && d % 2 === 0);
+                                return (
+                                    <div key={`${result.threads}-${result.hash}`} className="flex flex-wrap items-center justify-between gap-2">
+                                        <span className="text-primary">
+                                            {result.threads} thread{result.threads !== 1 ? 's' : ''} • {result.hash} MB
+                                        </span>
+                                        <span className="text-muted">
+                                            {formatNps(result.nps)}
+                                            {shown.map((d) => ` • d${d} ${(result.depthTimes[d] / 1000).toFixed(2)}s`).join('')}
+                                        </span>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    {benchProposal && (
+                        <div className="mt-4 flex flex-wrap items-center gap-3">
+                            <div className="text-sm text-secondary">
+                                Suggested: depth <span className="text-primary font-medium">{benchProposal.depth}</span>
+                                {' • '}{benchProposal.threads} thread{benchProposal.threads !== 1 ? 's' : ''}
+                                {' • '}{benchProposal.hash} MB hash
+                                {' • '}{(benchProposal.timePerMove / 1000).toFixed(1)}s cap per move
+                                {' • '}~{benchProposal.estimatedGameMinutes} min per game
+                            </div>
+                            <button className="btn btn-secondary" onClick={handleApplyBenchmark}>
+                                Apply to Profile
+                            </button>
+                            <span className="text-xs text-muted">Keeps {multiPv} line{multiPv === 1 ? '' : 's'} and analyzes one game at a time.</span>
+                        </div>
+                    )}
+
+                    {benchState.error && (
+                        <div className="mt-4 flex items-center gap-2 text-sm">
+                            <AlertCircle size={16} className="text-red-400" />
+                            <span className="text-secondary">{benchState.error}</span>
+                        </div>
+                    )}
                 </div>
 
             </div>
@@ -0,0 +1,29 @@
+import React from 'react';
+
+const PROMOTION_PIECES = [
+    { id: 'q', label: 'Queen', glyph: { w: '♕', b: '♛' } },
+    { id: 'r', label: 'Rook', glyph: { w: '♖', b: '♜' } },
+    { id: 'b', label: 'Bishop', glyph: { w: '♗', b: '♝' } },
+    { id: 'n', label: 'Knight', glyph: { w: '♘', b: '♞' } }
+];
+
+// Overlay for the board container (which must be `position: relative`).
+export const PromotionPicker = ({ color = 'w', onSelect, onCancel }) => (
+    <div className="promotion-picker" role="dialog" aria-label="Choose promotion piece">
+        <div className="promotion-picker__choices">
+            {PROMOTION_PIECES.map((option) => (
+                <button
+                    key={option.id}
+                    type="button"
+                    className="promotion-picker__piece"
+                    title={option.label}
+                    aria-label={`Promote to ${option.label.toLowerCase()}`}
+                    onClick={() => onSelect(option.id)}
+                >
+                    {option.glyph[color === 'b' ? 'b' : 'w']}
+                </button>
+            ))}
+        </div>
+        <button type="button" className="btn btn-secondary text-xs" onClick={onCancel}>Cancel</button>
+    </div>
+);
@@ -1,105 +1,31 @@
 import { useEffect, useState } from 'react';
 import { useLiveQuery } from 'dexie-react-hooks';
 import { db } from '../services/db';
-import { processGame } from '../services/analyzer';
+import { analysisQueue } from '../services/analysisQueue';
 
-export const useAnalysisQueue = () => {
-    const [isProcessing, setIsProcessing] = useState(false);
-    // eslint-disable-next-line
-    const [currentGameId, setCurrentGameId] = useState(null);
-    const [tick, setTick] = useState(0);
+const countJobs = (status) => db.analysis_queue.where('status').equals(status).count();
 
-    useEffect(() => {
-        const id = setInterval(() => setTick((t) => (t + 1) % 1000000), 10000); // Check every 10s
+// Live view of the analysis queue; the queue itself runs in analysisQueue.js whether or not anything is mounted.
+export const useAnalysisQueue = () => {
+    const [state, setState] = useState(() => analysisQueue.getState());
 
-        // On mount, reset any games stuck in 'analyzing' state (e.g. from refresh/crash)
-        // so they can be picked up by the queue again.
-        db.games.filter(g => g.analysisStatus === 'analyzing').modify({
-            analysisStatus: 'pending',
-            analysisStartedAt: null,
-            analysisHeartbeatAt: null
-        }).catch(err => console.error("Failed to reset analyzing games:", err));
+    useEffect(() => analysisQueue.subscribe(() => setState(analysisQueue.getState())), []);
 
-        return () => clearInterval(id);
+    const counts = useLiveQuery(async () => {
+        const [queued, running, failed] = await Promise.all([
+            countJobs('queued'),
+            countJobs('running'),
+            countJobs('failed')
+        ]);
+        return { queued, running, failed };
     }, []);
 
-    // Monitor if there are ANY pending games to trigger the processor
-    // distinct from the specific game we are analyzing
-    const queueState = useLiveQuery(async () => {
-        const pendingCount = await db.games
-            .filter(g => g.analysisStatus === 'pending')
-            .count();
-
-        const now = Date.now();
-        const depth = parseInt(localStorage.getItem('engineDepth') || '15', 10) || 15;
-        const deepDepth = parseInt(localStorage.getItem('engineDeepDepth') || '0', 10) || 0;
-        const effectiveDepth = Math.max(depth, deepDepth);
-        const multiPv = parseInt(localStorage.getItem('engineMultiPv') || '1', 10) || 1;
-        const perMoveBudgetMs = Math.min(900000, Math.max(45000, 8000 + effectiveDepth * 5000 + multiPv * 9000));
-        const staleMs = Math.min(30 * 60 * 1000, Math.max(4 * 60 * 1000, perMoveBudgetMs * 3));
-
-        const analyzingList = await db.games
-            .filter(g => g.analysisStatus === 'analyzing')
-            .toArray();
-        const stale = analyzingList.filter(g => {
-            const last = g.analysisHeartbeatAt || g.analysisStartedAt;
-            if (!last) return false;
-            return (now - new Date(last).getTime()) > staleMs;
-        });
-
-        return { pendingCount, stale };
-    }, [tick]);
-
-    useEffect(() => {
-        if (isProcessing) return;
-        if (!queueState) return;
-        if ((queueState.pendingCount || 0) === 0 && (!queueState.stale || queueState.stale.length === 0)) return;
-
-        const processQueue = async () => {
-            setIsProcessing(true);
-
-            try {
-                if (queueState.stale && queueState.stale.length > 0) {
-                    const ids = queueState.stale.map(g => g.id);
-                    // Requeue stale games instead of failing them.
-                    // This handles cases where the engine died or browser slept.
-                    await db.games.where('id').anyOf(ids).modify({
-                        analysisStatus: 'pending',
-                        analysisStartedAt: null,
-                        analysisHeartbeatAt: null
-                    });
-                }
-                // Batch process until empty
-                while (true) {
-                    const nextGame = await db.games
-                        .filter(g => g.analysisStatus === 'pending')
-                        .reverse() // Dexie sort is ascending, so reverse needed for priority desc if we index it. 
-                        // However, compound index is tricky. Simple approach:
-                        // Just use sortBy('priority') and take the last (highest priority).
-                        // Or simply:
-                        .sortBy('priority');
-
-                    const target = nextGame[nextGame.length - 1]; // Highest priority
-
-                    if (!target) break;
-
-                    setCurrentGameId(target.id);
-                    // console.log(`[Queue] Processing game ${target.id} (Priority: ${target.priority || 0})...`);
-                    await processGame(target.id);
-
-                    // Small delay to allow UI updates and prevent CPU hogging
-                    await new Promise(r => setTimeout(r, 50));
-                }
-            } catch (e) {
-                console.error("Queue processing error", e);
-            } finally {
-                setIsProcessing(false);
-                setCurrentGameId(null);
-            }
-        };
-
-        processQueue();
-    }, [queueState, isProcessing]);
-
-    return { isProcessing, currentGameId };
+    return {
+        isProcessing: state.processing,
+        activeGameIds: state.activeGameIds,
+        paused: state.paused,
+        queuedCount: counts?.queued || 0,
+        runningCount: counts?.running || 0,
+        failedCount: counts?.failed || 0
+    };
 };
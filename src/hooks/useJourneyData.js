@@ -3,6 +3,9 @@ import { useLiveQuery } from 'dexie-react-hooks';
 import { db } from '../services/db';
 import { useHeroProfiles } from './useHeroProfiles';
 import { getHeroDisplayName, getHeroSideFromGame, isHeroGameForProfiles } from '../services/heroProfiles';
+import { getPgnClockTimeline } from '../services/clocks';
+import { aggregateStructureStats } from '../services/pawnStructure';
+import { aggregateEndgameStats } from '../services/endgames';
 
 const toDate = (value) => {
     if (!value) return null;
@@ -96,6 +99,9 @@ const normalizeGame = (g, heroProfiles, extras = {}) => {
 
     const analyzed = g.analysisStatus === 'completed' || !!g.analyzed;
     const accuracy = analyzed && g.accuracy ? (heroColor === 'white' ? g.accuracy.white : g.accuracy.black) : null;
+    // Games analyzed before clocks were stored per ply still have them in the PGN.
+    const hasStoredClocks = analysisLog.some((entry) => typeof entry?.timeSpent === 'number' || typeof entry?.clock === 'number');
+    const clockTimeline = analyzed && !hasStoredClocks && pgn ? getPgnClockTimeline(pgn, g.timeControl) : [];
     return {
         id: g.id,
         raw: g,
@@ -115,7 +121,8 @@ const normalizeGame = (g, heroProfiles, extras = {}) => {
         openingFamily,
         analyzed,
         accuracy,
-        analysisLog
+        analysisLog,
+        clockTimeline
     };
 };
 
@@ -435,6 +442,96 @@ export const useJourneyData = (initialFilters = null) => {
             .slice(0, 5);
     }, [analyzedGames]);
 
+    // Hero moves bucketed by clock left and by time spent, with the error rate in each bucket.
+    const timeManagement = useMemo(() => {
+        const makeBuckets = (defs) => defs.map((def) => ({ ...def, moves: 0, blunders: 0, mistakes: 0, inaccuracies: 0 }));
+        const byClock = makeBuckets([
+            { label: '<10s', max: 10 },
+            { label: '10-30s', max: 30 },
+            { label: '30-60s', max: 60 },
+            { label: '1-3m', max: 180 },
+            { label: '3m+', max: Infinity }
+        ]);
+        const bySpent = makeBuckets([
+            { label: '<2s', max: 2 },
+            { label: '2-5s', max: 5 },
+            { label: '5-15s', max: 15 },
+            { label: '15-60s', max: 60 },
+            { label: '60s+', max: Infinity }
+        ]);
+        const count = (buckets, value, classification) => {
+            const bucket = buckets.find((b) => value < b.max);
+            if (!bucket) return;
+            bucket.moves += 1;
+            if (classification === 'blunder') bucket.blunders += 1;
+            if (classification === 'mistake') bucket.mistakes += 1;
+            if (classification === 'inaccuracy') bucket.inaccuracies += 1;
+        };
+
+        let gamesWithClocks = 0;
+        let spentTotal = 0;
+        let spentMoves = 0;
+        analyzedGames.forEach((g) => {
+            const heroSide = g.heroColor === 'white' ? 'w' : 'b';
+            const log = Array.isArray(g.analysisLog) ? g.analysisLog : [];
+            let hasClock = false;
+            log.forEach((entry, idx) => {
+                if (entry?.turn !== heroSide) return;
+                const fallback = g.clockTimeline?.[idx] || {};
+                const clock = typeof entry.clock === 'number' ? entry.clock : fallback.remaining;
+                const spent = typeof entry.timeSpent === 'number' ? entry.timeSpent : fallback.spent;
+                if (typeof clock === 'number') {
+                    hasClock = true;
+                    count(byClock, clock, entry.classification);
+                }
+                if (typeof spent === 'number') {
+                    hasClock = true;
+                    count(bySpent, spent, entry.classification);
+                    spentTotal += spent;
+                    spentMoves += 1;
+                }
+            });
+            if (hasClock) gamesWithClocks += 1;
+        });
+
+        const withRates = (buckets) => buckets.map((bucket) => ({
+            label: bucket.label,
+            moves: bucket.moves,
+            blunders: bucket.blunders,
+            mistakes: bucket.mistakes,
+            inaccuracies: bucket.inaccuracies,
+            blunderRate: bucket.moves ? Math.round((bucket.blunders / bucket.moves) * 1000) / 10 : 0,
+            errorRate: bucket.moves
+                ? Math.round(((bucket.blunders + bucket.mistakes + bucket.inaccuracies) / bucket.moves) * 1000) / 10
+                : 0
+        }));
+
+        return {
+            gamesWithClocks,
+            avgTimePerMove: spentMoves ? Math.round((spentTotal / spentMoves) * 10) / 10 : null,
+            byClock: withRates(byClock),
+            bySpent: withRates(bySpent)
+        };
+    }, [analyzedGames]);
+
+    // Hero results and move quality per pawn structure seen in the game.
+    const pawnStructures = useMemo(() => aggregateStructureStats(analyzedGames.map((g) => ({
+        heroTurn: g.heroColor === 'white' ? 'w' : 'b',
+        result: g.result,
+        accuracy: g.accuracy,
+        analysisLog: g.analysisLog
+    }))), [analyzedGames]);
+
+    // Endgame type, result and advantage conversion for every hero game that reached an endgame.
+    const endgames = useMemo(() => aggregateEndgameStats(analyzedGames.map((g) => ({
+        id: g.id,
+        heroTurn: g.heroColor === 'white' ? 'w' : 'b',
+        result: g.result,
+        analysisLog: g.analysisLog,
+        opponent: g.opponent,
+        date: g.date
+    }))), [analyzedGames]);
+
     const favoriteOpponents = useMemo(() => {
         const map = new Map();
         filteredGames.forEach((g) => {
@@ -534,6 +631,9 @@ export const useJourneyData = (initialFilters = null) => {
         topAccurateGames,
         mostBrilliantGames,
         winsVsTitled,
-        favoriteOpponents
+        favoriteOpponents,
+        timeManagement,
+        pawnStructures,
+        endgames
     };
 };
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { liveEngine } from '../services/engine';
+import { applyEngineProfile, loadActiveEngineProfile } from '../services/analyzer';
+import { getDefaultEngineVersion } from '../services/engineDefaults';
+
+const isDocumentHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+// The worker and profile the live engine last got its options for. Resending them on every
+// position would make Stockfish clear its hash table, so they only go out when either changes.
+let configured = { worker: null, profileKey: '' };
+// Searches within the same game skip `ucinewgame` so the hash carries over between positions.
+let lastGameKey = null;
+
+const configureLiveEngine = async (profile) => {
+    const profileKey = JSON.stringify(profile || null);
+    if (configured.worker === liveEngine.worker && configured.profileKey === profileKey) return;
+    const { applied } = await applyEngineProfile(liveEngine, profile);
+    if (applied) configured = { worker: liveEngine.worker, profileKey };
+};
+
+// Runs `go infinite` on `fen` while enabled. The search is stopped whenever the position changes,
+// live mode is switched off, or the tab goes to the background. `gameKey` names the game the
+// positions belong to; `chess960` expects Shredder-FEN castling rights in `fen`.
+export const useLiveAnalysis = ({ fen, enabled, multiPv = 3, chess960 = false, gameKey = null }) => {
+    const [hidden, setHidden] = useState(isDocumentHidden);
+    const [state, setState] = useState({ fen: null, lines: [], error: null });
+
+    useEffect(() => {
+        if (typeof document === 'undefined') return undefined;
+        const handler = () => setHidden(isDocumentHidden());
+        document.addEventListener('visibilitychange', handler);
+        return () => document.removeEventListener('visibilitychange', handler);
+    }, []);
+
+    const running = !!enabled && !!fen && !hidden;
+
+    useEffect(() => {
+        if (!running) return undefined;
+        const controller = new AbortController();
+        const linesByMultiPv = new Map();
+
+        const onUpdate = (evaluation) => {
+            if (controller.signal.aborted || !evaluation?.pv) return;
+            linesByMultiPv.set(evaluation.multipv || 1, evaluation);
+            const lines = Array.from(linesByMultiPv.values())
+                .sort((a, b) => (a.multipv || 1) - (b.multipv || 1));
+            setState({ fen, lines, error: null });
+        };
+
+        const run = async () => {
+            try {
+                const profile = loadActiveEngineProfile();
+                await liveEngine.init(profile?.version || getDefaultEngineVersion(), { remoteUrl: profile?.remoteUrl || '' });
+                if (controller.signal.aborted) return;
+                await configureLiveEngine(profile);
+                if (controller.signal.aborted) return;
+                const newGame = gameKey === null || gameKey !== lastGameKey;
+                lastGameKey = gameKey;
+                await liveEngine.analyze(fen, { infinite: true, multiPv, chess960, newGame, signal: controller.signal }, onUpdate);
+            } catch (err) {
+                if (controller.signal.aborted) return;
+                console.error('[LiveAnalysis] Engine error:', err);
+                setState({ fen, lines: [], error: err?.message || 'Engine error' });
+            }
+        };
+
+        run();
+        return () => controller.abort();
+    }, [running, fen, multiPv, chess960, gameKey]);
+
+    const current = state.fen === fen ? state : { fen, lines: [], error: null };
+    const depth = current.lines.reduce((max, line) => Math.max(max, line?.depth || 0), 0);
+
+    return {
+        running,
+        paused: !!enabled && hidden,
+        lines: current.lines,
+        depth,
+        error: current.error
+    };
+};
@@ -3,9 +3,13 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import { applyTheme, getStoredTheme } from './services/theme'
+import { analysisQueue } from './services/analysisQueue'
 
 applyTheme(getStoredTheme());
 
+// The analysis queue runs for the whole session, independent of which page is mounted.
+analysisQueue.start();
+
 // Register Service Worker with fallback mechanisms
 function registerServiceWorker() {
   // Check if service workers are supported
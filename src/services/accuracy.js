@@ -0,0 +1,183 @@
+import { db, getGameAnalysis } from './db';
+
+const ACCURACY_MODEL_KEY = 'accuracyModel';
+const ACCURACY_MODEL_EVENT = 'accuracy-model-changed';
+
+export const ACCURACY_MODELS = [
+    {
+        id: 'classic',
+        label: 'Classic (centipawn loss)',
+        description: '100 × e^(−0.002 × cp loss) per move, minus a penalty for mistakes and blunders, averaged over the game.'
+    },
+    {
+        id: 'winProbability',
+        label: 'Win probability',
+        description: 'Scores each move by how much it lowers your expected score, so moves in already decided positions barely count. Game accuracy blends a volatility-weighted mean with a harmonic mean.'
+    }
+];
+
+export const DEFAULT_ACCURACY_MODEL = 'classic';
+
+// A move scoring at least this much extends the accuracy streak.
+const ACCURACY_STREAK = 90;
+
+const MATE_SCORE = 100000;
+
+const CLASSIFICATION_PENALTIES = {
+    book: 0,
+    blunder: 25,
+    mistake: 15,
+    inaccuracy: 8,
+    good: 2,
+    best: 0,
+    great: 0,
+    brilliant: 0
+};
+
+export const getAccuracyModel = () => {
+    if (typeof window === 'undefined') return DEFAULT_ACCURACY_MODEL;
+    const raw = localStorage.getItem(ACCURACY_MODEL_KEY);
+    return ACCURACY_MODELS.some((m) => m.id === raw) ? raw : DEFAULT_ACCURACY_MODEL;
+};
+
+export const setAccuracyModel = (model) => {
+    if (typeof window === 'undefined') return;
+    const next = ACCURACY_MODELS.some((m) => m.id === model) ? model : DEFAULT_ACCURACY_MODEL;
+    localStorage.setItem(ACCURACY_MODEL_KEY, next);
+    window.dispatchEvent(new CustomEvent(ACCURACY_MODEL_EVENT, { detail: next }));
+};
+
+export const subscribeAccuracyModel = (handler) => {
+    if (typeof window === 'undefined') return () => {};
+    window.addEventListener(ACCURACY_MODEL_EVENT, handler);
+    return () => window.removeEventListener(ACCURACY_MODEL_EVENT, handler);
+};
+
+// Classic: 100 * exp(-0.002 * cpLoss), loss capped at 1000.
+export const calculateAccuracy = (cpLoss) => {
+    const cappedLoss = Math.min(Math.abs(cpLoss), 1000);
+    return Math.round(100 * Math.exp(-0.002 * cappedLoss));
+};
+
+export const applyClassificationPenalty = (accuracy, classification) => {
+    const penalty = CLASSIFICATION_PENALTIES[classification] || 0;
+    return Math.max(0, accuracy - penalty);
+};
+
+// Expected score (0-100) for the side with `cp` centipawns, on the same logistic curve Lichess uses.
+export const winProbability = (cp) => {
+    const clamped = Math.max(-1000, Math.min(1000, cp));
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * clamped)) - 1);
+};
+
+// Per-move accuracy from the drop in win probability (0 drop = 100).
+export const winProbabilityAccuracy = (winBefore, winAfter) => {
+    const drop = Math.max(0, winBefore - winAfter);
+    return Math.max(0, Math.min(100, 103.1668 * Math.exp(-0.04354 * drop) - 3.1669));
+};
+
+// Mover's eval before the move, in centipawns. Log entries are white POV with mate kept separately.
+const moverCpBefore = (entry) => {
+    let cp = typeof entry.score === 'number' ? entry.score : 0;
+    if (typeof entry.mate === 'number' && entry.mate !== 0) {
+        cp = Math.sign(entry.mate) * (MATE_SCORE - Math.min(99, Math.abs(entry.mate)) * 100);
+    }
+    return entry.turn === 'b' ? -cp : cp;
+};
+
+const scoreMoves = (analysisLog, model) => analysisLog.map((entry) => {
+    const evalDiff = typeof entry?.evalDiff === 'number' ? entry.evalDiff : 0;
+    if (model === 'winProbability') {
+        const before = moverCpBefore(entry);
+        const winBefore = winProbability(before);
+        const winAfter = winProbability(before - evalDiff);
+        return { turn: entry.turn, accuracy: winProbabilityAccuracy(winBefore, winAfter), winBefore };
+    }
+    return { turn: entry.turn, accuracy: applyClassificationPenalty(calculateAccuracy(evalDiff), entry.classification) };
+});
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+const stdDev = (values) => {
+    if (values.length < 2) return 0;
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map((v) => (v - avg) ** 2)));
+};
+
+// Volatile stretches of the game weigh more; the harmonic mean punishes single bad moves.
+const aggregateWinProbability = (moves, winSeries) => {
+    if (!moves.length) return 0;
+    const windowSize = Math.max(2, Math.min(8, Math.round(winSeries.length / 10)));
+    let weightedSum = 0;
+    let weightTotal = 0;
+    let harmonicDenominator = 0;
+    moves.forEach(({ accuracy, index }) => {
+        const start = Math.max(0, index - windowSize + 1);
+        const weight = Math.max(0.5, Math.min(12, stdDev(winSeries.slice(start, index + 2))));
+        weightedSum += accuracy * weight;
+        weightTotal += weight;
+        harmonicDenominator += 1 / Math.max(accuracy, 1);
+    });
+    const weighted = weightTotal ? weightedSum / weightTotal : 0;
+    const harmonic = moves.length / harmonicDenominator;
+    return (weighted + harmonic) / 2;
+};
+
+// Game-level stats derived from a stored analysis log; no engine needed.
+export const computeGameStats = (analysisLog, model = getAccuracyModel()) => {
+    const log = Array.isArray(analysisLog) ? analysisLog.filter(Boolean) : [];
+    const scored = scoreMoves(log, model).map((move, index) => ({ ...move, index }));
+
+    let currentStreak = 0;
+    let maxStreak = 0;
+    let totalCpLoss = 0;
+    let maxEvalSwing = 0;
+    let prevScoreWhite = 0;
+    log.forEach((entry, idx) => {
+        totalCpLoss += typeof entry.evalDiff === 'number' ? entry.evalDiff : 0;
+        if (scored[idx].accuracy >= ACCURACY_STREAK) {
+            currentStreak += 1;
+            maxStreak = Math.max(maxStreak, currentStreak);
+        } else {
+            currentStreak = 0;
+        }
+        const score = typeof entry.score === 'number' ? entry.score : 0;
+        maxEvalSwing = Math.max(maxEvalSwing, Math.abs(score - prevScoreWhite));
+        prevScoreWhite = score;
+    });
+
+    const sideAccuracy = (turn) => {
+        const moves = scored.filter((m) => m.turn === turn);
+        if (!moves.length) return 0;
+        if (model === 'winProbability') {
+            // White-POV expected score through the game drives the volatility weights.
+            const winSeries = scored.map((m) => (m.turn === 'w' ? m.winBefore : 100 - m.winBefore));
+            return Math.round(aggregateWinProbability(moves, winSeries));
+        }
+        return Math.round(mean(moves.map((m) => m.accuracy)));
+    };
+
+    return {
+        accuracy: { white: sideAccuracy('w'), black: sideAccuracy('b') },
+        avgCpLoss: log.length ? Math.round(totalCpLoss / log.length) : 0,
+        maxAccuracyStreak: maxStreak,
+        maxEvalSwing,
+        accuracyModel: model
+    };
+};
+
+// Re-scores every analyzed game from its stored gameAnalysis row with the current model.
+export const recomputeAllAccuracy = async ({ model = getAccuracyModel(), onProgress } = {}) => {
+    const ids = await db.games.filter((g) => g.analyzed || g.analysisStatus === 'completed').primaryKeys();
+    let updated = 0;
+    for (let i = 0; i < ids.length; i++) {
+        const analysis = await getGameAnalysis(ids[i]);
+        const log = Array.isArray(analysis?.analysisLog) ? analysis.analysisLog : [];
+        if (log.length) {
+            await db.games.update(ids[i], computeGameStats(log, model));
+            updated += 1;
+        }
+        if (onProgress) onProgress({ done: i + 1, total: ids.length, updated });
+    }
+    return { total: ids.length, updated };
+};
@@ -0,0 +1,54 @@
+const ANALYSIS_PAUSED_KEY = 'analysisPaused';
+const ANALYSIS_PAUSE_EVENT = 'analysis-pause-changed';
+
+export const ANALYSIS_PAUSED_MESSAGE = 'Analysis paused';
+
+export const isAnalysisPaused = () => {
+    if (typeof window === 'undefined') return false;
+    try {
+        return localStorage.getItem(ANALYSIS_PAUSED_KEY) === 'true';
+    } catch {
+        return false;
+    }
+};
+
+export const setAnalysisPaused = (paused) => {
+    if (typeof window === 'undefined') return;
+    try {
+        localStorage.setItem(ANALYSIS_PAUSED_KEY, paused ? 'true' : 'false');
+    } catch {
+        // ignore
+    }
+    window.dispatchEvent(new CustomEvent(ANALYSIS_PAUSE_EVENT, { detail: !!paused }));
+};
+
+export const pauseAnalysis = () => setAnalysisPaused(true);
+
+export const resumeAnalysis = () => setAnalysisPaused(false);
+
+export const subscribeAnalysisPause = (handler) => {
+    if (typeof window === 'undefined') return () => {};
+    window.addEventListener(ANALYSIS_PAUSE_EVENT, handler);
+    return () => window.removeEventListener(ANALYSIS_PAUSE_EVENT, handler);
+};
+
+// AbortSignal that fires as soon as the queue is paused, or when `linked` aborts (e.g. a cancelled
+// queue job). Call `release` once the work is done.
+export const createPauseSignal = (linked = null) => {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (isAnalysisPaused() || linked?.aborted) controller.abort();
+    linked?.addEventListener('abort', abort);
+    const unsubscribe = subscribeAnalysisPause((e) => {
+        if (e?.detail) controller.abort();
+    });
+    return {
+        signal: controller.signal,
+        release: () => {
+            unsubscribe();
+            linked?.removeEventListener('abort', abort);
+        }
+    };
+};
+
+export const isPausedError = (err) => String(err?.message || err || '') === ANALYSIS_PAUSED_MESSAGE;
@@ -0,0 +1,400 @@
+import Dexie from 'dexie';
+import { db } from './db';
+import { loadActiveEngineProfile, processGame } from './analyzer';
+import { enginePool } from './engine';
+import { getEnginePoolBudget } from './engineDefaults';
+import { isAnalysisPaused, pauseAnalysis, resumeAnalysis, subscribeAnalysisPause } from './analysisControl';
+import { getTwoTierAnalysis } from './analysisTiers';
+
+const QUEUE_EVENT = 'analysis-queue-changed';
+const MS_PER_PLY_KEY_PREFIX = 'analysisMsPerPly:';
+
+// Running jobs write a heartbeat this often; one silent for STALE_JOB_MS lost its tab (refresh, crash).
+const HEARTBEAT_MS = 15000;
+const STALE_JOB_MS = 60000;
+
+// Deep passes sit below every regular job, so they only start once each queued game had its scan.
+export const DEEP_PASS_PRIORITY = -1;
+
+const nowIso = () => new Date().toISOString();
+
+const toIdList = (gameIds) => (Array.isArray(gameIds) ? gameIds : [gameIds]).filter((id) => id != null);
+
+const errorMessage = (err) => String(err?.message || err || 'Analysis failed');
+
+// Moving average of engine time per searched ply on this device for one tier ('scan' | 'full' | 'deep'),
+// or null before the first measured run of that tier. Tiers search at very different depths.
+export const getMeasuredMsPerPly = (tier) => {
+    if (typeof window === 'undefined') return null;
+    try {
+        const value = parseFloat(localStorage.getItem(`${MS_PER_PLY_KEY_PREFIX}${tier}`) || '');
+        return Number.isFinite(value) && value > 0 ? value : null;
+    } catch {
+        return null;
+    }
+};
+
+// Runs under a handful of plies are mostly setup time and would skew the average.
+const MIN_MEASURED_PLIES = 4;
+
+const recordThroughput = (tier, plies, ms) => {
+    if (typeof window === 'undefined' || plies < MIN_MEASURED_PLIES || !(ms > 0)) return;
+    const sample = ms / plies;
+    const previous = getMeasuredMsPerPly(tier);
+    try {
+        localStorage.setItem(`${MS_PER_PLY_KEY_PREFIX}${tier}`, String(Math.round(previous ? previous * 0.7 + sample * 0.3 : sample)));
+    } catch {
+        // ignore
+    }
+};
+
+/**
+ * Persistent analysis job queue over the `analysis_queue` table. A job is
+ * `{ id, gameId, tier, priority, status, attempts, lastError, profileId, createdAt, updatedAt, startedAt, heartbeatAt, finishedAt }`
+ * with `status` 'queued' | 'running' | 'failed' and `tier` 'full' | 'scan' | 'deep' (null until started:
+ * the two-tier setting decides then). Highest priority runs first; finished jobs are removed, failed
+ * ones stay until re-queued or cancelled. `games.analysisStatus` mirrors the job for the library views.
+ */
+class AnalysisQueue {
+    constructor() {
+        this.started = false;
+        this.processing = false;
+        this.rerun = false;
+        // jobId -> { job, controller } for jobs running in this tab.
+        this.active = new Map();
+    }
+
+    emit(type, detail = {}) {
+        if (typeof window === 'undefined') return;
+        window.dispatchEvent(new CustomEvent(QUEUE_EVENT, { detail: { type, ...detail } }));
+    }
+
+    // `handler` receives a CustomEvent whose `detail.type` is enqueued, started, requeued, completed,
+    // failed, cancelled, reprioritized, paused, resumed or state.
+    subscribe(handler) {
+        if (typeof window === 'undefined') return () => {};
+        window.addEventListener(QUEUE_EVENT, handler);
+        return () => window.removeEventListener(QUEUE_EVENT, handler);
+    }
+
+    getState() {
+        const jobs = Array.from(this.active.values()).map(({ job }) => job);
+        return {
+            processing: this.processing,
+            paused: isAnalysisPaused(),
+            activeJobs: jobs,
+            activeGameIds: jobs.map((job) => job.gameId)
+        };
+    }
+
+    // Called once at app start; the queue then runs on its own, independent of mounted components.
+    start() {
+        if (this.started || typeof window === 'undefined') return;
+        this.started = true;
+        subscribeAnalysisPause((e) => {
+            this.emit(e?.detail ? 'paused' : 'resumed');
+            if (!e?.detail) this.schedule();
+        });
+        // Jobs orphaned by another tab are picked up even while this one has nothing else to do.
+        setInterval(() => {
+            this.requeueStale()
+                .then((count) => {
+                    if (count) this.schedule();
+                })
+                .catch((err) => console.error('Failed to requeue stale jobs', err));
+        }, HEARTBEAT_MS);
+        this.schedule();
+    }
+
+    /**
+     * Queues games for analysis, earlier ids first. Jobs already waiting for these games are replaced;
+     * games whose job is running keep it. `profileId` picks a one-off engine profile for the run.
+     * Returns the new job ids.
+     */
+    async enqueue(gameIds, { priority = Date.now(), tier = null, profileId } = {}) {
+        const ids = toIdList(gameIds);
+        if (!ids.length) return [];
+        const now = nowIso();
+        const jobIds = await db.transaction('rw', db.analysis_queue, db.games, async () => {
+            const existing = await db.analysis_queue.where('gameId').anyOf(ids).toArray();
+            const running = new Set(existing.filter((job) => job.status === 'running').map((job) => job.gameId));
+            const replaced = existing.filter((job) => job.status !== 'running').map((job) => job.id);
+            if (replaced.length) await db.analysis_queue.bulkDelete(replaced);
+
+            const queuedIds = ids.filter((id) => !running.has(id));
+            if (!queuedIds.length) return [];
+            const jobs = queuedIds.map((gameId, i) => ({
+                gameId,
+                tier,
+                priority: priority + (queuedIds.length - 1 - i),
+                status: 'queued',
+                attempts: 0,
+                lastError: null,
+                profileId: profileId ?? null,
+                createdAt: now,
+                updatedAt: now,
+                startedAt: null,
+                heartbeatAt: null,
+                finishedAt: null
+            }));
+            const keys = await db.analysis_queue.bulkAdd(jobs, { allKeys: true });
+            if (tier === 'deep') {
+                await db.games.where('id').anyOf(queuedIds).modify({ deepPassStatus: 'pending' });
+            } else {
+                await db.games.where('id').anyOf(queuedIds).modify((game) => {
+                    game.analyzed = false;
+                    game.analysisStatus = 'pending';
+                    game.analysisStartedAt = null;
+                    game.analysisHeartbeatAt = null;
+                    game.analysisProgress = 0;
+                    if (profileId !== undefined) game.analysisProfileId = profileId;
+                });
+            }
+            return keys;
+        });
+        this.emit('enqueued', { gameIds: ids, jobIds });
+        this.schedule();
+        return jobIds;
+    }
+
+    // Claims the highest-priority queued job for this tab, or null when paused or empty.
+    async dequeue() {
+        if (isAnalysisPaused()) return null;
+        const job = await db.transaction('rw', db.analysis_queue, async () => {
+            const next = await db.analysis_queue
+                .where('[status+priority]')
+                .between(['queued', Dexie.minKey], ['queued', Dexie.maxKey])
+                .last();
+            if (!next) return null;
+            const now = nowIso();
+            const claimed = {
+                ...next,
+                tier: next.tier || (getTwoTierAnalysis() ? 'scan' : 'full'),
+                status: 'running',
+                attempts: (next.attempts || 0) + 1,
+                startedAt: now,
+                heartbeatAt: now,
+                updatedAt: now
+            };
+            await db.analysis_queue.put(claimed);
+            return claimed;
+        });
+        return job;
+    }
+
+    pause() {
+        pauseAnalysis();
+    }
+
+    resume() {
+        resumeAnalysis();
+    }
+
+    // Re-queues failed jobs for these games in their own tier; games that failed outside the queue get a fresh run.
+    async retry(gameIds) {
+        const ids = toIdList(gameIds);
+        if (!ids.length) return;
+        const jobs = await db.analysis_queue.where('gameId').anyOf(ids).toArray();
+        const deepIds = new Set(jobs.filter((job) => job.status === 'failed' && job.tier === 'deep').map((job) => job.gameId));
+        const running = new Set(jobs.filter((job) => job.status === 'running').map((job) => job.gameId));
+        const regular = ids.filter((id) => !deepIds.has(id) && !running.has(id));
+        if (regular.length) await this.enqueue(regular);
+        if (deepIds.size) await this.enqueue([...deepIds], { tier: 'deep', priority: DEEP_PASS_PRIORITY });
+    }
+
+    // Moves waiting jobs for these games to `priority`, earlier ids first and `step` apart.
+    async reprioritize(gameIds, priority = Date.now(), { step = 1 } = {}) {
+        const ids = toIdList(gameIds);
+        if (!ids.length) return;
+        await db.transaction('rw', db.analysis_queue, async () => {
+            const jobs = await db.analysis_queue.where('gameId').anyOf(ids).toArray();
+            const byGame = new Map(jobs.filter((job) => job.status === 'queued').map((job) => [job.gameId, job]));
+            const now = nowIso();
+            await Promise.all(ids.map((gameId, i) => {
+                const job = byGame.get(gameId);
+                return job ? db.analysis_queue.update(job.id, { priority: priority + (ids.length - 1 - i) * step, updatedAt: now }) : null;
+            }));
+        });
+        this.emit('reprioritized', { gameIds: ids });
+    }
+
+    /**
+     * Drops the jobs of these games (every job when `gameIds` is null). Running ones are stopped;
+     * their games return to idle with any partial log kept for a later run.
+     */
+    async cancel(gameIds = null) {
+        const ids = gameIds === null ? null : toIdList(gameIds);
+        const jobs = ids === null
+            ? await db.analysis_queue.toArray()
+            : await db.analysis_queue.where('gameId').anyOf(ids).toArray();
+        if (!jobs.length) return;
+        await db.analysis_queue.bulkDelete(jobs.map((job) => job.id));
+        jobs.forEach((job) => this.active.get(job.id)?.controller.abort());
+        await this.resetGames(jobs);
+        this.emit('cancelled', { gameIds: jobs.map((job) => job.gameId) });
+    }
+
+    // Cancelled jobs leave no waiting or half-run state behind on their games.
+    async resetGames(jobs) {
+        const deepIds = jobs.filter((job) => job.tier === 'deep').map((job) => job.gameId);
+        const gameIds = jobs.filter((job) => job.tier !== 'deep').map((job) => job.gameId);
+        if (gameIds.length) {
+            await db.games.where('id').anyOf(gameIds)
+                .filter((g) => g.analysisStatus === 'pending' || g.analysisStatus === 'analyzing')
+                .modify({ analysisStatus: 'idle', analysisStartedAt: null, analysisHeartbeatAt: null });
+        }
+        if (deepIds.length) {
+            await db.games.where('id').anyOf(deepIds)
+                .filter((g) => g.deepPassStatus === 'pending' || g.deepPassStatus === 'analyzing')
+                .modify({ deepPassStatus: null, analysisHeartbeatAt: null });
+        }
+    }
+
+    // Running jobs from a closed or crashed tab go back to the queue. Returns how many were requeued.
+    async requeueStale() {
+        const cutoff = Date.now() - STALE_JOB_MS;
+        const stale = await db.transaction('rw', db.analysis_queue, db.games, async () => {
+            const jobs = (await db.analysis_queue.where('status').equals('running').toArray())
+                .filter((job) => !this.active.has(job.id) && new Date(job.heartbeatAt || 0).getTime() < cutoff);
+            if (!jobs.length) return jobs;
+            await db.analysis_queue.bulkPut(jobs.map((job) => ({ ...job, status: 'queued', startedAt: null, heartbeatAt: null, updatedAt: nowIso() })));
+            const deepIds = jobs.filter((job) => job.tier === 'deep').map((job) => job.gameId);
+            const gameIds = jobs.filter((job) => job.tier !== 'deep').map((job) => job.gameId);
+            if (gameIds.length) {
+                await db.games.where('id').anyOf(gameIds).modify({ analysisStatus: 'pending', analysisStartedAt: null, analysisHeartbeatAt: null });
+            }
+            if (deepIds.length) {
+                await db.games.where('id').anyOf(deepIds).modify({ deepPassStatus: 'pending', analysisHeartbeatAt: null });
+            }
+            return jobs;
+        });
+        if (stale.length) this.emit('requeued', { gameIds: stale.map((job) => job.gameId) });
+        return stale.length;
+    }
+
+    schedule() {
+        if (!this.started) return;
+        if (this.processing) {
+            this.rerun = true;
+            return;
+        }
+        setTimeout(() => this.run(), 0);
+    }
+
+    async run() {
+        if (this.processing || isAnalysisPaused()) return;
+        this.processing = true;
+        this.rerun = false;
+        this.emit('state');
+        try {
+            // One lane per pooled engine worker; mobile always degrades to a single lane.
+            const budget = getEnginePoolBudget(loadActiveEngineProfile());
+            enginePool.configure({ size: budget.size });
+            await Promise.all(Array.from({ length: budget.size }, () => this.runLane()));
+        } catch (e) {
+            console.error('Queue processing error', e);
+        } finally {
+            this.processing = false;
+            this.emit('state');
+        }
+        // Jobs enqueued while the last lanes were winding down.
+        if (this.rerun) this.schedule();
+    }
+
+    async runLane() {
+        while (true) {
+            await this.requeueStale();
+            const job = await this.dequeue();
+            if (!job) break;
+
+            const worker = await enginePool.acquire();
+            const controller = new AbortController();
+            this.active.set(job.id, { job, controller });
+            this.emit('started', { job });
+            const heartbeat = setInterval(() => {
+                db.analysis_queue.update(job.id, { heartbeatAt: nowIso() }).catch(() => {});
+            }, HEARTBEAT_MS);
+            const startedAt = Date.now();
+            let searched = 0;
+            let error = null;
+            try {
+                await processGame(job.gameId, {
+                    engine: worker,
+                    tier: job.tier,
+                    signal: controller.signal,
+                    onError: (err) => {
+                        error = err;
+                    },
+                    onSearched: (plies) => {
+                        searched = plies;
+                    }
+                });
+            } catch (err) {
+                console.error(`[Queue] Job ${job.id} for game ${job.gameId} crashed`, err);
+                error = err;
+            } finally {
+                clearInterval(heartbeat);
+                enginePool.release(worker);
+                this.active.delete(job.id);
+            }
+            // Paused or cancelled runs stop mid-search, so only runs that went to the end feed the rate.
+            if (!error && !controller.signal.aborted && !isAnalysisPaused()) {
+                recordThroughput(job.tier, searched, Date.now() - startedAt);
+            }
+            await this.settle(job, error);
+
+            // Small delay to allow UI updates and prevent CPU hogging
+            await new Promise((r) => setTimeout(r, 50));
+        }
+    }
+
+    // Reads where processGame left the game and finishes, requeues or fails the job to match.
+    async settle(job, error) {
+        const current = await db.analysis_queue.get(job.id);
+        if (!current) {
+            // Cancelled mid-run: processGame handed the game back as pending.
+            await this.resetGames([job]);
+            return;
+        }
+        const game = await db.games.get(job.gameId);
+        const status = job.tier === 'deep' ? game?.deepPassStatus : game?.analysisStatus;
+        const now = nowIso();
+
+        if (game && status === 'pending') {
+            // Paused or handed back for a retry; the partial log resumes on the next claim.
+            await db.analysis_queue.update(job.id, {
+                status: 'queued',
+                lastError: error ? errorMessage(error) : current.lastError,
+                startedAt: null,
+                heartbeatAt: null,
+                updatedAt: now
+            });
+            this.emit('requeued', { job });
+            return;
+        }
+        if (game && (status === 'failed' || status === 'analyzing')) {
+            if (status !== 'failed') {
+                await db.games.update(job.gameId, job.tier === 'deep'
+                    ? { deepPassStatus: 'failed', analysisHeartbeatAt: null }
+                    : { analyzed: true, analysisStatus: 'failed', analysisStartedAt: null, analysisHeartbeatAt: null });
+            }
+            await db.analysis_queue.update(job.id, {
+                status: 'failed',
+                lastError: error ? errorMessage(error) : 'Analysis failed',
+                finishedAt: now,
+                updatedAt: now
+            });
+            this.emit('failed', { job });
+            return;
+        }
+
+        await db.analysis_queue.delete(job.id);
+        this.emit('completed', { job, status });
+        // Second tier: a finished scan leaves its critical plies for a deep pass.
+        if (job.tier === 'scan' && game?.deepPassStatus === 'pending' && getTwoTierAnalysis()) {
+            await this.enqueue(job.gameId, { tier: 'deep', priority: DEEP_PASS_PRIORITY });
+        }
+    }
+}
+
+export const analysisQueue = new AnalysisQueue();
@@ -0,0 +1,93 @@
+const MATE_SCORE = 10000;
+
+// Eval changes smaller than this (centipawns) between two runs are treated as noise.
+export const EVAL_SHIFT_THRESHOLD = 50;
+
+const whiteCp = (entry) => {
+    if (typeof entry?.mate === 'number' && entry.mate !== 0) return Math.sign(entry.mate) * MATE_SCORE;
+    return typeof entry?.score === 'number' ? entry.score : null;
+};
+
+const formatDate = (iso) => {
+    if (!iso) return '';
+    const date = new Date(iso);
+    return Number.isNaN(date.getTime()) ? '' : date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+};
+
+/**
+ * Short labels describing how a log was produced, e.g. ['Stockfish 17.1 (17.1-lite)', 'Depth 15', 'MultiPV 3'],
+ * led by 'Imported evals' when the PGN's own evaluations were used.
+ * Returns an empty array for logs stored before provenance was recorded.
+ */
+export const describeProvenance = (provenance) => {
+    if (!provenance) return [];
+    const labels = [];
+    // Fully imported logs never touched the local engine, so its settings say nothing about them.
+    const importedOnly = provenance.evalSource === 'imported' && !provenance.deepPass;
+    if (provenance.evalSource === 'imported') labels.push('Imported evals');
+    else if (provenance.evalSource === 'mixed') labels.push(`Imported evals (${provenance.importedPlies} plies)`);
+    if (!importedOnly) {
+        const version = provenance.engineVersion && provenance.engineVersion !== 'remote' ? ` (${provenance.engineVersion})` : '';
+        labels.push(`${provenance.engineName || 'Stockfish'}${version}${provenance.backend === 'remote' ? ' · remote' : ''}`);
+        if (provenance.depth) labels.push(`Depth ${provenance.depth}${provenance.tier === 'scan' ? ' scan' : ''}`);
+        if (provenance.deepPass?.depth) labels.push(`Deep pass ${provenance.deepPass.depth} (${provenance.deepPass.plies} plies)`);
+        else if (provenance.deepDepth) labels.push(`Blunder check ${provenance.deepDepth}`);
+        if (provenance.multiPv) labels.push(`MultiPV ${provenance.multiPv}`);
+        if (provenance.nnue === true) labels.push('NNUE');
+        else if (provenance.nnue === false) labels.push('Classical eval');
+        if (provenance.uciOptions?.length) labels.push(provenance.uciOptions.map((opt) => `${opt.name}=${opt.value}`).join(', '));
+    }
+    if (provenance.profileName) labels.push(`Profile: ${provenance.profileName}`);
+    if (provenance.analyzerVersion) labels.push(`Analyzer v${provenance.analyzerVersion}`);
+    const date = formatDate(provenance.analyzedAt || provenance.startedAt);
+    if (date) labels.push(date);
+    return labels;
+};
+
+// One-line name for a run in pickers.
+export const getRunLabel = (run) => {
+    const p = run?.provenance;
+    const date = formatDate(p?.analyzedAt || run?.archivedAt);
+    if (!p) return `Earlier run${date ? ` · ${date}` : ''}`;
+    return [p.profileName || p.engineName || 'Run', p.depth ? `depth ${p.depth}` : '', date].filter(Boolean).join(' · ');
+};
+
+/**
+ * Per-ply differences between two logs of the same game. Rows are only returned for plies whose
+ * classification changed or whose eval moved by at least `threshold`; `index` is the log index.
+ * Eval values are white POV centipawns of the position before the move.
+ */
+export const compareAnalysisRuns = (baseLog, nextLog, { threshold = EVAL_SHIFT_THRESHOLD } = {}) => {
+    const base = Array.isArray(baseLog) ? baseLog : [];
+    const next = Array.isArray(nextLog) ? nextLog : [];
+    const rows = [];
+    let classificationChanges = 0;
+    let evalShifts = 0;
+    let compared = 0;
+    const length = Math.min(base.length, next.length);
+    for (let index = 0; index < length; index++) {
+        const a = base[index];
+        const b = next[index];
+        if (!a || !b || a.move !== b.move) continue;
+        compared += 1;
+        const before = whiteCp(a);
+        const after = whiteCp(b);
+        const evalShift = before !== null && after !== null ? after - before : null;
+        const classificationChanged = (a.classification || null) !== (b.classification || null);
+        const shifted = evalShift !== null && Math.abs(evalShift) >= threshold;
+        if (classificationChanged) classificationChanges += 1;
+        if (shifted) evalShifts += 1;
+        if (!classificationChanged && !shifted) continue;
+        rows.push({
+            index,
+            ply: b.ply ?? index + 1,
+            move: b.move,
+            turn: b.turn,
+            from: { classification: a.classification || null, score: before, bestMove: a.bestMove || null },
+            to: { classification: b.classification || null, score: after, bestMove: b.bestMove || null },
+            classificationChanged,
+            evalShift
+        });
+    }
+    return { compared, classificationChanges, evalShifts, rows };
+};
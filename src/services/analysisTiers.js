@@ -0,0 +1,68 @@
+const TWO_TIER_KEY = 'analysisTwoTier';
+
+// Depth of the first-tier scan; the profile depth still applies when it is lower.
+export const SCAN_DEPTH = 10;
+
+// Eval swing (centipawns) between consecutive positions that earns a ply a deep re-search.
+export const DEEP_SWING_CP = 150;
+
+// Upper bound on deep re-searches per game, so long games do not stall the second tier.
+export const MAX_DEEP_PLIES = 24;
+
+const CANDIDATE_CLASSIFICATIONS = ['blunder', 'mistake', 'brilliant', 'great'];
+
+// Whether the queue scans every game quickly first and re-searches critical plies later.
+export const getTwoTierAnalysis = () => {
+    if (typeof window === 'undefined') return false;
+    try {
+        return localStorage.getItem(TWO_TIER_KEY) === 'true';
+    } catch {
+        return false;
+    }
+};
+
+export const setTwoTierAnalysis = (enabled) => {
+    if (typeof window === 'undefined') return;
+    try {
+        localStorage.setItem(TWO_TIER_KEY, enabled ? 'true' : 'false');
+    } catch {
+        // ignore
+    }
+};
+
+const whiteCp = (entry) => {
+    if (typeof entry?.mate === 'number' && entry.mate !== 0) return Math.sign(entry.mate) * 10000;
+    return typeof entry?.score === 'number' ? entry.score : null;
+};
+
+/**
+ * Indexes of the scan-tier log entries worth a deep re-search: big eval swings, errors,
+ * brilliant/great candidates and anything the reel would turn into a puzzle. Book moves are skipped.
+ * The most severe plies win when there are more than `max`; the result is in game order.
+ */
+export const selectDeepCandidates = (analysisLog, { swingCp = DEEP_SWING_CP, max = MAX_DEEP_PLIES } = {}) => {
+    const log = Array.isArray(analysisLog) ? analysisLog : [];
+    const candidates = [];
+    log.forEach((entry, index) => {
+        if (!entry || entry.bookMove) return;
+        const next = log[index + 1];
+        const before = whiteCp(entry);
+        const after = whiteCp(next);
+        const swing = before !== null && after !== null ? Math.abs(after - before) : 0;
+        const loss = typeof entry.evalDiff === 'number' ? Math.max(0, entry.evalDiff) : 0;
+        const isCandidate = CANDIDATE_CLASSIFICATIONS.includes(entry.classification)
+            || entry.missedWin
+            || entry.missedDefense
+            || loss >= swingCp
+            || swing >= swingCp;
+        if (!isCandidate) return;
+        // Brilliant/great candidates have no loss to rank by; keep them ahead of quiet swings.
+        const weight = Math.max(loss, swing) + (['brilliant', 'great'].includes(entry.classification) ? swingCp : 0);
+        candidates.push({ index, weight });
+    });
+    return candidates
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, max)
+        .map((c) => c.index)
+        .sort((a, b) => a - b);
+};
@@ -1,21 +1,31 @@
-import { db, getGamePgn, getGameAnalysis, saveGameAnalysis, saveGameContent } from './db';
-import { storePuzzlePositions } from './puzzles';
+import { archiveGameAnalysis, db, getGameMoveTree, getGamePgn, getGameAnalysis, saveGameAnalysis, saveGameContent } from './db';
+import { preparePuzzleRecords, storePuzzlePositions } from './puzzles';
 import { getHeroProfiles, getHeroSideFromGame } from './heroProfiles';
 import { engine } from './engine';
 import { Chess } from 'chess.js';
-import { getDefaultEngineVersion } from './engineDefaults';
+import { getDefaultEngineVersion, getEnginePoolBudget, getUciOptionOverrides, MAX_ENGINE_WORKERS, normalizeUciOptions } from './engineDefaults';
 import { fetchChessComGamePgn } from './chesscom';
-
-const THRESHOLDS = {
-    BLUNDER: 250,
-    MISTAKE: 100,
-    INACCURACY: 40,
-    GOOD: 10,
-    BEST: 10
-};
+import { getCachedEval, storeCachedEval } from './evalCache';
+import { isValidRemoteEngineUrl } from './remoteEngine';
+import { ANALYSIS_PAUSED_MESSAGE, createPauseSignal, isPausedError } from './analysisControl';
+import { getPgnClockTimeline } from './clocks';
+import { computeGameStats } from './accuracy';
+import { getThresholdConfig, resolveThresholdSet } from './classificationThresholds';
+import { classifyPawnStructure } from './pawnStructure';
+import { classifyEndgame } from './endgames';
+import { getAnalyzeVariations, getVariationNodes } from './pgnTree';
+import { MAX_DEEP_PLIES, SCAN_DEPTH, selectDeepCandidates } from './analysisTiers';
+import { UNSUPPORTED_VARIANT_MESSAGE, getGameVariant, getVariantLabel, isAnalyzableVariant, replayPgn } from './variants';
+import { extractImportedEvals, getImportedEvalTopUp, getUseImportedEvals } from './importedEvals';
+
+// Stored with each run's provenance; bump when move analysis or classification changes in a way
+// that makes logs from older builds differ for reasons other than the engine.
+export const ANALYZER_VERSION = 1;
 
 const WINNING_THRESHOLD = 200;
-const ACCURACY_STREAK = 90;
+
+// Upper bound on PGN sideline moves scored per game.
+const MAX_VARIATION_MOVES = 200;
 
 const MATE_SCORE = 100000;
 const mateToCp = (mate) => {
@@ -31,12 +41,35 @@ const evalToCp = (line) => {
     return 0;
 };
 
+// Raw engine line (side-to-move POV) -> the white-POV shape stored in the analysis log.
+const toStoredEvalLine = (line, sideToMove) => {
+    if (!line || typeof line !== 'object') return null;
+    const rawScore = typeof line.score === 'number' ? line.score : null;
+    const rawMate = typeof line.mate === 'number' ? line.mate : null;
+    const rawWdl = Array.isArray(line.wdl) && line.wdl.length === 3 ? line.wdl : null;
+    // Search counters (nodes/nps/hashfull/time) are not worth storing per line.
+    return {
+        depth: line.depth,
+        seldepth: line.seldepth ?? null,
+        multipv: line.multipv,
+        pv: line.pv,
+        bound: line.bound || null,
+        score: rawScore === null ? null : (sideToMove === 'w' ? rawScore : -rawScore),
+        mate: rawMate === null ? null : (sideToMove === 'w' ? rawMate : -rawMate),
+        wdl: rawWdl ? (sideToMove === 'w' ? [...rawWdl] : [rawWdl[2], rawWdl[1], rawWdl[0]]) : null,
+        scorePov: 'white'
+    };
+};
+
 const clampInt = (value, min, max, fallback) => {
     const parsed = parseInt(value, 10);
     if (Number.isNaN(parsed)) return fallback;
     return Math.min(max, Math.max(min, parsed));
 };
 
+// Custom options (`{ name, value }`) last sent to each engine, so dropped overrides can be put back to their defaults.
+const appliedUciOverrides = new WeakMap();
+
 const publicAssetCache = new Map();
 const resolvePublicUrl = (filename) => {
     if (typeof window === 'undefined') return filename;
@@ -78,7 +111,8 @@ const checkPublicAsset = async (filename) => {
     return ok;
 };
 
-const loadActiveEngineProfile = () => {
+// `profileId` picks a specific profile (e.g. a one-off re-analysis); the active one otherwise.
+export const loadActiveEngineProfile = (profileId = null) => {
     if (typeof window === 'undefined') return null;
     try {
         const rawProfiles = localStorage.getItem('engineProfiles');
@@ -86,10 +120,14 @@ const loadActiveEngineProfile = () => {
         if (!rawProfiles) return null;
         const parsed = JSON.parse(rawProfiles);
         if (!Array.isArray(parsed) || !parsed.length) return null;
-        const selected = parsed.find((p) => p?.id === activeId) || parsed[0];
+        const selected = parsed.find((p) => p?.id === (profileId || activeId))
+            || parsed.find((p) => p?.id === activeId)
+            || parsed[0];
 
         // Return with new limits and version
         return {
+            id: selected?.id ? String(selected.id) : null,
+            name: selected?.name ? String(selected.name) : null,
             depth: clampInt(selected?.depth ?? 15, 8, 60, 15),
             multiPv: clampInt(selected?.multiPv ?? 1, 1, 5, 1),
             deepDepth: clampInt(selected?.deepDepth ?? 0, 0, 60, 0),
@@ -97,34 +135,28 @@ const loadActiveEngineProfile = () => {
             threads: clampInt(selected?.threads ?? 1, 1, 32, 1),
             timePerMove: clampInt(selected?.timePerMove ?? 0, 0, 60000, 0),
             useNNUE: typeof selected?.useNNUE === 'boolean' ? selected.useNNUE : true,
-            version: selected?.version || getDefaultEngineVersion()
+            version: selected?.version || getDefaultEngineVersion(),
+            workers: clampInt(selected?.workers ?? 1, 1, MAX_ENGINE_WORKERS, 1),
+            remoteUrl: isValidRemoteEngineUrl(selected?.remoteUrl) ? selected.remoteUrl.trim() : '',
+            uciOptions: normalizeUciOptions(selected?.uciOptions)
         };
     } catch {
         return null;
     }
 };
 
-// Calculate accuracy based on centipawn loss (0-100)
-// Formula: 100 * exp(-0.002 * cpLoss)
-const calculateAccuracy = (cpLoss) => {
-    // Cap loss at 500 for calculation sanity
-    const cappedLoss = Math.min(Math.abs(cpLoss), 1000);
-    return Math.round(100 * Math.exp(-0.002 * cappedLoss));
-};
-
-const applyClassificationPenalty = (accuracy, classification) => {
-    const penalties = {
-        book: 0,
-        blunder: 25,
-        mistake: 15,
-        inaccuracy: 8,
-        good: 2,
-        best: 0,
-        great: 0,
-        brilliant: 0
-    };
-    const penalty = penalties[classification] || 0;
-    return Math.max(0, accuracy - penalty);
+// Saved engine profiles as `{ id, name }`, for picking one to re-analyse a game with.
+export const listEngineProfiles = () => {
+    if (typeof window === 'undefined') return [];
+    try {
+        const parsed = JSON.parse(localStorage.getItem('engineProfiles') || '[]');
+        if (!Array.isArray(parsed)) return [];
+        return parsed
+            .filter((p) => p?.id)
+            .map((p) => ({ id: String(p.id), name: String(p.name || 'Engine Profile') }));
+    } catch {
+        return [];
+    }
 };
 
 const getClassification = ({
@@ -141,7 +173,8 @@ const getClassification = ({
     secondScoreCp,
     playerRating,
     isRecapture,
-    motifs
+    motifs,
+    thresholds
 }) => {
     const before = typeof scoreBefore === 'number' ? scoreBefore : 0;
     const after = typeof scoreAfter === 'number' ? scoreAfter : 0;
@@ -167,7 +200,7 @@ const getClassification = ({
     const stillWinning = beforeWinning && after >= SLIGHT_EDGE;
     const stillLosing = beforeLosing && afterLosing;
 
-    const sacrifice = materialDelta <= -2;
+    const sacrifice = materialDelta <= -thresholds.sacrificeMaterial;
     const deferredMajorSac = typeof pvMaterialDelta === 'number' && pvMaterialDelta <= -5;
     const majorMaterialLoss = materialDelta <= -5; // rook/queen
 
@@ -178,7 +211,7 @@ const getClassification = ({
     const gap = typeof gapToSecond === 'number' ? gapToSecond : null;
 
     // Opening forgiveness — be more lenient in book territory
-    const multiplier = isOpening ? 1.4 : 1;
+    const multiplier = isOpening ? thresholds.openingLeniency : 1;
 
     // Tactical motifs present in the position
     const hasTacticalMotif = motifsArr.some(m => ['fork', 'pin', 'skewer'].includes(m));
@@ -187,9 +220,9 @@ const getClassification = ({
     // BEST / GREAT / BRILLIANT
     // =========================
     if (isBestMove) {
-        const immediateSac = materialDelta <= -2;
+        const immediateSac = materialDelta <= -thresholds.sacrificeMaterial;
         const pieceSac = materialDelta <= -3; // minor piece or more
-        const BRILLIANT_GAP = (isOpening ? 140 : 120) * brilliantFactor;
+        const BRILLIANT_GAP = (thresholds.brilliantGap + (isOpening ? 20 : 0)) * brilliantFactor;
 
     // 🔥 BRILLIANT: Best move + genuine sacrifice + non-obvious
     // Requires:
@@ -201,7 +234,7 @@ const getClassification = ({
         const notOverwhelming = before < 350;
         const positionHeld = after >= -NEAR_EQUAL && after >= before - 50;
         const standoutMove = gap !== null && gap >= BRILLIANT_GAP;
-        const isBestish = !!(isExactBest || (isTopLine && evalDiff <= THRESHOLDS.BEST * 0.7) || isBestMove);
+        const isBestish = !!(isExactBest || (isTopLine && evalDiff <= thresholds.best * 0.7) || isBestMove);
         const complexPosition = Math.abs(before) <= 300;
         const improves = (after - before) >= 60;
         const winningSac = majorMaterialLoss && (isMateScore(after) || after >= WINNING);
@@ -252,7 +285,7 @@ const getClassification = ({
             secondScore <= -CLEAR_EDGE; // second-best leads to trouble
 
         const onlyMovePreventingDisaster =
-            gap !== null && gap >= 140 &&
+            gap !== null && gap >= thresholds.greatGap &&
             secondScore !== null &&
             secondScore <= -SLIGHT_EDGE &&
             after >= -NEAR_EQUAL;
@@ -260,7 +293,7 @@ const getClassification = ({
         const criticalConversion =
             Math.abs(before) <= SLIGHT_EDGE &&
             after >= CLEAR_EDGE &&
-            gap !== null && gap >= 120;
+            gap !== null && gap >= thresholds.onlyMoveGap;
 
         const decisiveSwing =
             isBestish &&
@@ -290,7 +323,7 @@ const getClassification = ({
     // If both evaluations are forced mates for the same side, never worse than inaccuracy.
     // Mate-in-4 → Mate-in-7 is NOT a blunder, you're still winning with checkmate guaranteed.
     if (bothMatesForSameSide) {
-        if (evalDiff > THRESHOLDS.INACCURACY) return 'inaccuracy';
+        if (evalDiff > thresholds.inaccuracy) return 'inaccuracy';
         return 'good';
     }
 
@@ -332,7 +365,7 @@ const getClassification = ({
 
     // --- Blunder by eval loss: only if position character fundamentally changes ---
     if (
-        evalDiff > THRESHOLDS.BLUNDER * multiplier &&
+        evalDiff > thresholds.blunder * multiplier &&
         (!isOpening || evalDiff > 300) &&
         // Must cross from positive to negative territory (or near it)
         (after <= -SLIGHT_EDGE || (before >= SLIGHT_EDGE && after <= NEAR_EQUAL))
@@ -342,14 +375,14 @@ const getClassification = ({
 
     // --- Mistake: meaningful advantage lost ---
     if (
-        evalDiff > THRESHOLDS.MISTAKE * multiplier &&
+        evalDiff > thresholds.mistake * multiplier &&
         (before >= SLIGHT_EDGE || after <= -SLIGHT_EDGE)
     ) {
         return 'mistake';
     }
 
     // --- Inaccuracy: suboptimal but not damaging ---
-    if (evalDiff > THRESHOLDS.INACCURACY * multiplier) {
+    if (evalDiff > thresholds.inaccuracy * multiplier) {
         return 'inaccuracy';
     }
 
@@ -396,7 +429,12 @@ const estimatePvMaterialDelta = (fen, pv, maxPlies = 8) => {
     for (const token of tokens) {
         const move = uciToMove(token);
         if (!move) break;
-        const res = chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+        let res = null;
+        try {
+            res = chess.move({ from: move.from, to: move.to, promotion: move.promotion });
+        } catch {
+            // Illegal for chess.js (e.g. Chess960 castling); keep what was played so far.
+        }
         if (!res) break;
         plies += 1;
     }
@@ -522,9 +560,213 @@ const detectFork = (chess, move) => {
     return targets.size >= 2;
 };
 
+const MOTIF_PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 100 };
+const ORTHOGONAL = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const DIAGONAL = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+const otherColor = (color) => (color === 'w' ? 'b' : 'w');
+
+const squareName = (file, rank) => `${String.fromCharCode(97 + file)}${rank + 1}`;
+
+const listPieces = (chess, color) => {
+    const pieces = [];
+    chess.board().forEach((row) => row.forEach((piece) => {
+        if (piece && (!color || piece.color === color)) pieces.push(piece);
+    }));
+    return pieces;
+};
+
+const findKing = (chess, color) => listPieces(chess, color).find((p) => p.type === 'k')?.square || null;
+
+const lowestAttackerValue = (chess, square, color) => chess.attackers(square, color)
+    .reduce((min, sq) => Math.min(min, MOTIF_PIECE_VALUES[chess.get(sq)?.type] ?? 100), Infinity);
+
+// Attacked and either undefended or attacked by something cheaper.
+const isEnPrise = (chess, square) => {
+    const piece = chess.get(square);
+    if (!piece || piece.type === 'k') return false;
+    const enemy = otherColor(piece.color);
+    if (!chess.isAttacked(square, enemy)) return false;
+    if (!chess.isAttacked(square, piece.color)) return true;
+    return lowestAttackerValue(chess, square, enemy) < MOTIF_PIECE_VALUES[piece.type];
+};
+
+// Plays UCI tokens on a copy of `fen`; stops at the first illegal one.
+const playUciLine = (fen, tokens) => {
+    const chess = new Chess(fen);
+    const played = [];
+    for (const token of tokens) {
+        const move = uciToMove(token);
+        if (!move) break;
+        try {
+            played.push({ move: chess.move(move), fenAfter: chess.fen() });
+        } catch {
+            break;
+        }
+    }
+    return played;
+};
+
+// A slider behind the moved piece now hits something worth attacking.
+const detectDiscoveredAttack = (chessAfter, move) => {
+    const mover = move.color;
+    const { file, rank } = getSquareCoords(move.from);
+    const board = chessAfter.board();
+    const lines = [...ORTHOGONAL.map((d) => [d, ['r', 'q']]), ...DIAGONAL.map((d) => [d, ['b', 'q']])];
+
+    const firstPiece = (df, dr) => {
+        let f = file + df;
+        let r = rank + dr;
+        while (inBounds(f, r)) {
+            const p = getPieceAt(board, f, r);
+            if (p) return { piece: p, square: squareName(f, r) };
+            f += df;
+            r += dr;
+        }
+        return null;
+    };
+
+    return lines.some(([[df, dr], sliders]) => {
+        const behind = firstPiece(-df, -dr);
+        if (!behind || behind.piece.color !== mover || behind.square === move.to || !sliders.includes(behind.piece.type)) return false;
+        const target = firstPiece(df, dr);
+        return !!target && target.piece.color !== mover && MOTIF_PIECE_VALUES[target.piece.type] >= 3;
+    });
+};
+
+const detectDoubleCheck = (chessAfter, move) => {
+    if (!chessAfter.inCheck()) return false;
+    const king = findKing(chessAfter, otherColor(move.color));
+    return !!king && chessAfter.attackers(king, move.color).length >= 2;
+};
+
+// Either grabbing an undefended piece, or leaving one en prise that the engine's reply takes.
+const detectHangingPiece = (chessBefore, chessAfter, move, replyLine) => {
+    const enemy = otherColor(move.color);
+    if (move.captured && MOTIF_PIECE_VALUES[move.captured] >= 3 && !chessBefore.isAttacked(move.to, enemy)) return true;
+
+    // Losing a piece for one of equal value is a trade, not a hanging piece.
+    const gained = move.captured ? MOTIF_PIECE_VALUES[move.captured] : 0;
+    const reply = replyLine[0]?.move;
+    if (reply) {
+        if (!reply.captured || MOTIF_PIECE_VALUES[reply.captured] < 3 || MOTIF_PIECE_VALUES[reply.captured] <= gained) return false;
+        return isEnPrise(chessAfter, reply.to);
+    }
+    return MOTIF_PIECE_VALUES[move.piece] >= 3 && MOTIF_PIECE_VALUES[move.piece] > gained && isEnPrise(chessAfter, move.to);
+};
+
+// Rook/queen check along the king's home rank with the escape squares sealed off.
+const isBackRankCheck = (chess, attacker) => {
+    if (!chess.inCheck()) return false;
+    const defender = otherColor(attacker);
+    const king = findKing(chess, defender);
+    if (!king) return false;
+    const { file, rank } = getSquareCoords(king);
+    const homeRank = defender === 'w' ? 0 : 7;
+    if (rank !== homeRank) return false;
+    const checkers = chess.attackers(king, attacker).map((sq) => ({ sq, piece: chess.get(sq) }));
+    if (!checkers.some(({ sq, piece }) => ['r', 'q'].includes(piece?.type) && getSquareCoords(sq).rank === homeRank)) return false;
+
+    const forward = defender === 'w' ? 1 : -1;
+    for (let f = file - 1; f <= file + 1; f++) {
+        if (!inBounds(f, rank + forward)) continue;
+        const sq = squareName(f, rank + forward);
+        const occupant = chess.get(sq);
+        if (occupant && occupant.color === defender) continue;
+        if (!chess.isAttacked(sq, attacker)) return false;
+    }
+    return true;
+};
+
+const detectBackRank = (chessAfter, move, replyLine) => {
+    if (isBackRankCheck(chessAfter, move.color)) return true;
+    // Our follow-up moves in the engine line (replies at even indexes are the opponent's).
+    return replyLine.some((step, idx) => idx % 2 === 1 && idx <= 3 && isBackRankCheck(new Chess(step.fenAfter), move.color));
+};
+
+// Defender squares that are the only guard of two or more attacked pieces.
+const overloadedDefenders = (chess, attacker) => {
+    const defender = otherColor(attacker);
+    const duties = new Map();
+    listPieces(chess, defender).forEach((piece) => {
+        if (piece.type === 'k' || piece.type === 'p') return;
+        if (!chess.isAttacked(piece.square, attacker)) return;
+        const guards = chess.attackers(piece.square, defender);
+        if (guards.length !== 1) return;
+        duties.set(guards[0], (duties.get(guards[0]) || 0) + 1);
+    });
+    return new Set(Array.from(duties.entries()).filter(([, count]) => count >= 2).map(([sq]) => sq));
+};
+
+const detectOverloading = (chessBefore, chessAfter, move) => {
+    const before = overloadedDefenders(chessBefore, move.color);
+    const after = overloadedDefenders(chessAfter, move.color);
+    return Array.from(after).some((sq) => !before.has(sq));
+};
+
+// Lines where the opponent takes our piece and we cash in next move.
+const detectDeflectionOrDecoy = (chessAfter, move, replyLine) => {
+    const reply = replyLine[0]?.move;
+    const followUp = replyLine[1]?.move;
+    if (!reply || !followUp || reply.to !== move.to || !reply.captured) return null;
+
+    const afterFollowUp = new Chess(replyLine[1].fenAfter);
+    // Decoy: the capturing piece was lured onto a square where it gets checked or forked.
+    if (reply.piece === 'k' && afterFollowUp.inCheck()) return 'decoy';
+    if (reply.piece !== 'k' && MOTIF_PIECE_VALUES[reply.piece] >= 5) {
+        const hits = afterFollowUp.moves({ square: followUp.to, verbose: true }).filter((m) => m.captured);
+        if (hits.some((m) => m.to === move.to) && hits.length >= 2) return 'decoy';
+    }
+    // Deflection: the capturing piece used to guard the square we now exploit.
+    const guardedBefore = followUp.to === reply.from || chessAfter.attackers(followUp.to, reply.color).includes(reply.from);
+    if (guardedBefore && (followUp.captured || afterFollowUp.inCheck())) return 'deflection';
+    return null;
+};
+
+// We capture a defender, then take what it was guarding.
+const detectRemovalOfDefender = (chessBefore, move, replyLine) => {
+    if (!move.captured) return false;
+    const followUp = replyLine[1]?.move;
+    if (!followUp?.captured || followUp.to === move.to) return false;
+    const guarded = chessBefore.attackers(followUp.to, otherColor(move.color)).includes(move.to);
+    return guarded && chessBefore.isAttacked(followUp.to, move.color);
+};
+
+// Recapture was available, but a forcing move comes first and the recapture follows.
+const detectZwischenzug = (chessBefore, chessAfter, move, prevMove, replyLine) => {
+    if (!prevMove?.captured || move.to === prevMove.to) return false;
+    const canRecapture = chessBefore.moves({ verbose: true }).some((m) => m.to === prevMove.to && m.captured);
+    if (!canRecapture) return false;
+    const forcing = chessAfter.inCheck() || !!move.captured;
+    if (!forcing) return false;
+    const followUp = replyLine[1]?.move;
+    return replyLine.length ? followUp?.to === prevMove.to && !!followUp.captured : chessAfter.inCheck();
+};
+
+// A piece our move attacks has no safe square left (and no capture to bail out with).
+const detectTrappedPiece = (chessAfter, move) => {
+    if (chessAfter.inCheck()) return false;
+    const defender = otherColor(move.color);
+    return listPieces(chessAfter, defender).some((piece) => {
+        if (!['n', 'b', 'r', 'q'].includes(piece.type)) return false;
+        if (!chessAfter.attackers(piece.square, move.color).includes(move.to)) return false;
+        if (!isEnPrise(chessAfter, piece.square)) return false;
+        const value = MOTIF_PIECE_VALUES[piece.type];
+        return chessAfter.moves({ square: piece.square, verbose: true }).every((m) => {
+            if (m.captured && MOTIF_PIECE_VALUES[m.captured] >= value) return false;
+            const next = new Chess(chessAfter.fen());
+            next.move(m);
+            return isEnPrise(next, m.to);
+        });
+    });
+};
+
 const detectMotifs = ({
+    chessBefore,
     chessAfter,
     move,
+    prevMove,
+    replyPv,
     scoreBefore,
     myScoreAfter,
     materialDelta,
@@ -532,6 +774,8 @@ const detectMotifs = ({
 }) => {
     const motifs = [];
     const board = chessAfter.board();
+    const replyTokens = String(replyPv || '').split(' ').filter(Boolean).slice(0, 4);
+    const replyLine = replyTokens.length ? playUciLine(chessAfter.fen(), replyTokens) : [];
 
     if (detectFork(chessAfter, move)) motifs.push('fork');
     if (detectPin(chessAfter, move, board)) motifs.push('pin');
@@ -539,6 +783,19 @@ const detectMotifs = ({
     const deferredSac = typeof pvMaterialDelta === 'number' && pvMaterialDelta <= -3;
     if ((materialDelta <= -3 || deferredSac) && myScoreAfter - scoreBefore >= 30) motifs.push('sacrifice');
 
+    if (chessBefore) {
+        if (detectDiscoveredAttack(chessAfter, move)) motifs.push('discovered_attack');
+        if (detectDoubleCheck(chessAfter, move)) motifs.push('double_check');
+        if (detectHangingPiece(chessBefore, chessAfter, move, replyLine)) motifs.push('hanging_piece');
+        if (detectBackRank(chessAfter, move, replyLine)) motifs.push('back_rank');
+        if (detectOverloading(chessBefore, chessAfter, move)) motifs.push('overloading');
+        const lure = detectDeflectionOrDecoy(chessAfter, move, replyLine);
+        if (lure) motifs.push(lure);
+        if (detectRemovalOfDefender(chessBefore, move, replyLine)) motifs.push('removal_of_defender');
+        if (detectZwischenzug(chessBefore, chessAfter, move, prevMove, replyLine)) motifs.push('zwischenzug');
+        if (detectTrappedPiece(chessAfter, move)) motifs.push('trapped_piece');
+    }
+
     return motifs;
 };
 
@@ -556,7 +813,7 @@ const generatePlanHint = ({ phase, motifs, classification }) => {
     return 'Improve piece activity and target weaknesses.';
 };
 
-const generateExplanation = (classification, evalDiff, move, bestMove) => {
+export const generateExplanation = (classification, evalDiff, move, bestMove) => {
     if (classification === 'book') return `Book move. This is a known opening line.`;
     if (classification === 'brilliant') return `Brilliant!! An outstanding sacrifice — ${move} is a deep, non-obvious move that the engine confirms as the best choice.`;
     if (classification === 'great') return `Great find! ${move} is a critical move — the only way to hold the position or turn the game around.`;
@@ -568,10 +825,273 @@ const generateExplanation = (classification, evalDiff, move, bestMove) => {
     return `Analysis: CP Loss ${Math.round(evalDiff)}`;
 };
 
-export const processGame = async (gameId) => {
+// Threshold set for each side, picked by that player's rating and the game's time control.
+// `record` is what gets stored on the game so it is clear which cut-offs produced its labels.
+const resolveGameThresholds = (game) => {
+    const config = getThresholdConfig();
+    const perf = game.perf || game.speed || '';
+    const w = resolveThresholdSet({ playerRating: game.whiteRating ?? game.whiteElo ?? null, perf }, config);
+    const b = resolveThresholdSet({ playerRating: game.blackRating ?? game.blackElo ?? null, perf }, config);
+    return { w, b, record: { white: w, black: b } };
+};
+
+// Everything classification needs for one ply. Saved in analysisLog as `classifierInput`
+// so stored games can be reclassified when thresholds change, without the engine.
+const classifyFromInput = (input, thresholds) => {
+    const isOpening = input.phase === 'opening';
+    const isEngineBookMove =
+        !!input.bookCandidate &&
+        input.evalDiff <= thresholds.best * 0.5 &&
+        input.materialDelta >= -1 &&
+        Math.abs(input.scoreBefore) <= 80;
+    if (input.explicitBook || isEngineBookMove) return 'book';
+
+    const bestThreshold = thresholds.best * (isOpening ? 1.3 : 1);
+    return getClassification({
+        ...input,
+        isBestMove: !!input.isExactBest || input.evalDiff <= bestThreshold,
+        thresholds
+    });
+};
+
+// White-POV stored line -> centipawns from the mover's side.
+const storedLineToMoverCp = (line, turn) => {
+    if (!line) return null;
+    const flip = turn === 'b' ? -1 : 1;
+    if (typeof line.mate === 'number') return mateToCp(line.mate * flip);
+    if (typeof line.score === 'number') return line.score * flip;
+    return null;
+};
+
+// Best-effort inputs for plies analyzed before `classifierInput` was stored.
+const deriveClassifierInput = (entry, prevEntry, playerRating) => {
+    const turn = entry.turn;
+    const scoreBefore = storedLineToMoverCp({ score: entry.score, mate: entry.mate }, turn) ?? 0;
+    const evalDiff = typeof entry.evalDiff === 'number' ? entry.evalDiff : 0;
+    const pvLines = Array.isArray(entry.pvLines) ? entry.pvLines : [];
+    const userMove = String(entry.move || '').toLowerCase();
+    const userLine = pvLines.find((l) => typeof l?.pv === 'string' && l.pv.split(' ')[0]?.toLowerCase() === userMove);
+    const bestLine = pvLines.find((l) => (l?.multipv || 1) === 1) || null;
+    const secondScoreCp = storedLineToMoverCp(pvLines.find((l) => (l?.multipv || 1) === 2), turn);
+
+    let materialDelta = 0;
+    let isRecapture = false;
+    try {
+        const chess = new Chess(entry.fen);
+        const played = chess.move(uciToMove(userMove));
+        const before = materialScore(entry.fen);
+        const after = materialScore(chess.fen());
+        materialDelta = turn === 'w' ? after.white - before.white : after.black - before.black;
+        if (prevEntry?.fen && prevEntry?.move) {
+            const prev = new Chess(prevEntry.fen).move(uciToMove(String(prevEntry.move).toLowerCase()));
+            isRecapture = !!(prev?.captured && played?.captured && played.to === prev.to);
+        }
+    } catch {
+        // ignore
+    }
+
+    return {
+        evalDiff,
+        isExactBest: userMove === String(entry.bestMove || '').toLowerCase(),
+        isTopLine: !!userLine,
+        scoreBefore,
+        scoreAfter: scoreBefore - evalDiff,
+        materialDelta,
+        pvMaterialDelta: estimatePvMaterialDelta(entry.fen, (userLine?.pv || bestLine?.pv || '').trim(), 6)?.delta ?? null,
+        phase: entry.phase,
+        gapToSecond: secondScoreCp === null ? null : scoreBefore - secondScoreCp,
+        secondScoreCp,
+        playerRating,
+        isRecapture,
+        motifs: Array.isArray(entry.motifs) ? entry.motifs : [],
+        explicitBook: !!entry.bookMove,
+        bookCandidate: false
+    };
+};
+
+// Puzzle/reel record for a critical ply, or null.
+const toReelPosition = (gameId, entry) => {
+    const { classification, missedWin, missedDefense, motifs = [] } = entry;
+    if (!['blunder', 'mistake', 'inaccuracy', 'brilliant', 'great'].includes(classification) && !missedWin && !missedDefense) return null;
+    // Imported evals without a sideline leave the answer unknown; such plies cannot be drilled.
+    if (!entry.bestMove) return null;
+
+    const tags = [classification, entry.phase, ...motifs];
+    // Book is already represented by the classification.
+    if (missedWin) tags.push('missedWin');
+    if (missedDefense) tags.push('missedDefense');
+
+    const questionType = classification === 'brilliant' || classification === 'great'
+        ? 'find_brilliant'
+        : missedWin
+            ? 'convert_win'
+            : missedDefense
+                ? 'find_defense'
+                : 'best_move';
+
+    return {
+        gameId,
+        fen: entry.fen,
+        move: entry.move,
+        bestMove: entry.bestMove,
+        score: entry.score,
+        loss: entry.evalDiff,
+        classification,
+        explanation: generateExplanation(classification, entry.evalDiff, entry.move, entry.bestMove),
+        turn: entry.turn,
+        ply: entry.ply,
+        phase: entry.phase,
+        structures: entry.structures || [],
+        endgameType: entry.endgameType || null,
+        tags,
+        motifs,
+        questionType,
+        missedWin,
+        missedDefense,
+        planHint: entry.planHint,
+        nextReviewAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    };
+};
+
+// Keeps review progress on reel positions that survive a log update; drops the ones no longer critical.
+const syncReelPositions = async (gameId, analysisLog) => {
+    const existing = await db.positions.where('gameId').equals(gameId).toArray();
+    const existingByPly = new Map(existing.map((pos) => [pos.ply, pos]));
+    const kept = [];
+    const added = [];
+    analysisLog.forEach((entry) => {
+        const next = entry ? toReelPosition(gameId, entry) : null;
+        if (!next) return;
+        const prev = existingByPly.get(entry.ply);
+        if (prev) {
+            const { priority: _priority, ...rest } = prev;
+            kept.push({ ...rest, ...next, nextReviewAt: prev.nextReviewAt || next.nextReviewAt });
+        } else {
+            added.push(next);
+        }
+    });
+    const keptIds = new Set(kept.map((pos) => pos.id));
+    const dropped = existing.filter((pos) => !keptIds.has(pos.id)).map((pos) => pos.id);
+    if (dropped.length) await db.positions.bulkDelete(dropped);
+    if (kept.length) await db.positions.bulkPut(preparePuzzleRecords(kept));
+    if (added.length) await storePuzzlePositions(added);
+};
+
+// Provenance with `evalSource` counted from the log: 'imported', 'mixed' or 'engine', i.e. whether
+// the PGN's own evals stood in for the engine. Every save recounts, so partial runs are labelled right.
+const withEvalSource = (provenance, analysisLog) => {
+    const importedPlies = analysisLog.filter((entry) => entry?.evalSource === 'imported').length;
+    return {
+        ...provenance,
+        evalSource: importedPlies === 0 ? 'engine' : (importedPlies === analysisLog.length ? 'imported' : 'mixed'),
+        importedPlies
+    };
+};
+
+// Whether profile settings default to NNUE (Stockfish 17.1 always uses it).
+const profileUsesNnue = (profile) => (typeof profile?.useNNUE === 'boolean'
+    ? profile.useNNUE
+    : localStorage.getItem('engineUseNNUE') !== 'false'); // Default to true
+
+/**
+ * Sends `profile`'s Hash/Threads (a pooled worker's share), network files and custom UCI options
+ * to an initialised `engine`. Options a previous call set but the profile dropped go back to their
+ * defaults. Returns whether they were sent, the options and the custom options the engine now runs with.
+ */
+export const applyEngineProfile = async (engine, profile) => {
+    const version = profile?.version || getDefaultEngineVersion();
+    const hashRaw = profile?.hash ?? parseInt(localStorage.getItem('engineHash') || '32', 10);
+    const threadsRAW = profile?.threads ?? parseInt(localStorage.getItem('engineThreads') || '1', 10);
+    // Each pooled worker gets its share of the profile's hash/threads.
+    const budget = getEnginePoolBudget({ hash: hashRaw, threads: threadsRAW, workers: profile?.workers ?? 1 });
+    const hash = Math.min(256, Math.max(1, budget.hash)); // Relax clamp for desktop/multi-thread
+    const threads = Math.min(32, Math.max(1, budget.threads)); // Allow multi-threading
+
+    const options = [
+        { name: 'Hash', value: hash },
+        { name: 'Threads', value: threads }
+    ];
+
+    if (engine.getInfo()?.backend === 'remote') {
+        // The native engine behind the bridge loads its own network files.
+    } else if (version.startsWith('17.1')) {
+        // Stockfish 17.1 no longer has "Use NNUE" option
+        // Only set EvalFile options if the engine supports them and assets exist.
+        const caps = engine.getInfo()?.caps || {};
+        const supportsEvalFile = !!(caps.evalFile || caps.evalFileSmall);
+
+        if (supportsEvalFile) {
+            const hasSmall = await checkPublicAsset('nn-37f18f62d772.nnue');
+            const hasLarge = await checkPublicAsset('nn-1c0000000000.nnue');
+
+            if (version === '17.1-lite') {
+                if (hasSmall) {
+                    options.push({ name: 'EvalFile', value: 'nn-37f18f62d772.nnue' });
+                    options.push({ name: 'EvalFileSmall', value: 'nn-37f18f62d772.nnue' });
+                }
+            } else if (hasLarge || hasSmall) {
+                if (hasLarge) {
+                    options.push({ name: 'EvalFile', value: 'nn-1c0000000000.nnue' });
+                } else if (hasSmall) {
+                    options.push({ name: 'EvalFile', value: 'nn-37f18f62d772.nnue' });
+                }
+                if (hasSmall) {
+                    options.push({ name: 'EvalFileSmall', value: 'nn-37f18f62d772.nnue' });
+                }
+            }
+        }
+    } else {
+        options.push({ name: 'Use NNUE', value: profileUsesNnue(profile) });
+        options.push({ name: 'EvalFile', value: 'nn-5af11540bbfe.nnue' });
+    }
+
+    // Profile-level custom options (Skill Level, Contempt, SyzygyPath, ...) go last.
+    const advertisedOptions = engine.getInfo()?.options || [];
+    const uciOverrides = getUciOptionOverrides(profile?.uciOptions, advertisedOptions);
+    const overrideNames = new Set(uciOverrides.map((opt) => opt.name));
+    const previousOverrides = appliedUciOverrides.get(engine) || [];
+    previousOverrides.forEach(({ name }) => {
+        if (overrideNames.has(name)) return;
+        const meta = advertisedOptions.find((opt) => opt.name === name);
+        if (meta && meta.default !== null) options.push({ name, value: meta.default });
+    });
+    options.push(...uciOverrides);
+
+    // Callers hand over an engine of theirs that is idle, so skip the between-jobs cooldown that would drop the options.
+    const applied = engine.setOptions(options, { force: !engine.jobs?.size });
+    if (applied) appliedUciOverrides.set(engine, uciOverrides.map(({ name, value }) => ({ name, value })));
+    // The engine keeps what it was last sent when the options could not be applied.
+    return { applied, options, uciOverrides: applied ? uciOverrides : previousOverrides };
+};
+
+/**
+ * Analyses one game. `options.tier` picks the queue tier: 'scan' is a quick low-depth pass that
+ * leaves the game waiting for a deep pass, 'deep' re-searches the critical plies of a scanned game
+ * in place, and the default runs the single full-depth pass. Aborting `options.signal` stops it like
+ * a pause; `options.onError` hears why a run failed or was handed back for a retry, and
+ * `options.onSearched` how many plies the engine searched before the run ended.
+ */
+export const processGame = async (gameId, options = {}) => {
+    // Pooled queue lanes pass their own worker; everything else uses the shared engine.
+    const activeEngine = options.engine || engine;
+    const tier = options.tier || 'full';
+    const reportError = (err) => {
+        if (options.onError) options.onError(err);
+    };
+    // Plies the engine searched in this run (not resumed, imported or skipped ones), for throughput estimates.
+    let searchedPlies = 0;
+    const reportSearched = () => {
+        if (options.onSearched) options.onSearched(searchedPlies);
+    };
     const game = await db.games.get(gameId);
     if (!game) return;
-    if (game.analyzed) {
+    if (tier === 'deep') {
+        // Only scanned games get a deep pass; anything else lost its place in the second tier.
+        if (game.analysisStatus !== 'completed' || game.analysisTier !== 'scan') {
+            await db.games.update(gameId, { deepPassStatus: null });
+            return;
+        }
+    } else if (game.analyzed) {
         // If a game is already analyzed but still marked pending, clear the stale queue state.
         if (game.analysisStatus === 'pending' || game.analysisStatus === 'analyzing') {
             await db.games.update(gameId, {
@@ -645,6 +1165,7 @@ export const processGame = async (gameId) => {
     }
     if (!pgn || typeof pgn !== 'string') {
         console.warn(`Skipping analysis for game ${gameId}: Missing or invalid PGN.`);
+        reportError(new Error('Missing or invalid PGN'));
         await db.games.update(gameId, {
             analyzed: true,
             analysisStatus: 'failed',
@@ -654,11 +1175,26 @@ export const processGame = async (gameId) => {
         return;
     }
 
-    const chess = new Chess();
+    const variant = getGameVariant(game, pgn);
+    if (!isAnalyzableVariant(variant)) {
+        // Crazyhouse, atomic and friends need a variant engine; keep them out of the failed pile.
+        console.info(`Skipping analysis for game ${gameId}: ${UNSUPPORTED_VARIANT_MESSAGE} (${getVariantLabel(variant)}).`);
+        await db.games.update(gameId, {
+            analyzed: true,
+            analysisStatus: 'unsupported',
+            analysisStartedAt: null,
+            analysisHeartbeatAt: null
+        });
+        return;
+    }
+    const isChess960 = variant === 'chess960';
+
+    let history;
     try {
-        chess.loadPgn(pgn, { sloppy: true });
+        ({ moves: history } = replayPgn(pgn, variant));
     } catch (e) {
         console.error(`Invalid PGN parsing for game ${gameId}`, e);
+        reportError(e);
         await db.games.update(gameId, {
             analyzed: true,
             analysisStatus: 'failed',
@@ -668,80 +1204,48 @@ export const processGame = async (gameId) => {
         return;
     }
 
-    await db.games.update(gameId, {
-        analysisStatus: 'analyzing',
-        analysisStartedAt: new Date().toISOString(),
-        analysisHeartbeatAt: new Date().toISOString()
+    // The deep tier runs on a completed game, so the library keeps showing its scan meanwhile.
+    await db.games.update(gameId, tier === 'deep'
+        ? { deepPassStatus: 'analyzing', analysisHeartbeatAt: new Date().toISOString() }
+        : {
+            analysisStatus: 'analyzing',
+            analysisStartedAt: new Date().toISOString(),
+            analysisHeartbeatAt: new Date().toISOString()
+        });
+
+    // Chess960 positions go to the engine with Shredder-FEN castling rights that chess.js cannot hold.
+    const engineFens = new Map();
+    history.forEach((move) => {
+        engineFens.set(move.before, move.engineBefore);
+        engineFens.set(move.after, move.engineAfter);
     });
+    // Per-ply clock data from [%clk]/[%emt] comments, stored next to each move's evaluation.
+    const clockTimeline = getPgnClockTimeline(pgn, game.timeControl);
+    // `[%eval]` comments shipped with the PGN (Lichess server analysis, engine-annotated files).
+    // A re-analysis with a chosen profile is asked for explicitly, so it always runs the engine.
+    const importedEvals = tier !== 'deep' && !game.analysisProfileId && getUseImportedEvals()
+        ? extractImportedEvals(pgn, history.length)
+        : null;
+    const importedTopUp = getImportedEvalTopUp();
 
-    const history = chess.history({ verbose: true });
-    chess.reset();
+    const profile = loadActiveEngineProfile(game.analysisProfileId);
 
     const existingRecord = await getGameAnalysis(gameId);
     const existingLog = Array.isArray(existingRecord?.analysisLog) ? existingRecord.analysisLog : [];
-    const resuming = existingLog.length > 0 && existingLog.length < history.length;
-    const analysisLog = resuming ? existingLog : [];
-
-    if (!resuming) {
+    // A partial log only continues under the profile that started it; another profile starts over at ply 0.
+    const sameProfile = !existingRecord?.provenance
+        || (existingRecord.provenance.profileId || null) === (profile?.id || null);
+    const resuming = tier !== 'deep' && sameProfile && existingLog.length > 0 && existingLog.length < history.length;
+    const analysisLog = resuming || tier === 'deep' ? existingLog : [];
+
+    if (!resuming && tier !== 'deep') {
+        // A finished earlier run is kept for comparison instead of being overwritten.
+        if (existingLog.length) await archiveGameAnalysis(gameId);
         // Only clear old positions if starting fresh
         await db.positions.where('gameId').equals(gameId).delete();
     }
 
     const reelPositions = [];
-    let whiteAccuracySum = 0;
-    let whiteMoves = 0;
-    let blackAccuracySum = 0;
-    let blackMoves = 0;
-    let currentStreak = 0;
-    let maxStreak = 0;
-    let totalCpLoss = 0;
-    let maxEvalSwing = 0;
-    let prevScoreWhite = 0;
-
-    // If resuming, restore state from existing log
-    if (resuming) {
-        for (const entry of analysisLog) {
-            // Replay move to get board state correct
-            const move = history.find(m =>
-                (m.from + m.to + (m.promotion || '')).toLowerCase() === entry.move.toLowerCase()
-            );
-            if (move) chess.move(move);
-
-            // Re-hydrate stats
-            if (entry.turn === 'w') {
-                // Approximate accuracy reconstruction not strictly needed for resume, 
-                // but nice for final report. We can re-calculate if needed or just sum.
-                // Simpler: Just rely on final summation at end? No, we need sums.
-                // We'll trust the log has correct data.
-                // Calculate accuracy from evalDiff stored in log
-                const rawAcc = calculateAccuracy(entry.evalDiff);
-                const acc = applyClassificationPenalty(rawAcc, entry.classification);
-                whiteAccuracySum += acc;
-                whiteMoves++;
-            } else {
-                const rawAcc = calculateAccuracy(entry.evalDiff);
-                const acc = applyClassificationPenalty(rawAcc, entry.classification);
-                blackAccuracySum += acc;
-                blackMoves++;
-            }
-            totalCpLoss += entry.evalDiff;
-
-            // Streak
-            const rawAcc = calculateAccuracy(entry.evalDiff);
-            const acc = applyClassificationPenalty(rawAcc, entry.classification);
-            if (acc >= ACCURACY_STREAK) {
-                currentStreak++;
-                maxStreak = Math.max(maxStreak, currentStreak);
-            } else {
-                currentStreak = 0;
-            }
-
-            // Eval Swing
-            const score = entry.score; // White POV
-            maxEvalSwing = Math.max(maxEvalSwing, Math.abs(score - prevScoreWhite));
-            prevScoreWhite = score;
-        }
-    }
 
     let bookMoves = [];
     let bookMoveByFen = null;
@@ -761,93 +1265,88 @@ export const processGame = async (gameId) => {
         return bookMoves;
     };
 
-    const profile = loadActiveEngineProfile();
     const depthSetting = profile?.depth ?? parseInt(localStorage.getItem('engineDepth') || '15', 10);
-    const depth = Number.isNaN(depthSetting) ? 15 : depthSetting;
+    const profileDepth = Number.isNaN(depthSetting) ? 15 : depthSetting;
+    // The scan tier trades depth for a fast library-wide overview; the deep tier makes up for it.
+    const depth = tier === 'scan' ? Math.min(profileDepth, SCAN_DEPTH) : profileDepth;
     const shallowDepth = Math.max(8, depth - 4);
     const multiPvSetting = profile?.multiPv ?? parseInt(localStorage.getItem('engineMultiPv') || '1', 10);
-    const multiPv = Number.isNaN(multiPvSetting) ? 1 : Math.max(1, Math.min(5, multiPvSetting));
+    const multiPv = tier === 'scan' || Number.isNaN(multiPvSetting) ? 1 : Math.max(1, Math.min(5, multiPvSetting));
     const deepDepthSetting = profile?.deepDepth ?? parseInt(localStorage.getItem('engineDeepDepth') || '0', 10);
     const deepDepthRaw = Number.isNaN(deepDepthSetting) ? 0 : deepDepthSetting;
-    const deepDepth = Math.max(0, Math.min(60, deepDepthRaw));
-
-    // Performance Settings
-    const hashRaw = profile?.hash ?? parseInt(localStorage.getItem('engineHash') || '32', 10);
-    const hash = Math.min(256, Math.max(1, hashRaw)); // Relax clamp for desktop/multi-thread
-
-    const threadsRAW = profile?.threads ?? parseInt(localStorage.getItem('engineThreads') || '1', 10);
-    const threads = Math.min(32, Math.max(1, threadsRAW)); // Allow multi-threading
+    const deepDepth = tier === 'scan' ? 0 : Math.max(0, Math.min(60, deepDepthRaw));
 
     const timePerMoveRaw = profile?.timePerMove ?? parseInt(localStorage.getItem('engineTimePerMove') || '0', 10);
     const timePerMove = Math.max(0, timePerMoveRaw);
 
-    const useNNUE = typeof profile?.useNNUE === 'boolean'
-        ? profile.useNNUE
-        : localStorage.getItem('engineUseNNUE') !== 'false'; // Default to true
-
-    // Check if version changed
-    const currentVersion = engine.version;
+    // Check if version or backend changed
+    const currentVersion = activeEngine.version;
     const newVersion = profile?.version || getDefaultEngineVersion();
+    const remoteUrl = profile?.remoteUrl || '';
 
     console.log(`[Analyzer] Profile Version: ${newVersion}, Current Engine Version: ${currentVersion}`);
 
-    if (currentVersion !== newVersion) {
-        console.log(`[Analyzer] Switching engine version from ${currentVersion} to ${newVersion}`);
-        // If engine not started, init with new version
-        if (!engine.worker) {
-            await engine.init(newVersion);
-        } else {
-            await engine.restart(newVersion);
-        }
-    }
-
-    // Ensure engine options are up to date
-    const engineOptions = [
-        { name: 'Hash', value: hash },
-        { name: 'Threads', value: threads }
-    ];
-
-    if (newVersion?.startsWith('17.1')) {
-        // Stockfish 17.1 no longer has "Use NNUE" option
-        // Only set EvalFile options if the engine supports them and assets exist.
-        const caps = engine.getInfo()?.caps || {};
-        const supportsEvalFile = !!(caps.evalFile || caps.evalFileSmall);
-
-        if (supportsEvalFile) {
-            const hasSmall = await checkPublicAsset('nn-37f18f62d772.nnue');
-            const hasLarge = await checkPublicAsset('nn-1c0000000000.nnue');
-
-            if (newVersion === '17.1-lite') {
-                if (hasSmall) {
-                    engineOptions.push({ name: 'EvalFile', value: 'nn-37f18f62d772.nnue' });
-                    engineOptions.push({ name: 'EvalFileSmall', value: 'nn-37f18f62d772.nnue' });
-                }
-            } else if (hasLarge || hasSmall) {
-                if (hasLarge) {
-                    engineOptions.push({ name: 'EvalFile', value: 'nn-1c0000000000.nnue' });
-                } else if (hasSmall) {
-                    engineOptions.push({ name: 'EvalFile', value: 'nn-37f18f62d772.nnue' });
-                }
-                if (hasSmall) {
-                    engineOptions.push({ name: 'EvalFileSmall', value: 'nn-37f18f62d772.nnue' });
-                }
-            }
-        }
-    } else {
-        engineOptions.push({ name: 'Use NNUE', value: useNNUE });
-        engineOptions.push({ name: 'EvalFile', value: 'nn-5af11540bbfe.nnue' });
+    if (currentVersion !== newVersion || (activeEngine.remoteUrl || '') !== remoteUrl) {
+        console.log(`[Analyzer] Switching engine from ${currentVersion} to ${newVersion}${remoteUrl ? ` (remote ${remoteUrl})` : ''}`);
+        // init() tears down the old backend when the version or remote URL differs
+        await activeEngine.init(newVersion, { remoteUrl });
+    } else if (!activeEngine.worker) {
+        await activeEngine.init(newVersion, { remoteUrl });
     }
+    const isRemoteEngine = activeEngine.getInfo()?.backend === 'remote';
+    const { options: engineOptions, uciOverrides: effectiveOverrides } = await applyEngineProfile(activeEngine, profile);
+
+    // Overrides change search results, so cached evals are only shared between identical settings.
+    const overrideSignature = effectiveOverrides.length
+        ? `|${effectiveOverrides.map((opt) => `${opt.name}=${opt.value}`).sort().join(';')}`
+        : '';
+
+    // Stored with the log, so every run can be traced back to the engine and settings behind it.
+    const provenance = {
+        engineName: activeEngine.getInfo()?.name || 'Stockfish',
+        engineVersion: isRemoteEngine ? 'remote' : newVersion,
+        backend: activeEngine.getInfo()?.backend || null,
+        // Stockfish 17.1 always evaluates with NNUE; a remote engine picks its own network.
+        nnue: isRemoteEngine ? null : (newVersion?.startsWith('17.1') ? true : profileUsesNnue(profile)),
+        evalFile: engineOptions.find((opt) => opt.name === 'EvalFile')?.value || null,
+        depth,
+        shallowDepth,
+        deepDepth,
+        multiPv,
+        timePerMove,
+        uciOptions: effectiveOverrides.map(({ name, value }) => ({ name, value })),
+        profileId: profile?.id || null,
+        profileName: profile?.name || null,
+        tier,
+        analyzerVersion: ANALYZER_VERSION,
+        startedAt: new Date().toISOString()
+    };
 
-    engine.setOptions(engineOptions);
-
-    const safeAnalyze = async (fen, opts) => {
+    // Pausing the queue stops the in-flight search; the partial log is kept for resumption.
+    const pause = createPauseSignal(options.signal);
+
+    const safeAnalyze = async (position, opts) => {
+        const fen = engineFens.get(position) || position;
+        const cacheRequest = {
+            depth: opts.depth,
+            multiPv: opts.multiPv ?? 1,
+            movetime: opts.movetime || 0,
+            // Remote engines are a different build than the bundled WASM one.
+            engineVersion: `${isRemoteEngine ? `remote:${activeEngine.getInfo()?.name || remoteUrl}` : newVersion}${overrideSignature}${isChess960 ? '|960' : ''}`
+        };
+        const cached = await getCachedEval(fen, cacheRequest);
+        if (cached) return cached;
         try {
-            return await engine.analyze(fen, opts);
+            const result = await activeEngine.analyze(fen, { ...opts, chess960: isChess960, signal: pause.signal });
+            if (pause.signal.aborted) throw new Error(ANALYSIS_PAUSED_MESSAGE);
+            await storeCachedEval(fen, result, cacheRequest);
+            return result;
         } catch (e) {
+            if (isPausedError(e)) throw e;
             const msg = String(e?.message || e || '');
             if (msg.toLowerCase().includes('timeout')) {
                 try {
-                    await engine.restart();
+                    await activeEngine.restart();
                 } catch {
                     // ignore
                 }
@@ -859,19 +1358,328 @@ export const processGame = async (gameId) => {
         }
     };
 
+    const gameThresholds = resolveGameThresholds(game);
+
+    // Scores annotator sidelines at the shallow depth. Positions shared between lines are searched once.
+    const analyzeVariations = async (tree) => {
+        const evals = new Map();
+        const evaluate = async (fen) => {
+            if (evals.has(fen)) return evals.get(fen);
+            const position = new Chess(fen);
+            let value;
+            if (position.isGameOver()) {
+                // Side to move is mated (or it is a draw); no search needed.
+                value = { cp: position.isCheckmate() ? -MATE_SCORE : 0, bestMove: '' };
+            } else {
+                if (pause.signal.aborted) throw new Error(ANALYSIS_PAUSED_MESSAGE);
+                const result = await safeAnalyze(fen, { depth: shallowDepth, multiPv: 1, movetime: timePerMove });
+                value = { cp: evalToCp(result.evaluation), bestMove: String(result.bestMove || '').toLowerCase() };
+            }
+            evals.set(fen, value);
+            return value;
+        };
+
+        const out = [];
+        for (const { node, parentFen, mainIndex } of getVariationNodes(tree).slice(0, MAX_VARIATION_MOVES)) {
+            await db.games.update(gameId, { analysisHeartbeatAt: new Date().toISOString() });
+            const turn = parentFen.split(' ')[1] === 'b' ? 'b' : 'w';
+            const before = await evaluate(parentFen);
+            const after = await evaluate(node.fen);
+            const scoreBefore = before.cp;
+            const scoreAfter = -after.cp;
+            const beforeMaterial = materialScore(parentFen);
+            const afterMaterial = materialScore(node.fen);
+            const materialDelta = turn === 'w'
+                ? afterMaterial.white - beforeMaterial.white
+                : afterMaterial.black - beforeMaterial.black;
+            const evalDiff = Math.max(0, scoreBefore - scoreAfter);
+            const phase = getGamePhase(node.ply, materialTotal(parentFen));
+            const playerRating = turn === 'w'
+                ? (game.whiteRating ?? game.whiteElo ?? null)
+                : (game.blackRating ?? game.blackElo ?? null);
+            const classification = classifyFromInput({
+                evalDiff,
+                isExactBest: node.uci === before.bestMove,
+                isTopLine: node.uci === before.bestMove,
+                scoreBefore,
+                scoreAfter,
+                materialDelta,
+                pvMaterialDelta: null,
+                phase,
+                gapToSecond: null,
+                secondScoreCp: null,
+                playerRating,
+                isRecapture: false,
+                motifs: []
+            }, gameThresholds[turn].values);
+            out.push({
+                nodeId: node.id,
+                mainIndex,
+                ply: node.ply,
+                fen: parentFen,
+                move: node.uci,
+                san: node.san,
+                bestMove: before.bestMove,
+                score: turn === 'w' ? scoreBefore : -scoreBefore, // white POV, before the move
+                evalDiff,
+                classification,
+                turn,
+                phase
+            });
+        }
+        return out;
+    };
+
+    const deepPass = { depth: null, plies: 0 };
+    // Second tier: re-search the scan's critical plies at full strength and update them in place.
+    const deepenCriticalPlies = async () => {
+        const searchDepth = Math.max(profileDepth, deepDepth);
+        const afterDepth = Math.max(shallowDepth, searchDepth - 4);
+        const indexes = selectDeepCandidates(analysisLog, { max: MAX_DEEP_PLIES });
+        deepPass.depth = searchDepth;
+        deepPass.plies = indexes.length;
+        for (let n = 0; n < indexes.length; n++) {
+            if (pause.signal.aborted) throw new Error(ANALYSIS_PAUSED_MESSAGE);
+            const i = indexes[n];
+            const entry = analysisLog[i];
+            const move = history[i];
+            if (!entry || !move) continue;
+            // Each ply is saved as soon as it is deepened, so a resumed pass skips what it already searched.
+            const storedDepth = entry.pvLines?.find((l) => (l?.multipv || 1) === 1)?.depth;
+            if (entry.evalSource !== 'imported' && typeof storedDepth === 'number' && storedDepth >= searchDepth) continue;
+            const turn = entry.turn === 'b' ? 'b' : 'w';
+            const thresholds = gameThresholds[turn].values;
+            const playerRating = turn === 'w'
+                ? (game.whiteRating ?? game.whiteElo ?? null)
+                : (game.blackRating ?? game.blackElo ?? null);
+
+            await db.games.update(gameId, { analysisHeartbeatAt: new Date().toISOString() });
+            const result = await safeAnalyze(entry.fen, { depth: searchDepth, multiPv, timeoutMs: 12 * 60 * 1000 });
+            const pvLines = Array.isArray(result.pvLines) ? result.pvLines : [];
+            const bestLine = pvLines.find((l) => (l?.multipv || 1) === 1) || result.evaluation || {};
+            const bestMove = String(result.bestMove || entry.bestMove || '').toLowerCase();
+            const scoreBefore = evalToCp(bestLine);
+            const userLine = pvLines.find((l) => typeof l?.pv === 'string' && l.pv.split(' ')[0]?.toLowerCase() === entry.move);
+            let scoreAfter;
+            if (userLine) {
+                scoreAfter = evalToCp(userLine);
+            } else {
+                const resultAfter = await safeAnalyze(move.after, { depth: afterDepth, multiPv: 1, movetime: timePerMove });
+                scoreAfter = -evalToCp(resultAfter.evaluation);
+            }
+            const evalDiff = Math.max(0, scoreBefore - scoreAfter);
+            const secondLine = pvLines.find((l) => (l?.multipv || 1) === 2);
+            const secondScoreCp = secondLine ? evalToCp(secondLine) : null;
+            const scanInput = entry.classifierInput || deriveClassifierInput(entry, analysisLog[i - 1], playerRating);
+            const classifierInput = {
+                ...scanInput,
+                evalDiff,
+                isExactBest: entry.move === bestMove,
+                isTopLine: !!userLine,
+                scoreBefore,
+                scoreAfter,
+                // Single-line searches keep the scan's two-line probe.
+                gapToSecond: secondScoreCp === null ? scanInput.gapToSecond ?? null : scoreBefore - secondScoreCp,
+                secondScoreCp: secondScoreCp ?? scanInput.secondScoreCp ?? null
+            };
+            const classification = classifyFromInput(classifierInput, thresholds);
+            const storedPvLines = pvLines.map((line) => toStoredEvalLine(line, turn)).filter(Boolean).slice(0, multiPv);
+            const storedBestLine = storedPvLines.find((l) => (l?.multipv || 1) === 1) || null;
+            const scoreStm = typeof bestLine.score === 'number' ? bestLine.score : 0;
+            const mateStm = typeof bestLine.mate === 'number' ? bestLine.mate : null;
+
+            analysisLog[i] = {
+                ...entry,
+                bestMove,
+                pvLines: storedPvLines,
+                score: turn === 'w' ? scoreStm : -scoreStm,
+                mate: mateStm === null ? null : (turn === 'w' ? mateStm : -mateStm),
+                wdl: storedBestLine?.wdl || null,
+                classification,
+                evalDiff,
+                missedWin: scoreBefore >= WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy,
+                missedDefense: scoreBefore <= -WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy,
+                planHint: generatePlanHint({ phase: entry.phase, motifs: entry.motifs || [], classification }),
+                classifierInput,
+                evalSource: 'engine'
+            };
+            searchedPlies += 1;
+            await saveGameAnalysis({ gameId, analysisLog, provenance: withEvalSource(existingRecord?.provenance || provenance, analysisLog) });
+            await db.games.update(gameId, {
+                analysisHeartbeatAt: new Date().toISOString(),
+                deepPassProgress: Math.round(((n + 1) / indexes.length) * 100)
+            });
+        }
+    };
+
+    if (tier === 'deep') {
+        try {
+            await deepenCriticalPlies();
+        } catch (err) {
+            // The scan result stays usable either way; a paused pass resumes after its deepened plies.
+            const paused = isPausedError(err);
+            if (!paused) {
+                console.error(`Deep pass failed for game ${gameId}`, err);
+                reportError(err);
+            }
+            await db.games.update(gameId, {
+                deepPassStatus: paused ? 'pending' : 'failed',
+                analysisHeartbeatAt: null
+            });
+            return;
+        } finally {
+            pause.release();
+            reportSearched();
+        }
+
+        // The scan's provenance stays; the deep pass is recorded on top of it.
+        await saveGameAnalysis({
+            gameId,
+            analysisLog,
+            provenance: withEvalSource({
+                ...(existingRecord?.provenance || provenance),
+                tier: 'deep',
+                deepPass: { ...deepPass, engineVersion: provenance.engineVersion, analyzedAt: new Date().toISOString() }
+            }, analysisLog)
+        });
+        await syncReelPositions(gameId, analysisLog);
+        await db.games.update(gameId, {
+            analysisTier: 'deep',
+            deepPassStatus: 'completed',
+            deepPassProgress: 100,
+            analysisHeartbeatAt: null,
+            ...computeGameStats(analysisLog)
+        });
+        return analysisLog;
+    }
+
+    // Provisional entry for ply `i` built from the PGN's evals; null when the engine has to search it
+    // (eval missing, or with top-up on: eval too shallow, or an error with no known best move).
+    const buildImportedEntry = (i, { thresholds, playerRating, isRecapture }) => {
+        const move = history[i];
+        const sideToMove = move.color;
+        const fenBefore = move.before;
+        const ply = i + 1;
+        // Nobody annotates the start position; a regular start is level.
+        const before = i === 0
+            ? (variant === 'fromPosition' ? null : { score: 0, mate: null, depth: null })
+            : importedEvals[i - 1]?.eval;
+        const after = importedEvals[i]?.eval || null;
+        const chessAfter = new Chess(move.after);
+        if (!before || (!after && !chessAfter.isGameOver())) return null;
+        if (importedTopUp && [before, after].some((e) => e?.depth && e.depth < shallowDepth)) return null;
+
+        const scoreBeforeCp = storedLineToMoverCp(before, sideToMove) ?? 0;
+        const myScoreAfter = after
+            ? (storedLineToMoverCp(after, sideToMove) ?? 0)
+            : (chessAfter.isCheckmate() ? mateToCp(1) : 0);
+        const evalDiff = Math.max(0, scoreBeforeCp - myScoreAfter);
+        const userMoveUCI = move.uci.toLowerCase();
+        const bestMoveUCI = (importedEvals[i]?.bestMove || '').toLowerCase() || null;
+
+        const beforeMaterial = materialScore(fenBefore);
+        const afterMaterial = materialScore(move.after);
+        const materialDelta = sideToMove === 'w'
+            ? afterMaterial.white - beforeMaterial.white
+            : afterMaterial.black - beforeMaterial.black;
+        const phase = getGamePhase(ply, materialTotal(fenBefore));
+        const normalizedBookMoves = (getBookMovesForFen(fenBefore) || []).map((m) => String(m || '').toLowerCase());
+        const isBookMove = phase === 'opening' && normalizedBookMoves.includes(userMoveUCI);
+
+        const motifs = detectMotifs({
+            chessBefore: new Chess(fenBefore),
+            chessAfter,
+            move,
+            prevMove: i > 0 ? history[i - 1] : null,
+            replyPv: '',
+            scoreBefore: scoreBeforeCp,
+            myScoreAfter,
+            materialDelta,
+            pvMaterialDelta: null
+        });
+        const classifierInput = {
+            evalDiff,
+            isExactBest: !!bestMoveUCI && userMoveUCI === bestMoveUCI,
+            isTopLine: false,
+            scoreBefore: scoreBeforeCp,
+            scoreAfter: myScoreAfter,
+            materialDelta,
+            pvMaterialDelta: null,
+            phase,
+            gapToSecond: null,
+            secondScoreCp: null,
+            playerRating,
+            isRecapture,
+            motifs,
+            explicitBook: isBookMove,
+            bookCandidate: false
+        };
+        const classification = classifyFromInput(classifierInput, thresholds);
+        const missedWin = scoreBeforeCp >= WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy;
+        const missedDefense = scoreBeforeCp <= -WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy;
+        const isCritical = ['blunder', 'mistake', 'inaccuracy'].includes(classification) || missedWin || missedDefense;
+        // Reel puzzles need the move that should have been played.
+        if (importedTopUp && isCritical && !bestMoveUCI) return null;
+
+        return {
+            ply,
+            fen: fenBefore,
+            move: userMoveUCI,
+            bestMove: bestMoveUCI,
+            pvLines: [],
+            score: typeof before.score === 'number' ? before.score : 0, // white POV, like engine entries
+            mate: typeof before.mate === 'number' ? before.mate : null,
+            wdl: null,
+            scorePov: 'white',
+            classification,
+            evalDiff,
+            turn: sideToMove,
+            phase,
+            structures: classifyPawnStructure(fenBefore),
+            endgameType: phase === 'endgame' ? classifyEndgame(fenBefore) : null,
+            motifs,
+            missedWin,
+            missedDefense,
+            planHint: generatePlanHint({ phase, motifs, classification }),
+            bookMove: isBookMove,
+            classifierInput,
+            evalSource: 'imported',
+            importedDepth: before.depth ?? null,
+            clock: clockTimeline[i]?.remaining ?? null,
+            timeSpent: clockTimeline[i]?.spent ?? null
+        };
+    };
+
+    let variationLog = [];
+
     try {
         // Start from where we left off
         for (let i = analysisLog.length; i < history.length; i++) {
+            if (pause.signal.aborted) throw new Error(ANALYSIS_PAUSED_MESSAGE);
 
             const move = history[i];
-            const fenBefore = chess.fen();
-            const sideToMove = chess.turn(); // 'w' or 'b'
+            const fenBefore = move.before;
+            const sideToMove = move.color; // 'w' or 'b'
             const ply = i + 1;
             const playerRating = sideToMove === 'w'
                 ? (game.whiteRating ?? game.whiteElo ?? null)
                 : (game.blackRating ?? game.blackElo ?? null);
             const prevMove = i > 0 ? history[i - 1] : null;
             const isRecapture = !!(prevMove?.captured && move?.captured && move.to === prevMove.to);
+            const thresholds = gameThresholds[sideToMove].values;
+
+            const importedEntry = importedEvals ? buildImportedEntry(i, { thresholds, playerRating, isRecapture }) : null;
+            if (importedEntry) {
+                analysisLog.push(importedEntry);
+                await saveGameAnalysis({ gameId, analysisLog, provenance: withEvalSource(provenance, analysisLog) });
+                await db.games.update(gameId, {
+                    analysisHeartbeatAt: new Date().toISOString(),
+                    analysisProgress: Math.round(((i + 1) / Math.max(1, history.length)) * 100)
+                });
+                const reelPosition = toReelPosition(gameId, importedEntry);
+                if (reelPosition) reelPositions.push(reelPosition);
+                continue;
+            }
 
             // 1. Analyze position BEFORE the move
             await db.games.update(gameId, { analysisHeartbeatAt: new Date().toISOString() });
@@ -887,21 +1695,12 @@ export const processGame = async (gameId) => {
             const scoreBeforeWhite = sideToMove === 'w' ? scoreBeforeStm : -scoreBeforeStm;
             const mateBeforeWhite = mateBeforeStm === null ? null : (sideToMove === 'w' ? mateBeforeStm : -mateBeforeStm);
 
-            const normalizeEvalLine = (line) => {
-                if (!line || typeof line !== 'object') return null;
-                const rawScore = typeof line.score === 'number' ? line.score : null;
-                const rawMate = typeof line.mate === 'number' ? line.mate : null;
-                return {
-                    ...line,
-                    score: rawScore === null ? null : (sideToMove === 'w' ? rawScore : -rawScore),
-                    mate: rawMate === null ? null : (sideToMove === 'w' ? rawMate : -rawMate),
-                    scorePov: 'white'
-                };
-            };
+            const normalizeEvalLine = (line) => toStoredEvalLine(line, sideToMove);
             const pvLinesUi = pvLines.map(normalizeEvalLine).filter(Boolean);
 
             // 2. Identify User's Move
-            const userMoveUCI = (move.from + move.to + (move.promotion || '')).toLowerCase();
+            // Chess960 castling is already in the engine's king-takes-rook form.
+            const userMoveUCI = move.uci.toLowerCase();
 
             let classification = 'book';
             let evalDiff = 0;
@@ -914,13 +1713,14 @@ export const processGame = async (gameId) => {
             const userScoreFromLines = userLine ? evalToCp(userLine) : null;
 
             // 3. Evaluate after move
-            chess.move(move);
-            const fenAfter = chess.fen();
+            const fenAfter = move.after;
 
             // OPTIMIZATION: If we found the move in the main search (depth N), 
             // use that score instead of re-analyzing at shallow depth (depth N-4).
             // This skips a redundant engine call for good/decent moves.
             let usedShallowAfter = false;
+            // Engine line after the played move, used for PV-based motifs.
+            let replyPv = userLine ? userLine.pv.split(' ').slice(1).join(' ') : '';
             if (userScoreFromLines !== null) {
                 myScoreAfter = userScoreFromLines;
                 // Still update heartbeat to prevent timeouts during long processing loops
@@ -933,11 +1733,11 @@ export const processGame = async (gameId) => {
                 const scoreAfter = evalToCp(resultAfter.evaluation);
                 // After the move, side-to-move flips, so negate to keep perspective of the player who just moved.
                 myScoreAfter = -scoreAfter;
+                replyPv = resultAfter.evaluation?.pv || '';
                 usedShallowAfter = true;
             }
 
             const chessAfter = new Chess(fenAfter);
-            chess.undo();
 
             const beforeMaterial = materialScore(fenBefore);
             const afterMaterial = materialScore(fenAfter);
@@ -984,12 +1784,12 @@ export const processGame = async (gameId) => {
                 isOpening &&
                 normalizedBookMoves.length === 0 &&
                 isInTopLines &&
-                evalDiff <= THRESHOLDS.BEST * 0.5 &&   // stricter than "best"
+                evalDiff <= thresholds.best * 0.5 &&   // stricter than "best"
                 materialDelta >= -1 &&                // no real sacrifices
                 Math.abs(scoreBeforeCp) <= 80;        // avoid unstable evals
             const isBookMove = isExplicitBookMove || isEngineBookMove;
 
-            const bestThreshold = THRESHOLDS.BEST * (phase === 'opening' ? 1.3 : 1);
+            const bestThreshold = thresholds.best * (phase === 'opening' ? 1.3 : 1);
             const isBestMove = userMoveUCI === bestMoveUCI || evalDiff <= bestThreshold;
 
             const pvForUser = (userLine?.pv || bestLine?.pv || '').trim();
@@ -1025,33 +1825,36 @@ export const processGame = async (gameId) => {
             }
 
             const motifs = detectMotifs({
+                chessBefore: new Chess(fenBefore),
                 chessAfter,
                 move,
+                prevMove,
+                replyPv,
                 scoreBefore: scoreBeforeCp,
                 myScoreAfter,
                 materialDelta,
                 pvMaterialDelta: pvMaterial?.delta
             });
 
-            classification = getClassification({
+            let classifierInput = {
                 evalDiff,
-                isBestMove,
                 isExactBest: userMoveUCI === bestMoveUCI,
                 isTopLine: isInTopLines,
                 scoreBefore: scoreBeforeCp,
                 scoreAfter: myScoreAfter,
                 materialDelta,
-                pvMaterialDelta: pvMaterial?.delta,
+                pvMaterialDelta: pvMaterial?.delta ?? null,
                 phase,
                 gapToSecond,
                 secondScoreCp,
                 playerRating,
                 isRecapture,
-                motifs
-            });
-
+                motifs,
+                explicitBook: isExplicitBookMove,
+                bookCandidate: isOpening && normalizedBookMoves.length === 0 && isInTopLines
+            };
             // Book is its own move-quality bucket (not "good/best") so stats are not confusing.
-            if (isBookMove) classification = 'book';
+            classification = classifyFromInput(classifierInput, thresholds);
 
             // Optional second pass: only re-check BLUNDERS at a deeper depth to reduce false positives
             // without making analysis unbearably slow.
@@ -1074,26 +1877,19 @@ export const processGame = async (gameId) => {
                     const deepSecondLine = deepPvLines.find((l) => (l?.multipv || 1) === 2);
                     const deepSecondScoreCp = deepSecondLine ? evalToCp(deepSecondLine) : null;
                     const deepGapToSecond = deepSecondScoreCp === null ? null : (deepScoreBeforeCp - deepSecondScoreCp);
-                    const deepBestThreshold = THRESHOLDS.BEST * (phase === 'opening' ? 1.3 : 1);
-                    const deepIsBestMove = userMoveUCI === deepBestMoveUCI || deepEvalDiff <= deepBestThreshold;
-
-                    const deepIsTopLine = !!deepUserLine;
-                    const deepClassification = getClassification({
+                    const deepInput = {
+                        ...classifierInput,
                         evalDiff: deepEvalDiff,
-                        isBestMove: deepIsBestMove,
                         isExactBest: userMoveUCI === deepBestMoveUCI,
-                        isTopLine: deepIsTopLine,
+                        isTopLine: !!deepUserLine,
                         scoreBefore: deepScoreBeforeCp,
                         scoreAfter: deepScoreAfter,
-                        materialDelta,
-                        pvMaterialDelta: pvMaterial?.delta,
-                        phase,
                         gapToSecond: deepGapToSecond,
                         secondScoreCp: deepSecondScoreCp,
-                        playerRating,
-                        isRecapture,
-                        motifs
-                    });
+                        explicitBook: false,
+                        bookCandidate: false
+                    };
+                    const deepClassification = classifyFromInput(deepInput, thresholds);
 
                     // If the deep pass disagrees, trust it (prevents reels from being polluted).
                     bestMoveUCI = deepBestMoveUCI;
@@ -1104,111 +1900,88 @@ export const processGame = async (gameId) => {
                     evalDiff = deepEvalDiff;
                     myScoreAfter = deepScoreAfter;
                     classification = deepClassification;
+                    classifierInput = deepInput;
                 } catch (e) {
                     // Ignore deep pass failures and keep the first pass result.
                 }
             }
-            const missedWin = scoreBeforeCp >= WINNING_THRESHOLD && evalDiff > THRESHOLDS.INACCURACY;
-            const missedDefense = scoreBeforeCp <= -WINNING_THRESHOLD && evalDiff > THRESHOLDS.INACCURACY;
+            const missedWin = scoreBeforeCp >= WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy;
+            const missedDefense = scoreBeforeCp <= -WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy;
 
-            const explanation = generateExplanation(classification, evalDiff, userMoveUCI, bestMoveUCI);
             const planHint = generatePlanHint({ phase, motifs, classification });
 
-            // Accuracy
-            const rawAccuracy = calculateAccuracy(evalDiff);
-            const accuracy = applyClassificationPenalty(rawAccuracy, classification);
-            totalCpLoss += evalDiff;
-            if (accuracy >= ACCURACY_STREAK) {
-                currentStreak += 1;
-                maxStreak = Math.max(maxStreak, currentStreak);
-            } else {
-                currentStreak = 0;
-            }
-            if (sideToMove === 'w') {
-                whiteAccuracySum += accuracy;
-                whiteMoves++;
-            } else {
-                blackAccuracySum += accuracy;
-                blackMoves++;
-            }
-
             const scoreWhiteForStats = sideToMove === 'w' ? scoreBeforeStm : -scoreBeforeStm;
             const mateWhiteForStats = mateBeforeStm === null ? null : (sideToMove === 'w' ? mateBeforeStm : -mateBeforeStm);
-            maxEvalSwing = Math.max(maxEvalSwing, Math.abs(scoreWhiteForStats - prevScoreWhite));
-            prevScoreWhite = scoreWhiteForStats;
+
+            const storedPvLines = pvLines.map(normalizeEvalLine).filter(Boolean).slice(0, multiPv);
+            const storedBestLine = storedPvLines.find((l) => (l?.multipv || 1) === 1) || null;
 
             analysisLog.push({
                 ply,
                 fen: fenBefore,
                 move: userMoveUCI,
                 bestMove: bestMoveUCI,
-                pvLines: pvLines.map(normalizeEvalLine).filter(Boolean).slice(0, multiPv),
+                pvLines: storedPvLines,
                 score: scoreWhiteForStats, // Evaluation *before* the move (graph point), white POV
                 mate: mateWhiteForStats,
+                wdl: storedBestLine?.wdl || null, // [win, draw, loss] per mille, white POV
                 scorePov: 'white',
                 classification,
                 evalDiff,
                 turn: sideToMove,
                 phase,
+                structures: classifyPawnStructure(fenBefore),
+                endgameType: phase === 'endgame' ? classifyEndgame(fenBefore) : null,
                 motifs,
                 missedWin,
                 missedDefense,
                 planHint,
-                bookMove: isBookMove
+                bookMove: isBookMove,
+                classifierInput,
+                clock: clockTimeline[i]?.remaining ?? null, // seconds left after the move
+                timeSpent: clockTimeline[i]?.spent ?? null // seconds spent on the move
             });
+            searchedPlies += 1;
 
             // Save progress every move so UI updates in real-time
-            await saveGameAnalysis({ gameId, analysisLog });
+            await saveGameAnalysis({ gameId, analysisLog, provenance: withEvalSource(provenance, analysisLog) });
             await db.games.update(gameId, {
                 analysisHeartbeatAt: new Date().toISOString(),
                 analysisProgress: Math.round(((i + 1) / Math.max(1, history.length)) * 100)
             });
 
-            const tags = [
-                classification,
-                phase,
-                ...motifs
-            ];
-            // Book is already represented by the classification.
-            if (missedWin) tags.push('missedWin');
-            if (missedDefense) tags.push('missedDefense');
-
-            const questionType = classification === 'brilliant' || classification === 'great'
-                ? 'find_brilliant'
-                : missedWin
-                    ? 'convert_win'
-                    : missedDefense
-                        ? 'find_defense'
-                        : 'best_move';
-
             // Reel Data (Critical positions)
-            if (['blunder', 'mistake', 'inaccuracy', 'brilliant', 'great'].includes(classification) || missedWin || missedDefense) {
-                reelPositions.push({
-                    gameId,
-                    fen: fenBefore,
-                    move: userMoveUCI,
-                    bestMove: bestMoveUCI,
-                    score: scoreWhiteForStats,
-                    loss: evalDiff,
-                    classification,
-                    explanation,
-                    turn: sideToMove,
-                    ply,
-                    phase,
-                    tags,
-                    motifs,
-                    questionType,
-                    missedWin,
-                    missedDefense,
-                    planHint,
-                    nextReviewAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-                });
-            }
+            const reelPosition = toReelPosition(gameId, analysisLog[analysisLog.length - 1]);
+            if (reelPosition) reelPositions.push(reelPosition);
+        }
 
-            chess.move(move); // Apply move for next iteration
+        // Optional: annotated games keep their sidelines, scored like the main line.
+        if (getAnalyzeVariations()) {
+            const tree = await getGameMoveTree(gameId, pgn);
+            if (tree) variationLog = await analyzeVariations(tree);
         }
     } catch (err) {
+        if (isPausedError(err)) {
+            // Back to pending with the partial log; the resume path picks up from the last saved ply.
+            try {
+                await storePuzzlePositions(reelPositions);
+            } catch {
+                // ignore
+            }
+            if (analysisLog.length > 0) {
+                await saveGameAnalysis({ gameId, analysisLog, provenance: withEvalSource(provenance, analysisLog) });
+            }
+            await db.games.update(gameId, {
+                analysisStatus: 'pending',
+                analysisStartedAt: null,
+                analysisHeartbeatAt: null,
+                analysisProgress: Math.round((analysisLog.length / Math.max(1, history.length)) * 100)
+            });
+            return;
+        }
+
         console.error(`Analysis failed for game ${gameId}`, err);
+        reportError(err);
 
         // Check for timeout or engine-related errors that warrant a retry
         const msg = String(err?.message || err || '').toLowerCase();
@@ -1229,7 +2002,7 @@ export const processGame = async (gameId) => {
             } else {
                 console.error(`[Analyzer] Game ${gameId} failed after ${retryCount - 1} retries.`);
                 if (analysisLog.length > 0) {
-                    await saveGameAnalysis({ gameId, analysisLog });
+                    await saveGameAnalysis({ gameId, analysisLog, provenance: withEvalSource(provenance, analysisLog) });
                 }
                 await db.games.update(gameId, {
                     analyzed: true,
@@ -1247,7 +2020,7 @@ export const processGame = async (gameId) => {
             } catch {
                 // ignore
             }
-            await saveGameAnalysis({ gameId, analysisLog });
+            await saveGameAnalysis({ gameId, analysisLog, provenance: withEvalSource(provenance, analysisLog) });
             await db.games.update(gameId, {
                 analyzed: true,
                 analysisStatus: 'failed',
@@ -1259,12 +2032,20 @@ export const processGame = async (gameId) => {
             await db.games.update(gameId, { analyzed: true, analysisStatus: 'failed', analysisStartedAt: null, analysisHeartbeatAt: null });
         }
         return;
+    } finally {
+        pause.release();
+        reportSearched();
     }
 
     // Save Reel Positions
     await storePuzzlePositions(reelPositions);
 
-    await saveGameAnalysis({ gameId, analysisLog });
+    await saveGameAnalysis({
+        gameId,
+        analysisLog,
+        variationLog,
+        provenance: withEvalSource({ ...provenance, analyzedAt: new Date().toISOString() }, analysisLog)
+    });
 
     // Save Game Analytics
     await db.games.update(gameId, {
@@ -1274,14 +2055,76 @@ export const processGame = async (gameId) => {
         analysisHeartbeatAt: null,
         analysisProgress: 100,
         analyzedAt: new Date().toISOString(),
-        accuracy: {
-            white: whiteMoves ? Math.round(whiteAccuracySum / whiteMoves) : 0,
-            black: blackMoves ? Math.round(blackAccuracySum / blackMoves) : 0
-        },
-        avgCpLoss: history.length ? Math.round(totalCpLoss / history.length) : 0,
-        maxAccuracyStreak: maxStreak,
-        maxEvalSwing
+        // Scanned games wait for the second tier to re-search their critical plies.
+        analysisTier: tier,
+        deepPassStatus: tier === 'scan' ? 'pending' : null,
+        deepPassProgress: 0,
+        // A one-off profile choice only applies to the run it was requested for.
+        analysisProfileId: null,
+        // accuracy, avgCpLoss, streak and swing, scored with the selected accuracy model
+        ...computeGameStats(analysisLog),
+        classificationThresholds: gameThresholds.record
     });
 
     return analysisLog;
 };
+
+// Re-runs classification, hints, reel positions and game stats for one game from its stored log.
+export const reclassifyGame = async (gameId) => {
+    const game = await db.games.get(gameId);
+    const analysis = await getGameAnalysis(gameId);
+    const log = Array.isArray(analysis?.analysisLog) ? analysis.analysisLog : [];
+    if (!game || !log.length) return { moves: 0, changed: 0, transitions: {} };
+
+    const gameThresholds = resolveGameThresholds(game);
+    const transitions = {};
+    let changed = 0;
+    const analysisLog = log.map((entry, idx) => {
+        if (!entry) return entry;
+        const playerRating = entry.turn === 'w'
+            ? (game.whiteRating ?? game.whiteElo ?? null)
+            : (game.blackRating ?? game.blackElo ?? null);
+        const classifierInput = entry.classifierInput || deriveClassifierInput(entry, log[idx - 1], playerRating);
+        const thresholds = gameThresholds[entry.turn === 'b' ? 'b' : 'w'].values;
+        const classification = classifyFromInput(classifierInput, thresholds);
+        if (classification !== entry.classification) {
+            changed += 1;
+            const key = `${entry.classification || 'none'}→${classification}`;
+            transitions[key] = (transitions[key] || 0) + 1;
+        }
+        const { scoreBefore, evalDiff } = classifierInput;
+        return {
+            ...entry,
+            classification,
+            missedWin: scoreBefore >= WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy,
+            missedDefense: scoreBefore <= -WINNING_THRESHOLD && evalDiff > thresholds.inaccuracy,
+            planHint: generatePlanHint({ phase: entry.phase, motifs: entry.motifs || [], classification }),
+            structures: entry.structures || classifyPawnStructure(entry.fen),
+            endgameType: entry.phase === 'endgame' ? (entry.endgameType || classifyEndgame(entry.fen)) : null,
+            classifierInput
+        };
+    });
+
+    await saveGameAnalysis({ gameId, analysisLog });
+    await db.games.update(gameId, { ...computeGameStats(analysisLog), classificationThresholds: gameThresholds.record });
+    await syncReelPositions(gameId, analysisLog);
+
+    return { moves: analysisLog.length, changed, transitions };
+};
+
+// Reclassifies every completed game without touching the engine.
+export const reclassifyLibrary = async ({ onProgress } = {}) => {
+    const ids = await db.games.filter((g) => g.analysisStatus === 'completed' || (g.analyzed && g.analysisStatus !== 'analyzing')).primaryKeys();
+    const summary = { games: ids.length, moves: 0, changed: 0, gamesChanged: 0, transitions: {} };
+    for (let i = 0; i < ids.length; i++) {
+        const result = await reclassifyGame(ids[i]);
+        summary.moves += result.moves;
+        summary.changed += result.changed;
+        if (result.changed) summary.gamesChanged += 1;
+        Object.entries(result.transitions).forEach(([key, count]) => {
+            summary.transitions[key] = (summary.transitions[key] || 0) + count;
+        });
+        if (onProgress) onProgress({ done: i + 1, total: ids.length, changed: summary.changed });
+    }
+    return summary;
+};
@@ -0,0 +1,150 @@
+const THRESHOLDS_KEY = 'classificationThresholds';
+const THRESHOLDS_EVENT = 'classification-thresholds-changed';
+
+// Cut-offs used by move classification, in centipawns unless `unit` says otherwise.
+// Opening moves get `openingLeniency` extra room.
+export const THRESHOLD_FIELDS = [
+    { key: 'blunder', label: 'Blunder', min: 50, max: 1000 },
+    { key: 'mistake', label: 'Mistake', min: 20, max: 600 },
+    { key: 'inaccuracy', label: 'Inaccuracy', min: 5, max: 300 },
+    { key: 'best', label: 'Best (max loss)', min: 0, max: 60 },
+    { key: 'brilliantGap', label: 'Brilliant gap', min: 30, max: 400 },
+    { key: 'greatGap', label: 'Great gap', min: 30, max: 400 },
+    // Gap to the second-best move when a best move turns a level position into a clear edge.
+    { key: 'onlyMoveGap', label: 'Only-move gap', min: 30, max: 400 },
+    // Material (pawn units) a best move has to give up to count as a sacrifice for brilliant.
+    { key: 'sacrificeMaterial', label: 'Sacrifice', unit: 'pawns', min: 1, max: 9 }
+];
+
+export const THRESHOLD_PRESETS = [
+    {
+        id: 'standard',
+        label: 'Standard',
+        values: { blunder: 250, mistake: 100, inaccuracy: 40, best: 10, brilliantGap: 120, greatGap: 140, onlyMoveGap: 120, sacrificeMaterial: 2, openingLeniency: 1.4 }
+    },
+    {
+        id: 'strict',
+        label: 'Strict',
+        values: { blunder: 200, mistake: 80, inaccuracy: 30, best: 8, brilliantGap: 100, greatGap: 120, onlyMoveGap: 100, sacrificeMaterial: 2, openingLeniency: 1.2 }
+    },
+    {
+        id: 'lichess',
+        label: 'Lichess-like',
+        values: { blunder: 300, mistake: 100, inaccuracy: 50, best: 10, brilliantGap: 150, greatGap: 160, onlyMoveGap: 150, sacrificeMaterial: 3, openingLeniency: 1 }
+    },
+    {
+        id: 'beginner',
+        label: 'Beginner-friendly',
+        values: { blunder: 350, mistake: 150, inaccuracy: 60, best: 15, brilliantGap: 100, greatGap: 120, onlyMoveGap: 100, sacrificeMaterial: 2, openingLeniency: 1.6 }
+    }
+];
+
+export const DEFAULT_THRESHOLD_PRESET = 'standard';
+
+export const THRESHOLD_PERF_OPTIONS = ['all', 'bullet', 'blitz', 'rapid', 'classical', 'daily', 'correspondence'];
+
+export const DEFAULT_THRESHOLD_CONFIG = {
+    default: { preset: DEFAULT_THRESHOLD_PRESET, custom: null },
+    rules: []
+};
+
+const getPreset = (id) => THRESHOLD_PRESETS.find((p) => p.id === id) || null;
+
+export const getThresholdPresetValues = (id) => (getPreset(id) || getPreset(DEFAULT_THRESHOLD_PRESET)).values;
+
+const clampNumber = (value, min, max, fallback) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed)) return fallback;
+    return Math.min(max, Math.max(min, parsed));
+};
+
+const normalizeCustom = (custom) => {
+    const base = getPreset(DEFAULT_THRESHOLD_PRESET).values;
+    const values = { ...base };
+    THRESHOLD_FIELDS.forEach(({ key, min, max }) => {
+        values[key] = clampNumber(custom?.[key], min, max, base[key]);
+    });
+    values.openingLeniency = clampNumber(custom?.openingLeniency, 1, 2, base.openingLeniency);
+    return values;
+};
+
+const normalizeSet = (set) => {
+    const preset = set?.preset === 'custom' || getPreset(set?.preset) ? set.preset : DEFAULT_THRESHOLD_PRESET;
+    return { preset, custom: preset === 'custom' ? normalizeCustom(set?.custom) : null };
+};
+
+const normalizeRating = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) ? Math.max(0, parsed) : null;
+};
+
+export const normalizeThresholdConfig = (raw) => {
+    const rules = Array.isArray(raw?.rules) ? raw.rules : [];
+    return {
+        default: normalizeSet(raw?.default),
+        rules: rules.filter(Boolean).map((rule, idx) => ({
+            id: rule.id || `rule_${idx}`,
+            minRating: normalizeRating(rule.minRating),
+            maxRating: normalizeRating(rule.maxRating),
+            perf: THRESHOLD_PERF_OPTIONS.includes(rule.perf) ? rule.perf : 'all',
+            ...normalizeSet(rule)
+        }))
+    };
+};
+
+export const getThresholdConfig = () => {
+    if (typeof window === 'undefined') return DEFAULT_THRESHOLD_CONFIG;
+    try {
+        const raw = localStorage.getItem(THRESHOLDS_KEY);
+        return raw ? normalizeThresholdConfig(JSON.parse(raw)) : DEFAULT_THRESHOLD_CONFIG;
+    } catch {
+        return DEFAULT_THRESHOLD_CONFIG;
+    }
+};
+
+export const setThresholdConfig = (config) => {
+    if (typeof window === 'undefined') return;
+    const next = normalizeThresholdConfig(config);
+    localStorage.setItem(THRESHOLDS_KEY, JSON.stringify(next));
+    window.dispatchEvent(new CustomEvent(THRESHOLDS_EVENT, { detail: next }));
+};
+
+export const subscribeThresholdConfig = (handler) => {
+    if (typeof window === 'undefined') return () => {};
+    window.addEventListener(THRESHOLDS_EVENT, handler);
+    return () => window.removeEventListener(THRESHOLDS_EVENT, handler);
+};
+
+export const getThresholdRuleLabel = (rule) => {
+    if (!rule) return 'Default';
+    const { minRating, maxRating, perf } = rule;
+    let band = 'Any rating';
+    if (minRating !== null && maxRating !== null) band = `${minRating}–${maxRating}`;
+    else if (minRating !== null) band = `${minRating}+`;
+    else if (maxRating !== null) band = `Under ${maxRating}`;
+    return perf && perf !== 'all' ? `${band} • ${perf}` : band;
+};
+
+const setValues = (set) => (set.preset === 'custom' ? normalizeCustom(set.custom) : getPreset(set.preset).values);
+
+// First matching rule wins; unrated players only match rules without a rating band.
+export const resolveThresholdSet = ({ playerRating = null, perf = '' } = {}, config = getThresholdConfig()) => {
+    const rating = typeof playerRating === 'number' ? playerRating : null;
+    const speed = String(perf || '').toLowerCase();
+    const rule = config.rules.find((r) => {
+        if (r.perf !== 'all' && r.perf !== speed) return false;
+        if (r.minRating === null && r.maxRating === null) return true;
+        if (rating === null) return false;
+        if (r.minRating !== null && rating < r.minRating) return false;
+        if (r.maxRating !== null && rating >= r.maxRating) return false;
+        return true;
+    }) || null;
+    const set = rule || config.default;
+    return {
+        preset: set.preset,
+        label: set.preset === 'custom' ? 'Custom' : getPreset(set.preset).label,
+        rule: getThresholdRuleLabel(rule),
+        values: setValues(set)
+    };
+};
@@ -0,0 +1,106 @@
+const MOVE_NUMBER_PREFIX = /^\d+\.+/;
+const RESULT_TOKENS = new Set(['1-0', '0-1', '1/2-1/2', '*']);
+const CLK_RE = /\[%clk\s+([0-9:.,]+)\s*\]/i;
+const EMT_RE = /\[%emt\s+([0-9:.,]+)\s*\]/i;
+
+// Walks the main line of the movetext and returns the comment text attached to each ply.
+// Variations are skipped, so clocks stay aligned with the moves chess.js replays.
+const collectPlyComments = (pgn) => {
+    if (!pgn || typeof pgn !== 'string') return [];
+    const text = pgn.replace(/^\s*\[[^\]]*\]\s*$/gm, ' ');
+    const comments = [];
+    let depth = 0;
+    let token = '';
+
+    const flushToken = () => {
+        if (!token) return;
+        const move = token.replace(MOVE_NUMBER_PREFIX, '');
+        if (depth === 0 && move && !RESULT_TOKENS.has(move) && !move.startsWith('$')) comments.push('');
+        token = '';
+    };
+    const attach = (comment) => {
+        if (depth === 0 && comments.length) comments[comments.length - 1] += ` ${comment}`;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === '{') {
+            flushToken();
+            const end = text.indexOf('}', i + 1);
+            const stop = end === -1 ? text.length : end;
+            attach(text.substring(i + 1, stop));
+            i = stop;
+        } else if (ch === ';') {
+            flushToken();
+            const end = text.indexOf('\n', i + 1);
+            const stop = end === -1 ? text.length : end;
+            attach(text.substring(i + 1, stop));
+            i = stop;
+        } else if (ch === '(') {
+            flushToken();
+            depth += 1;
+        } else if (ch === ')') {
+            flushToken();
+            depth = Math.max(0, depth - 1);
+        } else if (/\s/.test(ch)) {
+            flushToken();
+        } else {
+            token += ch;
+        }
+    }
+    flushToken();
+    return comments;
+};
+
+// `h:mm:ss(.f)`, `m:ss` or plain seconds -> seconds
+export const parseClockSeconds = (raw) => {
+    if (!raw || typeof raw !== 'string') return null;
+    const parts = raw.trim().replace(',', '.').split(':').map((p) => parseFloat(p));
+    if (!parts.length || parts.some((p) => !Number.isFinite(p))) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Raw `[%clk]` tokens per ply (null where a move has none).
+export const extractPgnClocks = (pgn) => collectPlyComments(pgn).map((comment) => {
+    const match = comment.match(CLK_RE);
+    return match ? match[1].trim() : null;
+});
+
+const parseTimeControlTag = (value) => {
+    if (!value || value === '-' || value === '?') return null;
+    const [baseStr, incStr] = String(value).trim().split('+');
+    const base = parseInt(baseStr, 10);
+    const inc = parseInt(incStr || '0', 10);
+    if (!Number.isFinite(base)) return null;
+    return { base, inc: Number.isFinite(inc) ? inc : 0 };
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Per ply: seconds left on the mover's clock after the move, and seconds spent on it.
+// Spent time comes from `[%emt]` when present, otherwise from consecutive clocks of the same side
+// (adding back the increment). Both are null when the PGN carries no clock data for that ply.
+export const getPgnClockTimeline = (pgn, timeControl = '') => {
+    const comments = collectPlyComments(pgn);
+    if (!comments.some((c) => CLK_RE.test(c) || EMT_RE.test(c))) return comments.map(() => ({ remaining: null, spent: null }));
+
+    const tagMatch = typeof pgn === 'string' ? pgn.match(/\[TimeControl "([^"]*)"\]/) : null;
+    const tc = parseTimeControlTag(timeControl) || parseTimeControlTag(tagMatch ? tagMatch[1] : '');
+    const lastBySide = [tc ? tc.base : null, tc ? tc.base : null];
+
+    return comments.map((comment, idx) => {
+        const side = idx % 2;
+        const clkMatch = comment.match(CLK_RE);
+        const emtMatch = comment.match(EMT_RE);
+        const remaining = clkMatch ? parseClockSeconds(clkMatch[1]) : null;
+        let spent = emtMatch ? parseClockSeconds(emtMatch[1]) : null;
+        if (spent === null && remaining !== null && lastBySide[side] !== null) {
+            spent = Math.max(0, lastBySide[side] - remaining + (tc ? tc.inc : 0));
+        }
+        if (remaining !== null) lastBySide[side] = remaining;
+        return {
+            remaining: remaining === null ? null : round1(remaining),
+            spent: spent === null ? null : round1(spent)
+        };
+    });
+};
@@ -1,4 +1,5 @@
 import Dexie from 'dexie';
+import { buildStoredMoveTree } from './pgnTree';
 
 export const db = new Dexie('ChesslyzeDB');
 
@@ -236,6 +237,86 @@ db.version(21).stores({
     });
 });
 
+// Engine results keyed by normalized FEN (placement, side, castling, en passant), shared across games.
+db.version(22).stores({
+    games: '++id, lichessId, pgnHash, site, date, white, black, result, eco, openingName, [white+result], [black+result], timestamp, analyzed, analysisStatus, analysisStartedAt, whiteRating, blackRating, perf, speed, timeControl, analyzedAt, priority, rated, variant, whiteTitle, blackTitle, isHero, source, importTag, platform, sourceGameId, sourceUrl, &[platform+sourceGameId]',
+    positions: '++id, gameId, fen, eval, classification, bestMove, phase, tags, questionType, nextReviewAt',
+    openings: 'eco, name, winRate, frequency, masterMoves',
+    ai_analyses: '++id, gameId, promptVersion, createdAt',
+    importProgress: 'username, [platform+usernameLower], platform, usernameLower, currentSince, targetUntil, totalImported, lastUpdated, status, mode, failedChunks, cursor',
+    heroProfiles: '++id, &[platform+usernameLower], platform, usernameLower, displayName, createdAt',
+    gameContent: 'gameId, pgnHash, updatedAt',
+    gameAnalysis: 'gameId, updatedAt',
+    evalCache: 'fenKey, lastUsedAt, hits'
+});
+
+// Earlier analysis runs of a game, archived when it is re-analysed so runs can be compared.
+db.version(23).stores({
+    games: '++id, lichessId, pgnHash, site, date, white, black, result, eco, openingName, [white+result], [black+result], timestamp, analyzed, analysisStatus, analysisStartedAt, whiteRating, blackRating, perf, speed, timeControl, analyzedAt, priority, rated, variant, whiteTitle, blackTitle, isHero, source, importTag, platform, sourceGameId, sourceUrl, &[platform+sourceGameId]',
+    positions: '++id, gameId, fen, eval, classification, bestMove, phase, tags, questionType, nextReviewAt',
+    openings: 'eco, name, winRate, frequency, masterMoves',
+    ai_analyses: '++id, gameId, promptVersion, createdAt',
+    importProgress: 'username, [platform+usernameLower], platform, usernameLower, currentSince, targetUntil, totalImported, lastUpdated, status, mode, failedChunks, cursor',
+    heroProfiles: '++id, &[platform+usernameLower], platform, usernameLower, displayName, createdAt',
+    gameContent: 'gameId, pgnHash, updatedAt',
+    gameAnalysis: 'gameId, updatedAt',
+    evalCache: 'fenKey, lastUsedAt, hits',
+    analysisRuns: '++id, gameId, archivedAt'
+});
+
+// Analysis jobs (see analysisQueue.js); games waiting under the old status-driven queue become jobs.
+db.version(24).stores({
+    games: '++id, lichessId, pgnHash, site, date, white, black, result, eco, openingName, [white+result], [black+result], timestamp, analyzed, analysisStatus, analysisStartedAt, whiteRating, blackRating, perf, speed, timeControl, analyzedAt, priority, rated, variant, whiteTitle, blackTitle, isHero, source, importTag, platform, sourceGameId, sourceUrl, &[platform+sourceGameId]',
+    positions: '++id, gameId, fen, eval, classification, bestMove, phase, tags, questionType, nextReviewAt',
+    openings: 'eco, name, winRate, frequency, masterMoves',
+    ai_analyses: '++id, gameId, promptVersion, createdAt',
+    importProgress: 'username, [platform+usernameLower], platform, usernameLower, currentSince, targetUntil, totalImported, lastUpdated, status, mode, failedChunks, cursor',
+    heroProfiles: '++id, &[platform+usernameLower], platform, usernameLower, displayName, createdAt',
+    gameContent: 'gameId, pgnHash, updatedAt',
+    gameAnalysis: 'gameId, updatedAt',
+    evalCache: 'fenKey, lastUsedAt, hits',
+    analysisRuns: '++id, gameId, archivedAt',
+    analysis_queue: '++id, gameId, priority, status, [status+priority]'
+}).upgrade(async (tx) => {
+    const gamesTable = tx.table('games');
+    const queueTable = tx.table('analysis_queue');
+    const now = new Date().toISOString();
+    const job = (gameId, tier, priority) => ({
+        gameId,
+        tier,
+        priority,
+        status: 'queued',
+        attempts: 0,
+        lastError: null,
+        profileId: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        heartbeatAt: null,
+        finishedAt: null
+    });
+
+    const jobs = [];
+    await gamesTable.toCollection().each((g) => {
+        if (g.analysisStatus === 'pending' || g.analysisStatus === 'analyzing') {
+            jobs.push(job(g.id, null, typeof g.priority === 'number' ? g.priority : 0));
+        } else if (g.analysisStatus === 'completed' && (g.deepPassStatus === 'pending' || g.deepPassStatus === 'analyzing')) {
+            jobs.push(job(g.id, 'deep', -1));
+        }
+    });
+    await queueTable.clear();
+    if (jobs.length) await queueTable.bulkAdd(jobs);
+
+    await gamesTable.toCollection().modify((g) => {
+        if (g.analysisStatus === 'analyzing') {
+            g.analysisStatus = 'pending';
+            g.analysisStartedAt = null;
+            g.analysisHeartbeatAt = null;
+        }
+        if (g.deepPassStatus === 'analyzing') g.deepPassStatus = 'pending';
+    });
+});
+
 export const saveAIAnalysis = async (gameId, analysisData, promptVersion = '1.0') => {
     const existing = await db.ai_analyses.where('gameId').equals(gameId).first();
     const record = {
@@ -406,12 +487,24 @@ export const getGamePgn = async (gameId) => {
     return content?.pgn || '';
 };
 
+// Variations, comments and NAGs of a stored game; null for games with nothing beyond the main line.
+// Built the first time a game needs it rather than at import, then cached on its content record.
+export const getGameMoveTree = async (gameId, pgn = null) => {
+    const content = gameId ? await db.gameContent.get(gameId) : null;
+    const source = pgn || content?.pgn || '';
+    if (content && content.moveTree !== undefined && content.pgn === source) return content.moveTree;
+    const moveTree = buildStoredMoveTree(source);
+    if (content && content.pgn === source) await db.gameContent.update(gameId, { moveTree });
+    return moveTree;
+};
+
 export const saveGameContent = async ({ gameId, pgn, pgnHash }) => {
     if (!gameId || !pgn) return;
     const record = {
         gameId,
         pgn,
         pgnHash: pgnHash || '',
+        // Replacing the record drops any cached move tree; getGameMoveTree rebuilds it from this PGN.
         updatedAt: new Date().toISOString()
     };
     await db.gameContent.put(record);
@@ -427,18 +520,46 @@ export const getGameAnalysis = async (gameId) => {
     return await db.gameAnalysis.get(gameId);
 };
 
-export const saveGameAnalysis = async ({ gameId, analysisLog }) => {
+// `variationLog` (PGN sideline results) and `provenance` (engine, depth and profile that produced the
+// log) are kept from the stored record unless new ones are passed.
+export const saveGameAnalysis = async ({ gameId, analysisLog, variationLog, provenance }) => {
     if (!gameId) return;
-    await db.gameAnalysis.put({
+    const record = {
         gameId,
         analysisLog: Array.isArray(analysisLog) ? analysisLog : [],
         updatedAt: new Date().toISOString()
+    };
+    const existing = Array.isArray(variationLog) && provenance ? null : await db.gameAnalysis.get(gameId);
+    if (Array.isArray(variationLog)) record.variationLog = variationLog;
+    else if (Array.isArray(existing?.variationLog)) record.variationLog = existing.variationLog;
+    if (provenance) record.provenance = provenance;
+    else if (existing?.provenance) record.provenance = existing.provenance;
+    await db.gameAnalysis.put(record);
+};
+
+// Older runs beyond this many per game are dropped when a new one is archived.
+export const MAX_ANALYSIS_RUNS = 5;
+
+// Moves the stored analysis of a game into `analysisRuns` before a fresh run replaces it.
+export const archiveGameAnalysis = async (gameId) => {
+    if (!gameId) return;
+    const current = await db.gameAnalysis.get(gameId);
+    if (!Array.isArray(current?.analysisLog) || !current.analysisLog.length) return;
+    await db.analysisRuns.add({
+        gameId,
+        analysisLog: current.analysisLog,
+        provenance: current.provenance || null,
+        archivedAt: new Date().toISOString()
     });
+    const runs = await db.analysisRuns.where('gameId').equals(gameId).sortBy('archivedAt');
+    const excess = runs.slice(0, Math.max(0, runs.length - MAX_ANALYSIS_RUNS)).map((run) => run.id);
+    if (excess.length) await db.analysisRuns.bulkDelete(excess);
 };
 
 export const deleteGameAnalysis = async (gameId) => {
     if (!gameId) return;
     await db.gameAnalysis.delete(gameId);
+    await db.analysisRuns.where('gameId').equals(gameId).delete();
 };
 
 export const getLatestGameTimestampForProfile = async (platform, username) => {
@@ -0,0 +1,202 @@
+// Endgame types by material signature (kings and pawns aside), checked in order.
+export const ENDGAME_TYPES = [
+    { id: 'pawn', label: 'Pawn' },
+    { id: 'queen', label: 'Queen' },
+    { id: 'rook', label: 'Rook' },
+    { id: 'opposite_bishops', label: 'Opposite bishops' },
+    { id: 'same_bishops', label: 'Same-colour bishops' },
+    { id: 'bishop_vs_knight', label: 'Bishop vs knight' },
+    { id: 'knight', label: 'Knight' },
+    { id: 'minor_piece', label: 'Minor piece' },
+    { id: 'rook_vs_minor', label: 'Rook vs minor' },
+    { id: 'rook_and_minor', label: 'Rook + minor' },
+    { id: 'queen_vs_rook', label: 'Queen vs rook' },
+    { id: 'piece_vs_pawns', label: 'Piece vs pawns' },
+    { id: 'mixed', label: 'Mixed' }
+];
+
+// Eval (centipawns, hero POV) on entering the endgame that counts as a real advantage.
+export const ENDGAME_ADVANTAGE = 150;
+
+export const ENDGAME_OUTCOMES = [
+    { id: 'converted', label: 'Converted', description: 'Better entering the endgame and won' },
+    { id: 'spoiled', label: 'Spoiled', description: 'Better entering the endgame but did not win' },
+    { id: 'held', label: 'Held', description: 'Worse entering the endgame and saved it' },
+    { id: 'lost', label: 'Lost', description: 'Worse entering the endgame and lost' },
+    { id: 'balanced', label: 'Balanced', description: 'Roughly level entering the endgame' }
+];
+
+const MATE_SCORE = 100000;
+
+const emptyCount = () => ({ q: 0, r: 0, b: 0, n: 0, p: 0, bishopColors: [] });
+
+const countPieces = (fen) => {
+    const rows = String(fen || '').split(' ')[0].split('/');
+    if (rows.length !== 8) return null;
+    const counts = { w: emptyCount(), b: emptyCount() };
+    rows.forEach((row, rowIdx) => {
+        let file = 0;
+        for (const ch of row) {
+            if (/\d/.test(ch)) {
+                file += parseInt(ch, 10);
+                continue;
+            }
+            const color = ch === ch.toUpperCase() ? 'w' : 'b';
+            const type = ch.toLowerCase();
+            if (type in counts[color]) counts[color][type] += 1;
+            if (type === 'b') counts[color].bishopColors.push((file + rowIdx) % 2);
+            file += 1;
+        }
+    });
+    return counts;
+};
+
+const signature = (side) => ({
+    queens: side.q,
+    rooks: side.r,
+    minors: side.b + side.n,
+    pieces: side.q + side.r + side.b + side.n
+});
+
+const onlyMinors = (s) => s.queens === 0 && s.rooks === 0 && s.minors > 0;
+
+/**
+ * Endgame type of a FEN from its material signature, e.g. 'rook', 'opposite_bishops'.
+ * Returns null for an unreadable FEN.
+ */
+export const classifyEndgame = (fen) => {
+    const counts = countPieces(fen);
+    if (!counts) return null;
+    const white = signature(counts.w);
+    const black = signature(counts.b);
+
+    if (white.pieces === 0 && black.pieces === 0) return 'pawn';
+    if (white.pieces === 0 || black.pieces === 0) return 'piece_vs_pawns';
+
+    const only = (s, key) => s[key] === s.pieces;
+
+    if (only(white, 'queens') && only(black, 'queens')) return 'queen';
+    if (only(white, 'rooks') && only(black, 'rooks')) return 'rook';
+
+    if (onlyMinors(white) && onlyMinors(black)) {
+        const wb = counts.w.b;
+        const bb = counts.b.b;
+        if (white.minors === 1 && black.minors === 1) {
+            if (wb === 1 && bb === 1) {
+                return counts.w.bishopColors[0] === counts.b.bishopColors[0] ? 'same_bishops' : 'opposite_bishops';
+            }
+            if (wb + bb === 1) return 'bishop_vs_knight';
+            return 'knight';
+        }
+        return 'minor_piece';
+    }
+
+    const rookVsMinor = (a, b) => only(a, 'rooks') && a.rooks === 1 && onlyMinors(b) && b.minors === 1;
+    if (rookVsMinor(white, black) || rookVsMinor(black, white)) return 'rook_vs_minor';
+
+    const rookAndMinor = (s) => s.queens === 0 && s.rooks === 1 && s.minors === 1;
+    if (rookAndMinor(white) && rookAndMinor(black)) return 'rook_and_minor';
+
+    const queenVsRook = (a, b) => only(a, 'queens') && a.queens === 1 && only(b, 'rooks') && b.rooks === 1;
+    if (queenVsRook(white, black) || queenVsRook(black, white)) return 'queen_vs_rook';
+
+    return 'mixed';
+};
+
+export const getEndgameLabel = (type) => ENDGAME_TYPES.find((t) => t.id === type)?.label || 'Unknown';
+
+const entryCp = (entry) => {
+    if (typeof entry?.mate === 'number' && entry.mate !== 0) {
+        return Math.sign(entry.mate) * (MATE_SCORE - Math.min(99, Math.abs(entry.mate)) * 100);
+    }
+    return typeof entry?.score === 'number' ? entry.score : 0;
+};
+
+/**
+ * Where a game entered the endgame and what the hero made of it. `result` is 'win' | 'loss' | 'draw'
+ * from the hero's side. `moveIndex` is the Dashboard move index of the first endgame position.
+ * Returns null when the game never reached an endgame.
+ */
+export const summarizeEndgame = (analysisLog, heroTurn, result) => {
+    const log = Array.isArray(analysisLog) ? analysisLog : [];
+    const index = log.findIndex((entry) => entry?.phase === 'endgame');
+    if (index < 0) return null;
+    const entry = log[index];
+    const type = entry.endgameType || classifyEndgame(entry.fen);
+    if (!type) return null;
+    const whiteCp = entryCp(entry);
+    const heroCp = heroTurn === 'w' ? whiteCp : -whiteCp;
+
+    let outcome = 'balanced';
+    if (heroCp >= ENDGAME_ADVANTAGE) outcome = result === 'win' ? 'converted' : 'spoiled';
+    else if (heroCp <= -ENDGAME_ADVANTAGE) outcome = result === 'loss' ? 'lost' : 'held';
+
+    return { type, ply: entry.ply, moveIndex: index - 1, heroCp, outcome };
+};
+
+const pct = (part, total) => (total ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Per-type endgame results and conversion for hero games. `games` are
+ * `{ id, heroTurn, result, analysisLog, opponent, date }`.
+ */
+export const aggregateEndgameStats = (games) => {
+    const byType = new Map();
+    const outcomes = Object.fromEntries(ENDGAME_OUTCOMES.map((o) => [o.id, 0]));
+    let total = 0;
+
+    games.forEach((game) => {
+        const summary = summarizeEndgame(game.analysisLog, game.heroTurn, game.result);
+        if (!summary) return;
+        total += 1;
+        outcomes[summary.outcome] += 1;
+        const row = byType.get(summary.type) || {
+            type: summary.type,
+            label: getEndgameLabel(summary.type),
+            games: 0,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            advantaged: 0,
+            converted: 0,
+            worse: 0,
+            held: 0,
+            examples: []
+        };
+        row.games += 1;
+        if (game.result === 'win') row.wins += 1;
+        else if (game.result === 'loss') row.losses += 1;
+        else row.draws += 1;
+        if (summary.outcome === 'converted' || summary.outcome === 'spoiled') row.advantaged += 1;
+        if (summary.outcome === 'converted') row.converted += 1;
+        if (summary.outcome === 'held' || summary.outcome === 'lost') row.worse += 1;
+        if (summary.outcome === 'held') row.held += 1;
+        row.examples.push({
+            gameId: game.id,
+            opponent: game.opponent,
+            date: game.date,
+            ply: summary.ply,
+            moveIndex: summary.moveIndex,
+            heroCp: summary.heroCp,
+            outcome: summary.outcome
+        });
+        byType.set(summary.type, row);
+    });
+
+    // Spoiled and lost endgames are the ones worth reviewing first.
+    const examplePriority = { spoiled: 0, lost: 1, held: 2, converted: 3, balanced: 4 };
+    const rows = Array.from(byType.values())
+        .map((row) => ({
+            ...row,
+            winRate: pct(row.wins, row.games),
+            score: pct(row.wins + row.draws / 2, row.games),
+            conversionRate: row.advantaged ? pct(row.converted, row.advantaged) : null,
+            holdRate: row.worse ? pct(row.held, row.worse) : null,
+            examples: row.examples
+                .sort((a, b) => examplePriority[a.outcome] - examplePriority[b.outcome])
+                .slice(0, 5)
+        }))
+        .sort((a, b) => b.games - a.games);
+
+    return { total, outcomes, byType: rows };
+};
@@ -1,6 +1,9 @@
-import { getDefaultEngineVersion } from './engineDefaults';
+import { getDefaultEngineVersion, MAX_ENGINE_WORKERS } from './engineDefaults';
+import { isValidRemoteEngineUrl, RemoteUciBackend } from './remoteEngine';
 
-class EngineService {
+const DEFAULT_ENGINE_CAPS = { nnue: false, multipv: false, evalFile: false, evalFileSmall: false, wdl: false };
+
+export class EngineService {
     constructor() {
         this.worker = null;
         this.jobs = new Map(); // jobId -> { resolve, reject, onUpdate, lastEvaluation, pvLinesByMultiPv }
@@ -8,9 +11,15 @@ class EngineService {
         this.isInitializing = false;
         this.initPromise = null;
         this.engineName = null;
-        this.engineCaps = { nnue: false, multipv: false, evalFile: false, evalFileSmall: false };
+        this.engineCaps = { ...DEFAULT_ENGINE_CAPS };
+        this.engineOptions = []; // parsed `option name` metadata: { name, type, default, min, max, vars }
+        this.infoListeners = new Set();
         this.lastJobFinishTime = 0;
+        this.lastStats = null; // { depth, seldepth, nodes, nps, hashfull, time, at } from the latest INFO line
         this.version = null;
+        this.remoteUrl = '';
+        this.backend = null; // 'wasm' | 'remote'
+        this.backendError = null;
         this.debug = false;
         try {
             this.debug = (typeof window !== 'undefined' && window.__ENGINE_DEBUG__ === true)
@@ -35,10 +44,14 @@ class EngineService {
         this.lastJobFinishTime = Date.now();
     }
 
-    init(version = getDefaultEngineVersion()) {
-        if (this.worker && this.version === version) return Promise.resolve();
+    // `remoteUrl` points the service at a WebSocket UCI bridge; omit it to keep the current backend.
+    init(version = getDefaultEngineVersion(), { remoteUrl } = {}) {
+        const remote = remoteUrl === undefined
+            ? this.remoteUrl
+            : (isValidRemoteEngineUrl(remoteUrl) ? remoteUrl.trim() : '');
+        if (this.worker && this.version === version && this.remoteUrl === remote) return Promise.resolve();
 
-        // If worker exists but version different, stop old one
+        // If worker exists but version/backend different, stop old one
         if (this.worker) {
             this.terminate('Engine worker switched');
         }
@@ -46,113 +59,213 @@ class EngineService {
         if (this.initPromise) return this.initPromise;
 
         this.version = version;
+        this.remoteUrl = remote;
+
+        this.engineName = null;
+        this.engineCaps = { ...DEFAULT_ENGINE_CAPS };
+        this.engineOptions = [];
+
+        this.initPromise = (async () => {
+            if (remote) {
+                const backend = new RemoteUciBackend(remote, { debug: this.debug });
+                this.attachBackend(backend);
+                try {
+                    await backend.connect();
+                    this.worker = backend;
+                    this.backend = 'remote';
+                    this.backendError = null;
+                    if (this.debug) {
+                        console.log(`[EngineService] Connected to remote engine at ${remote}`);
+                    }
+                    return;
+                } catch (err) {
+                    // Unreachable bridge: fall back to the in-browser engine so analysis keeps going.
+                    console.warn('[EngineService] Remote engine unavailable, using WASM worker:', err?.message || err);
+                    this.backendError = err?.message || 'Remote engine unavailable';
+                }
+            } else {
+                this.backendError = null;
+            }
 
-        this.initPromise = new Promise((resolve, reject) => {
             try {
-                this.worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), {
+                const worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), {
                     type: 'module'
                 });
+                this.attachBackend(worker);
+                this.worker = worker;
+                this.backend = 'wasm';
 
-                this.worker.onmessage = (e) => {
-                    const { type, data, error, name, caps, jobId, evaluation, move } = e.data;
-                    if (this.debug) {
-                        console.log(`[EngineService] <- Worker [${type}]:`, e.data);
-                    }
+                this.worker.postMessage({ type: 'INIT', version, debug: this.debug });
+                if (this.debug) {
+                    console.log(`[EngineService] Initialized worker with version ${version}`);
+                }
+            } catch (err) {
+                console.error("[EngineService] Failed to create worker:", err);
+                this.initPromise = null;
+                throw err;
+            }
+        })();
 
-                    if (type === 'ENGINE_ID') {
-                        this.engineName = name || null;
-                        return;
-                    }
+        return this.initPromise;
+    }
 
-                    if (type === 'ENGINE_CAPS' && caps && typeof caps === 'object') {
-                        this.engineCaps = { ...this.engineCaps, ...caps };
-                        return;
-                    }
+    // Wire up a backend exposing the Worker surface (postMessage/onmessage/onerror/terminate).
+    attachBackend(backend) {
+        backend.onmessage = (e) => this.handleBackendMessage(e);
 
-                    if (type === 'ERROR') {
-                        console.error("[EngineService] Worker Error:", error);
-                        return;
-                    }
+        backend.onerror = (err) => {
+            console.error("[EngineService] Worker Error (System):", err);
+            if (this.worker === backend) this.terminate();
+        };
 
-                    if (jobId && this.jobs.has(jobId)) {
-                        const job = this.jobs.get(jobId);
-
-                        if (type === 'BEST_MOVE') {
-                            const pvLines = Array.from(job.pvLinesByMultiPv.values())
-                                .filter(Boolean)
-                                .sort((a, b) => (a.multipv || 1) - (b.multipv || 1));
-                            job.resolve({ bestMove: move, evaluation: job.lastEvaluation, pvLines });
-                            this.jobs.delete(jobId);
-                            this.lastJobFinishTime = Date.now();
-                        } else if (type === 'INFO') {
-                            job.lastEvaluation = evaluation;
-                            const multi = evaluation?.multipv || 1;
-                            job.pvLinesByMultiPv.set(multi, evaluation);
-                            if (job.onUpdate) job.onUpdate(evaluation);
-                        } else if (type === 'ERROR') {
-                            job.reject(new Error(error || "Engine error"));
-                            this.jobs.delete(jobId);
-                            this.lastJobFinishTime = Date.now();
-                        }
-                    }
-                };
+        // Add debug listener for all messages
+        const originalPostMessage = backend.postMessage.bind(backend);
+        backend.postMessage = (msg) => {
+            if (this.debug) {
+                console.log("[EngineService] -> Worker:", msg);
+            }
+            originalPostMessage(msg);
+        };
+    }
 
-                this.worker.onerror = (err) => {
-                    console.error("[EngineService] Worker Error (System):", err);
-                    this.terminate();
-                    reject(err);
-                };
+    handleBackendMessage(e) {
+        const { type, error, name, caps, jobId, evaluation, move } = e.data;
+        if (this.debug) {
+            console.log(`[EngineService] <- Worker [${type}]:`, e.data);
+        }
 
-                this.worker.postMessage({ type: 'INIT', version, debug: this.debug });
-                if (this.debug) {
-                    console.log(`[EngineService] Initialized worker with version ${version}`);
+        if (type === 'ENGINE_ID') {
+            this.engineName = name || null;
+            this.notifyInfo();
+            return;
+        }
+
+        if (type === 'ENGINE_CAPS' && caps && typeof caps === 'object') {
+            this.engineCaps = { ...this.engineCaps, ...caps };
+            this.notifyInfo();
+            return;
+        }
+
+        if (type === 'ENGINE_OPTIONS') {
+            this.engineOptions = Array.isArray(e.data.options) ? e.data.options : [];
+            this.notifyInfo();
+            return;
+        }
+
+        if (type === 'ERROR') {
+            console.error("[EngineService] Worker Error:", error);
+            // A failed search settles now instead of waiting out its timeout.
+            if (jobId) this.failJob(jobId, new Error(typeof error === 'string' ? error : (error?.message || 'Engine error')));
+            return;
+        }
+
+        if (jobId && this.jobs.has(jobId)) {
+            const job = this.jobs.get(jobId);
+
+            if (type === 'BEST_MOVE') {
+                this.finishJob(jobId, move);
+            } else if (type === 'INFO') {
+                const multi = evaluation?.multipv || 1;
+                // Fail-high/low lines only bound the score; keep the last exact line when we have one.
+                if (!evaluation?.bound || !job.pvLinesByMultiPv.has(multi)) {
+                    job.lastEvaluation = evaluation;
+                    job.pvLinesByMultiPv.set(multi, evaluation);
                 }
+                this.recordStats(evaluation);
+                if (job.onUpdate) job.onUpdate(evaluation);
+            }
+        }
+    }
 
-                // Add debug listener for all messages
-                const originalPostMessage = this.worker.postMessage.bind(this.worker);
-                this.worker.postMessage = (msg) => {
-                    if (this.debug) {
-                        console.log("[EngineService] -> Worker:", msg);
-                    }
-                    originalPostMessage(msg);
-                };
+    finishJob(jobId, move) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+        const pvLines = Array.from(job.pvLinesByMultiPv.values())
+            .filter(Boolean)
+            .sort((a, b) => (a.multipv || 1) - (b.multipv || 1));
+        // A stopped search may settle before any bestmove arrives; fall back to the top PV.
+        const bestMove = move || (typeof pvLines[0]?.pv === 'string' ? pvLines[0].pv.split(' ')[0] : null) || null;
+        const stats = this.lastStats ? { ...this.lastStats } : null;
+        job.resolve({ bestMove, evaluation: job.lastEvaluation, pvLines, stats, aborted: !!job.aborted });
+        this.jobs.delete(jobId);
+        this.lastJobFinishTime = Date.now();
+    }
 
-                resolve();
+    // Settles a job with an error; its wrapped reject clears the job's timers and abort listener.
+    failJob(jobId, error) {
+        const job = this.jobs.get(jobId);
+        if (!job) return;
+        this.jobs.delete(jobId);
+        this.lastJobFinishTime = Date.now();
+        job.reject(error);
+    }
 
-            } catch (err) {
-                console.error("[EngineService] Failed to create worker:", err);
-                reject(err);
+    // Interrupt a single search with UCI `stop`. The job resolves with the best line found so far.
+    stopJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.aborted) return;
+        job.aborted = true;
+        if (this.worker) this.worker.postMessage({ type: 'STOP_JOB', jobId });
+        // If the engine never answers `stop` (e.g. search not started yet), settle with what we have.
+        job.abortTimer = setTimeout(() => this.finishJob(jobId, null), 1500);
+    }
+
+    recordStats(evaluation) {
+        if (!evaluation || typeof evaluation !== 'object') return;
+        const { depth, seldepth, nodes, nps, hashfull, time } = evaluation;
+        if (nodes === null || nodes === undefined) return;
+        this.lastStats = { depth, seldepth, nodes, nps, hashfull, time, at: Date.now() };
+    }
+
+    // Called whenever the engine reports its name, capabilities or option list.
+    subscribeInfo(handler) {
+        this.infoListeners.add(handler);
+        return () => this.infoListeners.delete(handler);
+    }
+
+    notifyInfo() {
+        const info = this.getInfo();
+        this.infoListeners.forEach((handler) => {
+            try {
+                handler(info);
+            } catch {
+                // ignore
             }
         });
-
-        return this.initPromise;
     }
 
     getInfo() {
         return {
             name: this.engineName,
-            caps: this.engineCaps
+            caps: this.engineCaps,
+            options: this.engineOptions,
+            stats: this.lastStats,
+            backend: this.backend,
+            remoteUrl: this.remoteUrl,
+            backendError: this.backendError
         };
     }
 
-    setOptions(options = []) {
-        if (!this.worker) return;
+    // `force` skips the busy guards for callers that own the engine and stop their own search first (the play page).
+    // Returns whether the options were sent.
+    setOptions(options = [], { force = false } = {}) {
+        if (!this.worker) return false;
 
         // Block if currently running a job
-        if (this.jobs.size > 0) {
+        if (!force && this.jobs.size > 0) {
             console.warn("[EngineService] Ignoring setOptions because engine is busy analyzing.");
-            return;
+            return false;
         }
 
         // Block if a job finished very recently (likely in a loop), to prevent race conditions between moves
         const timeSinceLastJob = Date.now() - (this.lastJobFinishTime || 0);
-        if (timeSinceLastJob < 2000) {
+        if (!force && timeSinceLastJob < 2000) {
             console.warn("[EngineService] Ignoring setOptions because engine was recently active (possible analysis loop).");
-            return;
+            return false;
         }
 
-        // Safety clamp for WASM memory/thread limits
-        const safeOptions = options.map(opt => {
+        // Safety clamp for WASM memory/thread limits; a native engine behind the bridge manages its own.
+        const safeOptions = this.backend === 'remote' ? options : options.map(opt => {
             if (opt.name === 'Hash') {
                 return { ...opt, value: Math.min(256, Math.max(1, opt.value)) };
             }
@@ -163,6 +276,7 @@ class EngineService {
         });
 
         this.worker.postMessage({ type: 'SET_OPTIONS', data: { options: safeOptions } });
+        return true;
     }
 
     async restart(version) {
@@ -172,7 +286,7 @@ class EngineService {
             // ignore
         }
         this.terminate();
-        await this.init(version || this.version);
+        await this.init(version || this.version, { remoteUrl: this.remoteUrl });
     }
 
     async analyze(fen, depthOrOptions = 15, onUpdate) {
@@ -189,6 +303,11 @@ class EngineService {
         const depth = opts.depth ?? 15;
         const multiPv = opts.multiPv ?? 1;
         const timeoutMsOverride = opts.timeoutMs;
+        const signal = opts.signal;
+
+        if (signal?.aborted) {
+            return { bestMove: null, evaluation: {}, pvLines: [], aborted: true };
+        }
 
         return new Promise((resolve, reject) => {
             let settled = false;
@@ -205,41 +324,53 @@ class EngineService {
                 },
                 onUpdate,
                 lastEvaluation: {},
-                pvLinesByMultiPv: new Map()
+                pvLinesByMultiPv: new Map(),
+                aborted: false,
+                abortTimer: null
             });
 
             const movetime = opts.movetime;
+            const infinite = !!opts.infinite;
+            const chess960 = !!opts.chess960;
+            const newGame = opts.newGame !== false;
 
             this.worker.postMessage({
                 type: 'ANALYZE',
                 jobId,
-                data: { fen, depth, multiPv, movetime }
+                data: { fen, depth, multiPv, movetime, infinite, chess960, newGame }
             });
 
-            // Fallback timeout to prevent infinite hangs
+            // Fallback timeout to prevent infinite hangs (infinite searches end via stopJob instead)
             const timeoutMs = typeof timeoutMsOverride === 'number'
                 ? timeoutMsOverride
                 : Math.max(60000, 10000 * Math.pow(1.5, Math.max(0, depth - 10))); // Exponential timeout: d20 ~= 600s (10m)
-            const t = setTimeout(() => {
-                if (this.jobs.has(jobId)) {
-                    console.error(`[EngineService] Timeout for job ${jobId}`);
-                    this.jobs.delete(jobId);
-                    try { this.stop(); } catch { }
-                    reject(new Error("Analysis timeout"));
-                }
+            const t = infinite ? null : setTimeout(() => {
+                if (!this.jobs.has(jobId)) return;
+                console.error(`[EngineService] Timeout for job ${jobId}`);
+                // Stop only this search; other jobs on the worker keep running.
+                if (this.worker) this.worker.postMessage({ type: 'STOP_JOB', jobId });
+                this.failJob(jobId, new Error("Analysis timeout"));
             }, timeoutMs);
 
-            // Ensure we don't leave dangling timers.
+            const onAbort = () => this.stopJob(jobId);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+            // Ensure we don't leave dangling timers or abort listeners.
             const job = this.jobs.get(jobId);
             if (job) {
                 const originalResolve = job.resolve;
                 const originalReject = job.reject;
-                job.resolve = (v) => {
+                const cleanup = () => {
                     clearTimeout(t);
+                    clearTimeout(job.abortTimer);
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                };
+                job.resolve = (v) => {
+                    cleanup();
                     originalResolve(v);
                 };
                 job.reject = (e) => {
-                    clearTimeout(t);
+                    cleanup();
                     originalReject(e);
                 };
             }
@@ -261,3 +392,121 @@ class EngineService {
 }
 
 export const engine = new EngineService();
+
+// Dedicated worker for interactive `go infinite` analysis so it never competes with queued games.
+export const liveEngine = new EngineService();
+
+// Opponent for the /play page; its strength options must not leak into analysis engines.
+export const playEngine = new EngineService();
+
+// Hands out EngineService instances to concurrent analysis lanes.
+// The shared `engine` singleton is always worker #0, so Settings and single-game
+// flows keep talking to the same worker the pool uses.
+class EnginePool {
+    constructor(primary) {
+        this.primary = primary;
+        this.workers = [primary];
+        this.busy = new Set();
+        this.waiters = [];
+        this.size = 1;
+    }
+
+    configure({ size = 1 } = {}) {
+        const target = Math.max(1, Math.min(MAX_ENGINE_WORKERS, parseInt(size, 10) || 1));
+        this.size = target;
+
+        while (this.workers.length < target) {
+            this.workers.push(new EngineService());
+        }
+
+        // Surplus workers that are idle can go right away; busy ones are dropped on release.
+        this.workers = this.workers.filter((worker, idx) => {
+            if (idx < target || this.busy.has(worker)) return true;
+            worker.terminate('Engine pool resized');
+            return false;
+        });
+
+        this.drain();
+    }
+
+    getSize() {
+        return this.size;
+    }
+
+    getBusyCount() {
+        return this.busy.size;
+    }
+
+    nextIdleWorker() {
+        return this.workers.slice(0, this.size).find((worker) => !this.busy.has(worker)) || null;
+    }
+
+    drain() {
+        while (this.waiters.length) {
+            const worker = this.nextIdleWorker();
+            if (!worker) return;
+            this.busy.add(worker);
+            const resolve = this.waiters.shift();
+            resolve(worker);
+        }
+    }
+
+    acquire() {
+        const worker = this.nextIdleWorker();
+        if (worker) {
+            this.busy.add(worker);
+            return Promise.resolve(worker);
+        }
+        return new Promise((resolve) => {
+            this.waiters.push(resolve);
+        });
+    }
+
+    release(worker) {
+        if (!worker) return;
+        this.busy.delete(worker);
+
+        const idx = this.workers.indexOf(worker);
+        if (idx >= this.size && worker !== this.primary) {
+            worker.terminate('Engine pool resized');
+            this.workers.splice(idx, 1);
+        }
+
+        this.drain();
+    }
+
+    // Combined search speed of workers that reported within the last few seconds.
+    getThroughput(windowMs = 5000) {
+        const now = Date.now();
+        const recent = this.workers
+            .map((worker) => worker.lastStats)
+            .filter((stats) => stats && now - stats.at <= windowMs);
+        return {
+            activeWorkers: recent.length,
+            nps: recent.reduce((sum, stats) => sum + (stats.nps || 0), 0),
+            hashfull: recent.reduce((max, stats) => Math.max(max, stats.hashfull || 0), 0),
+            depth: recent.reduce((max, stats) => Math.max(max, stats.depth || 0), 0),
+            seldepth: recent.reduce((max, stats) => Math.max(max, stats.seldepth || 0), 0)
+        };
+    }
+
+    stop() {
+        this.workers.forEach((worker) => {
+            try {
+                worker.stop();
+            } catch {
+                // ignore
+            }
+        });
+    }
+
+    terminate(reason) {
+        this.workers.forEach((worker) => worker.terminate(reason));
+        this.workers = [this.primary];
+        this.busy.clear();
+        this.size = 1;
+        this.drain();
+    }
+}
+
+export const enginePool = new EnginePool(engine);
@@ -0,0 +1,163 @@
+import { EngineService } from './engine';
+import { isMobileDevice } from './engineDefaults';
+
+// Fixed suite: quiet opening, open middlegame, tactical middlegame, and endgames of two kinds.
+export const BENCHMARK_POSITIONS = [
+    'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3',
+    'r1bq1rk1/pp2bppp/2n1pn2/3p4/2PP4/2N1PN2/PP3PPP/R2QKB1R w KQ - 0 9',
+    'r2q1rk1/1b1nbppp/p2ppn2/1p6/3NP3/1BN1BP2/PPPQ2PP/2KR3R w - - 0 12',
+    'r3r1k1/pp3pbp/1qp3p1/2B5/2BP2b1/Q1n2N2/P4PPP/3RK2R b K - 0 16',
+    '8/5pk1/6p1/3R3p/r6P/6P1/5PK1/8 w - - 0 45',
+    '8/8/4k3/3p4/3P1K2/8/8/8 w - - 0 60'
+];
+
+export const BENCHMARK_DEPTH = 14;
+
+// Analysis budget per game, in minutes, offered in Settings.
+export const BENCHMARK_BUDGET_OPTIONS = [1, 2, 5, 10, 20];
+
+const PLIES_PER_GAME = 80; // a typical 40-move game
+// processGame re-searches some positions after the played move; count that overhead in.
+const SEARCHES_PER_PLY = 1.25;
+const MIN_DEPTH = 8;
+const MAX_DEPTH = 30;
+
+// Thread/hash combinations worth trying for the selected engine build.
+export const getBenchmarkConfigs = (version, { remote = false } = {}) => {
+    if (remote) {
+        // The bridge's host core count is unknown here; try a spread and let the numbers decide.
+        return [1, 4, 8, 16].map((threads) => ({ threads, hash: 256 }));
+    }
+    const cores = typeof navigator !== 'undefined' ? (navigator.hardwareConcurrency || 1) : 1;
+    const canThread = version === '17.1-multi'
+        && typeof window !== 'undefined' && window.crossOriginIsolated
+        && !isMobileDevice();
+    const threadOptions = canThread
+        ? [1, 2, 4, 8].filter((t) => t <= Math.min(8, cores))
+        : [1];
+    return threadOptions.map((threads) => ({
+        threads,
+        hash: Math.min(256, Math.max(32, 32 * threads))
+    }));
+};
+
+const runConfig = async ({ version, remoteUrl, config, depth, signal, onPosition }) => {
+    const service = new EngineService();
+    try {
+        await service.init(version, { remoteUrl });
+        service.setOptions([
+            { name: 'Hash', value: config.hash },
+            { name: 'Threads', value: config.threads }
+        ]);
+
+        const depthTimes = {}; // depth -> [ms per position]
+        const npsSamples = [];
+
+        for (let i = 0; i < BENCHMARK_POSITIONS.length; i++) {
+            if (signal?.aborted) break;
+            const fen = BENCHMARK_POSITIONS[i];
+            const start = Date.now();
+            const reached = {};
+            const result = await service.analyze(fen, { depth, multiPv: 1, signal }, (info) => {
+                if (!info || (info.multipv || 1) !== 1 || !info.depth || reached[info.depth] !== undefined) return;
+                reached[info.depth] = Number.isFinite(info.time) ? info.time : Date.now() - start;
+            });
+            if (result?.aborted) break;
+            Object.entries(reached).forEach(([d, ms]) => {
+                if (!depthTimes[d]) depthTimes[d] = [];
+                depthTimes[d].push(ms);
+            });
+            if (Number.isFinite(result?.stats?.nps)) npsSamples.push(result.stats.nps);
+            if (onPosition) onPosition(i + 1);
+        }
+
+        // Only depths every position reached are comparable.
+        const positions = Math.max(1, npsSamples.length);
+        const avgDepthTimes = {};
+        Object.entries(depthTimes).forEach(([d, list]) => {
+            if (list.length < positions) return;
+            avgDepthTimes[d] = Math.round(list.reduce((sum, ms) => sum + ms, 0) / list.length);
+        });
+
+        return {
+            ...config,
+            engineName: service.getInfo()?.name || null,
+            backend: service.getInfo()?.backend || null,
+            nps: npsSamples.length ? Math.round(npsSamples.reduce((sum, n) => sum + n, 0) / npsSamples.length) : 0,
+            depthTimes: avgDepthTimes,
+            complete: npsSamples.length === BENCHMARK_POSITIONS.length
+        };
+    } finally {
+        service.terminate('Benchmark finished');
+    }
+};
+
+// Runs the suite once per configuration on a throwaway engine so queued analysis is untouched.
+export const runEngineBenchmark = async ({ version, remoteUrl = '', depth = BENCHMARK_DEPTH, signal, onProgress } = {}) => {
+    const configs = getBenchmarkConfigs(version, { remote: !!remoteUrl });
+    const total = configs.length * BENCHMARK_POSITIONS.length;
+    const results = [];
+
+    for (let c = 0; c < configs.length; c++) {
+        if (signal?.aborted) break;
+        const result = await runConfig({
+            version,
+            remoteUrl,
+            config: configs[c],
+            depth,
+            signal,
+            onPosition: (done) => {
+                if (onProgress) onProgress({ done: c * BENCHMARK_POSITIONS.length + done, total, config: configs[c] });
+            }
+        });
+        if (result.complete) results.push(result);
+    }
+
+    return { results, aborted: !!signal?.aborted };
+};
+
+// Time to reach `depth`, extrapolating past the deepest measured depth with the observed branching factor.
+const estimateDepthTime = (depthTimes, depth) => {
+    const measured = Object.keys(depthTimes).map(Number).sort((a, b) => a - b);
+    if (!measured.length) return Infinity;
+    if (depthTimes[depth] !== undefined) return depthTimes[depth];
+    const last = measured[measured.length - 1];
+    if (depth < last) return depthTimes[measured.find((d) => d >= depth)];
+    const prev = measured.length > 1 ? measured[measured.length - 2] : null;
+    const ratio = prev !== null && depthTimes[prev] > 0
+        ? Math.pow(depthTimes[last] / depthTimes[prev], 1 / (last - prev))
+        : 1.6;
+    const growth = Math.min(3, Math.max(1.3, ratio));
+    return Math.max(1, depthTimes[last]) * Math.pow(growth, depth - last);
+};
+
+// Picks the fastest configuration and the deepest search that fits the per-game time budget.
+export const proposeProfileFromBenchmark = (results, { budgetMinutes, multiPv = 1 } = {}) => {
+    if (!Array.isArray(results) || !results.length) return null;
+    const best = results.reduce((top, r) => (r.nps > (top?.nps || 0) ? r : top), null) || results[0];
+
+    // Wall time available to each search, and how much slower extra principal variations make it
+    // (roughly half a search each; the suite itself runs with a single line).
+    const perSearchMs = (Math.max(0.5, budgetMinutes) * 60000) / (PLIES_PER_GAME * SEARCHES_PER_PLY);
+    const multiPvFactor = 1 + 0.5 * (Math.max(1, multiPv) - 1);
+    const searchCost = (d) => estimateDepthTime(best.depthTimes, d) * multiPvFactor;
+
+    let depth = MIN_DEPTH;
+    for (let d = MIN_DEPTH; d <= MAX_DEPTH; d++) {
+        if (searchCost(d) > perSearchMs) break;
+        depth = d;
+    }
+
+    return {
+        depth,
+        multiPv: Math.max(1, multiPv),
+        threads: best.threads,
+        hash: best.hash,
+        // Hard cap so unusually sharp positions cannot blow the budget.
+        timePerMove: Math.max(100, Math.round(perSearchMs)),
+        workers: 1,
+        estimatedGameMinutes: Math.round(
+            (Math.min(searchCost(depth), perSearchMs) * PLIES_PER_GAME * SEARCHES_PER_PLY) / 6000
+        ) / 10
+    };
+};
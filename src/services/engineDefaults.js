@@ -48,3 +48,69 @@ export const getDefaultEngineVersion = () => {
 
     return '17.1-lite';
 };
+
+export const MAX_ENGINE_WORKERS = 8;
+
+// Split the active profile's hash/thread budget across parallel engine workers.
+// Mobile devices always get a single worker: parallel WASM instances exhaust memory quickly.
+export const getEnginePoolBudget = (profile) => {
+    const hash = Math.max(16, parseInt(profile?.hash ?? 32, 10) || 32);
+    const threads = Math.max(1, parseInt(profile?.threads ?? 1, 10) || 1);
+    const requested = Math.max(1, Math.min(MAX_ENGINE_WORKERS, parseInt(profile?.workers ?? 1, 10) || 1));
+    const cores = typeof navigator !== 'undefined' ? (navigator.hardwareConcurrency || 1) : 1;
+    const size = isMobileDevice() ? 1 : Math.min(requested, Math.max(1, cores));
+
+    return {
+        size,
+        hash: Math.max(16, Math.floor(hash / size)),
+        threads: Math.max(1, Math.floor(threads / size))
+    };
+};
+
+// Options the app drives from dedicated profile fields; never passed through from `uciOptions`.
+export const MANAGED_UCI_OPTIONS = ['Hash', 'Threads', 'MultiPV', 'UCI_ShowWDL', 'Use NNUE', 'EvalFile', 'EvalFileSmall'];
+
+// Profile `uciOptions` is a plain { [optionName]: value } map of overrides.
+export const normalizeUciOptions = (raw) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return {};
+    const out = {};
+    Object.entries(raw).forEach(([name, value]) => {
+        const key = String(name || '').trim();
+        if (!key || MANAGED_UCI_OPTIONS.includes(key)) return;
+        if (typeof value === 'boolean' || typeof value === 'string') out[key] = value;
+        else if (typeof value === 'number' && Number.isFinite(value)) out[key] = value;
+    });
+    return out;
+};
+
+// Turn profile overrides into `setoption` entries, coerced to the types the engine advertised.
+// Unknown options are dropped once the engine's option list is known.
+export const getUciOptionOverrides = (uciOptions, engineOptions = []) => {
+    const overrides = normalizeUciOptions(uciOptions);
+    const known = new Map((engineOptions || []).map((opt) => [opt.name, opt]));
+    const out = [];
+    Object.entries(overrides).forEach(([name, value]) => {
+        const meta = known.get(name);
+        if (known.size && !meta) return;
+        if (!meta) {
+            out.push({ name, value });
+            return;
+        }
+        if (meta.type === 'button') return;
+        if (meta.type === 'check') {
+            out.push({ name, value: value === true || value === 'true' });
+        } else if (meta.type === 'spin') {
+            let n = parseInt(value, 10);
+            if (!Number.isFinite(n)) return;
+            if (Number.isFinite(meta.min)) n = Math.max(meta.min, n);
+            if (Number.isFinite(meta.max)) n = Math.min(meta.max, n);
+            out.push({ name, value: n });
+        } else if (meta.type === 'combo') {
+            if (meta.vars?.length && !meta.vars.includes(String(value))) return;
+            out.push({ name, value: String(value) });
+        } else {
+            out.push({ name, value: String(value) });
+        }
+    });
+    return out;
+};
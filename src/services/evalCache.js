@@ -0,0 +1,187 @@
+import { db } from './db';
+
+const EVAL_CACHE_ENABLED_KEY = 'evalCacheEnabled';
+const EVAL_CACHE_LIMIT_KEY = 'evalCacheLimit';
+const EVAL_CACHE_EVENT = 'eval-cache-changed';
+
+export const DEFAULT_EVAL_CACHE_LIMIT = 20000;
+export const EVAL_CACHE_LIMIT_OPTIONS = [5000, 20000, 50000, 100000];
+
+// Only check the size cap every N writes; counting a large table on every ply is wasteful.
+const EVICT_CHECK_INTERVAL = 50;
+
+let writesSinceEvictCheck = 0;
+const sessionStats = { hits: 0, misses: 0 };
+
+export const evalCacheKey = (fen) => {
+    if (!fen || typeof fen !== 'string') return '';
+    // Move clocks do not change the search result.
+    return fen.split(' ').slice(0, 4).join(' ');
+};
+
+export const getEvalCacheEnabled = () => {
+    if (typeof window === 'undefined') return true;
+    try {
+        return localStorage.getItem(EVAL_CACHE_ENABLED_KEY) !== 'false';
+    } catch {
+        return true;
+    }
+};
+
+export const setEvalCacheEnabled = (enabled) => {
+    if (typeof window === 'undefined') return;
+    localStorage.setItem(EVAL_CACHE_ENABLED_KEY, enabled ? 'true' : 'false');
+    window.dispatchEvent(new CustomEvent(EVAL_CACHE_EVENT, { detail: { enabled: !!enabled } }));
+};
+
+export const getEvalCacheLimit = () => {
+    if (typeof window === 'undefined') return DEFAULT_EVAL_CACHE_LIMIT;
+    const raw = localStorage.getItem(EVAL_CACHE_LIMIT_KEY);
+    const parsed = parseInt(raw || '', 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_EVAL_CACHE_LIMIT;
+    return parsed;
+};
+
+export const setEvalCacheLimit = (limit) => {
+    if (typeof window === 'undefined') return;
+    const parsed = parseInt(limit, 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) return;
+    localStorage.setItem(EVAL_CACHE_LIMIT_KEY, String(parsed));
+    window.dispatchEvent(new CustomEvent(EVAL_CACHE_EVENT, { detail: { limit: parsed } }));
+    enforceEvalCacheLimit(parsed).catch(() => { });
+};
+
+export const subscribeEvalCache = (handler) => {
+    if (typeof window === 'undefined') return () => {};
+    window.addEventListener(EVAL_CACHE_EVENT, handler);
+    return () => window.removeEventListener(EVAL_CACHE_EVENT, handler);
+};
+
+export const getEvalCacheSessionStats = () => ({ ...sessionStats });
+
+// A cached search satisfies a request when it went at least as deep (or was run with the same
+// depth/time budget), covered as many lines, and came from the same engine build.
+const satisfies = (entry, { depth, multiPv, movetime, engineVersion }) => {
+    if (!entry || entry.engineVersion !== engineVersion) return false;
+    if ((entry.multiPv || 1) < (multiPv || 1)) return false;
+    if ((entry.depth || 0) >= depth) return true;
+    return (entry.requestedDepth || 0) >= depth && (entry.movetime || 0) >= (movetime || 0);
+};
+
+export const getCachedEval = async (fen, request) => {
+    if (!getEvalCacheEnabled()) return null;
+    const key = evalCacheKey(fen);
+    if (!key) return null;
+    try {
+        const entry = await db.evalCache.get(key);
+        if (!satisfies(entry, request)) {
+            sessionStats.misses += 1;
+            return null;
+        }
+        sessionStats.hits += 1;
+        db.evalCache.update(key, {
+            lastUsedAt: Date.now(),
+            hits: (entry.hits || 0) + 1
+        }).catch(() => { });
+
+        const pvLines = (entry.pvLines || [])
+            .filter((l) => (l?.multipv || 1) <= (request.multiPv || 1));
+        return {
+            bestMove: entry.bestMove,
+            evaluation: pvLines[0] || entry.evaluation || {},
+            pvLines,
+            stats: null,
+            aborted: false,
+            cached: true
+        };
+    } catch {
+        return null;
+    }
+};
+
+export const storeCachedEval = async (fen, result, { depth, multiPv, movetime, engineVersion }) => {
+    if (!getEvalCacheEnabled()) return;
+    if (!result || result.aborted || result.cached) return;
+    const key = evalCacheKey(fen);
+    const pvLines = Array.isArray(result.pvLines) ? result.pvLines.filter(Boolean) : [];
+    if (!key || !pvLines.length || !result.bestMove) return;
+
+    // Search counters are per-run noise; keep what is needed to replay the result.
+    const strip = (line) => line ? ({
+        depth: line.depth,
+        seldepth: line.seldepth ?? null,
+        multipv: line.multipv || 1,
+        score: line.score,
+        mate: line.mate ?? null,
+        bound: line.bound || null,
+        wdl: line.wdl || null,
+        pv: line.pv
+    }) : null;
+    const reachedDepth = pvLines.reduce((max, l) => Math.max(max, l?.depth || 0), 0);
+
+    try {
+        const existing = await db.evalCache.get(key);
+        // Never replace a deeper result for the same engine with a shallower one.
+        if (existing && existing.engineVersion === engineVersion
+            && (existing.depth || 0) > reachedDepth && (existing.multiPv || 1) >= (multiPv || 1)) {
+            return;
+        }
+        const now = Date.now();
+        await db.evalCache.put({
+            fenKey: key,
+            bestMove: result.bestMove,
+            evaluation: strip(result.evaluation),
+            pvLines: pvLines.map(strip),
+            depth: reachedDepth,
+            requestedDepth: depth,
+            movetime: movetime || 0,
+            multiPv: multiPv || 1,
+            engineVersion,
+            createdAt: existing?.createdAt || now,
+            lastUsedAt: now,
+            hits: existing?.hits || 0
+        });
+
+        writesSinceEvictCheck += 1;
+        if (writesSinceEvictCheck >= EVICT_CHECK_INTERVAL) {
+            writesSinceEvictCheck = 0;
+            await enforceEvalCacheLimit();
+        }
+    } catch (err) {
+        console.warn('Failed to store cached evaluation', err);
+    }
+};
+
+// Least-recently-used entries go first.
+export const enforceEvalCacheLimit = async (limit = getEvalCacheLimit()) => {
+    if (!limit || limit <= 0) return;
+    const total = await db.evalCache.count();
+    if (total <= limit) return;
+    const keys = await db.evalCache.orderBy('lastUsedAt').limit(total - limit).primaryKeys();
+    if (keys.length) await db.evalCache.bulkDelete(keys);
+};
+
+export const getEvalCacheSummary = async () => {
+    const [count, oldest, newest, top] = await Promise.all([
+        db.evalCache.count(),
+        db.evalCache.orderBy('lastUsedAt').first(),
+        db.evalCache.orderBy('lastUsedAt').last(),
+        db.evalCache.orderBy('hits').reverse().limit(5).toArray()
+    ]);
+    return {
+        count,
+        limit: getEvalCacheLimit(),
+        oldestUsedAt: oldest?.lastUsedAt || null,
+        newestUsedAt: newest?.lastUsedAt || null,
+        topEntries: top
+            .filter((e) => (e.hits || 0) > 0)
+            .map((e) => ({ fenKey: e.fenKey, hits: e.hits || 0, depth: e.depth, bestMove: e.bestMove }))
+    };
+};
+
+export const clearEvalCache = async () => {
+    await db.evalCache.clear();
+    sessionStats.hits = 0;
+    sessionStats.misses = 0;
+    writesSinceEvictCheck = 0;
+};
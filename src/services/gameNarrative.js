@@ -0,0 +1,160 @@
+import { winProbability } from './accuracy';
+
+const MATE_SCORE = 100000;
+
+// Turning points need at least this much movement in White's expected score (0-100).
+const SWING_THRESHOLD = 15;
+const MAX_KEY_MOMENTS = 5;
+const CONVERSION_LEVEL = 80;
+
+const PHASE_LABELS = { opening: 'opening', middlegame: 'middlegame', endgame: 'endgame' };
+
+const entryCp = (entry) => {
+    if (typeof entry?.mate === 'number' && entry.mate !== 0) {
+        return Math.sign(entry.mate) * (MATE_SCORE - Math.min(99, Math.abs(entry.mate)) * 100);
+    }
+    return typeof entry?.score === 'number' ? entry.score : 0;
+};
+
+const formatEval = (cp) => {
+    if (Math.abs(cp) >= MATE_SCORE - 10000) return cp > 0 ? 'a forced mate for White' : 'a forced mate for Black';
+    const pawns = cp / 100;
+    return `${pawns > 0 ? '+' : ''}${pawns.toFixed(1)}`;
+};
+
+const sideName = (turn, names) => (turn === 'w' ? names.white : names.black);
+
+const moveLabel = (index, sans) => {
+    const san = sans[index] || '';
+    const number = Math.floor(index / 2) + 1;
+    return `${number}${index % 2 === 0 ? '.' : '...'}${san ? ` ${san}` : ''}`;
+};
+
+// White-POV expected score before each ply plus one for the final position.
+const buildWinSeries = (log) => {
+    const series = log.map((entry) => winProbability(entryCp(entry)));
+    const last = log[log.length - 1];
+    if (last) {
+        const moverCp = (last.turn === 'b' ? -1 : 1) * entryCp(last);
+        const afterCp = moverCp - (typeof last.evalDiff === 'number' ? last.evalDiff : 0);
+        series.push(winProbability(last.turn === 'b' ? -afterCp : afterCp));
+    }
+    return series;
+};
+
+const winnerFromResult = (result) => {
+    if (result === '1-0') return 'w';
+    if (result === '0-1') return 'b';
+    return null;
+};
+
+/**
+ * Deterministic game summary from a stored analysis log: turning points, decisive phase and a
+ * short narrative. `sans` are the mainline SAN moves, `names` the player names.
+ */
+export const summarizeGame = (analysisLog, { sans = [], names = {}, result = '' } = {}) => {
+    const log = Array.isArray(analysisLog) ? analysisLog.filter(Boolean) : [];
+    if (log.length < 2) return null;
+    const players = { white: names.white || 'White', black: names.black || 'Black' };
+    const win = buildWinSeries(log);
+    const winner = winnerFromResult(result);
+
+    const moments = [];
+    log.forEach((entry, idx) => {
+        const before = win[idx];
+        const after = win[idx + 1];
+        // Drop from the mover's point of view.
+        const drop = entry.turn === 'w' ? before - after : after - before;
+        const mover = sideName(entry.turn, players);
+        const moverBefore = entry.turn === 'w' ? before : 100 - before;
+        const moverAfter = entry.turn === 'w' ? after : 100 - after;
+
+        if (entry.missedWin && drop >= SWING_THRESHOLD / 2) {
+            moments.push({
+                index: idx,
+                type: 'missedWin',
+                title: 'Missed win',
+                weight: drop + 10,
+                text: `${mover} was winning (${formatEval(entryCp(entry))}) but ${moveLabel(idx, sans)} let it slip.`
+            });
+            return;
+        }
+        if (moverBefore >= 65 && moverAfter <= 55) {
+            moments.push({
+                index: idx,
+                type: 'lostAdvantage',
+                title: 'Advantage lost',
+                weight: drop + 5,
+                text: `${moveLabel(idx, sans)} threw away ${mover}'s advantage (${Math.round(moverBefore)}% → ${Math.round(moverAfter)}% expected score).`
+            });
+            return;
+        }
+        if (drop >= SWING_THRESHOLD) {
+            moments.push({
+                index: idx,
+                type: 'swing',
+                title: entry.classification === 'blunder' ? 'Blunder' : 'Big swing',
+                weight: drop,
+                text: `${moveLabel(idx, sans)} swung the game against ${mover} (${Math.round(moverBefore)}% → ${Math.round(moverAfter)}% expected score).`
+            });
+        }
+    });
+
+    // Conversion: from this ply on the eventual winner never dropped below the conversion level.
+    let conversion = null;
+    if (winner) {
+        const winnerScore = (value) => (winner === 'w' ? value : 100 - value);
+        let start = null;
+        for (let i = win.length - 1; i >= 0; i--) {
+            if (winnerScore(win[i]) >= CONVERSION_LEVEL) start = i;
+            else break;
+        }
+        if (start !== null && start < log.length) {
+            conversion = {
+                index: Math.max(0, start - 1),
+                type: 'conversion',
+                title: 'Conversion',
+                weight: 0,
+                text: `From ${moveLabel(Math.max(0, start - 1), sans)} ${sideName(winner, players)} held a winning position and converted it.`
+            };
+        }
+    }
+
+    const ranked = moments.sort((a, b) => b.weight - a.weight);
+    // The decisive moment is the biggest swing towards the final result (or overall for draws).
+    const decisive = ranked.find((m) => !winner || log[m.index].turn !== winner) || ranked[0] || null;
+    const decisivePhase = decisive ? (PHASE_LABELS[log[decisive.index].phase] || 'middlegame') : null;
+
+    const keyMoments = ranked.slice(0, MAX_KEY_MOMENTS - (conversion ? 1 : 0));
+    if (conversion) keyMoments.push(conversion);
+    keyMoments.sort((a, b) => a.index - b.index);
+
+    const narrative = [];
+    const openingEnd = log.findIndex((entry) => entry.phase !== 'opening');
+    const afterOpening = openingEnd > 0 ? entryCp(log[openingEnd]) : null;
+    if (afterOpening !== null) {
+        if (Math.abs(afterOpening) < 60) narrative.push(`The opening ended roughly level (${formatEval(afterOpening)}).`);
+        else narrative.push(`${afterOpening > 0 ? players.white : players.black} came out of the opening better (${formatEval(afterOpening)}).`);
+    }
+    if (decisive) {
+        narrative.push(`The game turned in the ${decisivePhase}: ${decisive.text}`);
+    } else {
+        narrative.push('There was no single turning point; the balance shifted only gradually.');
+    }
+    const missed = ranked.filter((m) => m.type === 'missedWin' && m !== decisive);
+    if (missed.length) narrative.push(missed.length === 1 ? missed[0].text : `${missed.length} winning chances were missed along the way.`);
+    if (conversion) narrative.push(conversion.text);
+    else if (!winner && result === '1/2-1/2') narrative.push('Neither side could make a lasting advantage count, and the game was drawn.');
+
+    return {
+        decisivePhase,
+        narrative: narrative.join(' '),
+        keyMoments: keyMoments.map((moment) => ({
+            index: moment.index,
+            type: moment.type,
+            title: moment.title,
+            text: moment.text,
+            label: moveLabel(moment.index, sans)
+        }))
+    };
+};
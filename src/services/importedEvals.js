@@ -0,0 +1,73 @@
+import { getMainline, parsePgnTree } from './pgnTree';
+
+const USE_IMPORTED_EVALS_KEY = 'useImportedEvals';
+const IMPORTED_EVAL_TOP_UP_KEY = 'importedEvalTopUp';
+
+// Share of main-line moves that must carry an `[%eval]` before a game is analysed from them.
+export const MIN_IMPORTED_COVERAGE = 0.8;
+
+// Whether `[%eval]` comments shipped with a PGN (e.g. Lichess server analysis) replace the local engine.
+export const getUseImportedEvals = () => {
+    if (typeof window === 'undefined') return true;
+    try {
+        return localStorage.getItem(USE_IMPORTED_EVALS_KEY) !== 'false';
+    } catch {
+        return true;
+    }
+};
+
+export const setUseImportedEvals = (enabled) => {
+    if (typeof window === 'undefined') return;
+    try {
+        localStorage.setItem(USE_IMPORTED_EVALS_KEY, enabled ? 'true' : 'false');
+    } catch {
+        // ignore
+    }
+};
+
+// Whether plies with shallow imported evals, or errors without a known best move, still get a local search.
+export const getImportedEvalTopUp = () => {
+    if (typeof window === 'undefined') return true;
+    try {
+        return localStorage.getItem(IMPORTED_EVAL_TOP_UP_KEY) !== 'false';
+    } catch {
+        return true;
+    }
+};
+
+export const setImportedEvalTopUp = (enabled) => {
+    if (typeof window === 'undefined') return;
+    try {
+        localStorage.setItem(IMPORTED_EVAL_TOP_UP_KEY, enabled ? 'true' : 'false');
+    } catch {
+        // ignore
+    }
+};
+
+/**
+ * Evaluations carried by a PGN's main line, one item per move: `{ eval, bestMove }` where `eval` is
+ * `{ score, mate, depth }` (white POV, position after the move; null where the move has none) and
+ * `bestMove` is the UCI of the first sideline offered instead of the move, as Lichess exports its
+ * engine lines. Returns null when fewer than MIN_IMPORTED_COVERAGE of the `plies` moves have an eval.
+ */
+export const extractImportedEvals = (pgn, plies) => {
+    if (!pgn || typeof pgn !== 'string' || !pgn.includes('[%eval')) return null;
+    const tree = parsePgnTree(pgn);
+    if (!tree) return null;
+    const out = [];
+    let parent = tree.root;
+    getMainline(tree).forEach((node) => {
+        const evaluation = node.eval
+            ? {
+                score: typeof node.eval.score === 'number' ? node.eval.score : null,
+                mate: typeof node.eval.mate === 'number' ? node.eval.mate : null,
+                depth: typeof node.eval.depth === 'number' ? node.eval.depth : null
+            }
+            : null;
+        out.push({ eval: evaluation, bestMove: parent.children[1]?.uci || null });
+        parent = node;
+    });
+    const total = Math.max(1, plies || out.length);
+    const covered = out.slice(0, total).filter((item) => item.eval).length;
+    return covered / total >= MIN_IMPORTED_COVERAGE ? out : null;
+};
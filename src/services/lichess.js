@@ -1,5 +1,25 @@
 import { bulkUpsertGames, getLatestGameTimestampForProfile, getDistinctGameDaysInRange, saveImportProgress, clearImportProgress } from './db';
 
+// `clocks` (centiseconds left after each ply) comes with `clocks=true`; emit it as `[%clk]` like Lichess PGNs.
+// `analysis` (server evals per ply, white POV) comes with `evals=true` for analysed games; emitted as `[%eval]`.
+const withMoveComments = (moves, clocks, analysis) => {
+    const hasClocks = Array.isArray(clocks) && clocks.length;
+    const hasEvals = Array.isArray(analysis) && analysis.length;
+    if (!moves || (!hasClocks && !hasEvals)) return moves || '';
+    return moves.split(' ').filter(Boolean).map((san, idx) => {
+        const commands = [];
+        const ply = hasEvals ? analysis[idx] : null;
+        if (typeof ply?.mate === 'number') commands.push(`[%eval #${ply.mate}]`);
+        else if (typeof ply?.eval === 'number') commands.push(`[%eval ${(ply.eval / 100).toFixed(2)}]`);
+        const cs = hasClocks ? clocks[idx] : null;
+        if (Number.isFinite(cs)) {
+            const total = Math.max(0, Math.floor(cs / 100));
+            commands.push(`[%clk ${Math.floor(total / 3600)}:${String(Math.floor((total % 3600) / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}]`);
+        }
+        return commands.length ? `${san} { ${commands.join(' ')} }` : san;
+    }).join(' ');
+};
+
 const constructPgn = (game) => {
     const headers = [
         `[Event "${game.tournament || 'Casual'}"]`,
@@ -14,10 +34,13 @@ const constructPgn = (game) => {
         `[WhiteElo "${game.players?.white?.rating || '?'}"]`,
         `[BlackElo "${game.players?.black?.rating || '?'}"]`,
         `[Variant "${game.variant || 'Standard'}"]`,
+        `[TimeControl "${game.clock ? `${game.clock.initial}+${game.clock.increment}` : '-'}"]`,
         `[ECO "${game.opening?.eco || '?'}"]`,
-        `[Opening "${game.opening?.name || '?'}"]`
+        `[Opening "${game.opening?.name || '?'}"]`,
+        // Chess960 and From Position games start from `initialFen`.
+        ...(game.initialFen ? ['[SetUp "1"]', `[FEN "${game.initialFen}"]`] : [])
     ].join('\n');
-    return `${headers}\n\n${game.moves}`;
+    return `${headers}\n\n${withMoveComments(game.moves, game.clocks, game.analysis)}`;
 };
 
 const mapLichessGame = (game) => {
@@ -128,9 +151,10 @@ class RateLimitCircuitBreaker {
 export const fetchLichessGames = async (username, max = 50, filters = {}) => {
     const params = new URLSearchParams({
         max: max.toString(),
-        clocks: 'false',
+        clocks: 'true',
         opening: 'true',
-        evals: 'false',
+        // Server analysis, when the game has one, arrives as `[%eval]` comments the analyzer can reuse.
+        evals: 'true',
         pgnInJson: 'true',
     });
 
@@ -0,0 +1,231 @@
+// Pawn-structure tags for a position. Side-specific structures carry the owner as a suffix
+// (`iqp:w` = White has the isolated queen pawn); the rest describe the whole board.
+export const PAWN_STRUCTURES = [
+    { id: 'iqp', label: 'Isolated queen pawn', sided: true },
+    { id: 'hanging_pawns', label: 'Hanging pawns', sided: true },
+    { id: 'carlsbad', label: 'Carlsbad', sided: false },
+    { id: 'maroczy', label: 'Maróczy bind', sided: true },
+    { id: 'stonewall', label: 'Stonewall', sided: true },
+    { id: 'french_chain', label: 'French chain', sided: false },
+    { id: 'kings_indian_chain', label: "King's Indian chain", sided: false },
+    { id: 'locked_centre', label: 'Locked centre', sided: false },
+    { id: 'open_centre', label: 'Open centre', sided: false },
+    { id: 'opposite_castling', label: 'Opposite-side castling', sided: false }
+];
+
+const FILES = 'abcdefgh';
+
+const parsePawns = (fen) => {
+    const pawns = { w: new Set(), b: new Set() };
+    const kings = { w: null, b: null };
+    const rows = String(fen || '').split(' ')[0].split('/');
+    if (rows.length !== 8) return null;
+    rows.forEach((row, rowIdx) => {
+        const rank = 8 - rowIdx;
+        let file = 0;
+        for (const ch of row) {
+            if (/\d/.test(ch)) {
+                file += parseInt(ch, 10);
+                continue;
+            }
+            const square = `${FILES[file]}${rank}`;
+            if (ch === 'P') pawns.w.add(square);
+            else if (ch === 'p') pawns.b.add(square);
+            else if (ch === 'K') kings.w = square;
+            else if (ch === 'k') kings.b = square;
+            file += 1;
+        }
+    });
+    return { pawns, kings };
+};
+
+const hasOnFile = (set, file) => {
+    for (const square of set) {
+        if (square[0] === file) return true;
+    }
+    return false;
+};
+
+const hasAll = (set, squares) => squares.every((sq) => set.has(sq));
+
+// Rank 1-8 flipped for Black so patterns can be written from White's side.
+const mirror = (squares) => squares.map((sq) => `${sq[0]}${9 - parseInt(sq[1], 10)}`);
+
+const isIqp = (own) => hasOnFile(own, 'd') && !hasOnFile(own, 'c') && !hasOnFile(own, 'e');
+
+const isHangingPawns = (own, color) => {
+    if (hasOnFile(own, 'b') || hasOnFile(own, 'e')) return false;
+    // c- and d-pawns side by side on the fourth/fifth rank (from the owner's side).
+    return [4, 5].some((rank) => {
+        const r = color === 'w' ? rank : 9 - rank;
+        return own.has(`c${r}`) && own.has(`d${r}`);
+    });
+};
+
+const isMaroczy = (own, opp, color) => {
+    const squares = color === 'w' ? ['c4', 'e4'] : mirror(['c4', 'e4']);
+    return hasAll(own, squares) && !hasOnFile(own, 'd') && hasOnFile(opp, 'd') && !hasOnFile(opp, 'c');
+};
+
+const isStonewall = (own, color) => {
+    const squares = ['c3', 'd4', 'e3', 'f4'];
+    return hasAll(own, color === 'w' ? squares : mirror(squares));
+};
+
+// White d4 + e-pawn against Black c6/d5 with no e-pawn, or the mirror image.
+const isCarlsbad = (white, black) => {
+    const whiteSide = white.has('d4') && hasOnFile(white, 'e') && !hasOnFile(white, 'c')
+        && black.has('d5') && hasOnFile(black, 'c') && !hasOnFile(black, 'e');
+    const blackSide = black.has('d5') && hasOnFile(black, 'e') && !hasOnFile(black, 'c')
+        && white.has('d4') && hasOnFile(white, 'c') && !hasOnFile(white, 'e');
+    return whiteSide || blackSide;
+};
+
+const isBlocked = (white, black, file) => {
+    for (const square of white) {
+        if (square[0] !== file) continue;
+        if (black.has(`${file}${parseInt(square[1], 10) + 1}`)) return true;
+    }
+    return false;
+};
+
+const wing = (square) => {
+    if (!square) return null;
+    const file = FILES.indexOf(square[0]);
+    if (file <= 2) return 'queen';
+    if (file >= 6) return 'king';
+    return null;
+};
+
+/**
+ * Classifies the pawn structure of a FEN. Returns structure tags such as
+ * `['iqp:w', 'opposite_castling']`; an empty array when nothing recognisable is on the board.
+ */
+export const classifyPawnStructure = (fen) => {
+    const parsed = parsePawns(fen);
+    if (!parsed) return [];
+    const { pawns, kings } = parsed;
+    const white = pawns.w;
+    const black = pawns.b;
+    const tags = [];
+
+    ['w', 'b'].forEach((color) => {
+        const own = pawns[color];
+        const opp = color === 'w' ? black : white;
+        if (isIqp(own)) tags.push(`iqp:${color}`);
+        if (isHangingPawns(own, color)) tags.push(`hanging_pawns:${color}`);
+        if (isMaroczy(own, opp, color)) tags.push(`maroczy:${color}`);
+        if (isStonewall(own, color)) tags.push(`stonewall:${color}`);
+    });
+
+    if (isCarlsbad(white, black)) tags.push('carlsbad');
+    if (hasAll(white, ['d4', 'e5']) && hasAll(black, ['d5', 'e6'])) tags.push('french_chain');
+    if (hasAll(white, ['d5', 'e4']) && hasAll(black, ['d6', 'e5'])) tags.push('kings_indian_chain');
+    if (isBlocked(white, black, 'd') && isBlocked(white, black, 'e')) tags.push('locked_centre');
+    if (!['d', 'e'].some((file) => hasOnFile(white, file) || hasOnFile(black, file))) tags.push('open_centre');
+
+    const whiteWing = wing(kings.w);
+    const blackWing = wing(kings.b);
+    if (whiteWing && blackWing && whiteWing !== blackWing) tags.push('opposite_castling');
+
+    return tags;
+};
+
+/**
+ * Maps a stored structure tag to a key and label relative to `heroTurn` ('w' | 'b'),
+ * so "my IQP" and "opponent's IQP" are tracked separately.
+ */
+export const describeStructure = (tag, heroTurn) => {
+    const [id, owner] = String(tag || '').split(':');
+    const def = PAWN_STRUCTURES.find((s) => s.id === id);
+    if (!def) return null;
+    if (!def.sided || !owner) return { key: id, id, label: def.label };
+    const mine = owner === heroTurn;
+    return {
+        key: `${id}:${mine ? 'own' : 'opp'}`,
+        id,
+        label: `${def.label} (${mine ? 'mine' : 'opponent'})`
+    };
+};
+
+// A structure has to persist for this many hero moves before it counts towards a game.
+export const MIN_STRUCTURE_MOVES = 3;
+
+const pct = (part, total) => (total ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Hero results and move quality per pawn structure. `games` are `{ heroTurn, result, accuracy,
+ * analysisLog }` with result 'win' | 'loss' | 'draw' and accuracy the hero's game accuracy.
+ * Logs analysed before structures were stored are classified from their FENs on the fly.
+ */
+export const aggregateStructureStats = (games) => {
+    const map = new Map();
+    games.forEach(({ heroTurn, result, accuracy, analysisLog }) => {
+        const log = Array.isArray(analysisLog) ? analysisLog : [];
+        const seen = new Map();
+        log.forEach((entry) => {
+            if (!entry || entry.turn !== heroTurn) return;
+            const tags = Array.isArray(entry.structures) ? entry.structures : classifyPawnStructure(entry.fen);
+            tags.forEach((tag) => {
+                const desc = describeStructure(tag, heroTurn);
+                if (!desc) return;
+                const row = seen.get(desc.key) || { ...desc, moves: 0, errors: 0, blunders: 0, cpLoss: 0 };
+                row.moves += 1;
+                row.cpLoss += typeof entry.evalDiff === 'number' ? Math.max(0, entry.evalDiff) : 0;
+                if (['blunder', 'mistake', 'inaccuracy'].includes(entry.classification)) row.errors += 1;
+                if (entry.classification === 'blunder') row.blunders += 1;
+                seen.set(desc.key, row);
+            });
+        });
+        seen.forEach((row) => {
+            if (row.moves < MIN_STRUCTURE_MOVES) return;
+            const stat = map.get(row.key) || {
+                key: row.key,
+                id: row.id,
+                label: row.label,
+                games: 0,
+                wins: 0,
+                draws: 0,
+                losses: 0,
+                accuracySum: 0,
+                accuracyCount: 0,
+                moves: 0,
+                errors: 0,
+                blunders: 0,
+                cpLoss: 0
+            };
+            stat.games += 1;
+            if (result === 'win') stat.wins += 1;
+            else if (result === 'loss') stat.losses += 1;
+            else stat.draws += 1;
+            if (typeof accuracy === 'number') {
+                stat.accuracySum += accuracy;
+                stat.accuracyCount += 1;
+            }
+            stat.moves += row.moves;
+            stat.errors += row.errors;
+            stat.blunders += row.blunders;
+            stat.cpLoss += row.cpLoss;
+            map.set(row.key, stat);
+        });
+    });
+
+    return Array.from(map.values())
+        .map((stat) => ({
+            key: stat.key,
+            id: stat.id,
+            label: stat.label,
+            games: stat.games,
+            wins: stat.wins,
+            draws: stat.draws,
+            losses: stat.losses,
+            winRate: pct(stat.wins, stat.games),
+            score: pct(stat.wins + stat.draws / 2, stat.games),
+            avgAccuracy: stat.accuracyCount ? Math.round(stat.accuracySum / stat.accuracyCount) : null,
+            moves: stat.moves,
+            errorRate: pct(stat.errors, stat.moves),
+            blunderRate: pct(stat.blunders, stat.moves),
+            avgCpLoss: stat.moves ? Math.round(stat.cpLoss / stat.moves) : 0
+        }))
+        .sort((a, b) => b.games - a.games);
+};
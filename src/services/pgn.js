@@ -1,5 +1,6 @@
 import { Chess } from 'chess.js';
 import { db, bulkUpsertGames } from './db';
+import { getGameVariant, isAnalyzableVariant, replayPgn } from './variants';
 
 const parseTags = (pgn) => {
     const tags = {};
@@ -21,6 +22,24 @@ export const stripPgnComments = (pgn) => {
         .trim();
 };
 
+// Main-line move count of a PGN without replaying it: tags, comments, variations, NAGs, move numbers and the result are dropped.
+export const countPgnPlies = (pgn) => {
+    if (!pgn) return 0;
+    let text = stripPgnComments(pgn.replace(/^\s*\[[^\]]*\]\s*$/gm, ' '));
+    // Innermost variations first, so nested ones come out too.
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(/\([^()]*\)/g, ' ');
+    } while (text !== previous);
+    return text
+        .replace(/\$\d+/g, ' ')
+        .replace(/\d+\.(\.\.)?/g, ' ')
+        .split(/\s+/)
+        .filter((token) => token && !/^(1-0|0-1|1\/2-1\/2|\*)$/.test(token))
+        .length;
+};
+
 const normalizeDateParts = (value) => {
     if (!value) return null;
     const raw = value.trim();
@@ -93,11 +112,20 @@ const hashPgn = (pgn) => {
 export const parsePGN = (pgn, options = {}) => {
     if (!pgn || !pgn.trim()) return null;
     try {
-        const chess = new Chess();
         const cleanPgn = stripPgnComments(pgn);
-        chess.loadPgn(cleanPgn, { sloppy: true });
-        const header = chess.header();
-        const tags = { ...parseTags(pgn), ...header };
+        const rawTags = parseTags(pgn);
+        const variant = getGameVariant({ variant: rawTags.Variant }, pgn);
+        let header = {};
+        if (variant === 'chess960') {
+            // chess.js has no Chess960 castling; validate with the variant-aware replay instead.
+            replayPgn(cleanPgn, variant);
+        } else if (isAnalyzableVariant(variant)) {
+            const chess = new Chess();
+            chess.loadPgn(cleanPgn, { sloppy: true });
+            header = chess.header();
+        }
+        // Other variants are imported as-is and marked unsupported when analysis reaches them.
+        const tags = { ...rawTags, ...header };
 
         const isoDate = toIsoDate(tags.UTCDate || tags.Date, tags.UTCTime || tags.Time);
         const timeControl = parseTimeControl(tags.TimeControl);
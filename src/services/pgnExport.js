@@ -0,0 +1,242 @@
+import { Chess } from 'chess.js';
+import { db, getGameAnalysis, getGamePgn } from './db';
+import { generateExplanation } from './analyzer';
+import { describeProvenance } from './analysisRuns';
+import { extractPgnClocks } from './clocks';
+import { stripPgnComments } from './pgn';
+import { getGameVariant, isAnalyzableVariant, replayPgn } from './variants';
+
+// Move suffix annotations written for each classification.
+const CLASSIFICATION_NAGS = {
+    brilliant: '!!',
+    great: '!',
+    inaccuracy: '?!',
+    mistake: '?',
+    blunder: '??'
+};
+
+// Classifications that get a prose comment; errors also get the engine's line as a variation.
+const COMMENTED_CLASSIFICATIONS = ['brilliant', 'great', 'inaccuracy', 'mistake', 'blunder'];
+const ERROR_CLASSIFICATIONS = ['inaccuracy', 'mistake', 'blunder'];
+
+// Plies of the engine line kept in each variation.
+const MAX_VARIATION_PLIES = 8;
+
+// Export format line length from the PGN standard.
+const LINE_WIDTH = 80;
+
+// Tags written by the exporter; stale copies from an earlier export are dropped.
+const EXPORT_TAGS = ['Annotator', 'WhiteAccuracy', 'BlackAccuracy'];
+
+const parseTagPairs = (pgn) => {
+    const tags = [];
+    if (!pgn) return tags;
+    const tagRe = /\[([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\]/g;
+    let match;
+    while ((match = tagRe.exec(pgn)) !== null) {
+        tags.push([match[1], match[2]]);
+    }
+    return tags;
+};
+
+const escapeTag = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Braces cannot be nested or escaped inside a PGN comment.
+const cleanComment = (text) => String(text || '').replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+
+// White POV eval of a log entry as a `[%eval]` value: pawns with two decimals, or `#n` for mates.
+const formatEval = (entry) => {
+    if (!entry) return null;
+    if (typeof entry.mate === 'number') return entry.mate === 0 ? null : `#${entry.mate}`;
+    if (typeof entry.score !== 'number') return null;
+    return (entry.score / 100).toFixed(2);
+};
+
+// Seconds -> `h:mm:ss`, keeping tenths when the source clock had them.
+const formatClock = (seconds) => {
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) return null;
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.round((seconds % 60) * 10) / 10;
+    const sec = Number.isInteger(s) ? String(s).padStart(2, '0') : s.toFixed(1).padStart(4, '0');
+    return `${h}:${String(m).padStart(2, '0')}:${sec}`;
+};
+
+const getMoveNumber = (fen) => parseInt(String(fen || '').split(' ')[5], 10) || 1;
+
+// UCI line -> SAN moves from `fen`. Stops at the first move chess.js rejects (e.g. Chess960 castling).
+const pvToSanMoves = (fen, pv, maxPlies = MAX_VARIATION_PLIES) => {
+    const uciMoves = typeof pv === 'string' ? pv.trim().split(/\s+/).filter(Boolean) : [];
+    const out = [];
+    try {
+        const chess = new Chess(fen);
+        for (const uci of uciMoves.slice(0, maxPlies)) {
+            const color = chess.turn();
+            const moveNumber = chess.moveNumber();
+            const move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+            out.push({ san: move.san, color, moveNumber });
+        }
+    } catch {
+        // ignore
+    }
+    return out;
+};
+
+const formatVariation = (sanMoves) => {
+    const parts = [];
+    sanMoves.forEach((move, idx) => {
+        if (move.color === 'w') parts.push(`${move.moveNumber}.`);
+        else if (idx === 0) parts.push(`${move.moveNumber}...`);
+        parts.push(move.san);
+    });
+    return parts.length ? `( ${parts.join(' ')} )` : '';
+};
+
+const wrapMovetext = (text) => {
+    const lines = [];
+    let line = '';
+    text.split(' ').filter(Boolean).forEach((word) => {
+        if (line && line.length + 1 + word.length > LINE_WIDTH) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    if (line) lines.push(line);
+    return lines.join('\n');
+};
+
+const buildHeaderTags = (game, pgn, analysisLog, provenance) => {
+    let tags = parseTagPairs(pgn).filter(([name]) => !EXPORT_TAGS.includes(name));
+    if (!tags.length) {
+        tags = [
+            ['Event', game?.event || '?'],
+            ['Site', game?.site || '?'],
+            ['Date', game?.date ? String(game.date).slice(0, 10).replace(/-/g, '.') : '????.??.??'],
+            ['White', game?.white || '?'],
+            ['Black', game?.black || '?'],
+            ['Result', game?.result || '*']
+        ];
+    }
+    if (analysisLog.length) {
+        const engine = describeProvenance(provenance)[0];
+        tags.push(['Annotator', engine ? `Chesslyze (${engine})` : 'Chesslyze']);
+        if (typeof game?.accuracy?.white === 'number') tags.push(['WhiteAccuracy', String(game.accuracy.white)]);
+        if (typeof game?.accuracy?.black === 'number') tags.push(['BlackAccuracy', String(game.accuracy.black)]);
+    }
+    return tags;
+};
+
+/**
+ * One game as annotated PGN: the original tags plus accuracies, `[%eval]`/`[%clk]` comments,
+ * classification NAGs, explanations and the engine's best line for each error. Games without
+ * analysis come out with just their moves and clocks. Returns the stored PGN unchanged when
+ * its moves cannot be replayed (e.g. unsupported variants).
+ */
+export const buildAnnotatedPgn = ({ game, pgn, analysisLog, provenance }) => {
+    const source = pgn || game?.pgn || '';
+    if (!source) return '';
+    const log = Array.isArray(analysisLog) ? analysisLog : [];
+    const variant = getGameVariant(game, source);
+
+    let replay;
+    try {
+        replay = replayPgn(stripPgnComments(source), isAnalyzableVariant(variant) ? variant : 'standard');
+    } catch {
+        return source.trim();
+    }
+
+    const tags = buildHeaderTags(game, source, log, provenance);
+    const result = tags.find(([name]) => name === 'Result')?.[1] || '*';
+    const clocks = extractPgnClocks(source);
+
+    const tokens = [];
+    const labels = describeProvenance(provenance);
+    if (log.length && labels.length) tokens.push(`{ ${cleanComment(`Analysis: ${labels.join(', ')}.`)} }`);
+
+    let needsNumber = true;
+    replay.moves.forEach((move, i) => {
+        const entry = log[i] || null;
+        const moveNumber = getMoveNumber(move.before);
+        if (move.color === 'w') tokens.push(`${moveNumber}.`);
+        else if (needsNumber) tokens.push(`${moveNumber}...`);
+        needsNumber = false;
+
+        const classification = entry?.classification || null;
+        tokens.push(`${move.san}${CLASSIFICATION_NAGS[classification] || ''}`);
+
+        // Log entries hold the eval *before* their move, so the eval after this move is on the next one.
+        const commands = [];
+        const evalAfter = formatEval(log[i + 1]);
+        if (evalAfter) commands.push(`[%eval ${evalAfter}]`);
+        const clock = clocks[i] || formatClock(entry?.clock);
+        if (clock) commands.push(`[%clk ${clock}]`);
+
+        const notes = [];
+        let variation = '';
+        if (entry && COMMENTED_CLASSIFICATIONS.includes(classification)) {
+            const bestLine = (entry.pvLines || []).find((l) => (l?.multipv || 1) === 1);
+            const bestSan = pvToSanMoves(entry.fen, entry.bestMove, 1)[0]?.san || entry.bestMove;
+            notes.push(generateExplanation(classification, entry.evalDiff, move.san, bestSan));
+            if (entry.planHint) notes.push(entry.planHint);
+            if (ERROR_CLASSIFICATIONS.includes(classification) && entry.bestMove && entry.bestMove !== entry.move) {
+                variation = formatVariation(pvToSanMoves(entry.fen, bestLine?.pv || entry.bestMove));
+            }
+        }
+
+        const comment = cleanComment([...commands, ...notes].join(' '));
+        if (comment) tokens.push(`{ ${comment} }`);
+        if (variation) tokens.push(variation);
+        if (comment || variation) needsNumber = true;
+    });
+    tokens.push(result);
+
+    const header = tags.map(([name, value]) => `[${name} "${escapeTag(value)}"]`).join('\n');
+    return `${header}\n\n${wrapMovetext(tokens.join(' '))}`;
+};
+
+/**
+ * Annotated PGN for the given game ids in order, or for the whole library when `gameIds` is null.
+ * Games are separated by a blank line as in any multi-game PGN file.
+ */
+export const exportAnnotatedPgn = async (gameIds = null, { onProgress } = {}) => {
+    const ids = Array.isArray(gameIds)
+        ? gameIds.filter((id) => id != null)
+        : await db.games.toCollection().primaryKeys();
+    const out = [];
+    for (let i = 0; i < ids.length; i++) {
+        const game = await db.games.get(ids[i]);
+        if (game) {
+            const [pgn, analysis] = await Promise.all([getGamePgn(game.id), getGameAnalysis(game.id)]);
+            const text = buildAnnotatedPgn({
+                game,
+                pgn: pgn || game.pgn,
+                analysisLog: analysis?.analysisLog,
+                provenance: analysis?.provenance
+            });
+            if (text) out.push(text);
+        }
+        if (onProgress) onProgress({ done: i + 1, total: ids.length });
+    }
+    return out.length ? `${out.join('\n\n')}\n` : '';
+};
+
+// File name for a single exported game, e.g. `alice-vs-bob-2024-05-01.pgn`.
+export const getPgnExportFilename = (game) => {
+    const slug = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    const date = game?.date ? String(game.date).slice(0, 10) : '';
+    const name = [slug(game?.white) || 'white', 'vs', slug(game?.black) || 'black', date].filter(Boolean).join('-');
+    return `${name}.pgn`;
+};
+
+export const downloadPgnFile = (text, filename = 'chesslyze-export.pgn') => {
+    if (!text) return;
+    const blob = new Blob([text], { type: 'application/x-chess-pgn' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,270 @@
+import { Chess } from 'chess.js';
+import { parseClockSeconds } from './clocks';
+
+const ANALYZE_VARIATIONS_KEY = 'analyzeVariations';
+
+const DEFAULT_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const RESULT_TOKENS = new Set(['1-0', '0-1', '1/2-1/2', '*']);
+const MOVE_NUMBER_PREFIX = /^\d+\.+/;
+const CLK_RE = /\[%clk\s+([0-9:.,]+)\s*\]/i;
+const EVAL_RE = /\[%eval\s+(#?[+-]?[0-9.]+)(?:,(\d+))?\s*\]/i;
+const COMMAND_RE = /\[%[^\]]*\]/g;
+
+// Suffix annotations map onto the standard NAG numbers.
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+export const NAG_SYMBOLS = {
+    1: '!',
+    2: '?',
+    3: '!!',
+    4: '??',
+    5: '!?',
+    6: '?!',
+    10: '=',
+    13: '∞',
+    14: '⩲',
+    15: '⩱',
+    16: '±',
+    17: '∓',
+    18: '+−',
+    19: '−+'
+};
+
+const tokenize = (movetext) => {
+    const tokens = [];
+    let i = 0;
+    while (i < movetext.length) {
+        const ch = movetext[i];
+        if (/\s/.test(ch)) {
+            i += 1;
+        } else if (ch === '{') {
+            const end = movetext.indexOf('}', i + 1);
+            const stop = end === -1 ? movetext.length : end;
+            tokens.push({ type: 'comment', value: movetext.substring(i + 1, stop) });
+            i = stop + 1;
+        } else if (ch === ';') {
+            const end = movetext.indexOf('\n', i + 1);
+            const stop = end === -1 ? movetext.length : end;
+            tokens.push({ type: 'comment', value: movetext.substring(i + 1, stop) });
+            i = stop + 1;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i += 1;
+        } else {
+            let j = i;
+            while (j < movetext.length && !/[\s{}();]/.test(movetext[j])) j += 1;
+            const word = movetext.substring(i, j);
+            i = j;
+            if (word.startsWith('$')) {
+                const nag = parseInt(word.substring(1), 10);
+                if (Number.isFinite(nag)) tokens.push({ type: 'nag', value: nag });
+                continue;
+            }
+            if (RESULT_TOKENS.has(word)) continue;
+            const san = word.replace(MOVE_NUMBER_PREFIX, '');
+            if (!san || /^\.+$/.test(san)) continue;
+            const suffix = san.match(/[!?]+$/);
+            tokens.push({ type: 'move', value: suffix ? san.slice(0, -suffix[0].length) : san });
+            if (suffix && SUFFIX_NAGS[suffix[0]]) tokens.push({ type: 'nag', value: SUFFIX_NAGS[suffix[0]] });
+        }
+    }
+    return tokens;
+};
+
+// Pulls `[%eval]` / `[%clk]` out of a comment; the remaining text is what the annotator wrote.
+const parseComment = (raw) => {
+    const evalMatch = raw.match(EVAL_RE);
+    const clkMatch = raw.match(CLK_RE);
+    let evaluation = null;
+    if (evalMatch) {
+        const value = evalMatch[1];
+        evaluation = value.startsWith('#')
+            ? { mate: parseInt(value.substring(1), 10) }
+            : { score: Math.round(parseFloat(value) * 100) };
+        // Some tools append the search depth: `[%eval 0.35,22]`.
+        if (evalMatch[2]) evaluation.depth = parseInt(evalMatch[2], 10);
+    }
+    return {
+        text: raw.replace(COMMAND_RE, ' ').replace(/\s+/g, ' ').trim(),
+        eval: evaluation,
+        clock: clkMatch ? parseClockSeconds(clkMatch[1]) : null
+    };
+};
+
+const appendText = (current, text) => (text ? (current ? `${current} ${text}` : text) : current);
+
+/**
+ * Parses a single-game PGN into a move tree. Every node is
+ * `{ id, san, uci, fen, ply, nags, comment, eval, clock, children }` where `fen` is the position
+ * after the move and `children[0]` continues the line; later children are variations.
+ * The root holds the start position and any comment before the first move.
+ * Illegal moves end their variation; returns null when the main line has no legal moves.
+ */
+export const parsePgnTree = (pgn) => {
+    if (!pgn || typeof pgn !== 'string') return null;
+    const fenTag = pgn.match(/\[FEN "([^"]*)"\]/);
+    const startFen = fenTag ? fenTag[1] : DEFAULT_START_FEN;
+    const movetext = pgn.replace(/^\s*\[[^\]]*\]\s*$/gm, ' ');
+
+    let nextId = 1;
+    const root = { id: 'root', san: null, uci: null, fen: startFen, ply: 0, nags: [], comment: '', eval: null, clock: null, children: [] };
+    // Each frame tracks the node moves attach to, its parent, and whether the line is still legal.
+    const stack = [];
+    let frame = { node: root, parent: null, dead: false, pendingComment: '' };
+
+    try {
+        new Chess(startFen);
+    } catch {
+        return null;
+    }
+
+    tokenize(movetext).forEach((token) => {
+        if (token.type === '(') {
+            stack.push(frame);
+            // A variation replaces the last move, so it starts from that move's parent.
+            frame = { node: frame.parent, parent: null, dead: frame.dead || !frame.parent, pendingComment: '' };
+            return;
+        }
+        if (token.type === ')') {
+            if (stack.length) frame = stack.pop();
+            return;
+        }
+        if (frame.dead) return;
+        if (token.type === 'comment') {
+            const parsed = parseComment(token.value);
+            const node = frame.node;
+            if (node === root || frame.parent === null) {
+                if (node === root && !root.children.length) root.comment = appendText(root.comment, parsed.text);
+                else frame.pendingComment = appendText(frame.pendingComment, parsed.text);
+                return;
+            }
+            node.comment = appendText(node.comment, parsed.text);
+            if (parsed.eval) node.eval = parsed.eval;
+            if (parsed.clock !== null) node.clock = parsed.clock;
+            return;
+        }
+        if (token.type === 'nag') {
+            if (frame.parent !== null) frame.node.nags.push(token.value);
+            return;
+        }
+        // Move
+        let move = null;
+        try {
+            const chess = new Chess(frame.node.fen);
+            move = chess.move(token.value, { strict: false });
+            if (move) {
+                const child = {
+                    id: `n${nextId++}`,
+                    san: move.san,
+                    uci: `${move.from}${move.to}${move.promotion || ''}`,
+                    fen: chess.fen(),
+                    ply: frame.node.ply + 1,
+                    nags: [],
+                    comment: frame.pendingComment,
+                    eval: null,
+                    clock: null,
+                    children: []
+                };
+                frame.node.children.push(child);
+                frame = { node: child, parent: frame.node, dead: false, pendingComment: '' };
+            }
+        } catch {
+            move = null;
+        }
+        if (!move) frame.dead = true;
+    });
+
+    if (!root.children.length) return null;
+    return { startFen, root };
+};
+
+export const getMainline = (tree) => {
+    const nodes = [];
+    let node = tree?.root?.children?.[0];
+    while (node) {
+        nodes.push(node);
+        node = node.children[0];
+    }
+    return nodes;
+};
+
+const someNode = (node, predicate) => {
+    if (!node) return false;
+    if (predicate(node)) return true;
+    return node.children.some((child) => someNode(child, predicate));
+};
+
+// Variations, annotator text or NAGs: anything a flat move list would lose.
+export const hasTreeAnnotations = (tree) => !!tree && someNode(tree.root, (node) => (
+    node.children.length > 1 || !!node.comment || node.nags.length > 0
+));
+
+// The tree is only worth storing for annotated games; plain ones replay fine from the PGN.
+export const buildStoredMoveTree = (pgn) => {
+    if (!pgn || typeof pgn !== 'string') return null;
+    // Cheap pre-check so bulk imports of plain (clock-only) games skip the replay.
+    const movetext = pgn.replace(/^\s*\[[^\]]*\]\s*$/gm, ' ').replace(COMMAND_RE, '').replace(/\{\s*\}/g, '');
+    if (!/[(){};$!?]/.test(movetext)) return null;
+    const tree = parsePgnTree(pgn);
+    return hasTreeAnnotations(tree) ? tree : null;
+};
+
+/**
+ * Every sideline move with the position it was played from, in tree order.
+ * `mainIndex` is the main-line move index the variation branches from.
+ */
+export const getVariationNodes = (tree) => {
+    const out = [];
+    const walk = (node, parentFen, mainIndex, depth) => {
+        out.push({ node, parentFen, mainIndex, depth });
+        node.children.forEach((child, idx) => walk(child, node.fen, mainIndex, idx === 0 ? depth : depth + 1));
+    };
+    let parent = tree?.root;
+    let index = 0;
+    while (parent && parent.children.length) {
+        parent.children.slice(1).forEach((variation) => walk(variation, parent.fen, index, 1));
+        parent = parent.children[0];
+        index += 1;
+    }
+    return out;
+};
+
+/**
+ * Per main-line move index: the annotator comment and NAGs of that move, and the variations
+ * offered instead of it. Only indexes with something to show are included.
+ */
+export const getMoveAnnotations = (tree) => {
+    const map = new Map();
+    let parent = tree?.root;
+    let index = 0;
+    while (parent && parent.children.length) {
+        const [main, ...variations] = parent.children;
+        if (main.comment || main.nags.length || variations.length) {
+            map.set(index, { comment: main.comment, nags: main.nags, variations });
+        }
+        parent = main;
+        index += 1;
+    }
+    return map;
+};
+
+export const formatNags = (nags = []) => nags.map((nag) => NAG_SYMBOLS[nag] || '').join('');
+
+// Whether the analyzer also scores sideline moves of annotated PGNs (off by default).
+export const getAnalyzeVariations = () => {
+    if (typeof window === 'undefined') return false;
+    try {
+        return localStorage.getItem(ANALYZE_VARIATIONS_KEY) === 'true';
+    } catch {
+        return false;
+    }
+};
+
+export const setAnalyzeVariations = (enabled) => {
+    if (typeof window === 'undefined') return;
+    try {
+        localStorage.setItem(ANALYZE_VARIATIONS_KEY, enabled ? 'true' : 'false');
+    } catch {
+        // ignore
+    }
+};
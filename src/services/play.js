@@ -0,0 +1,199 @@
+import { Chess } from 'chess.js';
+import { bulkUpsertGames, getGame, getGamePgn } from './db';
+import { parsePGN, stripPgnComments } from './pgn';
+import { analysisQueue } from './analysisQueue';
+import { getGameVariant, replayPgn } from './variants';
+
+export const STANDARD_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const PLAY_START_KEY = 'playStartPosition';
+
+export const TIME_CONTROL_OPTIONS = [
+    { id: 'none', label: 'No clock', base: 0, inc: 0 },
+    { id: '3+2', label: '3 + 2', base: 180, inc: 2 },
+    { id: '5+0', label: '5 + 0', base: 300, inc: 0 },
+    { id: '10+0', label: '10 + 0', base: 600, inc: 0 },
+    { id: '15+10', label: '15 + 10', base: 900, inc: 10 },
+    { id: '30+0', label: '30 + 0', base: 1800, inc: 0 }
+];
+
+// Engine think time per move when no clock is running.
+export const DEFAULT_ENGINE_MOVETIME = 1000;
+
+// Dashboard "play from here" hands the position over through localStorage, like the
+// activeGameJump* keys used for deep links into the Dashboard.
+export const setPlayStart = (start) => {
+    if (typeof window === 'undefined' || !start) return;
+    localStorage.setItem(PLAY_START_KEY, JSON.stringify(start));
+};
+
+export const peekPlayStart = () => {
+    if (typeof window === 'undefined') return null;
+    try {
+        const raw = localStorage.getItem(PLAY_START_KEY);
+        const parsed = raw ? JSON.parse(raw) : null;
+        return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch {
+        return null;
+    }
+};
+
+export const clearPlayStart = () => {
+    if (typeof window === 'undefined') return;
+    localStorage.removeItem(PLAY_START_KEY);
+};
+
+export const isValidStartFen = (fen) => {
+    if (typeof fen !== 'string' || !fen.trim()) return false;
+    try {
+        const chess = new Chess(fen.trim());
+        return !chess.isGameOver();
+    } catch {
+        return false;
+    }
+};
+
+// Replays a stored game up to `moveIndex` (-1 = before the first move) so the new game keeps its opening.
+export const loadGameStart = async (gameId, moveIndex) => {
+    const game = await getGame(Number(gameId));
+    if (!game) throw new Error('Game not found');
+    const pgn = game.pgn || await getGamePgn(game.id);
+    if (!pgn) throw new Error('Game has no moves stored');
+
+    const variant = getGameVariant(game, pgn);
+    const { startFen, moves } = replayPgn(stripPgnComments(pgn), variant);
+    const upto = Math.max(-1, Math.min(moves.length - 1, Number.isFinite(moveIndex) ? moveIndex : -1));
+    const fen = upto >= 0 ? moves[upto].after : startFen;
+    // chess.js cannot replay Chess960 castling, so a 960 game continues from the reached
+    // position itself (without castling rights) instead of re-playing its moves.
+    const carryMoves = variant !== 'chess960';
+    const baseFen = carryMoves ? startFen : fen;
+    const prefixSans = carryMoves ? moves.slice(0, upto + 1).map((move) => move.san) : [];
+
+    return {
+        baseFen,
+        prefixSans,
+        fen,
+        label: `${game.white || '?'} vs ${game.black || '?'}, after ${upto >= 0 ? `${Math.floor(upto / 2) + 1}${upto % 2 === 0 ? '.' : '...'} ${moves[upto].san}` : 'the start'}`
+    };
+};
+
+// Whether a drop takes a pawn to the last rank, so the player has to pick a piece first.
+export const isPromotionDrop = (piece, targetSquare) => {
+    const pieceType = typeof piece === 'string' ? piece : piece?.pieceType;
+    const isPawn = typeof pieceType === 'string' && pieceType.toLowerCase().endsWith('p');
+    return isPawn && (targetSquare?.[1] === '8' || targetSquare?.[1] === '1');
+};
+
+// Which strength controls the engine offers: UCI_Elo needs UCI_LimitStrength to take effect.
+export const getStrengthSupport = (engineOptions = []) => {
+    const find = (name) => engineOptions.find((opt) => opt.name === name);
+    const elo = find('UCI_Elo');
+    const limit = find('UCI_LimitStrength');
+    const skill = find('Skill Level');
+    return {
+        elo: elo?.type === 'spin' && limit ? { min: elo.min ?? 1320, max: elo.max ?? 3190 } : null,
+        skill: skill?.type === 'spin' ? { min: skill.min ?? 0, max: skill.max ?? 20 } : null
+    };
+};
+
+export const buildStrengthOptions = (strength, support) => {
+    const options = [];
+    if (support.elo) {
+        options.push({ name: 'UCI_LimitStrength', value: strength.mode === 'elo' });
+        if (strength.mode === 'elo') options.push({ name: 'UCI_Elo', value: strength.elo });
+    }
+    if (support.skill) {
+        options.push({ name: 'Skill Level', value: strength.mode === 'skill' ? strength.skill : support.skill.max });
+    }
+    return options;
+};
+
+export const getStrengthLabel = (strength) => {
+    if (strength.mode === 'elo') return `Elo ${strength.elo}`;
+    if (strength.mode === 'skill') return `Skill ${strength.skill}`;
+    return 'Full strength';
+};
+
+// A slice of the remaining clock, so the engine never flags in a long game.
+export const getEngineMoveTime = ({ remainingMs, incrementMs = 0 }) => {
+    if (!Number.isFinite(remainingMs)) return DEFAULT_ENGINE_MOVETIME;
+    const budget = remainingMs / 30 + incrementMs * 0.8;
+    return Math.max(50, Math.min(DEFAULT_ENGINE_MOVETIME * 3, Math.round(budget)));
+};
+
+const formatPgnClock = (ms) => {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+};
+
+const formatPgnDate = (date) => `${date.getFullYear()}.${String(date.getMonth() + 1).padStart(2, '0')}.${String(date.getDate()).padStart(2, '0')}`;
+
+// `moves` are the plies played on /play: { san, clockMs } with clockMs = mover's clock after the move.
+export const buildPlayPgn = ({
+    baseFen = STANDARD_START_FEN,
+    prefixSans = [],
+    moves = [],
+    white,
+    black,
+    whiteElo = null,
+    blackElo = null,
+    result = '*',
+    termination = '',
+    timeControl = null,
+    startedAt = new Date()
+}) => {
+    const chess = new Chess(baseFen);
+    const date = startedAt instanceof Date ? startedAt : new Date(startedAt);
+    chess.header(
+        'Event', 'Casual game vs engine',
+        'Site', 'Chesslyze',
+        'Date', formatPgnDate(date),
+        'UTCDate', `${date.getUTCFullYear()}.${String(date.getUTCMonth() + 1).padStart(2, '0')}.${String(date.getUTCDate()).padStart(2, '0')}`,
+        'UTCTime', date.toISOString().substring(11, 19),
+        'White', white,
+        'Black', black,
+        'Result', result,
+        'TimeControl', timeControl && timeControl.base ? `${timeControl.base}+${timeControl.inc}` : '-'
+    );
+    if (whiteElo) chess.header('WhiteElo', String(whiteElo));
+    if (blackElo) chess.header('BlackElo', String(blackElo));
+    if (termination) chess.header('Termination', termination);
+
+    const clocked = !!(timeControl && timeControl.base);
+    // Moves carried over from a stored game were played before the clocks started.
+    prefixSans.forEach((san) => {
+        chess.move(san);
+        if (clocked) chess.setComment(`[%clk ${formatPgnClock(timeControl.base * 1000)}]`);
+    });
+    moves.forEach((move) => {
+        chess.move(move.san);
+        if (clocked && Number.isFinite(move.clockMs)) chess.setComment(`[%clk ${formatPgnClock(move.clockMs)}]`);
+    });
+    return chess.pgn();
+};
+
+// Stores a finished /play game like an imported one, optionally queueing it for analysis.
+export const saveLocalGame = async (pgn, { analyze = true } = {}) => {
+    const game = parsePGN(pgn);
+    if (!game) throw new Error('Could not read the finished game');
+    const now = Date.now();
+    const [id] = await bulkUpsertGames([{
+        ...game,
+        date: game.date || new Date(now).toISOString(),
+        pgn,
+        platform: 'local',
+        source: 'local',
+        sourceGameId: `local_${now.toString(36)}`,
+        sourceUrl: '',
+        isHero: false,
+        importTag: 'play',
+        analyzed: false,
+        analysisStatus: 'idle'
+    }]);
+    if (analyze && id != null) await analysisQueue.enqueue(id, { priority: now });
+    return id;
+};
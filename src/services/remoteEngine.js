@@ -0,0 +1,117 @@
+import { createUciSession } from './uciSession';
+
+const CONNECT_TIMEOUT_MS = 4000;
+
+export const isValidRemoteEngineUrl = (value) => {
+    if (!value || typeof value !== 'string') return false;
+    try {
+        const url = new URL(value.trim());
+        return url.protocol === 'ws:' || url.protocol === 'wss:';
+    } catch {
+        return false;
+    }
+};
+
+// Plain UCI text over a WebSocket (e.g. a local bridge in front of a native Stockfish).
+// Exposes the same postMessage/onmessage/onerror/terminate surface as the analysis worker,
+// so EngineService can drive either one without knowing which it has.
+export class RemoteUciBackend {
+    constructor(url, { debug = false } = {}) {
+        this.url = url;
+        this.debug = debug;
+        this.socket = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.closed = false;
+        this.session = createUciSession({
+            send: (cmd) => this.sendLine(cmd),
+            emit: (msg) => this.emit(msg),
+            debug
+        });
+    }
+
+    emit(msg) {
+        if (typeof this.onmessage === 'function') this.onmessage({ data: msg });
+    }
+
+    sendLine(cmd) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        if (this.debug) console.log('[RemoteEngine] ->', cmd);
+        this.socket.send(cmd);
+    }
+
+    // Resolves once the engine has answered the UCI handshake.
+    connect(timeoutMs = CONNECT_TIMEOUT_MS) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const fail = (message) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                this.terminate();
+                reject(new Error(message));
+            };
+            const timer = setTimeout(() => fail(`Remote engine did not answer at ${this.url}`), timeoutMs);
+
+            try {
+                this.socket = new WebSocket(this.url);
+            } catch (err) {
+                fail(err?.message || 'Invalid remote engine URL');
+                return;
+            }
+
+            this.socket.onopen = () => {
+                this.sendLine('uci');
+            };
+
+            this.socket.onmessage = (event) => {
+                const text = typeof event.data === 'string' ? event.data : '';
+                // A frame may carry several lines depending on how the bridge buffers stdout.
+                for (const raw of text.split(/\r?\n/)) {
+                    const line = raw.trim();
+                    if (!line) continue;
+                    if (this.debug) console.log('[RemoteEngine] <-', line);
+                    this.session.handleLine(line);
+                    if (line === 'uciok' && !settled) {
+                        settled = true;
+                        clearTimeout(timer);
+                        resolve();
+                    }
+                }
+            };
+
+            this.socket.onerror = () => {
+                fail(`Could not connect to remote engine at ${this.url}`);
+            };
+
+            this.socket.onclose = () => {
+                if (!settled) {
+                    fail(`Remote engine closed the connection at ${this.url}`);
+                    return;
+                }
+                if (this.closed) return;
+                this.closed = true;
+                const jobId = this.session.getCurrentJobId();
+                if (jobId) this.emit({ type: 'ERROR', jobId, error: 'Remote engine disconnected' });
+                if (typeof this.onerror === 'function') this.onerror(new Error('Remote engine disconnected'));
+            };
+        });
+    }
+
+    postMessage(msg) {
+        if (!msg || msg.type === 'INIT') return;
+        this.session.handleCommand(msg);
+    }
+
+    terminate() {
+        this.closed = true;
+        if (!this.socket) return;
+        try {
+            this.sendLine('stop');
+            this.socket.close();
+        } catch {
+            // ignore
+        }
+        this.socket = null;
+    }
+}
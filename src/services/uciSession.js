@@ -0,0 +1,242 @@
+const OPTION_KEYWORDS = new Set(['type', 'default', 'min', 'max', 'var']);
+
+// `option name Skill Level type spin default 20 min 0 max 20` -> { name, type, default, min, max, vars }
+export const parseUciOption = (line) => {
+    if (typeof line !== 'string' || !line.startsWith('option name ')) return null;
+    const rest = line.substring('option name '.length);
+    const typeIdx = rest.indexOf(' type ');
+    if (typeIdx <= 0) return null;
+    const name = rest.substring(0, typeIdx).trim();
+    const tokens = rest.substring(typeIdx + 1).split(' ');
+
+    const fields = { vars: [] };
+    let key = null;
+    let buffer = [];
+    const flush = () => {
+        if (!key) return;
+        const value = buffer.join(' ');
+        if (key === 'var') fields.vars.push(value);
+        else fields[key] = value;
+    };
+    for (const token of tokens) {
+        if (OPTION_KEYWORDS.has(token)) {
+            flush();
+            key = token;
+            buffer = [];
+        } else {
+            buffer.push(token);
+        }
+    }
+    flush();
+
+    const type = fields.type || 'string';
+    const rawDefault = fields.default === '<empty>' ? '' : fields.default;
+    let defaultValue = rawDefault ?? null;
+    if (type === 'spin') defaultValue = Number.isFinite(parseInt(rawDefault, 10)) ? parseInt(rawDefault, 10) : null;
+    if (type === 'check') defaultValue = rawDefault === 'true';
+
+    return {
+        name,
+        type,
+        default: type === 'button' ? null : defaultValue,
+        min: type === 'spin' && Number.isFinite(parseInt(fields.min, 10)) ? parseInt(fields.min, 10) : null,
+        max: type === 'spin' && Number.isFinite(parseInt(fields.max, 10)) ? parseInt(fields.max, 10) : null,
+        vars: type === 'combo' ? fields.vars : []
+    };
+};
+
+// UCI protocol state shared by every engine backend (WASM worker, remote socket).
+// Commands come in as the EngineService message shapes (ANALYZE, SET_OPTIONS, STOP_JOB, STOP)
+// and engine output goes back out as structured messages (ENGINE_ID, ENGINE_CAPS, ENGINE_OPTIONS, INFO, BEST_MOVE, RAW).
+export const createUciSession = ({ send, emit, debug = false }) => {
+    let currentJobId = null;
+    let currentMultiPv = 1;
+    // True between `go` and its `bestmove`. A search stopped to make room for a new one still
+    // emits a bestmove, which must not settle the job that replaced it.
+    let searching = false;
+    let staleBestMoves = 0;
+    // Set when the engine advertises UCI_ShowWDL; enabled right after `uciok`.
+    let wdlSupported = false;
+    let uciReady = false;
+    let pendingCommands = [];
+    let showRaw = debug;
+    // Full `option name` list from the handshake, reported once at `uciok`.
+    let engineOptions = [];
+
+    // Everything except the handshake waits for `uciok`.
+    const write = (cmd) => {
+        if (!uciReady && cmd !== 'uci') {
+            pendingCommands.push(cmd);
+            return;
+        }
+        send(cmd);
+    };
+
+    const handleLine = (line) => {
+        if (!uciReady && line.startsWith('option name ')) {
+            const option = parseUciOption(line);
+            if (option) engineOptions.push(option);
+        }
+        if (line.startsWith('id name')) {
+            const name = line.substring('id name'.length).trim();
+            emit({ type: 'ENGINE_ID', name });
+            return;
+        }
+        if (line.startsWith('option name Use NNUE')) {
+            emit({ type: 'ENGINE_CAPS', caps: { nnue: true } });
+            return;
+        }
+        if (line.startsWith('option name UCI_ShowWDL')) {
+            wdlSupported = true;
+            emit({ type: 'ENGINE_CAPS', caps: { wdl: true } });
+            return;
+        }
+        if (line.startsWith('option name MultiPV')) {
+            emit({ type: 'ENGINE_CAPS', caps: { multipv: true } });
+            return;
+        }
+        if (line.startsWith('option name EvalFileSmall')) {
+            emit({ type: 'ENGINE_CAPS', caps: { evalFileSmall: true } });
+            return;
+        }
+        if (line.startsWith('option name EvalFile')) {
+            emit({ type: 'ENGINE_CAPS', caps: { evalFile: true } });
+            return;
+        }
+
+        if (line.startsWith('bestmove')) {
+            if (staleBestMoves > 0) {
+                staleBestMoves -= 1;
+                return;
+            }
+            searching = false;
+            const parts = line.split(' ');
+            const bestMove = parts[1];
+            emit({ type: 'BEST_MOVE', jobId: currentJobId, move: bestMove });
+            currentJobId = null;
+        } else if (line.startsWith('info') && line.includes('score')) {
+            if (staleBestMoves > 0) return;
+            const parts = line.split(' ');
+            let depth = 0, score = 0, mate = null, pv = '', multipv = 1;
+            let seldepth = null, nodes = null, nps = null, hashfull = null, time = null, wdl = null, bound = null;
+            const toInt = (value) => {
+                const n = parseInt(value, 10);
+                return Number.isFinite(n) ? n : null;
+            };
+
+            for (let i = 0; i < parts.length; i++) {
+                if (parts[i] === 'depth') depth = parseInt(parts[i + 1]);
+                if (parts[i] === 'seldepth') seldepth = toInt(parts[i + 1]);
+                if (parts[i] === 'multipv') multipv = parseInt(parts[i + 1]);
+                if (parts[i] === 'nodes') nodes = toInt(parts[i + 1]);
+                if (parts[i] === 'nps') nps = toInt(parts[i + 1]);
+                if (parts[i] === 'hashfull') hashfull = toInt(parts[i + 1]);
+                if (parts[i] === 'time') time = toInt(parts[i + 1]);
+                if (parts[i] === 'score') {
+                    if (parts[i + 1] === 'cp') score = parseInt(parts[i + 2]);
+                    if (parts[i + 1] === 'mate') mate = parseInt(parts[i + 2]);
+                }
+                // Score is only a bound when the search failed high/low on this iteration.
+                if (parts[i] === 'lowerbound') bound = 'lower';
+                if (parts[i] === 'upperbound') bound = 'upper';
+                if (parts[i] === 'wdl') {
+                    const w = toInt(parts[i + 1]);
+                    const d = toInt(parts[i + 2]);
+                    const l = toInt(parts[i + 3]);
+                    // Per-mille win/draw/loss from the side to move.
+                    if (w !== null && d !== null && l !== null) wdl = [w, d, l];
+                }
+                if (parts[i] === 'pv') {
+                    pv = parts.slice(i + 1).join(' ');
+                    break;
+                }
+            }
+
+            emit({
+                type: 'INFO',
+                jobId: currentJobId,
+                evaluation: { depth, seldepth, score, mate, bound, wdl, pv, multipv, nodes, nps, hashfull, time }
+            });
+        } else if (line === 'uciok') {
+            uciReady = true;
+            emit({ type: 'ENGINE_OPTIONS', options: engineOptions });
+            if (wdlSupported) send('setoption name UCI_ShowWDL value true');
+            if (pendingCommands.length) {
+                for (const cmd of pendingCommands) send(cmd);
+                pendingCommands = [];
+            }
+        } else if (line === 'readyok') {
+            // no-op
+        } else if (showRaw) {
+            // Surface raw lines for debugging (errors/info strings)
+            emit({ type: 'RAW', line });
+        }
+    };
+
+    const handleCommand = ({ type, data, jobId }) => {
+        if (type === 'ANALYZE') {
+            currentJobId = jobId;
+            const { fen, depth = 15, multiPv = 1, movetime, infinite, chess960, newGame = true } = data;
+            currentMultiPv = Math.max(1, Math.min(8, parseInt(multiPv, 10) || 1));
+
+            if (searching) staleBestMoves += 1;
+            write('stop');
+            // `ucinewgame` clears the hash; follow-up searches in the same game keep it.
+            if (newGame) write('ucinewgame');
+            write(`setoption name MultiPV value ${currentMultiPv}`);
+            // Chess960 FENs carry Shredder castling rights and castling comes back as king-takes-rook.
+            write(`setoption name UCI_Chess960 value ${chess960 ? 'true' : 'false'}`);
+            write(`position fen ${fen}`);
+
+            let goCmd = `go depth ${depth}`;
+            if (infinite) {
+                // Runs until STOP_JOB/STOP; used by the Dashboard live engine.
+                goCmd = 'go infinite';
+            } else if (movetime && typeof movetime === 'number' && movetime > 0) {
+                goCmd += ` movetime ${movetime}`;
+            }
+            searching = true;
+            write(goCmd);
+            return;
+        }
+
+        if (type === 'SET_OPTIONS') {
+            const options = (data && data.options) || [];
+            for (const opt of options) {
+                if (!opt?.name) continue;
+                let val = opt.value;
+                if (val === true) val = 'true';
+                if (val === false) val = 'false';
+
+                if (val === undefined || val === null) {
+                    write(`setoption name ${opt.name}`);
+                } else {
+                    write(`setoption name ${opt.name} value ${val}`);
+                }
+            }
+            return;
+        }
+
+        if (type === 'STOP_JOB') {
+            // Only interrupt the search if it still belongs to this job; its bestmove then settles it.
+            if (jobId && jobId === currentJobId) {
+                write('stop');
+            }
+            return;
+        }
+
+        if (type === 'STOP') {
+            write('stop');
+            currentJobId = null;
+            currentMultiPv = 1;
+        }
+    };
+
+    return {
+        write,
+        handleLine,
+        handleCommand,
+        setDebug: (value) => { showRaw = !!value; },
+        getCurrentJobId: () => currentJobId
+    };
+};
@@ -0,0 +1,269 @@
+import { Chess } from 'chess.js';
+
+export const DEFAULT_START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Variants the analyzer can run: plain chess rules, possibly from a custom start position.
+export const ANALYZABLE_VARIANTS = ['standard', 'chess960', 'fromPosition'];
+
+export const UNSUPPORTED_VARIANT_MESSAGE = 'Variant not supported for analysis';
+
+const VARIANT_ALIASES = {
+    '': 'standard',
+    standard: 'standard',
+    chess: 'standard',
+    chess960: 'chess960',
+    fischerandom: 'chess960',
+    fischerrandom: 'chess960',
+    '960': 'chess960',
+    fromposition: 'fromPosition'
+};
+
+const VARIANT_LABELS = {
+    standard: 'Standard',
+    chess960: 'Chess960',
+    fromPosition: 'From Position',
+    crazyhouse: 'Crazyhouse',
+    atomic: 'Atomic',
+    antichess: 'Antichess',
+    kingofthehill: 'King of the Hill',
+    threecheck: 'Three-check',
+    horde: 'Horde',
+    racingkings: 'Racing Kings',
+    bughouse: 'Bughouse'
+};
+
+// Lichess, Chess.com and PGN spellings ("Chess960", "From Position", "kingOfTheHill") -> one id.
+export const normalizeVariant = (raw) => {
+    const key = String(raw ?? '').toLowerCase().replace(/[\s_-]/g, '');
+    return VARIANT_ALIASES[key] ?? key;
+};
+
+export const getVariantLabel = (variant) => {
+    const id = normalizeVariant(variant);
+    return VARIANT_LABELS[id] || id || 'Standard';
+};
+
+export const isAnalyzableVariant = (variant) => ANALYZABLE_VARIANTS.includes(normalizeVariant(variant));
+
+const readTag = (pgn, tag) => {
+    const match = typeof pgn === 'string' ? pgn.match(new RegExp(`\\[${tag}\\s+"([^"]*)"\\]`)) : null;
+    return match ? match[1].trim() : '';
+};
+
+// The game's variant from its record, falling back to the PGN `Variant` tag.
+export const getGameVariant = (game, pgn = '') => {
+    const fromGame = normalizeVariant(game?.variant);
+    if (fromGame && fromGame !== 'standard') return fromGame;
+    const fromTag = normalizeVariant(readTag(pgn, 'Variant'));
+    if (fromTag && fromTag !== 'standard') return fromTag;
+    // Games with a custom start position but no variant tag are still "From Position".
+    return readTag(pgn, 'FEN') ? 'fromPosition' : 'standard';
+};
+
+export const getPgnStartFen = (pgn) => readTag(pgn, 'FEN') || DEFAULT_START_FEN;
+
+const FILES = 'abcdefgh';
+
+const withCastling = (fen, castling) => {
+    const parts = fen.split(' ');
+    parts[2] = castling || '-';
+    return parts.join(' ');
+};
+
+// Chess960 castling rights as rook files per side, read from X-FEN (KQkq) or Shredder-FEN (HAha).
+const parseCastlingRights = (fen) => {
+    const [placement, , castling = '-'] = fen.split(' ');
+    const rows = placement.split('/');
+    const backRank = (color) => {
+        const row = rows[color === 'w' ? 7 : 0] || '';
+        const squares = [];
+        for (const ch of row) {
+            if (/\d/.test(ch)) squares.push(...Array(parseInt(ch, 10)).fill(null));
+            else squares.push(ch);
+        }
+        return squares;
+    };
+    const rights = { w: { k: null, q: null }, b: { k: null, q: null } };
+    if (castling === '-') return rights;
+    ['w', 'b'].forEach((color) => {
+        const rank = backRank(color);
+        const king = color === 'w' ? 'K' : 'k';
+        const rook = color === 'w' ? 'R' : 'r';
+        const kingFile = rank.indexOf(king);
+        if (kingFile < 0) return;
+        for (const ch of castling) {
+            const isOwn = color === 'w' ? ch === ch.toUpperCase() : ch === ch.toLowerCase();
+            if (!isOwn) continue;
+            const lower = ch.toLowerCase();
+            if (lower === 'k') {
+                // Outermost rook on the king side.
+                for (let f = 7; f > kingFile; f--) if (rank[f] === rook) { rights[color].k = f; break; }
+            } else if (lower === 'q') {
+                for (let f = 0; f < kingFile; f++) if (rank[f] === rook) { rights[color].q = f; break; }
+            } else if (FILES.includes(lower)) {
+                const f = FILES.indexOf(lower);
+                if (rank[f] === rook) rights[color][f > kingFile ? 'k' : 'q'] = f;
+            }
+        }
+    });
+    return rights;
+};
+
+// Shredder-FEN castling field, which Stockfish accepts with UCI_Chess960 on.
+const shredderCastling = (rights) => {
+    let field = '';
+    if (rights.w.k !== null) field += FILES[rights.w.k].toUpperCase();
+    if (rights.w.q !== null) field += FILES[rights.w.q].toUpperCase();
+    if (rights.b.k !== null) field += FILES[rights.b.k];
+    if (rights.b.q !== null) field += FILES[rights.b.q];
+    return field || '-';
+};
+
+const cloneRights = (rights) => ({ w: { ...rights.w }, b: { ...rights.b } });
+
+// Main-line SAN tokens; comments, variations, NAGs, move numbers and the result are dropped.
+const mainlineSans = (pgn) => {
+    let text = String(pgn || '')
+        .replace(/^\s*\[[^\]]*\]\s*$/gm, ' ')
+        .replace(/\{[^}]*\}/g, ' ')
+        .replace(/;[^\n]*/g, ' ');
+    let previous;
+    do {
+        previous = text;
+        text = text.replace(/\([^()]*\)/g, ' ');
+    } while (text !== previous);
+    return text
+        .split(/\s+/)
+        .map((token) => token.replace(/^\d+\.+/, ''))
+        .filter((token) => token && !/^\$\d+$/.test(token) && !['1-0', '0-1', '1/2-1/2', '*'].includes(token));
+};
+
+const squareOf = (file, color) => `${FILES[file]}${color === 'w' ? 1 : 8}`;
+
+// Plays O-O / O-O-O with Chess960 rules: king to g/c, rook to f/d, from wherever they started.
+const playChess960Castle = (chess, rights, wing) => {
+    const color = chess.turn();
+    const rookFile = rights[color][wing];
+    if (rookFile === null) throw new Error(`Castling not available: ${wing === 'k' ? 'O-O' : 'O-O-O'}`);
+    const rank = chess.board()[color === 'w' ? 7 : 0];
+    const kingFile = rank.findIndex((p) => p && p.type === 'k' && p.color === color);
+    if (kingFile < 0) throw new Error('Castling without a king on the back rank');
+    const kingTo = wing === 'k' ? 6 : 2;
+    const rookTo = wing === 'k' ? 5 : 3;
+    const lo = Math.min(kingFile, kingTo, rookFile, rookTo);
+    const hi = Math.max(kingFile, kingTo, rookFile, rookTo);
+    for (let f = lo; f <= hi; f++) {
+        if (f !== kingFile && f !== rookFile && rank[f]) throw new Error('Castling path is blocked');
+    }
+    const enemy = color === 'w' ? 'b' : 'w';
+    const step = kingTo >= kingFile ? 1 : -1;
+    for (let f = kingFile; ; f += step) {
+        if (chess.isAttacked(squareOf(f, color), enemy)) throw new Error('Castling through check');
+        if (f === kingTo) break;
+    }
+
+    const before = chess.fen();
+    chess.remove(squareOf(kingFile, color));
+    chess.remove(squareOf(rookFile, color));
+    chess.put({ type: 'k', color }, squareOf(kingTo, color));
+    chess.put({ type: 'r', color }, squareOf(rookTo, color));
+    const [, , , , halfmove, fullmove] = before.split(' ');
+    const nextPlacement = chess.fen().split(' ')[0];
+    const nextFen = [
+        nextPlacement,
+        enemy,
+        '-',
+        '-',
+        String(parseInt(halfmove, 10) + 1),
+        String(parseInt(fullmove, 10) + (color === 'b' ? 1 : 0))
+    ].join(' ');
+    chess.load(nextFen);
+    const suffix = chess.isCheckmate() ? '#' : chess.inCheck() ? '+' : '';
+    return {
+        color,
+        piece: 'k',
+        from: squareOf(kingFile, color),
+        to: squareOf(kingTo, color),
+        san: `${wing === 'k' ? 'O-O' : 'O-O-O'}${suffix}`,
+        flags: wing,
+        // Chess960 UCI encodes castling as "king takes own rook".
+        uci: `${squareOf(kingFile, color)}${squareOf(rookFile, color)}`,
+        before,
+        after: chess.fen()
+    };
+};
+
+const updateRights = (rights, move) => {
+    const own = rights[move.color];
+    const home = move.color === 'w' ? '1' : '8';
+    if (move.piece === 'k') {
+        own.k = null;
+        own.q = null;
+    }
+    if (move.piece === 'r' && move.from[1] === home) {
+        const file = FILES.indexOf(move.from[0]);
+        if (own.k === file) own.k = null;
+        if (own.q === file) own.q = null;
+    }
+    if (move.captured === 'r') {
+        const enemy = move.color === 'w' ? 'b' : 'w';
+        const enemyHome = enemy === 'w' ? '1' : '8';
+        if (move.to[1] === enemyHome) {
+            const file = FILES.indexOf(move.to[0]);
+            if (rights[enemy].k === file) rights[enemy].k = null;
+            if (rights[enemy].q === file) rights[enemy].q = null;
+        }
+    }
+};
+
+const replayChess960 = (pgn) => {
+    const startFen = getPgnStartFen(pgn);
+    let rights = parseCastlingRights(startFen);
+    // chess.js only knows standard castling, so it gets the position without castling rights.
+    const chess = new Chess(withCastling(startFen, '-'));
+    const moves = [];
+    mainlineSans(pgn).forEach((token) => {
+        const san = token.replace(/[!?]+$/, '');
+        const castle = san.replace(/[+#]$/, '').replace(/0/g, 'O');
+        const engineBefore = withCastling(chess.fen(), shredderCastling(rights));
+        let move;
+        if (castle === 'O-O' || castle === 'O-O-O') {
+            move = playChess960Castle(chess, rights, castle === 'O-O' ? 'k' : 'q');
+            rights = cloneRights(rights);
+            rights[move.color] = { k: null, q: null };
+        } else {
+            const played = chess.move(san, { strict: false });
+            move = { ...played, uci: `${played.from}${played.to}${played.promotion || ''}` };
+            rights = cloneRights(rights);
+            updateRights(rights, move);
+        }
+        moves.push({
+            ...move,
+            engineBefore,
+            engineAfter: withCastling(move.after, shredderCastling(rights))
+        });
+    });
+    return { startFen: withCastling(startFen, '-'), moves };
+};
+
+/**
+ * Replays the main line of a PGN for the given variant. Moves are chess.js-style verbose moves
+ * with `before`/`after` FENs plus `uci` (as the engine expects it) and `engineBefore`/`engineAfter`,
+ * the FENs to send to the engine. For Chess960 the chess.js FENs carry no castling rights and the
+ * engine FENs use Shredder-FEN castling. Throws on illegal moves or unsupported variants.
+ */
+export const replayPgn = (pgn, variant = 'standard') => {
+    const id = normalizeVariant(variant);
+    if (!isAnalyzableVariant(id)) throw new Error(UNSUPPORTED_VARIANT_MESSAGE);
+    if (id === 'chess960') return replayChess960(pgn);
+
+    const chess = new Chess();
+    chess.loadPgn(pgn, { sloppy: true });
+    const moves = chess.history({ verbose: true }).map((move) => ({
+        ...move,
+        uci: `${move.from}${move.to}${move.promotion || ''}`,
+        engineBefore: move.before,
+        engineAfter: move.after
+    }));
+    return { startFen: moves[0]?.before || getPgnStartFen(pgn), moves };
+};
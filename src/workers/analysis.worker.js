@@ -1,4 +1,5 @@
 /* eslint-disable no-restricted-globals */
+import { createUciSession } from '../services/uciSession';
 
 // Intercept Stockfish's output mechanism
 // stockfish.js (Emscripten) uses postMessage for stdout. We want to capture that.
@@ -10,14 +11,11 @@ const rawPostMessage = (data) => {
     originalPostMessage.call(self, data);
 };
 
-let currentJobId = null;
-let currentMultiPv = 1;
-
 // This will be called by the engine worker when it emits UCI lines.
 self.postMessage = (msg) => {
     // If msg is a string, it's from the engine (e.g., "bestmove ...", "info ...")
     if (typeof msg === 'string') {
-        handleEngineOutput(msg);
+        session.handleLine(msg);
     } else {
         // Pass through any other messages (though Stockfish usually only sends strings)
         rawPostMessage(msg);
@@ -28,77 +26,25 @@ let debug = false;
 const log = (...args) => { if (debug) console.log(...args); };
 const warn = (...args) => { if (debug) console.warn(...args); };
 
-// Handler for parsing raw UCI output into structured messages
-const handleEngineOutput = (line) => {
-    // debug: log("Engine Output:", line);
-
-    if (line.startsWith('id name')) {
-        const name = line.substring('id name'.length).trim();
-        rawPostMessage({ type: 'ENGINE_ID', name });
-        return;
-    }
-    if (line.startsWith('option name Use NNUE')) {
-        rawPostMessage({ type: 'ENGINE_CAPS', caps: { nnue: true } });
-        return;
-    }
-    if (line.startsWith('option name MultiPV')) {
-        rawPostMessage({ type: 'ENGINE_CAPS', caps: { multipv: true } });
-        return;
-    }
-    if (line.startsWith('option name EvalFileSmall')) {
-        rawPostMessage({ type: 'ENGINE_CAPS', caps: { evalFileSmall: true } });
+const sendToEngine = (cmd) => {
+    if (!engineReady) {
+        warn("Worker: Engine not ready, buffering or dropping command:", cmd);
+        setTimeout(() => sendToEngine(cmd), 500);
         return;
     }
-    if (line.startsWith('option name EvalFile')) {
-        rawPostMessage({ type: 'ENGINE_CAPS', caps: { evalFile: true } });
+
+    if (engine && typeof engine.postMessage === 'function') {
+        log("Worker: Sending to engine via worker:", cmd);
+        engine.postMessage(cmd);
         return;
     }
 
-    if (line.startsWith('bestmove')) {
-        const parts = line.split(' ');
-        const bestMove = parts[1];
-        rawPostMessage({ type: 'BEST_MOVE', jobId: currentJobId, move: bestMove });
-        currentJobId = null;
-    } else if (line.startsWith('info') && line.includes('score')) {
-        const parts = line.split(' ');
-        let depth = 0, score = 0, mate = null, pv = '', multipv = 1;
-
-        for (let i = 0; i < parts.length; i++) {
-            if (parts[i] === 'depth') depth = parseInt(parts[i + 1]);
-            if (parts[i] === 'multipv') multipv = parseInt(parts[i + 1]);
-            if (parts[i] === 'score') {
-                if (parts[i + 1] === 'cp') score = parseInt(parts[i + 2]);
-                if (parts[i + 1] === 'mate') mate = parseInt(parts[i + 2]);
-            }
-            if (parts[i] === 'pv') {
-                pv = parts.slice(i + 1).join(' ');
-                break;
-            }
-        }
-
-        rawPostMessage({
-            type: 'INFO',
-            jobId: currentJobId,
-            evaluation: { depth, score, mate, pv, multipv }
-        });
-    } else if (line === 'uciok') {
-        uciReady = true;
-        if (pendingCommands.length) {
-            for (const cmd of pendingCommands) {
-                if (engine && typeof engine.postMessage === 'function') {
-                    engine.postMessage(cmd);
-                }
-            }
-            pendingCommands = [];
-        }
-    } else if (line === 'readyok') {
-        // no-op
-    } else if (debug) {
-        // Surface raw lines for debugging (errors/info strings)
-        rawPostMessage({ type: 'RAW', line });
-    }
+    console.error("Worker: No valid way to send message to engine.");
 };
 
+// Parses raw UCI output into structured messages and sequences commands until `uciok`.
+const session = createUciSession({ send: sendToEngine, emit: rawPostMessage });
+
 // Legacy placeholders (unused with engine worker approach)
 self.exports = self.exports || {};
 self.module = self.module || { exports: self.exports };
@@ -106,8 +52,6 @@ self.module = self.module || { exports: self.exports };
 // Engine instance (dedicated worker)
 let engine = null;
 let engineReady = false;
-let uciReady = false;
-let pendingCommands = [];
 let initPromise = null;
 
 const isValidScriptResponse = (res) => {
@@ -179,7 +123,7 @@ const initEngine = async (version) => {
             engine.onmessage = (e) => {
                 const msg = e.data;
                 if (typeof msg === 'string') {
-                    handleEngineOutput(msg);
+                    session.handleLine(msg);
                 } else {
                     // Ignore non-string messages from engine
                     // console.log("Worker: Engine non-string message:", msg);
@@ -192,8 +136,6 @@ const initEngine = async (version) => {
             };
 
             engineReady = true;
-            uciReady = false;
-            pendingCommands = [];
             // Kick off UCI handshake
             engine.postMessage('uci');
         } catch (e) {
@@ -209,74 +151,15 @@ const initEngine = async (version) => {
 
 // Main worker message handler (from UI thread)
 self.addEventListener('message', (e) => {
-    const { type, data, jobId } = e.data;
-
-    const sendToEngine = (cmd) => {
-        if (!engineReady) {
-            warn("Worker: Engine not ready, buffering or dropping command:", cmd);
-            setTimeout(() => sendToEngine(cmd), 500);
-            return;
-        }
-
-        if (engine && typeof engine.postMessage === 'function') {
-            if (!uciReady && cmd !== 'uci') {
-                pendingCommands.push(cmd);
-                return;
-            }
-            log("Worker: Sending to engine via worker:", cmd);
-            engine.postMessage(cmd);
-            return;
-        }
-
-        console.error("Worker: No valid way to send message to engine.");
-    };
+    const { type, data } = e.data;
 
     if (type === 'INIT') {
         const version = data?.version || e.data.version;
         debug = !!(data && data.debug);
+        session.setDebug(debug);
         initEngine(version);
-    }
-    // ... rest of listener
-
-    if (type === 'ANALYZE') {
-        currentJobId = jobId;
-        log("Worker: Context ANALYZE received, starting processing...");
-        // Reset state for new analysis
-        // stop previous
-        const { fen, depth = 15, multiPv = 1, movetime } = data;
-        currentMultiPv = Math.max(1, Math.min(8, parseInt(multiPv, 10) || 1));
-
-        sendToEngine('stop');
-        sendToEngine('ucinewgame');
-        sendToEngine(`setoption name MultiPV value ${currentMultiPv}`);
-        sendToEngine(`position fen ${fen}`);
-
-        let goCmd = `go depth ${depth}`;
-        if (movetime && typeof movetime === 'number' && movetime > 0) {
-            goCmd += ` movetime ${movetime}`;
-        }
-        sendToEngine(goCmd);
-    }
-
-    if (type === 'SET_OPTIONS') {
-        const options = (data && data.options) || [];
-        for (const opt of options) {
-            if (!opt?.name) continue;
-            let val = opt.value;
-            if (val === true) val = 'true';
-            if (val === false) val = 'false';
-
-            if (val === undefined || val === null) {
-                sendToEngine(`setoption name ${opt.name}`);
-            } else {
-                sendToEngine(`setoption name ${opt.name} value ${val}`);
-            }
-        }
+        return;
     }
 
-    if (type === 'STOP') {
-        sendToEngine('stop');
-        currentJobId = null;
-        currentMultiPv = 1;
-    }
+    session.handleCommand(e.data);
 });